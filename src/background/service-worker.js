@@ -1,10 +1,37 @@
-// Import constants (in Manifest V3, use importScripts)
-importScripts('../utils/constants.js');
+// Import constants and the fake data generator (in Manifest V3, use importScripts)
+importScripts('../utils/constants.js', '../utils/fake-data-generator.js');
 
 class ExtensionServiceWorker {
   constructor() {
     this.activeOperations = new Map();
     this.tabStates = new Map();
+    // Per-tab registry of frames whose content script reported fields: tabId -> Map(frameId -> state)
+    this.frameStates = new Map();
+    // Generator types offered under "Fill this field with…", as classifications the filler knows
+    this.menuGenerators = [
+      ['personal', 'fullName', 'Full name'],
+      ['personal', 'firstName', 'First name'],
+      ['personal', 'lastName', 'Last name'],
+      ['personal', 'email', 'Email'],
+      ['personal', 'phone', 'Phone'],
+      ['personal', 'username', 'Username'],
+      ['address', 'address1', 'Street address'],
+      ['address', 'city', 'City'],
+      ['address', 'zipCode', 'ZIP / postal code'],
+      ['address', 'country', 'Country'],
+      ['work', 'company', 'Company'],
+      ['work', 'jobTitle', 'Job title'],
+      ['datetime', 'date', 'Date'],
+      ['web', 'url', 'Website'],
+      ['text', 'general', 'Lorem ipsum']
+    ];
+    this.contextMenuUpdate = Promise.resolve();
+    // Fake fills describe one persona across all frames of the page, so it and the seed are made here
+    this.fakeDataGenerator = new FakeDataGenerator();
+    // Tab state saved with the frame registry, for events after a service worker restart
+    this.sessionStateKeys = ['undoStack', 'lastFakeSeed', 'lastFakeSeedTime'];
+    // Every event handler waits for this before reading tab or frame state
+    this.sessionRestored = this.restoreSession();
     this.init();
   }
 
@@ -16,12 +43,14 @@ class ExtensionServiceWorker {
     });
 
     // Handle tab updates
-    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+      await this.sessionRestored;
       this.handleTabUpdate(tabId, changeInfo, tab);
     });
 
     // Handle tab removal
-    chrome.tabs.onRemoved.addListener((tabId) => {
+    chrome.tabs.onRemoved.addListener(async (tabId) => {
+      await this.sessionRestored;
       this.cleanupTabState(tabId);
     });
 
@@ -40,15 +69,32 @@ class ExtensionServiceWorker {
       this.handleCommand(command);
     });
 
+    // Right-click menus list profile values and templates, so they follow storage changes
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+      this.handleContextMenuClick(info, tab);
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const keys = [EXTENSION_CONSTANTS.STORAGE_KEYS.USER_DATA, EXTENSION_CONSTANTS.STORAGE_KEYS.TEMPLATES];
+      if (areaName === 'local' && keys.some(key => key in changes)) {
+        this.updateContextMenus();
+      }
+    });
+
+    this.updateContextMenus();
+
     console.log('Form Auto-Fill service worker initialized');
   }
 
   async handleMessage(message, sender, sendResponse) {
     try {
+      await this.sessionRestored;
       const { type, data } = message;
-      const tabId = sender.tab?.id;
+      // Content scripts are identified by their sender; the popup passes the tab explicitly
+      const tabId = sender.tab?.id || data?.tabId;
+      const frameId = sender.frameId || 0;
       
-      console.log(`Received message: ${type}`, { tabId, data });
+      console.log(`Received message: ${type}`, { tabId, frameId, data });
 
       switch (type) {
         case EXTENSION_CONSTANTS.MESSAGES.DETECT_FORMS:
@@ -59,6 +105,30 @@ class ExtensionServiceWorker {
           await this.handleFillForms(tabId, data, sendResponse);
           break;
 
+        case EXTENSION_CONSTANTS.MESSAGES.FILL_FORMS_FAKE:
+          await this.handleFillFormsFake(tabId, data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.TOGGLE_INSPECTOR:
+          await this.handleToggleInspector(tabId, data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.UNDO_FILL:
+          await this.handleUndoFill(tabId, data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.PREVIEW_FILL:
+          await this.handlePreviewFill(tabId, data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.APPLY_PLAN:
+          await this.handleApplyPlan(tabId, data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.LIST_FORMS:
+          await this.handleListForms(tabId, sendResponse);
+          break;
+
         case EXTENSION_CONSTANTS.MESSAGES.GET_STATUS:
           await this.handleGetStatus(tabId, sendResponse);
           break;
@@ -76,11 +146,15 @@ class ExtensionServiceWorker {
           break;
 
         case EXTENSION_CONSTANTS.MESSAGES.DETECTION_COMPLETE:
-          await this.handleDetectionComplete(tabId, data, sendResponse);
+          await this.handleDetectionComplete(tabId, frameId, data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.FORM_COUNT_UPDATE:
+          await this.handleFormCountUpdate(tabId, frameId, data, sendResponse);
           break;
 
         case EXTENSION_CONSTANTS.MESSAGES.FILLING_COMPLETE:
-          await this.handleFillingComplete(tabId, data, sendResponse);
+          await this.handleFillingComplete(tabId, frameId, data, sendResponse);
           break;
 
         case EXTENSION_CONSTANTS.MESSAGES.FILLING_PROGRESS:
@@ -91,6 +165,10 @@ class ExtensionServiceWorker {
           await this.handleError(tabId, data);
           break;
 
+        case EXTENSION_CONSTANTS.MESSAGES.SET_PICKER_DATE:
+          await this.handleSetPickerDate(tabId, frameId, data, sendResponse);
+          break;
+
         default:
           console.warn('Unknown message type:', type);
           sendResponse({ success: false, error: 'Unknown message type' });
@@ -121,6 +199,7 @@ class ExtensionServiceWorker {
 
       // Send message to content script to start detection
       try {
+        // Without a frameId the message reaches every frame that has the content script
         const response = await chrome.tabs.sendMessage(actualTabId, {
           type: EXTENSION_CONSTANTS.MESSAGES.START_DETECTION,
           data: data
@@ -132,13 +211,27 @@ class ExtensionServiceWorker {
         // Try to inject content script if it's not present
         try {
           await chrome.scripting.executeScript({
-            target: { tabId: actualTabId },
+            target: { tabId: actualTabId, allFrames: true },
             files: [
               'src/utils/constants.js',
               'src/utils/security.js',
+              'src/utils/autocomplete-parser.js',
+              'src/utils/field-rule-engine.js',
               'src/utils/field-mapper.js',
+              'src/utils/fake-data-generator.js',
+              'src/utils/regex-value-generator.js',
+              'src/utils/constraint-solver.js',
+              'src/utils/option-matcher.js',
+              'src/content/enhanced-select-adapter.js',
               'src/content/form-detector.js',
+              'src/content/dependent-select-resolver.js',
+              'src/content/framework-value-setter.js',
+              'src/content/validation-reporter.js',
+              'src/content/date-picker-adapter.js',
+              'src/content/input-mask-adapter.js',
               'src/content/form-filler.js',
+              'src/content/wizard-navigator.js',
+              'src/content/field-inspector.js',
               'src/content/content.js'
             ]
           });
@@ -179,6 +272,8 @@ class ExtensionServiceWorker {
         return;
       }
 
+      const actualTabId = permission.tabId || tabId;
+
       // Get user data
       const userData = await this.getUserData();
       if (!userData) {
@@ -189,39 +284,654 @@ class ExtensionServiceWorker {
         return;
       }
 
-      // Update tab state
-      this.updateTabState(tabId, { status: 'filling' });
+      const { operationId, results } = await this.fillFramesWithUserData(actualTabId, userData, data);
 
-      // Start operation tracking
-      const operationId = this.generateOperationId();
-      this.activeOperations.set(operationId, {
-        tabId,
-        type: 'fill_forms',
-        startTime: Date.now(),
-        status: 'active'
+      sendResponse({ 
+        success: results.success, 
+        operationId,
+        results,
+        undoDepth: this.getUndoStack(actualTabId).length,
+        error: results.success ? undefined : results.error
+      });
+    } catch (error) {
+      console.error('Error in handleFillForms:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async fillFramesWithUserData(tabId, userData, options = {}) {
+    const typing = await this.getTypingOptions(tabId);
+    const target = this.getScopeTarget(tabId, options.scope);
+
+    // Update tab state
+    this.updateTabState(tabId, { status: 'filling' });
+
+    // Start operation tracking
+    const operationId = this.generateOperationId();
+    this.activeOperations.set(operationId, {
+      tabId,
+      type: 'fill_forms',
+      startTime: Date.now(),
+      status: 'active',
+      frameResults: {}
+    });
+
+    // Send the fill command to every frame that reported fields
+    const frameResponses = await this.sendToFrames(tabId, {
+      type: EXTENSION_CONSTANTS.MESSAGES.START_FILLING,
+      data: { 
+        userData, 
+        options: { ...options, scope: target.scope, typing },
+        operationId 
+      }
+    }, target.frameIds);
+
+    const results = this.mergeFrameResults(frameResponses);
+    if (results.filled > 0) {
+      this.pushUndoOperation(tabId, operationId);
+    }
+
+    return { operationId, results };
+  }
+
+  async handleFillFormsFake(tabId, data, sendResponse) {
+    try {
+      const permission = await this.hasPermission(tabId);
+      if (!permission.allowed) {
+        sendResponse({ success: false, error: permission.reason });
+        return;
+      }
+
+      const results = await this.fillFramesWithFakeData(permission.tabId || tabId, data);
+
+      sendResponse({
+        success: results.success,
+        results,
+        undoDepth: this.getUndoStack(permission.tabId || tabId).length,
+        error: results.success ? undefined : results.error
       });
+    } catch (error) {
+      console.error('Error in handleFillFormsFake:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
 
-      // Send message to content script to start filling
-      const response = await chrome.tabs.sendMessage(tabId, {
-        type: EXTENSION_CONSTANTS.MESSAGES.START_FILLING,
-        data: { 
-          userData, 
-          options: data,
-          operationId 
+  async fillFramesWithFakeData(tabId, data = {}) {
+    this.updateTabState(tabId, { status: 'filling' });
+
+    // Multi-step forms are walked step by step when wizard mode is on; a wizard spans the page, so
+    // filling a single form never walks steps
+    const settings = await this.getSettings();
+    const target = this.getScopeTarget(tabId, data.scope);
+    const pageScope = target.scope === 'page';
+    const wizard = pageScope && (data.wizard !== undefined ? data.wizard : settings.wizardMode);
+    const typing = await this.getTypingOptions(tabId, settings);
+    const operationId = this.generateOperationId();
+    const seed = await this.resolveFakeSeed(tabId, data.seed, settings);
+    const seedTime = this.resolveSeedTime(data.seed, data.seedTime);
+    this.fakeDataGenerator.setSeed(seed, seedTime);
+    const persona = this.fakeDataGenerator.generatePersona();
+
+    const frameResponses = await this.sendToFrames(tabId, wizard
+      ? {
+          type: EXTENSION_CONSTANTS.MESSAGES.FILL_WIZARD,
+          data: {
+            delay: data.delay || 50,
+            maxSteps: settings.wizardMaxSteps,
+            allowSubmit: settings.wizardAllowSubmit,
+            typing,
+            operationId,
+            persona,
+            seed,
+            seedTime
+          }
         }
+      : {
+          type: EXTENSION_CONSTANTS.MESSAGES.FILL_FORMS_FAKE,
+          data: { delay: data.delay || 50, typing, operationId, scope: target.scope, persona, seed, seedTime }
+        }, target.frameIds);
+
+    const results = this.mergeFrameResults(frameResponses);
+    results.persona = persona;
+    results.seed = seed;
+    results.seedTime = seedTime;
+
+    this.updateTabState(tabId, {
+      status: results.success ? 'completed' : 'error',
+      lastFilling: Date.now(),
+      lastResults: results,
+      lastFakeSeed: seed,
+      lastFakeSeedTime: seedTime
+    });
+    this.saveTabSession(tabId);
+
+    if (results.filled > 0) {
+      this.pushUndoOperation(tabId, operationId);
+      await this.updateStatistics('fields_filled', results.filled);
+    }
+
+    return results;
+  }
+
+  // A seed asked for (to repeat a fill), one derived from the page address when stable seeds are on,
+  // or a fresh one. Any of them comes back with the results, so every fill can be repeated.
+  async resolveFakeSeed(tabId, seed, settings) {
+    if (seed !== undefined && seed !== null && seed !== '') {
+      return this.fakeDataGenerator.normalizeSeed(seed);
+    }
+
+    if (settings.stableSeedPerUrl) {
+      try {
+        const tab = await chrome.tabs.get(tabId);
+        const url = new URL(tab.url);
+        return this.fakeDataGenerator.hashSeed(`${url.origin}${url.pathname}`);
+      } catch (error) {
+        console.error('Error deriving a seed from the page address:', error);
+      }
+    }
+
+    return this.fakeDataGenerator.createSeed();
+  }
+
+  // Dates relative to today are measured from this time; a repeated seed brings the time it was
+  // first used, and a seed typed in without one starts from now
+  resolveSeedTime(seed, seedTime) {
+    const hasSeed = seed !== undefined && seed !== null && seed !== '';
+    const time = seedTime === null || seedTime === '' ? NaN : Number(seedTime);
+    return hasSeed && Number.isFinite(time) ? time : Date.now();
+  }
+
+  async handlePreviewFill(tabId, data, sendResponse) {
+    try {
+      const permission = await this.hasPermission(tabId);
+      if (!permission.allowed) {
+        sendResponse({ success: false, error: permission.reason });
+        return;
+      }
+
+      // Profile previews read the stored user data; fake previews ask each frame's generator
+      const userData = data.mode === 'profile' ? await this.getUserData() : null;
+      const seed = userData ? null : await this.resolveFakeSeed(permission.tabId || tabId, data.seed, await this.getSettings());
+      const seedTime = userData ? null : this.resolveSeedTime(data.seed, data.seedTime);
+      this.fakeDataGenerator.setSeed(seed, seedTime);
+      const persona = userData ? null : this.fakeDataGenerator.generatePersona();
+      const frameResponses = await this.sendToFrames(permission.tabId || tabId, {
+        type: EXTENSION_CONSTANTS.MESSAGES.PREVIEW_FILL,
+        data: { userData, persona, seed, seedTime }
       });
 
-      sendResponse({ 
-        success: true, 
-        operationId,
-        data: response 
+      const plans = frameResponses
+        .filter(({ response }) => response?.success && response.plan.entries.length > 0)
+        .map(({ frameId, url, response }) => ({ frameId, url, ...response.plan }));
+
+      sendResponse({
+        success: plans.length > 0,
+        plans,
+        persona,
+        seed,
+        seedTime,
+        error: plans.length > 0 ? undefined : EXTENSION_CONSTANTS.ERRORS.FORM_NOT_FOUND
       });
     } catch (error) {
-      console.error('Error in handleFillForms:', error);
+      console.error('Error in handlePreviewFill:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async handleApplyPlan(tabId, data, sendResponse) {
+    try {
+      const permission = await this.hasPermission(tabId);
+      if (!permission.allowed) {
+        sendResponse({ success: false, error: permission.reason });
+        return;
+      }
+
+      const actualTabId = permission.tabId || tabId;
+      const typing = await this.getTypingOptions(actualTabId);
+      const operationId = this.generateOperationId();
+      this.updateTabState(actualTabId, { status: 'filling' });
+
+      // Each frame applies only its own part of the plan
+      const frameResponses = await Promise.all((data.plans || []).map(plan => this.sendToFrames(actualTabId, {
+        type: EXTENSION_CONSTANTS.MESSAGES.APPLY_PLAN,
+        data: { planId: plan.planId, entries: plan.entries, delay: data.delay || 50, typing, operationId }
+      }, [plan.frameId])));
+
+      const results = this.mergeFrameResults(frameResponses.flat());
+      // A fake preview's seed repeats its values, though not edits made to the plan
+      const fakeSeed = data.seed !== undefined && data.seed !== null
+        ? { lastFakeSeed: data.seed, lastFakeSeedTime: this.resolveSeedTime(data.seed, data.seedTime) }
+        : {};
+      results.seed = fakeSeed.lastFakeSeed;
+      results.seedTime = fakeSeed.lastFakeSeedTime;
+
+      this.updateTabState(actualTabId, {
+        status: results.success ? 'completed' : 'error',
+        lastFilling: Date.now(),
+        lastResults: results,
+        ...fakeSeed
+      });
+      this.saveTabSession(actualTabId);
+
+      if (results.filled > 0) {
+        this.pushUndoOperation(actualTabId, operationId);
+        await this.updateStatistics('fields_filled', results.filled);
+      }
+
+      sendResponse({
+        success: results.success,
+        results,
+        undoDepth: this.getUndoStack(actualTabId).length,
+        error: results.success ? undefined : results.error
+      });
+    } catch (error) {
+      console.error('Error in handleApplyPlan:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async handleUndoFill(tabId, data, sendResponse) {
+    try {
+      const permission = await this.hasPermission(tabId);
+      if (!permission.allowed) {
+        sendResponse({ success: false, error: permission.reason });
+        return;
+      }
+
+      const results = await this.undoLastFill(permission.tabId || tabId);
+
+      sendResponse({
+        success: results.success,
+        results,
+        undoDepth: this.getUndoStack(permission.tabId || tabId).length,
+        error: results.success ? undefined : results.error
+      });
+    } catch (error) {
+      console.error('Error in handleUndoFill:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  // Each frame keeps the field states of its own part of an operation; the tab keeps the order
+  async undoLastFill(tabId) {
+    const undoStack = this.getUndoStack(tabId);
+    if (undoStack.length === 0) {
+      return { total: 0, restored: 0, errors: 0, success: false, error: 'Nothing to undo' };
+    }
+
+    const operationId = undoStack[undoStack.length - 1];
+    const frameResponses = await this.sendToFrames(tabId, {
+      type: EXTENSION_CONSTANTS.MESSAGES.UNDO_FILL,
+      data: { operationId }
+    });
+
+    // Frames restore and forget their snapshot either way, so the operation is gone
+    this.updateTabState(tabId, { undoStack: undoStack.slice(0, -1) });
+    this.saveTabSession(tabId);
+
+    const results = { total: 0, restored: 0, errors: 0, success: false, frames: [] };
+    frameResponses.forEach(({ frameId, url, response }) => {
+      const frameResults = response?.results;
+      results.frames.push({ frameId, url, success: Boolean(response?.success), error: response?.error || null, ...(frameResults || {}) });
+
+      if (response?.success && frameResults) {
+        results.total += frameResults.total || 0;
+        results.restored += frameResults.restored || 0;
+        results.errors += frameResults.errors || 0;
+      }
+    });
+
+    results.success = results.restored > 0;
+    if (!results.success) {
+      results.error = 'The filled fields are no longer on the page';
+    }
+
+    return results;
+  }
+
+  pushUndoOperation(tabId, operationId) {
+    const undoStack = [...this.getUndoStack(tabId), operationId].slice(-EXTENSION_CONSTANTS.LIMITS.MAX_UNDO_OPERATIONS);
+    this.updateTabState(tabId, { undoStack });
+    this.saveTabSession(tabId);
+  }
+
+  getUndoStack(tabId) {
+    return this.getTabState(tabId).undoStack || [];
+  }
+
+  // Typing mode follows the global setting unless the tab's site has its own
+  async getTypingOptions(tabId, settings = null) {
+    const currentSettings = settings || await this.getSettings();
+    let enabled = currentSettings.typingMode === true;
+
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      const hostname = new URL(tab.url).hostname;
+      const siteSetting = (currentSettings.typingSites || {})[hostname];
+      if (typeof siteSetting === 'boolean') {
+        enabled = siteSetting;
+      }
+    } catch (error) {
+      console.error('Error resolving site typing setting:', error);
+    }
+
+    return {
+      enabled,
+      delay: currentSettings.typingDelay,
+      jitter: currentSettings.typingJitter
+    };
+  }
+
+  updateContextMenus() {
+    // Rebuilds are queued so two storage changes never create the same menu ids twice
+    this.contextMenuUpdate = this.contextMenuUpdate
+      .then(() => this.buildContextMenus())
+      .catch(error => console.error('Error building context menus:', error));
+    return this.contextMenuUpdate;
+  }
+
+  async buildContextMenus() {
+    const [userData, templates] = await Promise.all([this.getUserData(), this.getTemplates()]);
+    const pageContexts = ['page', 'editable'];
+    const create = properties => chrome.contextMenus.create(properties, () => chrome.runtime.lastError);
+
+    await chrome.contextMenus.removeAll();
+
+    create({ id: 'fill-field', title: 'Fill this field with…', contexts: ['editable'] });
+    const profileValues = this.getProfileMenuValues(userData);
+    profileValues.forEach(({ path, title }) => {
+      create({ id: `fill-field:profile:${path}`, parentId: 'fill-field', title, contexts: ['editable'] });
+    });
+    if (profileValues.length > 0) {
+      create({ id: 'fill-field:separator', parentId: 'fill-field', type: 'separator', contexts: ['editable'] });
+    }
+    this.menuGenerators.forEach(([category, subtype, title]) => {
+      create({ id: `fill-field:fake:${category}.${subtype}`, parentId: 'fill-field', title: `Fake ${title.toLowerCase()}`, contexts: ['editable'] });
+    });
+
+    create({ id: 'fill-form', title: 'Fill this form only', contexts: pageContexts });
+
+    if (templates.length > 0) {
+      create({ id: 'fill-template', title: 'Fill page with template', contexts: pageContexts });
+      templates.forEach(template => {
+        create({ id: `fill-template:${template.id}`, parentId: 'fill-template', title: this.escapeMenuTitle(template.name), contexts: pageContexts });
+      });
+    }
+
+    create({ id: 'exclude-field', title: 'Exclude this field on this site', contexts: pageContexts });
+  }
+
+  // Non-empty profile values, e.g. "Billing city: Denver"; preferences are settings, not values
+  getProfileMenuValues(userData, prefix = '') {
+    return Object.entries(userData || {}).flatMap(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+
+      if (value && typeof value === 'object') {
+        return key === 'preferences' ? [] : this.getProfileMenuValues(value, path);
+      }
+
+      if (typeof value !== 'string' || value.trim() === '') {
+        return [];
+      }
+
+      const text = value.length > 30 ? `${value.slice(0, 29)}…` : value;
+      return [{ path, title: this.escapeMenuTitle(`${this.describeDataPath(path)}: ${text}`) }];
+    });
+  }
+
+  // personal.zipCode → "Zip code", addresses.billing.city → "Billing city"
+  describeDataPath(path) {
+    const words = path.split('.')
+      .filter(segment => !['personal', 'address', 'addresses', 'professional'].includes(segment))
+      .join(' ')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  // A single "&" marks an access key in menu titles
+  escapeMenuTitle(title) {
+    return String(title).replace(/&/g, '&&');
+  }
+
+  async handleContextMenuClick(info, tab) {
+    try {
+      await this.sessionRestored;
+      const permission = await this.hasPermission(tab.id);
+      if (!permission.allowed) {
+        console.log('Cannot use the context menu on this page:', permission.reason);
+        return;
+      }
+
+      const tabId = permission.tabId || tab.id;
+      // Only the content script of the clicked frame knows which element was right-clicked
+      const frameIds = [info.frameId || 0];
+      const [menu, kind, ...rest] = String(info.menuItemId).split(':');
+      let results = null;
+
+      switch (menu) {
+        case 'fill-field':
+          results = await this.fillContextField(tabId, frameIds, kind, rest.join(':'));
+          break;
+        case 'fill-form':
+          // The form under the cursor is the one right-clicked, in the frame that was clicked
+          results = await this.fillFramesWithFakeData(tabId, { scope: `cursor:${frameIds[0]}` });
+          break;
+        case 'fill-template':
+          results = await this.fillWithTemplate(tabId, kind);
+          break;
+        case 'exclude-field':
+          results = await this.excludeContextField(tabId, frameIds);
+          break;
+      }
+
+      console.log('Context menu action result:', results);
+    } catch (error) {
+      console.error('Error handling context menu click:', error);
+    }
+  }
+
+  async fillContextField(tabId, frameIds, kind, detail) {
+    const operationId = this.generateOperationId();
+    const data = { operationId, typing: await this.getTypingOptions(tabId) };
+
+    if (kind === 'profile') {
+      const userData = await this.getUserData();
+      data.value = detail.split('.').reduce((value, key) => (value ? value[key] : undefined), userData);
+    } else {
+      const [category, fieldSubtype] = detail.split('.');
+      data.generator = { category, fieldSubtype };
+    }
+
+    const results = this.mergeFrameResults(await this.sendToFrames(tabId, {
+      type: EXTENSION_CONSTANTS.MESSAGES.FILL_FIELD,
+      data
+    }, frameIds));
+
+    if (results.filled > 0) {
+      this.pushUndoOperation(tabId, operationId);
+      await this.updateStatistics('fields_filled', results.filled);
+    }
+
+    return results;
+  }
+
+  async fillWithTemplate(tabId, templateId) {
+    const template = (await this.getTemplates()).find(entry => entry.id === templateId);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+
+    // START_FILLING reports FILLING_COMPLETE, which counts the filled fields
+    const { results } = await this.fillFramesWithUserData(tabId, template.data);
+    return results;
+  }
+
+  async excludeContextField(tabId, frameIds) {
+    const [{ response }] = await this.sendToFrames(tabId, {
+      type: EXTENSION_CONSTANTS.MESSAGES.EXCLUDE_FIELD,
+      data: {}
+    }, frameIds);
+
+    if (!response?.success) {
+      return response;
+    }
+
+    // Keyed by the frame's own host, since that is where the content script looks it up
+    const settings = await this.getSettings();
+    const excludedFields = { ...settings.excludedFields };
+    const keys = new Set(excludedFields[response.hostname] || []);
+    keys.add(response.key);
+    excludedFields[response.hostname] = Array.from(keys);
+    await this.saveSettings({ excludedFields });
+
+    return response;
+  }
+
+  async handleToggleInspector(tabId, data, sendResponse) {
+    try {
+      const permission = await this.hasPermission(tabId);
+      if (!permission.allowed) {
+        sendResponse({ success: false, error: permission.reason });
+        return;
+      }
+
+      const results = await this.toggleInspector(permission.tabId || tabId, data?.enabled);
+
+      sendResponse({ success: true, ...results });
+    } catch (error) {
+      console.error('Error in handleToggleInspector:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async toggleInspector(tabId, enabled) {
+    const nextState = typeof enabled === 'boolean' ? enabled : !this.getTabState(tabId).inspector;
+
+    // Frames without fillable fields still get badges for the fields they skip
+    const frameResponses = await this.sendToFrames(tabId, {
+      type: EXTENSION_CONSTANTS.MESSAGES.TOGGLE_INSPECTOR,
+      data: { enabled: nextState }
+    }, this.getKnownFrameIds(tabId));
+
+    this.updateTabState(tabId, { inspector: nextState });
+
+    const fieldCount = frameResponses.reduce((total, { response }) => total + (response?.fieldCount || 0), 0);
+    return { enabled: nextState, fieldCount };
+  }
+
+  // Frame routing
+  getKnownFrameIds(tabId) {
+    const frames = this.frameStates.get(tabId);
+    return frames && frames.size > 0 ? Array.from(frames.keys()) : [0];
+  }
+
+  // Fill scopes: 'page', 'focused' and 'cursor' are resolved by each frame's content script;
+  // 'cursor:<frameId>' and 'form:<frameId>:<index>' (from LIST_FORMS) go to that one frame
+  getScopeTarget(tabId, scope = 'page') {
+    const cursor = /^cursor:(\d+)$/.exec(scope || '');
+    if (cursor) {
+      return { frameIds: [Number(cursor[1])], scope: 'cursor' };
+    }
+
+    const form = /^form:(\d+):(\d+)$/.exec(scope || '');
+    if (form) {
+      return { frameIds: [Number(form[1])], scope: { formIndex: Number(form[2]) } };
+    }
+
+    return { frameIds: this.getTargetFrameIds(tabId), scope: scope || 'page' };
+  }
+
+  async handleListForms(tabId, sendResponse) {
+    try {
+      const permission = await this.hasPermission(tabId);
+      if (!permission.allowed) {
+        sendResponse({ success: false, error: permission.reason });
+        return;
+      }
+
+      const frameResponses = await this.sendToFrames(permission.tabId || tabId, {
+        type: EXTENSION_CONSTANTS.MESSAGES.LIST_FORMS,
+        data: {}
+      });
+
+      const forms = frameResponses.flatMap(({ frameId, response }) => (response?.success ? response.forms : [])
+        .map(form => ({ ...form, frameId, scope: `form:${frameId}:${form.index}` })));
+
+      sendResponse({ success: true, forms });
+    } catch (error) {
+      console.error('Error in handleListForms:', error);
       sendResponse({ success: false, error: error.message });
     }
   }
 
+  getTargetFrameIds(tabId) {
+    const frames = this.frameStates.get(tabId);
+
+    if (!frames || frames.size === 0) {
+      // Nothing reported yet: the top frame is the only safe target
+      return [0];
+    }
+
+    const withFields = Array.from(frames.entries())
+      .filter(([, frame]) => frame.fillableCount === undefined || frame.fillableCount > 0)
+      .map(([frameId]) => frameId);
+
+    return withFields.length > 0 ? withFields : [0];
+  }
+
+  async sendToFrames(tabId, message, frameIds = this.getTargetFrameIds(tabId)) {
+    return Promise.all(frameIds.map(async (frameId) => {
+      const frame = this.frameStates.get(tabId)?.get(frameId);
+
+      try {
+        const response = await chrome.tabs.sendMessage(tabId, message, { frameId });
+        return { frameId, url: frame?.url || '', response };
+      } catch (error) {
+        console.error(`Failed to reach frame ${frameId}:`, error);
+        return { frameId, url: frame?.url || '', response: { success: false, error: error.message } };
+      }
+    }));
+  }
+
+  mergeFrameResults(frameResponses) {
+    const merged = {
+      total: 0,
+      filled: 0,
+      errors: 0,
+      rejected: 0,
+      success: false,
+      frames: []
+    };
+
+    frameResponses.forEach(({ frameId, url, response }) => {
+      const results = response?.results || response?.data?.results;
+
+      merged.frames.push({
+        frameId,
+        url,
+        success: Boolean(response?.success),
+        error: response?.error || null,
+        ...(results || {})
+      });
+
+      if (response?.success && results) {
+        merged.total += results.total || 0;
+        merged.filled += results.filled || 0;
+        merged.errors += results.errors || 0;
+        merged.rejected += results.rejected || 0;
+        merged.success = merged.success || Boolean(results.success);
+      }
+    });
+
+    if (!merged.success) {
+      const failed = merged.frames.find(frame => frame.error);
+      merged.error = failed ? failed.error : EXTENSION_CONSTANTS.ERRORS.FORM_NOT_FOUND;
+    }
+
+    return merged;
+  }
+
   async handleGetStatus(tabId, sendResponse) {
     try {
       const tabState = this.getTabState(tabId);
@@ -277,18 +987,27 @@ class ExtensionServiceWorker {
     }
   }
 
-  async handleDetectionComplete(tabId, data, sendResponse) {
+  async handleDetectionComplete(tabId, frameId, data, sendResponse) {
     try {
-      // Update tab state with detection results
-      this.updateTabState(tabId, {
-        status: 'detected',
+      // Record this frame's results, then roll every frame up into the tab state
+      this.updateFrameState(tabId, frameId, {
+        url: data.url,
+        isTopFrame: data.isTopFrame !== false && frameId === 0,
         formCount: data.formCount,
         fieldCount: data.fieldCount,
+        fillableCount: data.fillableCount
+      });
+
+      const tabState = this.updateTabState(tabId, {
+        status: 'detected',
+        ...this.aggregateFrameCounts(tabId),
         lastDetection: Date.now()
       });
 
       // Update statistics
       await this.updateStatistics('forms_detected', data.formCount);
+
+      this.notifyPopup('detection_complete', tabState);
       
       sendResponse({ success: true });
     } catch (error) {
@@ -297,23 +1016,55 @@ class ExtensionServiceWorker {
     }
   }
 
-  async handleFillingComplete(tabId, data, sendResponse) {
+  async handleFormCountUpdate(tabId, frameId, data, sendResponse) {
+    try {
+      if (tabId === undefined) {
+        sendResponse({ success: true });
+        return;
+      }
+
+      this.updateFrameState(tabId, frameId, {
+        url: data.url,
+        isTopFrame: data.isTopFrame !== false && frameId === 0,
+        ...(data.fieldCount !== undefined && { fieldCount: data.fieldCount }),
+        ...(data.fillableCount !== undefined && { fillableCount: data.fillableCount })
+      });
+
+      this.updateTabState(tabId, this.aggregateFrameCounts(tabId));
+
+      sendResponse({ success: true });
+    } catch (error) {
+      console.error('Error in handleFormCountUpdate:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async handleFillingComplete(tabId, frameId, data, sendResponse) {
     try {
       const { operationId, results } = data;
+      let tabResults = results;
       
-      // Update operation status
+      // Update operation status, merging results as each frame finishes
       if (this.activeOperations.has(operationId)) {
         const operation = this.activeOperations.get(operationId);
+        operation.frameResults[frameId] = results;
         operation.status = 'completed';
         operation.endTime = Date.now();
-        operation.results = results;
+        operation.results = this.mergeFrameResults(
+          Object.entries(operation.frameResults).map(([id, frameResults]) => ({
+            frameId: Number(id),
+            url: this.frameStates.get(tabId)?.get(Number(id))?.url || '',
+            response: { success: true, results: frameResults }
+          }))
+        );
+        tabResults = operation.results;
       }
 
       // Update tab state
       this.updateTabState(tabId, {
         status: 'completed',
         lastFilling: Date.now(),
-        lastResults: results
+        lastResults: tabResults
       });
 
       // Update statistics
@@ -341,6 +1092,23 @@ class ExtensionServiceWorker {
     }
   }
 
+  // Date picker instances live in the page's own scripts, out of the content script's reach
+  async handleSetPickerDate(tabId, frameId, data, sendResponse) {
+    try {
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId, frameIds: [frameId] },
+        world: 'MAIN',
+        func: setPickerDateInPage,
+        args: [data]
+      });
+
+      sendResponse({ success: Boolean(injection && injection.result) });
+    } catch (error) {
+      console.error('Error in handleSetPickerDate:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
   async handleError(tabId, data) {
     try {
       console.error('Content script error:', data);
@@ -408,13 +1176,27 @@ class ExtensionServiceWorker {
         console.log('Content script not available, attempting injection...');
         try {
           await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
+            target: { tabId: tab.id, allFrames: true },
             files: [
               'src/utils/constants.js',
               'src/utils/security.js', 
+              'src/utils/autocomplete-parser.js',
+              'src/utils/field-rule-engine.js',
               'src/utils/field-mapper.js',
+              'src/utils/fake-data-generator.js',
+              'src/utils/regex-value-generator.js',
+              'src/utils/constraint-solver.js',
+              'src/utils/option-matcher.js',
+              'src/content/enhanced-select-adapter.js',
               'src/content/form-detector.js',
+              'src/content/dependent-select-resolver.js',
+              'src/content/framework-value-setter.js',
+              'src/content/validation-reporter.js',
+              'src/content/date-picker-adapter.js',
+              'src/content/input-mask-adapter.js',
               'src/content/form-filler.js',
+              'src/content/wizard-navigator.js',
+              'src/content/field-inspector.js',
               'src/content/content.js'
             ]
           });
@@ -461,6 +1243,17 @@ class ExtensionServiceWorker {
     }
   }
 
+  async getTemplates() {
+    try {
+      const result = await chrome.storage.local.get(EXTENSION_CONSTANTS.STORAGE_KEYS.TEMPLATES);
+      const templates = result[EXTENSION_CONSTANTS.STORAGE_KEYS.TEMPLATES];
+      return Array.isArray(templates) ? templates : [];
+    } catch (error) {
+      console.error('Error getting templates:', error);
+      return [];
+    }
+  }
+
   async getSettings() {
     try {
       const result = await chrome.storage.local.get(
@@ -535,8 +1328,73 @@ class ExtensionServiceWorker {
     return this.tabStates.get(tabId) || { status: 'unknown' };
   }
 
+  updateFrameState(tabId, frameId, updates) {
+    if (!this.frameStates.has(tabId)) {
+      this.frameStates.set(tabId, new Map());
+    }
+
+    const frames = this.frameStates.get(tabId);
+    const newState = { ...frames.get(frameId), ...updates, frameId, lastUpdated: Date.now() };
+    frames.set(frameId, newState);
+    this.saveTabSession(tabId);
+
+    return newState;
+  }
+
+  // Chrome stops an idle service worker after about 30 seconds. What later events rely on is kept in
+  // session storage, which lasts until the browser closes, and read back when the worker starts again.
+  async restoreSession() {
+    try {
+      const stored = await chrome.storage.session.get(null);
+      Object.entries(stored).forEach(([key, session]) => {
+        const match = /^tab_(\d+)$/.exec(key);
+        if (match) {
+          const { frames = [], ...state } = session;
+          this.frameStates.set(Number(match[1]), new Map(frames));
+          this.updateTabState(Number(match[1]), state);
+        }
+      });
+    } catch (error) {
+      console.error('Error restoring session state:', error);
+    }
+  }
+
+  async saveTabSession(tabId) {
+    try {
+      const frames = Array.from((this.frameStates.get(tabId) || new Map()).entries());
+      const tabState = this.getTabState(tabId);
+      const state = Object.fromEntries(this.sessionStateKeys
+        .filter(key => tabState[key] !== undefined)
+        .map(key => [key, tabState[key]]));
+      await chrome.storage.session.set({ [`tab_${tabId}`]: { frames, ...state } });
+    } catch (error) {
+      console.error('Error saving session state:', error);
+    }
+  }
+
+  async clearTabSession(tabId) {
+    try {
+      await chrome.storage.session.remove(`tab_${tabId}`);
+    } catch (error) {
+      console.error('Error clearing session state:', error);
+    }
+  }
+
+  aggregateFrameCounts(tabId) {
+    const frames = Array.from((this.frameStates.get(tabId) || new Map()).values());
+
+    return {
+      frameCount: frames.length,
+      formCount: frames.reduce((sum, frame) => sum + (frame.formCount || 0), 0),
+      fieldCount: frames.reduce((sum, frame) => sum + (frame.fieldCount || 0), 0),
+      fillableCount: frames.reduce((sum, frame) => sum + (frame.fillableCount || 0), 0)
+    };
+  }
+
   cleanupTabState(tabId) {
     this.tabStates.delete(tabId);
+    this.frameStates.delete(tabId);
+    this.clearTabSession(tabId);
     
     // Clean up any active operations for this tab
     for (const [operationId, operation] of this.activeOperations.entries()) {
@@ -548,6 +1406,13 @@ class ExtensionServiceWorker {
 
   // Event handlers
   handleTabUpdate(tabId, changeInfo, tab) {
+    if (changeInfo.status === 'loading') {
+      // A navigation replaces every frame; they will report again once loaded
+      this.frameStates.delete(tabId);
+      this.updateTabState(tabId, { inspector: false, undoStack: [] });
+      this.clearTabSession(tabId);
+    }
+
     if (changeInfo.status === 'complete') {
       // Reset tab state when page loads
       this.updateTabState(tabId, { 
@@ -563,6 +1428,7 @@ class ExtensionServiceWorker {
     // Clear temporary state
     this.activeOperations.clear();
     this.tabStates.clear();
+    this.frameStates.clear();
   }
 
   async handleInstallation(details) {
@@ -606,6 +1472,7 @@ class ExtensionServiceWorker {
 
   async handleCommand(command) {
     try {
+      await this.sessionRestored;
       console.log('Keyboard command received:', command);
       
       if (command === 'fill-forms-fake') {
@@ -625,17 +1492,64 @@ class ExtensionServiceWorker {
           return;
         }
 
-        // Send message to content script to fill with fake data
+        // Fill every frame with fake data
         try {
-          const response = await chrome.tabs.sendMessage(tabId, {
-            type: 'FILL_FORMS_FAKE',
-            data: { delay: 50 }
-          });
+          const results = await this.fillFramesWithFakeData(permission.tabId || tabId, { delay: 50 });
           
-          console.log('Fake fill result:', response);
+          console.log('Fake fill result:', results);
         } catch (error) {
           console.error('Error filling forms with fake data:', error);
         }
+      } else if (command === 'repeat-fake-fill') {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (tabs.length === 0) {
+          return;
+        }
+
+        const permission = await this.hasPermission(tabs[0].id);
+        if (!permission.allowed) {
+          console.log('Cannot fill forms on this page:', permission.reason);
+          return;
+        }
+
+        // The same seed on the same form gives the same values; before any fill there is nothing to repeat
+        const actualTabId = permission.tabId || tabs[0].id;
+        const { lastFakeSeed: seed, lastFakeSeedTime: seedTime } = this.getTabState(actualTabId);
+        if (seed === undefined) {
+          console.log('No fake fill to repeat on this tab');
+          return;
+        }
+
+        const results = await this.fillFramesWithFakeData(actualTabId, { delay: 50, seed, seedTime });
+        console.log('Repeated fake fill result:', results);
+      } else if (command === 'toggle-inspector') {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (tabs.length === 0) {
+          return;
+        }
+
+        const permission = await this.hasPermission(tabs[0].id);
+        if (!permission.allowed) {
+          console.log('Cannot inspect fields on this page:', permission.reason);
+          return;
+        }
+
+        const results = await this.toggleInspector(permission.tabId || tabs[0].id);
+        console.log('Inspector toggled:', results);
+      } else if (command === 'undo-fill') {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (tabs.length === 0) {
+          return;
+        }
+
+        const permission = await this.hasPermission(tabs[0].id);
+        if (!permission.allowed) {
+          console.log('Cannot undo on this page:', permission.reason);
+          return;
+        }
+
+        const results = await this.undoLastFill(permission.tabId || tabs[0].id);
+        console.log('Undo fill result:', results);
       }
     } catch (error) {
       console.error('Error handling keyboard command:', error);
@@ -643,5 +1557,30 @@ class ExtensionServiceWorker {
   }
 }
 
+// Runs in the page's world, so it must not reference anything outside its own body
+function setPickerDateInPage({ token, library, date }) {
+  const element = document.querySelector(`[data-autofill-date="${token}"]`);
+  if (!element) {
+    return false;
+  }
+
+  const [year, month, day] = date.split('-').map(Number);
+  const value = new Date(year, month - 1, day);
+
+  if (library === 'flatpickr' && element._flatpickr) {
+    // Second argument fires onChange, as a pick from the calendar would
+    element._flatpickr.setDate(value, true);
+    return true;
+  }
+
+  const jQuery = window.jQuery;
+  if (library === 'jquery-ui' && jQuery && jQuery.fn && jQuery.fn.datepicker) {
+    jQuery(element).datepicker('setDate', value).trigger('change');
+    return true;
+  }
+
+  return false;
+}
+
 // Initialize the service worker
 const serviceWorker = new ExtensionServiceWorker();
\ No newline at end of file
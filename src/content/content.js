@@ -4,11 +4,22 @@ class FormAutoFillContentScript {
     this.formFiller = null;
     this.fieldMapper = null;
     this.securityUtils = null;
+    this.wizardNavigator = null;
+    this.fieldInspector = null;
     
     this.isInitialized = false;
     this.isActive = false;
     this.detectedFields = [];
     this.currentOperation = null;
+    this.formUpdateWaiters = [];
+    // Planned values from the last preview, waiting to be applied
+    this.pendingPlan = null;
+    // Element under the last right-click, for context menu actions
+    this.contextTarget = null;
+    // Element last under the mouse, for the "form under cursor" fill scope
+    this.pointerTarget = null;
+    // Fields excluded on this site from the context menu, by field key
+    this.excludedFieldKeys = new Set();
     
     this.init();
   }
@@ -20,6 +31,8 @@ class FormAutoFillContentScript {
       this.fieldMapper = new FieldMapper();
       this.formDetector = new FormDetector();
       this.formFiller = new FormFiller(this.fieldMapper);
+      this.wizardNavigator = new WizardNavigator();
+      this.fieldInspector = new FieldInspector(this.formDetector, this.fieldMapper, this.securityUtils);
       
       // Set up message listeners
       this.setupMessageListeners();
@@ -27,6 +40,8 @@ class FormAutoFillContentScript {
       // Set up page event listeners
       this.setupPageEventListeners();
       
+      await this.loadExcludedFields();
+      
       // Check if we should auto-detect forms
       await this.checkAutoDetection();
       
@@ -36,7 +51,8 @@ class FormAutoFillContentScript {
       // Notify service worker that content script is ready
       this.sendMessage(EXTENSION_CONSTANTS.MESSAGES.FORM_COUNT_UPDATE, {
         status: 'ready',
-        url: window.location.href
+        url: window.location.href,
+        isTopFrame: window.top === window
       });
       
     } catch (error) {
@@ -53,6 +69,16 @@ class FormAutoFillContentScript {
   }
 
   setupPageEventListeners() {
+    // Context menu clicks do not say which element was clicked, so remember it here
+    document.addEventListener('contextmenu', (event) => {
+      this.contextTarget = event.composedPath()[0] || event.target;
+      this.pointerTarget = this.contextTarget;
+    }, true);
+    
+    document.addEventListener('pointerover', (event) => {
+      this.pointerTarget = event.composedPath()[0] || event.target;
+    }, { capture: true, passive: true });
+    
     // Listen for form field updates from FormDetector
     window.addEventListener('formFieldsUpdated', (event) => {
       this.handleFormFieldsUpdated(event.detail);
@@ -82,6 +108,11 @@ class FormAutoFillContentScript {
       let shouldRecheck = false;
       
       mutations.forEach(mutation => {
+        // While a wizard step is changing, shown/hidden step panels count as new content
+        if (mutation.type === 'attributes' && this.formUpdateWaiters.length > 0) {
+          shouldRecheck = true;
+        }
+        
         if (mutation.type === 'childList') {
           mutation.addedNodes.forEach(node => {
             if (node.nodeType === Node.ELEMENT_NODE) {
@@ -90,8 +121,8 @@ class FormAutoFillContentScript {
                 shouldRecheck = true;
               }
               // Check if added node contains form fields
-              if (node.matches('input, textarea, select') || 
-                  node.querySelector('input, textarea, select')) {
+              if (node.matches('input, textarea, select, [contenteditable]') || 
+                  node.querySelector('input, textarea, select, [contenteditable]')) {
                 shouldRecheck = true;
               }
             }
@@ -102,18 +133,58 @@ class FormAutoFillContentScript {
       if (shouldRecheck && this.isActive) {
         // Debounce re-detection
         clearTimeout(this.recheckTimeout);
-        this.recheckTimeout = setTimeout(() => {
-          this.detectFormsInternal(false);
+        this.recheckTimeout = setTimeout(async () => {
+          await this.detectFormsInternal(false);
+          this.resolveFormUpdateWaiters(true);
         }, 500);
       }
     });
     
-    observer.observe(document.body, {
+    this.dynamicObserver = observer;
+    this.observeDynamicContent(false);
+  }
+
+  observeDynamicContent(watchVisibility) {
+    // Visibility attributes are only watched while a wizard waits for its next step
+    this.dynamicObserver.observe(document.body, {
       childList: true,
-      subtree: true
+      subtree: true,
+      ...(watchVisibility && {
+        attributes: true,
+        attributeFilter: ['style', 'class', 'hidden', 'aria-hidden']
+      })
+    });
+  }
+
+  waitForFormUpdate(timeout) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.formUpdateWaiters = this.formUpdateWaiters.filter(waiter => waiter !== settle);
+        if (this.formUpdateWaiters.length === 0) {
+          this.observeDynamicContent(false);
+        }
+        settle(false);
+      }, timeout);
+      
+      const settle = (updated) => {
+        clearTimeout(timer);
+        resolve(updated);
+      };
+      
+      this.formUpdateWaiters.push(settle);
+      this.observeDynamicContent(true);
     });
+  }
+
+  resolveFormUpdateWaiters(updated) {
+    const waiters = this.formUpdateWaiters;
+    this.formUpdateWaiters = [];
     
-    this.dynamicObserver = observer;
+    if (waiters.length > 0) {
+      this.observeDynamicContent(false);
+    }
+    
+    waiters.forEach(settle => settle(updated));
   }
 
   async handleMessage(message, sender, sendResponse) {
@@ -149,9 +220,41 @@ class FormAutoFillContentScript {
           await this.handleGetPageInfo(sendResponse);
           break;
 
-        case 'FILL_FORMS_FAKE':
+        case EXTENSION_CONSTANTS.MESSAGES.FILL_FORMS_FAKE:
           await this.handleFillFormsFake(data, sendResponse);
           break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.FILL_WIZARD:
+          await this.handleFillWizard(data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.TOGGLE_INSPECTOR:
+          await this.handleToggleInspector(data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.UNDO_FILL:
+          await this.handleUndoFill(data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.PREVIEW_FILL:
+          await this.handlePreviewFill(data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.APPLY_PLAN:
+          await this.handleApplyPlan(data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.FILL_FIELD:
+          await this.handleFillField(data, sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.EXCLUDE_FIELD:
+          await this.handleExcludeField(sendResponse);
+          break;
+
+        case EXTENSION_CONSTANTS.MESSAGES.LIST_FORMS:
+          await this.handleListForms(sendResponse);
+          break;
           
         default:
           console.warn('Unknown message type:', type);
@@ -189,7 +292,8 @@ class FormAutoFillContentScript {
         options: options
       };
       
-      // Start filling process
+      // Start filling process; everything it touches can be undone as one step
+      this.formFiller.beginUndoSnapshot(operationId);
       const results = await this.fillFormsInternal(userData, options);
       
       // Send completion message
@@ -206,6 +310,8 @@ class FormAutoFillContentScript {
       this.currentOperation = null;
       sendResponse({ success: false, error: error.message });
       this.sendErrorMessage('Form filling failed', error);
+    } finally {
+      this.formFiller.endUndoSnapshot();
     }
   }
 
@@ -267,6 +373,13 @@ class FormAutoFillContentScript {
         }
       });
       
+      // Empty rich-text editors through their own input pipeline
+      this.formDetector.detectContentEditableFields(document).forEach(editor => {
+        if (this.formDetector.isFieldFillable(editor)) {
+          this.formFiller.clearContentEditable(editor);
+        }
+      });
+      
       // Clear visual feedback
       this.formFiller.clearFeedback();
       
@@ -277,6 +390,24 @@ class FormAutoFillContentScript {
     }
   }
 
+  async handleToggleInspector(data, sendResponse) {
+    try {
+      // The service worker sends an explicit state so every frame stays in step
+      const enabled = data && typeof data.enabled === 'boolean' ? data.enabled : !this.fieldInspector.isActive;
+      
+      if (enabled) {
+        const fieldCount = this.fieldInspector.show();
+        sendResponse({ success: true, enabled, fieldCount });
+      } else {
+        this.fieldInspector.hide();
+        sendResponse({ success: true, enabled, fieldCount: 0 });
+      }
+    } catch (error) {
+      console.error('Error toggling inspector:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
   async handleGetPageInfo(sendResponse) {
     try {
       const info = {
@@ -307,6 +438,14 @@ class FormAutoFillContentScript {
                !this.securityUtils.isHoneypotField(field.element);
       });
       
+      // Excluded fields stay visible to the inspector but are never filled
+      this.detectedFields.forEach(field => {
+        if (field.fillable && this.excludedFieldKeys.has(this.getFieldKey(field))) {
+          field.fillable = false;
+          field.reason = 'Excluded on this site';
+        }
+      });
+      
       // Set up dynamic detection
       this.formDetector.setupDynamicDetection();
       
@@ -322,6 +461,7 @@ class FormAutoFillContentScript {
           protectedCount: this.detectedFields.filter(field => !field.fillable).length,
           formGroups: formGroups,
           url: window.location.href,
+          isTopFrame: window.top === window,
           timestamp: Date.now()
         });
       }
@@ -342,16 +482,19 @@ class FormAutoFillContentScript {
       }
       
       // Get fillable fields
-      const fillableFields = this.detectedFields.filter(field => field.fillable);
+      const scope = this.resolveFillScope(options.scope);
+      const fillableFields = this.detectedFields.filter(field => field.fillable && (!scope || scope(field)));
       
       if (fillableFields.length === 0) {
         throw new Error('No fillable fields found');
       }
       
-      // Fill forms with progress tracking
-      const results = await this.formFiller.fillAllFields(fillableFields, userData, {
+      // Fill forms with progress tracking, then fill whatever the filled values revealed
+      const results = await this.fillWithCascade(fillableFields, fields => this.formFiller.fillAllFields(fields, userData, {
         delay: options.delay || 50,
         skipErrors: options.skipErrors !== false,
+        typing: options.typing,
+        scope,
         onProgress: (progress) => {
           // Send progress update
           this.sendMessage(EXTENSION_CONSTANTS.MESSAGES.FILLING_PROGRESS, {
@@ -365,7 +508,7 @@ class FormAutoFillContentScript {
             console.warn('Failed to fill field:', fieldDescriptor.name);
           }
         }
-      });
+      }), { maxPasses: options.maxPasses, scope });
       
       return results;
     } catch (error) {
@@ -377,12 +520,14 @@ class FormAutoFillContentScript {
   handleFormFieldsUpdated(detail) {
     // Handle dynamic form field updates
     this.detectedFields = detail.fields || [];
+    this.fieldInspector.refresh();
     
     // Notify service worker of the update
     this.sendMessage(EXTENSION_CONSTANTS.MESSAGES.FORM_COUNT_UPDATE, {
       fieldCount: this.detectedFields.length,
       fillableCount: this.detectedFields.filter(field => field.fillable).length,
       url: window.location.href,
+      isTopFrame: window.top === window,
       timestamp: Date.now()
     });
   }
@@ -479,6 +624,10 @@ class FormAutoFillContentScript {
         this.formFiller.clearFeedback();
       }
       
+      if (this.fieldInspector) {
+        this.fieldInspector.hide();
+      }
+      
       // Stop dynamic observer
       if (this.dynamicObserver) {
         this.dynamicObserver.disconnect();
@@ -604,14 +753,22 @@ class FormAutoFillContentScript {
         return;
       }
 
-      // Fill forms with fake data
-      const results = await this.formFiller.fillAllFieldsWithFakeData(this.detectedFields, {
+      // A scoped fill keeps to one form, including the fields filling it reveals
+      const scope = this.resolveFillScope(data.scope);
+
+      // Fill forms with fake data, then fill whatever the filled values revealed
+      this.formFiller.beginUndoSnapshot(data.operationId);
+      this.formFiller.setSeed(data.seed, data.seedTime);
+      this.formFiller.startPersona(data.persona);
+      const results = await this.fillWithCascade(this.detectedFields, fields => this.formFiller.fillAllFieldsWithFakeData(fields, {
         delay: data.delay || 50,
         skipErrors: true,
+        typing: data.typing,
+        scope,
         onProgress: (progress) => {
           console.log(`Fake fill progress: ${progress.completed}/${progress.total}`);
         }
-      });
+      }), { maxPasses: data.maxPasses, scope });
 
       console.log('Fake fill completed:', results);
       sendResponse({ success: true, results });
@@ -619,7 +776,463 @@ class FormAutoFillContentScript {
     } catch (error) {
       console.error('Error in fake form filling:', error);
       sendResponse({ success: false, error: error.message });
+    } finally {
+      this.formFiller.endUndoSnapshot();
+    }
+  }
+
+  // Preview: the planned value of every field, kept here until applied so edits map back to elements
+  async handlePreviewFill(data = {}, sendResponse) {
+    try {
+      const userData = data.userData || null;
+      if (userData) {
+        const validation = this.securityUtils.validateUserData(userData);
+        if (!validation.isValid) {
+          throw new Error('Invalid user data: ' + validation.errors.join(', '));
+        }
+      }
+      
+      await this.detectFormsInternal(false);
+      if (!userData) {
+        this.formFiller.setSeed(data.seed, data.seedTime);
+        this.formFiller.startPersona(data.persona);
+      }
+      const entries = this.formFiller.planFill(this.detectedFields, userData);
+      this.pendingPlan = { id: `plan_${Date.now()}`, entries };
+      
+      sendResponse({
+        success: true,
+        plan: {
+          planId: this.pendingPlan.id,
+          entries: entries.map((entry, id) => this.describePlanEntry(entry, id))
+        }
+      });
+    } catch (error) {
+      console.error('Error previewing fill:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  describePlanEntry(entry, id) {
+    const field = entry.fieldDescriptor;
+    const description = {
+      id,
+      label: field.label || this.getFieldIdentifier(field),
+      type: field.type,
+      classification: field.category ? `${field.category}/${field.fieldSubtype || 'unknown'}` : 'unclassified',
+      source: entry.source,
+      value: entry.value,
+      deferred: entry.deferred,
+      include: entry.include
+    };
+    
+    // Selects are edited by picking one of their own options
+    if (field.type === 'select-one' && !entry.dependant) {
+      description.options = Array.from(field.element.options).map(option => ({ value: option.value, text: option.text }));
+    }
+    
+    return description;
+  }
+
+  async handleApplyPlan(data = {}, sendResponse) {
+    try {
+      const plan = this.pendingPlan;
+      if (!plan || plan.id !== data.planId) {
+        throw new Error('This preview is out of date; preview the fill again');
+      }
+      
+      // Edits and exclusions from the preview, by entry id
+      (data.entries || []).forEach(({ id, value, include }) => {
+        const entry = plan.entries[id];
+        if (entry) {
+          entry.value = value;
+          entry.include = include !== false;
+          entry.deferred = entry.deferred && (value === null || value === undefined);
+        }
+      });
+      
+      this.pendingPlan = null;
+      this.formFiller.beginUndoSnapshot(data.operationId);
+      const results = await this.formFiller.fillAllFieldsFromPlan(plan.entries, {
+        delay: data.delay || 50,
+        typing: data.typing
+      });
+      results.validation = await this.formFiller.verifyFilledFields(this.formFiller.getFilledFields());
+      results.rejected = results.validation.rejected.length;
+      
+      console.log('Planned fill completed:', results);
+      sendResponse({ success: true, results });
+    } catch (error) {
+      console.error('Error applying fill plan:', error);
+      sendResponse({ success: false, error: error.message });
+    } finally {
+      this.formFiller.endUndoSnapshot();
+    }
+  }
+
+  async handleUndoFill(data = {}, sendResponse) {
+    try {
+      const results = await this.formFiller.undoFill(data.operationId);
+      
+      if (results.errors > 0) {
+        console.warn('Undo could not restore every field:', this.formFiller.getErrors());
+      }
+      
+      sendResponse({ success: true, results });
+    } catch (error) {
+      console.error('Error undoing fill:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  // Filling a field can reveal others ("Other" options, "Company account" checkboxes), so keep
+  // re-detecting and filling newcomers until the page stops changing or the pass limit is hit
+  async fillWithCascade(fields, fillPass, options = {}) {
+    const maxPasses = options.maxPasses || EXTENSION_CONSTANTS.LIMITS.MAX_CASCADE_PASSES;
+    const settleDelay = options.settleDelay !== undefined ? options.settleDelay : EXTENSION_CONSTANTS.TIMEOUTS.CASCADE_SETTLE;
+    const filledElements = options.filledElements || new WeakSet();
+    const scope = options.scope || (() => true);
+    const isPending = field => field.fillable && !filledElements.has(field.element) && scope(field);
+    const passes = [];
+    const filledFields = [];
+    let pending = fields.filter(isPending);
+    let stopReason = 'stable';
+    
+    for (let pass = 1; pending.length > 0; pass++) {
+      if (pass > maxPasses) {
+        stopReason = 'pass_limit';
+        break;
+      }
+      
+      if (this.currentOperation?.cancelled) {
+        stopReason = 'cancelled';
+        break;
+      }
+      
+      // Marked before filling so a field that fails is not retried on every pass
+      pending.forEach(field => filledElements.add(field.element));
+      
+      const results = await fillPass(pending);
+      filledFields.push(...this.formFiller.getFilledFields());
+      passes.push({
+        pass,
+        fields: pending.map(field => this.getFieldIdentifier(field)),
+        total: results.total,
+        filled: results.filled,
+        errors: results.errors
+      });
+      
+      // Change handlers usually reveal fields at once, frameworks after a render, dependent selects after a request
+      await new Promise(resolve => setTimeout(resolve, settleDelay));
+      await this.formFiller.waitForDependentSelects();
+      const detected = await this.detectFormsInternal(false);
+      pending = detected.filter(isPending);
+    }
+    
+    // Every pass ended with a settle delay, so blur handlers and async checks have had their turn
+    const validation = await this.formFiller.verifyFilledFields(filledFields, 0);
+    const report = {
+      total: passes.reduce((sum, pass) => sum + pass.total, 0),
+      filled: passes.reduce((sum, pass) => sum + pass.filled, 0),
+      errors: passes.reduce((sum, pass) => sum + pass.errors, 0),
+      rejected: validation.rejected.length,
+      validation,
+      stopReason,
+      passes
+    };
+    report.success = report.filled > 0;
+    
+    if (passes.length > 1) {
+      console.log(`Cascade fill revealed fields in ${passes.length - 1} later pass(es):`, passes.slice(1));
+    }
+    
+    if (report.rejected > 0) {
+      console.warn('The page rejected filled values:', validation.rejected);
+    }
+    
+    return report;
+  }
+
+  // Stable across visits, so exclusions still match after a reload
+  getFieldKey(field) {
+    if (field.name) {
+      return `name:${field.name}`;
+    }
+    if (field.id) {
+      return `id:${field.id}`;
+    }
+    return field.label ? `label:${field.label}` : null;
+  }
+
+  async loadExcludedFields() {
+    try {
+      const key = EXTENSION_CONSTANTS.STORAGE_KEYS.SETTINGS;
+      const readKeys = settings => new Set((settings?.excludedFields || {})[window.location.hostname] || []);
+      
+      const result = await chrome.storage.local.get(key);
+      this.excludedFieldKeys = readKeys(result[key]);
+      
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[key]) {
+          this.excludedFieldKeys = readKeys(changes[key].newValue);
+        }
+      });
+    } catch (error) {
+      console.error('Error loading excluded fields:', error);
+    }
+  }
+
+  // The detected field that was right-clicked: the control itself, something inside it, or its label
+  async findContextField() {
+    const target = this.contextTarget;
+    if (!target || !target.isConnected) {
+      return null;
+    }
+    
+    const fields = await this.detectFormsInternal(false);
+    const label = target.closest && target.closest('label');
+    return fields.find(field => field.element === target || field.element.contains(target) || (label && label.control === field.element)) || null;
+  }
+
+  // Scopes: 'page' (everything), 'focused' (the form holding focus), 'cursor' (the form last under
+  // the mouse) or { formIndex } from handleListForms. Returns a field predicate, or null for the page.
+  resolveFillScope(scope = 'page') {
+    if (!scope || scope === 'page') {
+      return null;
+    }
+    
+    if (typeof scope === 'object') {
+      const group = this.groupFieldsByForms(this.detectedFields)[scope.formIndex];
+      if (!group) {
+        throw new Error('The chosen form is no longer on the page');
+      }
+      return this.getFormScope(group.element);
+    }
+    
+    const target = scope === 'focused' ? this.getFocusedElement() : this.pointerTarget;
+    const form = target && target.isConnected ? (target.form || (target.closest && target.closest('form'))) : null;
+    if (!form) {
+      throw new Error(scope === 'focused' ? 'No form on this page has focus' : 'No form under the cursor');
+    }
+    
+    return this.getFormScope(form);
+  }
+
+  // Fields outside any <form> make up a group of their own
+  getFormScope(form) {
+    if (!form) {
+      return field => !field.element.closest('form');
+    }
+    return field => form.contains(field.element) || field.element.form === form;
+  }
+
+  getFocusedElement() {
+    let element = document.activeElement;
+    while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+      element = element.shadowRoot.activeElement;
+    }
+    return element && element !== document.body ? element : null;
+  }
+
+  async handleListForms(sendResponse) {
+    try {
+      await this.detectFormsInternal(false);
+      
+      // Indexes are positions in groupFieldsByForms, which resolveFillScope looks up again
+      const forms = this.groupFieldsByForms(this.detectedFields)
+        .map((group, index) => ({ index, label: this.describeForm(group, index), fillableCount: group.fillableCount }))
+        .filter(form => form.fillableCount > 0);
+      
+      sendResponse({ success: true, forms });
+    } catch (error) {
+      console.error('Error listing forms:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  describeForm(group, index) {
+    const form = group.element;
+    if (!form) {
+      return 'Fields outside any form';
     }
+    
+    const heading = form.querySelector('legend, h1, h2, h3, h4');
+    const headingText = heading ? heading.textContent.replace(/\s+/g, ' ').trim() : '';
+    return form.getAttribute('aria-label') || headingText || form.id || form.getAttribute('name') || `Form ${index + 1}`;
+  }
+
+  async handleFillField(data = {}, sendResponse) {
+    try {
+      const field = await this.findContextField();
+      if (!field) {
+        sendResponse({ success: false, error: 'No form field under the pointer' });
+        return;
+      }
+      
+      if (!field.fillable) {
+        sendResponse({ success: false, error: `This field cannot be filled: ${field.reason || 'it is protected'}` });
+        return;
+      }
+      
+      // A generated value keeps to the persona of the last fill, so it matches the rest of the form
+      this.formFiller.beginUndoSnapshot(data.operationId);
+      const results = await this.formFiller.fillSingleField(field, {
+        value: data.value,
+        generator: data.generator,
+        delay: 0,
+        typing: data.typing
+      });
+      results.validation = await this.formFiller.verifyFilledFields(this.formFiller.getFilledFields());
+      results.rejected = results.validation.rejected.length;
+      
+      sendResponse({ success: true, results });
+    } catch (error) {
+      console.error('Error filling the selected field:', error);
+      sendResponse({ success: false, error: error.message });
+    } finally {
+      this.formFiller.endUndoSnapshot();
+    }
+  }
+
+  async handleExcludeField(sendResponse) {
+    try {
+      const field = await this.findContextField();
+      const key = field && this.getFieldKey(field);
+      if (!key) {
+        sendResponse({ success: false, error: 'No form field with a name, id or label under the pointer' });
+        return;
+      }
+      
+      this.excludedFieldKeys.add(key);
+      field.fillable = false;
+      field.reason = 'Excluded on this site';
+      
+      sendResponse({ success: true, key, hostname: window.location.hostname, label: field.label || this.getFieldIdentifier(field) });
+    } catch (error) {
+      console.error('Error excluding field:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  getFieldIdentifier(field) {
+    return field.name || field.id || field.label || field.element.tagName.toLowerCase();
+  }
+
+  async handleFillWizard(data = {}, sendResponse) {
+    try {
+      const maxSteps = data.maxSteps || EXTENSION_CONSTANTS.LIMITS.MAX_WIZARD_STEPS;
+      const allowSubmit = data.allowSubmit === true;
+      const stepTimeout = data.stepTimeout || EXTENSION_CONSTANTS.TIMEOUTS.WIZARD_STEP;
+      
+      // Keep the dynamic content observer re-detecting while steps change
+      this.isActive = true;
+      
+      // All steps together are one operation to undo, and describe one person
+      this.formFiller.beginUndoSnapshot(data.operationId);
+      this.formFiller.setSeed(data.seed, data.seedTime);
+      this.formFiller.startPersona(data.persona);
+      
+      const filledElements = new WeakSet();
+      const steps = [];
+      let stopReason = 'step_limit';
+      
+      for (let stepNumber = 1; stepNumber <= maxSteps; stepNumber++) {
+        // Fields that stay on screen across steps keep the value from their first step
+        const stepStart = await this.detectFormsInternal(false);
+        const carriedOver = new Set(stepStart.filter(field => filledElements.has(field.element)).map(field => field.element));
+        const results = await this.fillWithCascade(stepStart, fields => this.formFiller.fillAllFieldsWithFakeData(fields, {
+          delay: data.delay || 50,
+          skipErrors: true,
+          typing: data.typing
+        }), { filledElements });
+        
+        // Fields revealed during the step belong to it as much as the ones it started with
+        const fields = this.detectedFields;
+        const stepFields = fields.filter(field => field.fillable && filledElements.has(field.element) && !carriedOver.has(field.element));
+        
+        const controls = this.wizardNavigator.findStepControls(document, stepFields);
+        const step = {
+          step: stepNumber,
+          url: window.location.href,
+          total: results.total,
+          filled: results.filled,
+          errors: results.errors,
+          rejected: results.rejected,
+          validation: results.validation,
+          passes: results.passes,
+          advancedWith: null
+        };
+        steps.push(step);
+        
+        if (!controls.next) {
+          if (controls.submit && allowSubmit) {
+            step.advancedWith = this.wizardNavigator.getControlLabel(controls.submit);
+            this.wizardNavigator.advance(controls.submit);
+            stopReason = 'submitted';
+          } else {
+            stopReason = controls.submit ? 'reached_submit' : 'no_next_control';
+          }
+          break;
+        }
+        
+        if (stepNumber === maxSteps) {
+          break;
+        }
+        
+        const previousElements = new Set(fields.map(field => field.element));
+        step.advancedWith = this.wizardNavigator.getControlLabel(controls.next);
+        this.wizardNavigator.advance(controls.next);
+        
+        if (!await this.waitForWizardStep(previousElements, controls.next, stepTimeout)) {
+          // Usually a validation error keeps the step on screen
+          stopReason = 'step_not_advanced';
+          break;
+        }
+      }
+      
+      const report = {
+        total: steps.reduce((sum, step) => sum + step.total, 0),
+        filled: steps.reduce((sum, step) => sum + step.filled, 0),
+        errors: steps.reduce((sum, step) => sum + step.errors, 0),
+        rejected: steps.reduce((sum, step) => sum + step.rejected, 0),
+        validation: {
+          checked: steps.reduce((sum, step) => sum + step.validation.checked, 0),
+          rejected: steps.flatMap(step => step.validation.rejected)
+        },
+        stopReason,
+        steps
+      };
+      report.success = report.filled > 0;
+      
+      console.log('Wizard fill completed:', report);
+      sendResponse({ success: true, results: report });
+      
+    } catch (error) {
+      console.error('Error in wizard form filling:', error);
+      sendResponse({ success: false, error: error.message });
+    } finally {
+      this.formFiller.endUndoSnapshot();
+    }
+  }
+
+  async waitForWizardStep(previousElements, previousControl, timeout) {
+    const deadline = Date.now() + timeout;
+    
+    // Re-detections triggered by the previous step's own updates can resolve early, so keep
+    // waiting until the fields on screen actually differ or time runs out
+    while (Date.now() < deadline) {
+      const updated = await this.waitForFormUpdate(deadline - Date.now());
+      if (!updated) {
+        break;
+      }
+      
+      if (this.wizardNavigator.isNewStep(previousElements, this.detectedFields, previousControl)) {
+        return true;
+      }
+    }
+    
+    const fields = await this.detectFormsInternal(false);
+    return this.wizardNavigator.isNewStep(previousElements, fields, previousControl);
   }
 }
 
@@ -0,0 +1,331 @@
+class DatePickerAdapter {
+  constructor() {
+    // Marks each library leaves on the input it manages, the format it uses when nothing is
+    // configured, and the token dialect its format option is written in
+    this.libraries = [
+      {
+        name: 'flatpickr',
+        matches: element => element.classList.contains('flatpickr-input'),
+        defaultFormat: 'YYYY-MM-DD',
+        dialect: 'php'
+      },
+      {
+        name: 'jquery-ui',
+        matches: element => element.classList.contains('hasDatepicker'),
+        defaultFormat: 'MM/DD/YYYY',
+        dialect: 'jquery-ui'
+      },
+      {
+        name: 'react-datepicker',
+        matches: element => Boolean(element.closest('.react-datepicker__input-container, .react-datepicker-wrapper')),
+        defaultFormat: 'MM/DD/YYYY',
+        dialect: 'unicode'
+      },
+      {
+        // Pikaday marks nothing on its field, only the calendar it appends to the page
+        name: 'pikaday',
+        matches: element => Boolean(element.ownerDocument.querySelector('.pika-single')),
+        defaultFormat: 'YYYY-MM-DD',
+        dialect: 'unicode'
+      }
+    ];
+    // These keep their instance on the element, which only page scripts can reach
+    this.apiLibraries = ['flatpickr', 'jquery-ui'];
+    this.formatAttributes = ['data-date-format', 'data-format', 'data-dateformat', 'data-date-input-format', 'data-inputmask-inputformat'];
+    this.textTypes = ['text', 'search', 'tel'];
+    this.dateSubtypes = ['date', 'birthDate'];
+    this.requestCount = 0;
+  }
+
+  // { library, format } for a text field that holds a date, null for anything else
+  getDateInput(fieldDescriptor) {
+    const element = fieldDescriptor.element;
+    if (!element || element.tagName !== 'INPUT' || !this.textTypes.includes(fieldDescriptor.type)) {
+      return null;
+    }
+
+    const classifiedAsDate = fieldDescriptor.category === 'datetime' && this.dateSubtypes.includes(fieldDescriptor.fieldSubtype);
+    const library = this.libraries.find(candidate => candidate.matches(element));
+
+    // A Pikaday calendar somewhere on the page says nothing about this particular field
+    if (!classifiedAsDate && (!library || library.name === 'pikaday')) {
+      return null;
+    }
+
+    return {
+      library: library ? library.name : null,
+      format: this.inferFormat(element, library),
+      lang: this.getPageLang(element)
+    };
+  }
+
+  // Most specific hint first: the field's own format attribute, then what it shows the user
+  inferFormat(element, library = null) {
+    const lang = this.getPageLang(element);
+
+    for (const attribute of this.formatAttributes) {
+      const value = element.getAttribute(attribute);
+      const format = value && this.parseFormatString(value, library ? library.dialect : this.guessDialect(value));
+      if (format) {
+        return format;
+      }
+    }
+
+    // A mask with lazy: false shows its template as the value until something is typed
+    const maskTemplate = /_/.test(element.value) ? element.value : '';
+
+    return this.parsePlaceholder(element.placeholder || '', lang) ||
+      this.parsePlaceholder(maskTemplate, lang) ||
+      this.parsePattern(element.getAttribute('pattern') || '', lang) ||
+      (library ? library.defaultFormat : null) ||
+      this.getLocaleFormat(lang) ||
+      'YYYY-MM-DD';
+  }
+
+  getPageLang(element) {
+    const owner = element.closest('[lang]');
+    return (owner && owner.getAttribute('lang')) || element.ownerDocument.documentElement.lang || '';
+  }
+
+  // flatpickr writes "d/m/Y": single letters only, with PHP's Y or m among them
+  guessDialect(value) {
+    const runs = value.match(/([A-Za-z])\1*/g) || [];
+    return runs.every(run => run.length === 1) && /[Ym]/.test(value) ? 'php' : 'unicode';
+  }
+
+  // Any library's format string in our tokens (YYYY YY MMMM MMM MM M DD D), or null
+  parseFormatString(value, dialect = 'unicode') {
+    // "JJ/MM/AAAA" is day-first French; "TT.MM.JJJJ" and "DD-MM-JJJJ" use J for the year
+    const jIsDay = /a/i.test(value);
+    const parts = { year: false, month: false, day: false };
+
+    const format = value.replace(/([A-Za-z])\1*/g, run => {
+      const token = this.convertToken(run[0], run.length, dialect, jIsDay);
+      if (token === null) {
+        parts.invalid = true;
+        return run;
+      }
+      parts[{ Y: 'year', M: 'month', D: 'day' }[token[0]]] = true;
+      return token;
+    });
+
+    return parts.invalid || !parts.year || !parts.month || !parts.day ? null : format;
+  }
+
+  convertToken(letter, length, dialect, jIsDay) {
+    if (dialect === 'php') {
+      const token = { Y: 'YYYY', y: 'YY', m: 'MM', n: 'M', M: 'MMM', F: 'MMMM', d: 'DD', j: 'D' }[letter];
+      return token && length === 1 ? token : null;
+    }
+
+    if (dialect === 'jquery-ui') {
+      const tokens = {
+        y: ['YY', 'YYYY'],
+        m: ['M', 'MM'],
+        M: ['MMM', 'MMMM'],
+        d: ['D', 'DD']
+      }[letter];
+      return tokens && length <= 2 ? tokens[length - 1] : null;
+    }
+
+    const kind = letter.toLowerCase();
+    if (kind === 'y' || kind === 'a' || (kind === 'j' && !jIsDay)) {
+      return length === 2 ? 'YY' : 'YYYY';
+    }
+    if (kind === 'm') {
+      return ['M', 'MM', 'MMM', 'MMMM'][Math.min(length, 4) - 1];
+    }
+    if (kind === 'd' || kind === 't' || kind === 'g' || kind === 'j') {
+      return length <= 2 ? ['D', 'DD'][length - 1] : null;
+    }
+
+    return null;
+  }
+
+  // "DD/MM/YYYY" spelled out, an example date such as "31.12.2024", or a mask template "__/__/____"
+  parsePlaceholder(placeholder, lang) {
+    const text = placeholder.trim().replace(/^(e\.g\.|ex\.|z\.b\.)\s*/i, '');
+
+    if (/^[dmyjatg]+([\s./-]+[dmyjatg]+){2}$/i.test(text)) {
+      return this.parseFormatString(text);
+    }
+
+    const example = /^(\d{1,4}|_{1,4})([\s./-]+)(\d{1,2}|_{1,2})\2(\d{1,4}|_{1,4})$/.exec(text);
+    if (!example) {
+      return null;
+    }
+
+    const [, first, separator, second, third] = example;
+    const values = first[0] === '_' ? null : [first, second, third];
+    return this.buildNumericFormat([first.length, second.length, third.length], separator, lang, values);
+  }
+
+  // pattern="\d{2}/\d{2}/\d{4}" gives the layout; the page language gives day and month order
+  parsePattern(pattern, lang) {
+    const groups = [];
+    const separators = [];
+    const source = pattern.replace(/^\^|\$$/g, '');
+    const tokenPattern = /(?:\\d|\[0-9\])(?:\{(\d+)(?:,\d*)?\})?|\\?([\s./-])|(.)/g;
+    let match;
+
+    while ((match = tokenPattern.exec(source)) !== null) {
+      if (match[3] !== undefined) {
+        return null;
+      }
+      if (match[2] !== undefined) {
+        separators.push(match[2]);
+        groups.push(null);
+        continue;
+      }
+      // "\d\d" repeats the class instead of counting it
+      const count = match[1] ? Number(match[1]) : 1;
+      if (groups.length > 0 && groups[groups.length - 1] !== null && !match[1]) {
+        groups[groups.length - 1] += count;
+      } else {
+        groups.push(count);
+      }
+    }
+
+    const lengths = groups.filter(group => group !== null);
+    if (lengths.length !== 3 || separators.length !== 2 || separators[0] !== separators[1]) {
+      return null;
+    }
+
+    return this.buildNumericFormat(lengths, separators[0], lang);
+  }
+
+  // Day/month/year order for three numeric groups; an example date's values settle ambiguity
+  buildNumericFormat(lengths, separator, lang, values = null) {
+    const yearIndex = lengths[0] === 4 ? 0 : 2;
+    if (lengths[yearIndex] !== 4 && lengths[yearIndex] !== 2) {
+      return null;
+    }
+
+    const [firstIndex, secondIndex] = yearIndex === 0 ? [1, 2] : [0, 1];
+    let dayFirst;
+    if (values && Number(values[firstIndex]) > 12) {
+      dayFirst = true;
+    } else if (values && Number(values[secondIndex]) > 12) {
+      dayFirst = false;
+    } else if (yearIndex === 0) {
+      // Year-first layouts are month before day everywhere
+      dayFirst = false;
+    } else {
+      const localeFormat = this.getLocaleFormat(lang || (typeof navigator !== 'undefined' ? navigator.language : ''));
+      dayFirst = Boolean(localeFormat) && localeFormat.indexOf('D') < localeFormat.indexOf('M');
+    }
+
+    const tokens = [];
+    tokens[yearIndex] = lengths[yearIndex] === 4 ? 'YYYY' : 'YY';
+    tokens[firstIndex] = dayFirst ? 'D' : 'M';
+    tokens[secondIndex] = dayFirst ? 'M' : 'D';
+
+    return tokens
+      .map((token, index) => (token.length === 1 && lengths[index] === 2 ? token + token : token))
+      .join(separator);
+  }
+
+  // The short numeric date of the page's language, e.g. "DD.MM.YYYY" for de
+  getLocaleFormat(lang) {
+    if (!lang) {
+      return null;
+    }
+
+    try {
+      const parts = new Intl.DateTimeFormat(lang, { year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(new Date(2001, 10, 22));
+      return parts
+        .map(part => ({ year: 'YYYY', month: 'MM', day: 'DD' }[part.type] || (part.type === 'literal' ? part.value : '')))
+        .join('')
+        .replace(/[^\w\s./-]/g, '');
+    } catch (error) {
+      // Not a language tag Intl understands
+      return null;
+    }
+  }
+
+  // Stored and generated dates are ISO strings; anything else Date can read is accepted too
+  toIsoDate(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(String(value));
+    if (iso) {
+      return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+      .join('-');
+  }
+
+  format(isoDate, format, lang = 'en') {
+    const [year, month, day] = isoDate.split('-');
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    const monthName = (style) => {
+      try {
+        return date.toLocaleString(lang || 'en', { month: style });
+      } catch (error) {
+        return date.toLocaleString('en', { month: style });
+      }
+    };
+
+    return format.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D/g, token => {
+      switch (token) {
+        case 'YYYY': return year;
+        case 'YY': return year.slice(-2);
+        case 'MMMM': return monthName('long');
+        case 'MMM': return monthName('short');
+        case 'MM': return month;
+        case 'M': return String(Number(month));
+        case 'DD': return day;
+        default: return String(Number(day));
+      }
+    });
+  }
+
+  // flatpickr and jQuery UI keep their own selected date; their API updates it and the input together
+  async setThroughLibrary(element, library, isoDate) {
+    if (!this.apiLibraries.includes(library) || typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
+      return false;
+    }
+
+    const token = `${Date.now()}-${++this.requestCount}`;
+    element.setAttribute('data-autofill-date', token);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: EXTENSION_CONSTANTS.MESSAGES.SET_PICKER_DATE,
+        data: { token, library, date: isoDate }
+      });
+      return Boolean(response && response.success);
+    } catch (error) {
+      console.error('Error setting date through the picker:', error);
+      return false;
+    } finally {
+      element.removeAttribute('data-autofill-date');
+    }
+  }
+
+  // After a plain write, the event each library parses typed input on; Pikaday and
+  // react-datepicker already read the input and change events every fill sends
+  notifyLibrary(element, library) {
+    if (library === 'jquery-ui') {
+      element.dispatchEvent(new KeyboardEvent('keyup', { key: 'Unidentified', bubbles: true }));
+    } else if (library === 'flatpickr') {
+      // With allowInput, flatpickr parses the input on Enter
+      element.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DatePickerAdapter;
+}
@@ -0,0 +1,241 @@
+class DependentSelectResolver {
+  constructor() {
+    // Selects whose options are loaded from the one before them, broadest level first
+    this.chains = [
+      [
+        /\b(country|nation)\b/,
+        /\b(state|province|region|prefecture|county)\b/,
+        /\b(city|town|municipality|locality)\b/,
+        /\b(district|suburb|neighbou?rhood)\b/
+      ],
+      [/\b(make|brand|manufacturer)\b/, /\bmodel\b/, /\b(trim|variant)\b/],
+      [/\bcategory\b/, /\bsub ?category\b/]
+    ];
+
+    // Parent select of each dependant, from the last ordered fill
+    this.parents = new WeakMap();
+    // Parent → dependants seen reloading their options after the parent changed
+    this.observedDependants = new WeakMap();
+    // Option lists captured just before a parent select changed, per sibling select
+    this.snapshots = new WeakMap();
+    // Dependants expected to reload after the last parent changes
+    this.pending = new Set();
+  }
+
+  // Move parent selects ahead of their dependants; everything else keeps DOM order
+  orderFields(fieldDescriptors) {
+    const selects = fieldDescriptors.filter(field => field.element && field.element.tagName === 'SELECT');
+    const byElement = new Map(fieldDescriptors.map(field => [field.element, field]));
+
+    selects.forEach(field => {
+      const parent = this.findParent(field, selects);
+      if (parent) {
+        this.parents.set(field.element, parent);
+      }
+    });
+
+    const ordered = [];
+    const placed = new Set();
+    const place = (field, visiting = new Set()) => {
+      if (placed.has(field) || visiting.has(field)) {
+        return;
+      }
+
+      visiting.add(field);
+      const parent = byElement.get(this.parents.get(field.element));
+      if (parent) {
+        place(parent, visiting);
+      }
+
+      placed.add(field);
+      ordered.push(field);
+    };
+
+    fieldDescriptors.forEach(field => place(field));
+    return ordered;
+  }
+
+  findParent(field, selects) {
+    const others = selects.filter(other => other.element !== field.element);
+    return this.findLinkedParent(field, others) || this.findNamedParent(field, others);
+  }
+
+  // A parent the page names (data-depends-on, aria-controls) or was seen reloading this select before
+  findLinkedParent(field, others) {
+    const element = field.element;
+
+    // Explicit wiring wins over anything inferred
+    const dependsOn = element.getAttribute('data-depends-on');
+    if (dependsOn) {
+      const explicit = others.find(other => other.element.id === dependsOn || other.element.name === dependsOn);
+      if (explicit) {
+        return explicit.element;
+      }
+    }
+
+    const controller = others.find(other => (other.element.getAttribute('aria-controls') || '').split(/\s+/).includes(element.id));
+    if (controller && element.id) {
+      return controller.element;
+    }
+
+    const observed = others.find(other => {
+      const dependants = this.observedDependants.get(other.element);
+      return dependants && dependants.has(element);
+    });
+    return observed ? observed.element : null;
+  }
+
+  // country → state → city style chains, matched on name, id and label. Names are only a guess: many
+  // forms ship every state up front, so such dependants are waited on only when they look like loading.
+  findNamedParent(field, others) {
+    const level = this.getChainLevel(field);
+    if (!level || level.depth === 0) {
+      return null;
+    }
+
+    const form = field.element.form;
+    const candidates = others
+      .filter(other => other.element.form === form)
+      .map(other => ({ other, level: this.getChainLevel(other) }))
+      .filter(({ level: otherLevel }) => otherLevel && otherLevel.chain === level.chain && otherLevel.depth < level.depth);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // The closest broader level; billing and shipping blocks each pair with their own
+    const depth = Math.max(...candidates.map(candidate => candidate.level.depth));
+    const closest = candidates.filter(candidate => candidate.level.depth === depth).map(candidate => candidate.other.element);
+    const preceding = closest.filter(other => other.compareDocumentPosition(field.element) & Node.DOCUMENT_POSITION_FOLLOWING);
+
+    return preceding.length > 0 ? preceding[preceding.length - 1] : closest[0];
+  }
+
+  getChainLevel(field) {
+    const text = [field.name, field.id, field.label, field.fieldSubtype]
+      .filter(Boolean)
+      .join(' ')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[_\-[\]]+/g, ' ')
+      .toLowerCase();
+
+    for (let chain = 0; chain < this.chains.length; chain++) {
+      // Deepest match first, so "subcategory" is not taken for "category"
+      for (let depth = this.chains[chain].length - 1; depth >= 0; depth--) {
+        if (this.chains[chain][depth].test(text)) {
+          return { chain, depth };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Called before a select changes, so dependants can tell whether their options reloaded since
+  recordChange(parent) {
+    const scope = parent.form || parent.ownerDocument || document;
+    // Disabled dependants are skipped by detection, so they are matched here from the markup alone
+    const selects = Array.from(scope.querySelectorAll('select'))
+      .map(select => ({ element: select, name: select.name, id: select.id }));
+
+    selects.forEach(field => {
+      const select = field.element;
+      if (select === parent) {
+        return;
+      }
+
+      const others = selects.filter(other => other.element !== select);
+      const expected = this.findLinkedParent(field, others) === parent;
+      const inferred = !expected && (this.parents.get(select) === parent || this.findNamedParent(field, others) === parent);
+
+      this.snapshots.set(select, { parent, signature: this.getSignature(select), expected, inferred });
+      if (expected || inferred) {
+        this.pending.add(select);
+      }
+    });
+  }
+
+  // A dependant guessed from names is waited on only while disabled or without options to pick
+  isAwaited(select, snapshot) {
+    return snapshot.expected || (snapshot.inferred && (select.disabled || this.getUsableOptions(select).length === 0));
+  }
+
+  // Give dependants that are still loading (often disabled meanwhile) time to become fillable
+  async waitForPendingLoads(timeout) {
+    const start = Date.now();
+    const isLoading = select => {
+      const snapshot = this.snapshots.get(select);
+      return Boolean(snapshot) && this.isAwaited(select, snapshot) && (select.disabled || this.getSignature(select) === snapshot.signature);
+    };
+
+    while (Array.from(this.pending).some(isLoading) && Date.now() - start < timeout) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    this.pending.clear();
+  }
+
+  // Resolves true once the select has options to choose from, false if they never arrived
+  async waitForOptions(select, timeout) {
+    const snapshot = this.snapshots.get(select);
+    if (!snapshot) {
+      return true;
+    }
+
+    // Judged once, right after the parent changed
+    const isDependant = this.isAwaited(select, snapshot);
+    const hasChanged = () => this.getSignature(select) !== snapshot.signature;
+    const start = Date.now();
+
+    while (!hasChanged() || select.disabled || this.getUsableOptions(select).length === 0) {
+      // Unrelated selects are not held up; known dependants wait for a fresh, usable list
+      if (!isDependant && !hasChanged()) {
+        this.forget(select);
+        return true;
+      }
+
+      if (Date.now() - start >= timeout) {
+        // The parent's new value may share the old list; only an empty or disabled one is a failure
+        this.forget(select);
+        return !select.disabled && this.getUsableOptions(select).length > 0;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    this.recordDependant(snapshot.parent, select);
+    this.forget(select);
+    return true;
+  }
+
+  forget(select) {
+    this.snapshots.delete(select);
+    this.pending.delete(select);
+  }
+
+  isObservedDependant(parent, select) {
+    const dependants = this.observedDependants.get(parent);
+    return Boolean(dependants && dependants.has(select));
+  }
+
+  recordDependant(parent, select) {
+    if (!this.observedDependants.has(parent)) {
+      this.observedDependants.set(parent, new WeakSet());
+    }
+    this.observedDependants.get(parent).add(select);
+  }
+
+  // Placeholders ("Choose…") have no value; disabled options cannot be picked
+  getUsableOptions(select) {
+    return Array.from(select.options).filter(option => option.value !== '' && !option.disabled);
+  }
+
+  getSignature(select) {
+    return `${select.disabled}|${Array.from(select.options).map(option => `${option.value}=${option.text}`).join('|')}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DependentSelectResolver;
+}
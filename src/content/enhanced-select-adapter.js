@@ -0,0 +1,212 @@
+class EnhancedSelectAdapter {
+  constructor() {
+    // How each library wraps the control it enhances: where its widget lives, where the user
+    // types, which elements are the options, and what shows the current selection
+    this.libraries = [
+      {
+        name: 'select2',
+        // The select is hidden and the widget inserted right after it; the dropdown goes to <body>
+        getRoot: element => element.matches('select.select2-hidden-accessible') ? this.getNextSibling(element, '.select2-container') : null,
+        control: '.select2-selection',
+        getPopup: widget => {
+          const dropdown = widget.root.ownerDocument.querySelector('.select2-container--open .select2-dropdown');
+          return dropdown ? dropdown.parentElement : null;
+        },
+        search: '.select2-search__field',
+        option: '.select2-results__option',
+        unavailable: '.select2-results__option--disabled, .loading-results, .select2-results__message, [role="group"], [aria-disabled="true"]',
+        selection: '.select2-selection__choice, .select2-selection--single .select2-selection__rendered'
+      },
+      {
+        name: 'choices',
+        // Choices.js keeps the original select or input, hidden, inside its own wrapper
+        getRoot: element => element.matches('.choices__input:not(.choices__input--cloned)') ? element.closest('.choices') : null,
+        control: '.choices__inner',
+        getPopup: widget => widget.root.querySelector('.choices__list--dropdown'),
+        search: 'input.choices__input--cloned',
+        option: '.choices__item--choice',
+        unavailable: '.choices__item--disabled, .has-no-choices, .has-no-results, [aria-disabled="true"]',
+        selection: '.choices__list--single .choices__item, .choices__list--multiple .choices__item'
+      },
+      {
+        name: 'tom-select',
+        getRoot: element => element.matches('.tomselected') ? this.getNextSibling(element, '.ts-wrapper') : null,
+        control: '.ts-control',
+        // dropdownParent: 'body' moves the dropdown out of the wrapper
+        getPopup: widget => widget.root.querySelector('.ts-dropdown') ||
+          (widget.element.id ? widget.root.ownerDocument.getElementById(`${widget.element.id}-ts-dropdown`) : null),
+        search: '.ts-control input, .ts-dropdown input',
+        option: '[data-selectable].option',
+        unavailable: '.no-results, [aria-disabled="true"]',
+        selection: '.ts-control .item'
+      },
+      {
+        name: 'react-select',
+        // No native control at all: the input the user types into carries react-select's ids
+        getRoot: element => {
+          if (!element.matches('input[id^="react-select-"][id$="-input"]')) {
+            return null;
+          }
+          const control = element.closest('[class*="control"]');
+          return control ? control.parentElement : null;
+        },
+        control: '[class*="control"]',
+        // The menu may be portalled anywhere; its options keep ids derived from the input's
+        getPopup: widget => widget.root.ownerDocument.getElementById(`${this.getReactSelectPrefix(widget.element)}-listbox`),
+        search: null,
+        getOptions: widget => widget.root.ownerDocument.querySelectorAll(`[id^="${this.getReactSelectPrefix(widget.element)}-option-"]`),
+        unavailable: '[aria-disabled="true"]',
+        selection: '[class*="singleValue"], [class*="single-value"], [class*="multiValue__label"], [class*="multi-value__label"]'
+      }
+    ];
+    // Inner inputs and ARIA parts of these wrappers belong to the widget, not the form
+    this.partSelector = '.select2-container, .choices, .ts-wrapper, .ts-dropdown';
+  }
+
+  // { library, element, root, multiple, creates } when element is the control a library enhanced
+  getWidget(element) {
+    if (!element || typeof element.matches !== 'function') {
+      return null;
+    }
+
+    for (const library of this.libraries) {
+      const root = library.getRoot(element);
+      if (root) {
+        return {
+          library,
+          element,
+          root,
+          multiple: this.isMultiple(element, root),
+          // Tag inputs accept values that are not in any list
+          creates: element.tagName === 'INPUT' && element.type !== 'hidden' && library.name !== 'react-select'
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Search boxes and comboboxes a library renders for a control it already owns
+  isWidgetPart(element) {
+    const wrapper = element.closest && element.closest(this.partSelector);
+    return Boolean(wrapper) && !this.getWidget(element);
+  }
+
+  getNextSibling(element, selector) {
+    const sibling = element.nextElementSibling;
+    return sibling && sibling.matches(selector) ? sibling : null;
+  }
+
+  getReactSelectPrefix(input) {
+    return input.id.replace(/-input$/, '');
+  }
+
+  isMultiple(element, root) {
+    if (element.tagName === 'SELECT') {
+      return element.multiple;
+    }
+    if (element.tagName === 'INPUT' && element.getAttribute('type') !== 'hidden' && !element.id.startsWith('react-select-')) {
+      return true;
+    }
+    return Boolean(root.querySelector('[class*="is-multi"], [class*="multiValue"], [class*="multi-value"]'));
+  }
+
+  getControl(widget) {
+    return widget.root.querySelector(widget.library.control) || widget.root;
+  }
+
+  getPopup(widget) {
+    return widget.library.getPopup(widget);
+  }
+
+  getSearchInput(widget) {
+    if (!widget.library.search) {
+      return widget.element;
+    }
+
+    const popup = this.getPopup(widget);
+    return widget.root.querySelector(widget.library.search) || (popup && popup.querySelector(widget.library.search)) || null;
+  }
+
+  // Options the user could pick right now, as { element, text, value }
+  getOptions(widget) {
+    const library = widget.library;
+    let elements;
+    if (library.getOptions) {
+      elements = Array.from(library.getOptions(widget));
+    } else {
+      // Choices.js and Tom Select keep a closed dropdown's options in the page
+      const popup = this.getPopup(widget);
+      elements = popup && this.isShown(popup) ? Array.from(popup.querySelectorAll(library.option)) : [];
+    }
+
+    return elements
+      .filter(element => !element.matches(library.unavailable))
+      .map(element => ({
+        element,
+        text: this.getText(element),
+        value: element.getAttribute('data-value')
+      }));
+  }
+
+  isShown(element) {
+    const view = element.ownerDocument.defaultView;
+
+    for (let current = element; current && current.nodeType === 1; current = current.parentElement) {
+      const style = view ? view.getComputedStyle(current) : null;
+      if (current.hidden || (style && (style.display === 'none' || style.visibility === 'hidden'))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  getSelectedLabels(widget) {
+    return Array.from(widget.root.querySelectorAll(widget.library.selection))
+      .map(element => this.getText(element))
+      .filter(Boolean);
+  }
+
+  // Select2 and Choices.js put a remove button inside each chosen item; its text is not the label
+  getText(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('button, .select2-selection__choice__remove, .remove, [aria-hidden="true"]').forEach(node => node.remove());
+    return clone.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  isSelected(widget, option) {
+    const label = option.text.toLowerCase();
+    return this.getSelectedLabels(widget).some(selected => selected.toLowerCase().includes(label));
+  }
+
+  // Libraries update the control they enhanced themselves; when one did not, the form would submit
+  // something else than the widget shows
+  syncNativeSelect(widget, option, matchOption) {
+    const select = widget.element;
+    if (select.tagName !== 'SELECT') {
+      return false;
+    }
+
+    const match = matchOption(select, option.value || option.text);
+    if (!match) {
+      return false;
+    }
+
+    if (!match.element.selected) {
+      if (select.multiple) {
+        match.element.selected = true;
+      } else {
+        select.selectedIndex = match.index;
+      }
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    return true;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EnhancedSelectAdapter;
+}
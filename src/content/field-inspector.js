@@ -0,0 +1,297 @@
+class FieldInspector {
+  constructor(formDetector, fieldMapper, securityUtils) {
+    this.formDetector = formDetector;
+    this.fieldMapper = fieldMapper;
+    this.securityUtils = securityUtils;
+
+    this.isActive = false;
+    this.host = null;
+    this.shadow = null;
+    this.card = null;
+    this.entries = [];
+    this.frameRequest = null;
+
+    this.handleViewportChange = () => this.scheduleReposition();
+  }
+
+  show(fields = this.detectAllFields()) {
+    if (!this.host) {
+      this.createHost();
+    }
+
+    this.isActive = true;
+    this.render(fields);
+
+    window.addEventListener('resize', this.handleViewportChange);
+    // Capture scrolls of inner containers as well as the page itself
+    window.addEventListener('scroll', this.handleViewportChange, true);
+
+    return this.entries.length;
+  }
+
+  hide() {
+    this.isActive = false;
+    this.entries = [];
+
+    window.removeEventListener('resize', this.handleViewportChange);
+    window.removeEventListener('scroll', this.handleViewportChange, true);
+
+    if (this.frameRequest) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+
+    if (this.host) {
+      this.host.remove();
+      this.host = null;
+      this.shadow = null;
+      this.card = null;
+    }
+  }
+
+  // Re-render after the page's fields changed
+  refresh() {
+    if (this.isActive) {
+      this.render(this.detectAllFields());
+    }
+  }
+
+  detectAllFields() {
+    return this.formDetector.detectFormFields(document, { includeUnfillable: true });
+  }
+
+  createHost() {
+    // A closed shadow root keeps page stylesheets and scripts away from the overlay
+    this.host = document.createElement(EXTENSION_CONSTANTS.CSS_CLASSES.INSPECTOR);
+    this.host.style.cssText = 'all: initial; position: absolute; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647;';
+    this.shadow = this.host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = this.getStyles();
+    this.shadow.appendChild(style);
+
+    this.card = document.createElement('div');
+    this.card.className = 'card';
+    this.card.hidden = true;
+    this.shadow.appendChild(this.card);
+
+    document.documentElement.appendChild(this.host);
+  }
+
+  render(fields) {
+    this.shadow.querySelectorAll('.badge').forEach(badge => badge.remove());
+    this.card.hidden = true;
+
+    this.entries = fields.map(field => {
+      const info = this.describeField(field);
+      const badge = this.createBadge(info);
+      this.shadow.insertBefore(badge, this.card);
+      return { field, info, badge };
+    });
+
+    this.reposition();
+  }
+
+  // Everything the badge and hover card show for one field
+  describeField(field) {
+    const skipReason = this.getSkipReason(field);
+
+    return {
+      category: field.category,
+      subtype: field.fieldSubtype,
+      confidence: typeof field.confidence === 'number' ? field.confidence : null,
+      dataPath: this.getDataPath(field),
+      skipReason,
+      label: field.label || '',
+      context: this.getContextText(field.element),
+      signals: this.getSignals(field)
+    };
+  }
+
+  getSkipReason(field) {
+    if (!field.fillable) {
+      return field.reason || this.formDetector.getUnfillableReason(field.element);
+    }
+
+    if (this.securityUtils.isProtectedField(field.element)) {
+      return 'Protected field';
+    }
+
+    if (this.securityUtils.isHoneypotField(field.element)) {
+      return 'Honeypot field';
+    }
+
+    return '';
+  }
+
+  getDataPath(field) {
+    const mapping = this.fieldMapper.determineFieldMapping(field);
+    if (!mapping) {
+      return null;
+    }
+
+    // Address fields read a named address first when the block has one
+    const section = mapping.startsWith('address.') ? this.fieldMapper.inferAddressSection(field) : null;
+    return section ? `${mapping.replace(/^address\./, `addresses.${section}.`)} → ${mapping}` : mapping;
+  }
+
+  getContextText(element) {
+    // Text of the nearest wrapper approximates what a user reads next to the field
+    let container = element.parentElement;
+    for (let depth = 0; container && depth < 3; depth++) {
+      const text = container.textContent.replace(/\s+/g, ' ').trim();
+      if (text) {
+        return text.length > 160 ? `${text.slice(0, 157)}...` : text;
+      }
+      container = container.parentElement;
+    }
+
+    return '';
+  }
+
+  getSignals(field) {
+    const signals = [];
+
+    if (field.detectedFrom) signals.push(`source: ${field.detectedFrom}`);
+    if (field.name) signals.push(`name: ${field.name}`);
+    if (field.id) signals.push(`id: ${field.id}`);
+    if (field.placeholder) signals.push(`placeholder: ${field.placeholder}`);
+    if (field.autocomplete) signals.push(`autocomplete: ${field.autocomplete.raw}`);
+    if (field.splitGroup) signals.push(`split ${field.splitGroup.kind}: part ${field.splitIndex + 1} of ${field.splitGroup.size}`);
+
+    (field.candidates || []).slice(0, 5).forEach(candidate => {
+      const veto = candidate.vetoedBy ? ` (vetoed by ${candidate.vetoedBy})` : '';
+      signals.push(`${candidate.rule}: ${candidate.score.toFixed(2)} via ${candidate.source}${veto}`);
+    });
+
+    return signals;
+  }
+
+  createBadge(info) {
+    const badge = document.createElement('div');
+    badge.className = 'badge';
+
+    if (info.skipReason) {
+      badge.classList.add('skipped');
+    } else if (info.confidence !== null && info.confidence < 0.7) {
+      badge.classList.add('uncertain');
+    }
+
+    const confidence = info.confidence !== null ? ` ${Math.round(info.confidence * 100)}%` : '';
+    badge.textContent = info.skipReason
+      ? `skipped: ${info.skipReason}`
+      : `${info.category}/${info.subtype}${confidence}`;
+
+    badge.addEventListener('mouseenter', () => this.showCard(info, badge));
+    badge.addEventListener('mouseleave', () => {
+      this.card.hidden = true;
+    });
+
+    return badge;
+  }
+
+  showCard(info, badge) {
+    // Built with textContent only: labels and context come from the page
+    this.card.replaceChildren();
+
+    const rows = [
+      ['Field', `${info.category}/${info.subtype}`],
+      ['Confidence', info.confidence !== null ? info.confidence.toFixed(2) : 'n/a'],
+      ['Data path', info.dataPath || 'none (fake data only)'],
+      ['Skipped', info.skipReason || 'no'],
+      ['Label', info.label || 'none'],
+      ['Context', info.context || 'none']
+    ];
+
+    rows.forEach(([name, value]) => {
+      const row = document.createElement('div');
+      row.className = 'row';
+      const key = document.createElement('b');
+      key.textContent = `${name}: `;
+      row.append(key, value);
+      this.card.appendChild(row);
+    });
+
+    if (info.signals.length > 0) {
+      const list = document.createElement('ul');
+      info.signals.forEach(signal => {
+        const item = document.createElement('li');
+        item.textContent = signal;
+        list.appendChild(item);
+      });
+      this.card.appendChild(list);
+    }
+
+    this.card.style.left = badge.style.left;
+    this.card.style.top = `${parseFloat(badge.style.top) + badge.offsetHeight + 4}px`;
+    this.card.hidden = false;
+  }
+
+  scheduleReposition() {
+    if (!this.frameRequest) {
+      this.frameRequest = requestAnimationFrame(() => {
+        this.frameRequest = null;
+        this.reposition();
+      });
+    }
+  }
+
+  reposition() {
+    this.entries.forEach(({ field, badge }) => {
+      const element = field.element;
+      const rect = element.getBoundingClientRect();
+
+      // Fields that are detached or collapsed have nowhere to pin a badge
+      if (!element.isConnected || (rect.width === 0 && rect.height === 0)) {
+        badge.hidden = true;
+        return;
+      }
+
+      badge.hidden = false;
+      badge.style.left = `${rect.left + window.scrollX}px`;
+      badge.style.top = `${Math.max(rect.top + window.scrollY - 16, 0)}px`;
+    });
+  }
+
+  getStyles() {
+    return `
+      :host { all: initial; }
+      .badge {
+        position: absolute;
+        max-width: 320px;
+        padding: 1px 5px;
+        border-radius: 3px;
+        background: #1a73e8;
+        color: #fff;
+        font: 11px/14px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        cursor: help;
+        opacity: 0.9;
+      }
+      .badge.uncertain { background: #f29900; }
+      .badge.skipped { background: #80868b; }
+      .badge[hidden], .card[hidden] { display: none; }
+      .card {
+        position: absolute;
+        width: 320px;
+        padding: 8px 10px;
+        border: 1px solid #dadce0;
+        border-radius: 6px;
+        background: #fff;
+        color: #202124;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+        font: 12px/16px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        pointer-events: none;
+      }
+      .row { margin-bottom: 2px; word-break: break-word; }
+      ul { margin: 6px 0 0; padding-left: 16px; color: #5f6368; }
+    `;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FieldInspector;
+}
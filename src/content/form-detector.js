@@ -3,9 +3,21 @@ class FormDetector {
     this.detectedFields = [];
     this.observer = null;
     this.isObserving = false;
+    this.autocompleteParser = new AutocompleteParser();
+    this.ruleEngine = new FieldRuleEngine();
+    // Design-system widgets that stand in for native form controls
+    this.ariaWidgetRoles = ['combobox', 'listbox', 'switch', 'checkbox', 'radiogroup'];
+    // Segment lengths of values commonly split across adjacent inputs
+    this.splitFieldLayouts = {
+      phone: [[3, 3, 4], [3, 4], [1, 3, 3, 4]],
+      ssn: [[3, 2, 4]],
+      card: [[4, 4, 4, 4], [4, 6, 5]]
+    };
+    this.splitFieldGroupCount = 0;
+    this.enhancedSelects = new EnhancedSelectAdapter();
   }
 
-  detectFormFields(rootElement = document) {
+  detectFormFields(rootElement = document, options = {}) {
     // Comprehensive CSS selectors for all form field types
     const selectors = [
       'input[type="text"]', 'input[type="email"]', 'input[type="password"]',
@@ -20,17 +32,232 @@ class FormDetector {
     // Detect regular DOM fields
     const fields = Array.from(rootElement.querySelectorAll(selectors.join(',')));
     
+    // Detect contenteditable regions (Quill, TinyMCE, CKEditor, ProseMirror, Draft.js)
+    const editableFields = this.detectContentEditableFields(rootElement);
+    
+    // Detect ARIA custom widgets (MUI, Headless UI, Radix)
+    const ariaFields = this.detectAriaWidgets(rootElement);
+    
     // Detect Shadow DOM fields
     const shadowFields = this.detectShadowDOMFields(rootElement);
     
-    // Combine all fields and filter fillable ones
-    const allFields = [...fields, ...shadowFields];
+    // Combine all fields and filter fillable ones; the inner search boxes and comboboxes of
+    // Select2, Choices.js and Tom Select are filled through the control they enhance
+    const allFields = [...fields, ...editableFields, ...ariaFields, ...shadowFields]
+      .filter(field => !this.enhancedSelects.isWidgetPart(field));
     
-    this.detectedFields = allFields
-      .map(field => this.createFieldDescriptor(field))
-      .filter(descriptor => descriptor.fillable);
+    const descriptors = allFields.map(field => this.createFieldDescriptor(field));
+    this.detectedFields = descriptors.filter(descriptor => descriptor.fillable);
     
-    return this.detectedFields;
+    // Link inputs that together hold one value (phone boxes, day/month/year selects)
+    this.detectSplitFieldGroups(this.detectedFields);
+    
+    // The inspector also wants the fields that will be skipped, with their reasons
+    return options.includeUnfillable ? descriptors : this.detectedFields;
+  }
+
+  detectSplitFieldGroups(descriptors) {
+    const groups = [];
+    let run = [];
+    
+    const closeRun = () => {
+      groups.push(...this.findSplitFieldGroups(run));
+      run = [];
+    };
+    
+    // Segments are adjacent candidates that share a container, with no other field in between
+    descriptors.forEach(descriptor => {
+      if (!this.isSplitFieldCandidate(descriptor)) {
+        closeRun();
+        return;
+      }
+      
+      const container = this.getSplitFieldContainer(descriptor.element);
+      if (run.length > 0 && (!container || container !== this.getSplitFieldContainer(run[0].element))) {
+        closeRun();
+      }
+      run.push(descriptor);
+    });
+    closeRun();
+    
+    return groups;
+  }
+
+  // A container often holds more than one value's segments (a country code select before the
+  // phone boxes, a name input after them), so take the longest segment sequence at each position
+  findSplitFieldGroups(run) {
+    const groups = [];
+    
+    for (let start = 0; start < run.length - 1;) {
+      let group = null;
+      
+      for (let size = Math.min(4, run.length - start); size >= 2 && !group; size--) {
+        const candidates = run.slice(start, start + size);
+        if (this.isSegmentSequence(candidates)) {
+          group = this.createSplitFieldGroup(candidates);
+        }
+      }
+      
+      if (group) {
+        groups.push(group);
+        start += group.size;
+      } else {
+        start++;
+      }
+    }
+    
+    return groups;
+  }
+
+  isSegmentSequence(descriptors) {
+    // Date parts name themselves; digit segments are short length-limited boxes
+    const longestSegment = Math.max(...Object.values(this.splitFieldLayouts).flat(2));
+    
+    return this.getDateSegments(descriptors).every(Boolean) ||
+      descriptors.every(descriptor => descriptor.element.maxLength > 0 && descriptor.element.maxLength <= longestSegment);
+  }
+
+  isSplitFieldCandidate(descriptor) {
+    return ['text', 'tel', 'number', 'password', 'select-one'].includes(descriptor.type) &&
+      Boolean(descriptor.element && descriptor.element.parentElement);
+  }
+
+  getSplitFieldContainer(element) {
+    let container = element.parentElement;
+    
+    // Inputs wrapped one per span/div are grouped by the wrapper's parent
+    if (container && container.parentElement &&
+        container.querySelectorAll('input, select, textarea').length === 1) {
+      container = container.parentElement;
+    }
+    
+    return container;
+  }
+
+  createSplitFieldGroup(descriptors) {
+    const hints = this.getSplitFieldHints(descriptors);
+    const kind = this.getSplitFieldKind(descriptors, hints);
+    
+    if (!kind) {
+      return null;
+    }
+    
+    const group = {
+      id: `split_${++this.splitFieldGroupCount}`,
+      kind,
+      size: descriptors.length,
+      elements: descriptors.map(descriptor => descriptor.element),
+      segments: this.splitFieldLayouts[kind]
+        ? this.getDigitSegments(descriptors, kind)
+        : this.getDateSegments(descriptors)
+    };
+    
+    descriptors.forEach((descriptor, index) => {
+      descriptor.splitGroup = group;
+      descriptor.splitIndex = index;
+    });
+    
+    return group;
+  }
+
+  getSplitFieldHints(descriptors) {
+    const first = descriptors[0].element;
+    const container = this.getSplitFieldContainer(first);
+    const legend = container && container.querySelector('legend, label:not([for])');
+    
+    // Split camelCase and numbered names so "phone1"/"dobDay" read as words
+    const text = [
+      ...descriptors.map(descriptor => `${descriptor.name} ${descriptor.id} ${descriptor.label} ${descriptor.placeholder}`),
+      legend ? legend.textContent : ''
+    ].join(' ');
+    
+    return text.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[^a-zA-Z]+/g, ' ').toLowerCase();
+  }
+
+  getSplitFieldKind(descriptors, hints) {
+    const dateSegments = this.getDateSegments(descriptors);
+    if (descriptors.length <= 3 && dateSegments.every(Boolean) &&
+        new Set(dateSegments.map(segment => segment.part)).size === descriptors.length) {
+      // Month/year pairs on payment forms are card expiry dates, not birth dates
+      if (/\b(exp|expiry|expiration|expires|valid|card|cc)\b/.test(hints)) {
+        return 'expiry';
+      }
+      return /\b(birth|dob|birthday|born|naissance)\b/.test(hints) ? 'birthDate' : 'date';
+    }
+    
+    // Remaining kinds are digit runs typed into length-limited text boxes
+    if (descriptors.some(descriptor => descriptor.type === 'select-one')) {
+      return null;
+    }
+    
+    const lengths = descriptors.map(descriptor => descriptor.element.maxLength > 0 ? descriptor.element.maxLength : null);
+    const matchesLayout = (kind) => this.splitFieldLayouts[kind].some(layout =>
+      layout.length === lengths.length && layout.every((length, index) => lengths[index] === null || lengths[index] === length)
+    );
+    const exactLayout = (kind) => lengths.every(Boolean) && matchesLayout(kind);
+    
+    if (/\b(phone|tel|telephone|mobile|cell|fax)\b/.test(hints) && matchesLayout('phone')) {
+      return 'phone';
+    }
+    if (/\b(ssn|social security|sin|tax id)\b/.test(hints) && matchesLayout('ssn')) {
+      return 'ssn';
+    }
+    if (/\b(card|cc|credit|pan)\b/.test(hints) && matchesLayout('card')) {
+      return 'card';
+    }
+    
+    // Without wording, only an exact and unambiguous length pattern identifies the value
+    if (this.sharesBaseName(descriptors)) {
+      if (exactLayout('ssn')) return 'ssn';
+      if (exactLayout('card')) return 'card';
+      if (exactLayout('phone') && lengths.length > 2) return 'phone';
+    }
+    
+    return null;
+  }
+
+  sharesBaseName(descriptors) {
+    // phone1/phone2/phone3, card[0]/card[1], ssn_a/ssn_b
+    const bases = descriptors.map(descriptor =>
+      (descriptor.name || descriptor.id).replace(/(?:[[_\-.]?\d+\]?|[_\-.][a-d])$/i, '').toLowerCase()
+    );
+    
+    return Boolean(bases[0]) && bases.every(base => base === bases[0]);
+  }
+
+  getDigitSegments(descriptors, kind) {
+    const layout = this.splitFieldLayouts[kind].find(candidate => candidate.length === descriptors.length);
+    
+    return descriptors.map((descriptor, index) => ({
+      part: kind,
+      length: descriptor.element.maxLength > 0 ? descriptor.element.maxLength : layout[index]
+    }));
+  }
+
+  getDateSegments(descriptors) {
+    return descriptors.map(descriptor => {
+      const element = descriptor.element;
+      const text = `${descriptor.name} ${descriptor.id} ${descriptor.label} ${descriptor.placeholder}`
+        .replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[^a-zA-Z]+/g, ' ').toLowerCase();
+      const maxLength = element.maxLength > 0 ? element.maxLength : null;
+      
+      let part = null;
+      if (/\b(day|dd|jour|dia)\b/.test(text)) {
+        part = 'day';
+      } else if (/\b(month|mm|mois|mes|monat)\b/.test(text)) {
+        part = 'month';
+      } else if (/\b(year|yyyy|yy|annee|ano|jahr)\b/.test(text)) {
+        part = 'year';
+      } else if (descriptor.type === 'select-one') {
+        // Unlabelled selects give themselves away by their option count
+        const count = element.options ? element.options.length : 0;
+        if (count >= 12 && count <= 13) part = 'month';
+        else if (count >= 28 && count <= 32) part = 'day';
+        else if (count > 32) part = 'year';
+      }
+      
+      return part ? { part, length: maxLength || (part === 'year' ? 4 : 2) } : null;
+    });
   }
 
   detectShadowDOMFields(rootElement) {
@@ -50,6 +277,121 @@ class FormDetector {
     return shadowFields;
   }
 
+  detectContentEditableFields(rootElement) {
+    const candidates = Array.from(rootElement.querySelectorAll('[contenteditable]'));
+    const hosts = candidates.filter(element => this.isEditingHost(element));
+    
+    // Editors such as TinyMCE and CKEditor 4 render their editable body inside an about:blank
+    // iframe. Frames with a real URL run their own content script and report their own fields.
+    const frames = Array.from(rootElement.querySelectorAll('iframe'));
+    frames.forEach(frame => {
+      try {
+        const frameDocument = frame.contentDocument;
+        const body = frameDocument && frameDocument.body;
+        if (body && this.isScriptlessFrame(frameDocument) && this.isEditingHost(body)) {
+          hosts.push(body);
+        }
+      } catch (error) {
+        // Cross-origin frame, not an editor we can reach
+      }
+    });
+    
+    return hosts;
+  }
+
+  isScriptlessFrame(frameDocument) {
+    // Content scripts are not injected into about:blank/srcdoc frames (no match_about_blank)
+    const url = frameDocument.URL || '';
+    return url === '' || url.startsWith('about:');
+  }
+
+  isEditingHost(element) {
+    if (!element || typeof element.getAttribute !== 'function') {
+      return false;
+    }
+    
+    const value = element.getAttribute('contenteditable');
+    if (value === null || value === undefined) {
+      return false;
+    }
+    
+    if (!['', 'true', 'plaintext-only'].includes(value.toLowerCase())) {
+      return false;
+    }
+    
+    // Only the outermost editable element is a field; nested ones belong to it
+    const parent = element.parentElement;
+    const editableAncestor = parent && parent.closest ? parent.closest('[contenteditable]') : null;
+    
+    return !editableAncestor || editableAncestor.getAttribute('contenteditable').toLowerCase() === 'false';
+  }
+
+  detectAriaWidgets(rootElement) {
+    const roleSelector = this.ariaWidgetRoles.map(role => `[role="${role}"]`).join(',');
+    const candidates = Array.from(rootElement.querySelectorAll(roleSelector));
+    
+    return candidates.filter(element => {
+      const role = this.getAriaWidgetRole(element);
+      if (!role) {
+        return false;
+      }
+      
+      // A listbox that is the popup of a combobox is filled through the combobox
+      if (role === 'listbox' && this.isComboboxPopup(element)) {
+        return false;
+      }
+      
+      // Options rendered as checkboxes belong to their container widget
+      if (role === 'checkbox' && element.parentElement &&
+          element.parentElement.closest('[role="listbox"], [role="menu"], [role="tree"], [role="grid"]')) {
+        return false;
+      }
+      
+      // Skip widgets nested inside another detected widget (e.g. a switch inside a combobox)
+      const parent = element.parentElement;
+      return !(parent && parent.closest && parent.closest(roleSelector));
+    });
+  }
+
+  getAriaWidgetRole(element) {
+    if (!element || typeof element.getAttribute !== 'function') {
+      return null;
+    }
+    
+    // Native controls carrying a role are already handled as regular fields
+    const tagName = (element.tagName || '').toLowerCase();
+    if (tagName === 'input' || tagName === 'select' || tagName === 'textarea') {
+      return null;
+    }
+    
+    const role = (element.getAttribute('role') || '').trim().toLowerCase();
+    return this.ariaWidgetRoles.includes(role) ? role : null;
+  }
+
+  isComboboxPopup(listbox) {
+    if (listbox.closest && listbox.closest('[role="combobox"]')) {
+      return true;
+    }
+    
+    if (!listbox.id) {
+      return false;
+    }
+    
+    const root = listbox.getRootNode ? listbox.getRootNode() : document;
+    const controllers = root.querySelectorAll
+      ? root.querySelectorAll('[aria-controls], [aria-owns]')
+      : [];
+    
+    return Array.from(controllers).some(controller => {
+      const ids = `${controller.getAttribute('aria-controls') || ''} ${controller.getAttribute('aria-owns') || ''}`;
+      return ids.split(/\s+/).includes(listbox.id);
+    });
+  }
+
+  isCustomWidget(element) {
+    return this.isEditingHost(element) || Boolean(this.getAriaWidgetRole(element));
+  }
+
   createFieldDescriptor(element) {
     const classification = this.classifyField(element);
     
@@ -60,7 +402,7 @@ class FormDetector {
       name: element.name || '',
       id: element.id || '',
       label: this.getFieldLabel(element),
-      placeholder: element.placeholder || '',
+      placeholder: element.placeholder || this.getEditablePlaceholder(element),
       required: element.required || false,
       value: this.getFieldValue(element),
       fillable: this.isFieldFillable(element),
@@ -69,7 +411,10 @@ class FormDetector {
       category: classification.category,
       fieldSubtype: classification.subtype,
       confidence: classification.confidence,
-      detectedFrom: classification.detectedFrom
+      detectedFrom: classification.detectedFrom,
+      autocomplete: classification.autocomplete,
+      // Ranked rule results, kept to explain why the field was classified this way
+      candidates: classification.candidates
     };
 
     // Set reason if not fillable
@@ -89,17 +434,41 @@ class FormDetector {
       return 'textarea';
     } else if (tagName === 'select') {
       return element.multiple ? 'select-multiple' : 'select-one';
+    } else if (this.isEditingHost(element)) {
+      return 'contenteditable';
+    }
+    
+    const ariaRole = this.getAriaWidgetRole(element);
+    if (ariaRole) {
+      return `aria-${ariaRole}`;
     }
     
     return 'unknown';
   }
 
+  getEditablePlaceholder(element) {
+    if (!this.isEditingHost(element)) {
+      return '';
+    }
+    
+    // Editors expose their placeholder through different attributes
+    return element.getAttribute('aria-placeholder') ||
+           element.getAttribute('data-placeholder') ||
+           element.getAttribute('placeholder') ||
+           '';
+  }
+
   getFieldLabel(element) {
     // Try to find associated label
     let label = '';
     
+    // ARIA widgets name themselves through aria-labelledby/aria-label first
+    if (this.getAriaWidgetRole(element)) {
+      label = this.getAriaLabelledByText(element) || element.getAttribute('aria-label') || '';
+    }
+    
     // Check for label with 'for' attribute
-    if (element.id) {
+    if (!label && element.id) {
       const labelElement = document.querySelector(`label[for="${element.id}"]`);
       if (labelElement) {
         label = labelElement.textContent.trim();
@@ -121,18 +490,31 @@ class FormDetector {
     
     // Check for aria-labelledby
     if (!label) {
-      const labelledBy = element.getAttribute('aria-labelledby');
-      if (labelledBy) {
-        const labelElement = document.getElementById(labelledBy);
-        if (labelElement) {
-          label = labelElement.textContent.trim();
-        }
-      }
+      label = this.getAriaLabelledByText(element);
     }
     
     return label;
   }
 
+  getAriaLabelledByText(element) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (!labelledBy) {
+      return '';
+    }
+    
+    // aria-labelledby is a space-separated list of ids, resolved in the element's own tree
+    const root = element.getRootNode ? element.getRootNode() : document;
+    const lookup = typeof root.getElementById === 'function' ? root : document;
+    
+    return labelledBy
+      .split(/\s+/)
+      .map(id => lookup.getElementById(id))
+      .filter(Boolean)
+      .map(labelElement => labelElement.textContent.trim())
+      .filter(Boolean)
+      .join(' ');
+  }
+
   getFieldValue(element) {
     const type = this.getFieldType(element);
     
@@ -144,6 +526,19 @@ class FormDetector {
         return element.selectedIndex >= 0 ? element.options[element.selectedIndex].value : '';
       case 'select-multiple':
         return Array.from(element.selectedOptions).map(option => option.value);
+      case 'contenteditable':
+      case 'aria-combobox':
+        return (element.textContent || '').trim();
+      case 'aria-switch':
+      case 'aria-checkbox':
+        return element.getAttribute('aria-checked') === 'true';
+      case 'aria-listbox':
+        return Array.from(element.querySelectorAll('[role="option"][aria-selected="true"]'))
+          .map(option => option.textContent.trim());
+      case 'aria-radiogroup': {
+        const checked = element.querySelector('[role="radio"][aria-checked="true"]');
+        return checked ? checked.textContent.trim() : '';
+      }
       default:
         return element.value || '';
     }
@@ -151,7 +546,19 @@ class FormDetector {
 
   isFieldFillable(element) {
     // Check basic properties that prevent filling
-    if (element.disabled || element.readOnly) {
+    if (element.disabled || (element.readOnly && !this.isPickerOwnedInput(element))) {
+      return false;
+    }
+    
+    // A select a library hid behind its own widget is as visible as that widget
+    const widget = this.enhancedSelects.getWidget(element);
+    if (widget) {
+      return this.isFieldFillable(widget.root);
+    }
+    
+    // Custom editors and widgets signal a read-only state through ARIA instead
+    if (this.isCustomWidget(element) &&
+        (element.getAttribute('aria-readonly') === 'true' || element.getAttribute('aria-disabled') === 'true')) {
       return false;
     }
     
@@ -164,6 +571,12 @@ class FormDetector {
       if (styles.display === 'none' || styles.visibility === 'hidden') {
         return false;
       }
+      
+      // Without an offset parent a non-fixed element sits inside a hidden ancestor,
+      // e.g. a later step of a multi-step form. Iframe editor bodies have none by design.
+      if (styles.position !== 'fixed' && element !== element.ownerDocument.body) {
+        return false;
+      }
     }
     
     // Check for protected fields
@@ -219,9 +632,16 @@ class FormDetector {
     return false;
   }
 
+  // flatpickr makes its input read-only so that only the calendar changes it; it can still be filled
+  isPickerOwnedInput(element) {
+    return Boolean(element.matches && element.matches('input.flatpickr-input'));
+  }
+
   getUnfillableReason(element) {
     if (element.disabled) return 'Field is disabled';
-    if (element.readOnly) return 'Field is read-only';
+    if (element.readOnly && !this.isPickerOwnedInput(element)) return 'Field is read-only';
+    if (this.isCustomWidget(element) && element.getAttribute('aria-readonly') === 'true') return 'Widget is read-only';
+    if (this.isCustomWidget(element) && element.getAttribute('aria-disabled') === 'true') return 'Widget is disabled';
     if (element.type === 'file') return 'File inputs cannot be filled for security';
     if (this.isProtectedField(element)) return 'Protected field (CAPTCHA/honeypot)';
     if (element.offsetParent === null) return 'Field is hidden';
@@ -242,7 +662,8 @@ class FormDetector {
           // Check if any added nodes contain form fields
           mutation.addedNodes.forEach(node => {
             if (node.nodeType === Node.ELEMENT_NODE) {
-              const formFields = node.querySelectorAll('input, textarea, select');
+              const widgetSelector = this.ariaWidgetRoles.map(role => `[role="${role}"]`).join(', ');
+              const formFields = node.querySelectorAll(`input, textarea, select, [contenteditable], ${widgetSelector}`);
               if (formFields.length > 0) {
                 shouldRedetect = true;
               }
@@ -327,178 +748,75 @@ class FormDetector {
   }
 
   classifyField(element) {
-    const type = element.type ? element.type.toLowerCase() : 'text';
-    const name = element.name || '';
-    const id = element.id || '';
-    const placeholder = element.placeholder || '';
-    const className = element.className || '';
-    const label = this.getFieldLabel(element);
-    
-    // Combine all text attributes for analysis
-    const allText = `${name} ${id} ${placeholder} ${className} ${label}`.toLowerCase();
-    
-    // Determine field category and type with enhanced detection
-    let category = 'general';
-    let subtype = type;
-    let confidence = 0.5;
-    
-    // Personal information detection
-    if (allText.match(/\b(firstname|fname|first.name|given.name|prénom|prenom)\b/)) {
-      category = 'personal';
-      subtype = 'firstName';
-      confidence = 0.9;
-    } else if (allText.match(/\b(lastname|lname|last.name|surname|family.name|nom|nom.famille)\b/)) {
-      category = 'personal';
-      subtype = 'lastName';
-      confidence = 0.9;
-    } else if (allText.match(/\b(fullname|full.name|name|nom.complet)\b/) && !allText.match(/\b(user|company|file|project)\b/)) {
-      category = 'personal';
-      subtype = 'fullName';
-      confidence = 0.8;
-    } else if (type === 'email' || allText.match(/\b(email|e.mail|mail|courriel)\b/)) {
-      category = 'personal';
-      subtype = 'email';
-      confidence = 0.95;
-    } else if (allText.match(/\b(phone|tel|telephone|mobile|cell|fax|téléphone)\b/)) {
-      category = 'personal';
-      subtype = 'phone';
-      confidence = 0.9;
-    } else if (allText.match(/\b(username|user.name|login|account|utilisateur)\b/)) {
-      category = 'personal';
-      subtype = 'username';
-      confidence = 0.85;
-    } else if (type === 'password' || allText.match(/\b(password|pass|pwd|mot.de.passe)\b/)) {
-      category = 'personal';
-      subtype = 'password';
-      confidence = 0.95;
-    }
-    
-    // Address information detection
-    else if (allText.match(/\b(address|street|addr|address1|address2|adresse|rue)\b/)) {
-      category = 'address';
-      if (allText.match(/\b(address2|apt|apartment|suite|unit|appartement)\b/)) {
-        subtype = 'address2';
-      } else {
-        subtype = 'address1';
-      }
-      confidence = 0.9;
-    } else if (allText.match(/\b(city|town|locality|ville|localité)\b/)) {
-      category = 'address';
-      subtype = 'city';
-      confidence = 0.9;
-    } else if (allText.match(/\b(state|province|region|county|état|région)\b/)) {
-      category = 'address';
-      subtype = 'state';
-      confidence = 0.9;
-    } else if (allText.match(/\b(zip|postal|postcode|zipcode|postalcode|code.postal)\b/)) {
-      category = 'address';
-      subtype = 'zipCode';
-      confidence = 0.9;
-    } else if (allText.match(/\b(country|nation|pays)\b/)) {
-      category = 'address';
-      subtype = 'country';
-      confidence = 0.9;
-    }
-    
-    // Work/Business information detection
-    else if (allText.match(/\b(company|organization|employer|business|corp|entreprise|société)\b/)) {
-      category = 'work';
-      subtype = 'company';
-      confidence = 0.85;
-    } else if (allText.match(/\b(job|title|position|occupation|role|poste|titre)\b/)) {
-      category = 'work';
-      subtype = 'jobTitle';
-      confidence = 0.85;
-    }
-    
-    // Date and time detection
-    else if (type === 'date' || allText.match(/\b(date|birth|dob|birthday|naissance)\b/)) {
-      category = 'datetime';
-      if (allText.match(/\b(birth|dob|birthday|naissance)\b/)) {
-        subtype = 'birthDate';
-      } else {
-        subtype = 'date';
-      }
-      confidence = 0.9;
-    } else if (type === 'time' || allText.match(/\b(time|hour|minute|heure|temps)\b/)) {
-      category = 'datetime';
-      subtype = 'time';
-      confidence = 0.9;
-    }
-    
-    // Number detection
-    else if (type === 'number' || allText.match(/\b(age|number|num|quantity|amount|nombre|quantité|âge)\b/)) {
-      category = 'number';
-      if (allText.match(/\b(age|âge)\b/)) {
-        subtype = 'age';
-      } else if (allText.match(/\b(price|cost|salary|income|prix|salaire|coût)\b/)) {
-        subtype = 'price';
-      } else if (allText.match(/\b(quantity|qty|amount|quantité)\b/)) {
-        subtype = 'quantity';
-      } else {
-        subtype = 'number';
-      }
-      confidence = 0.8;
-    }
-    
-    // Web-related detection
-    else if (type === 'url' || allText.match(/\b(url|website|site|link|homepage|lien)\b/)) {
-      category = 'web';
-      subtype = 'url';
-      confidence = 0.9;
-    } else if (type === 'color' || allText.match(/\b(color|colour|couleur)\b/)) {
-      category = 'web';
-      subtype = 'color';
-      confidence = 0.9;
-    }
-    
-    // Financial detection
-    else if (allText.match(/\b(credit.card|creditcard|card.number|carte.crédit)\b/)) {
-      category = 'financial';
-      subtype = 'creditCard';
-      confidence = 0.9;
-    } else if (allText.match(/\b(cvv|cvc|security.code|code.sécurité)\b/)) {
-      category = 'financial';
-      subtype = 'cvv';
-      confidence = 0.9;
-    } else if (allText.match(/\b(ssn|social.security|tax.id|nas)\b/)) {
-      category = 'financial';
-      subtype = 'ssn';
-      confidence = 0.9;
-    }
-    
-    // Text content detection
-    else if (element.tagName === 'TEXTAREA' || allText.match(/\b(message|comment|description|notes|details|bio|about|commentaire|remarques)\b/)) {
-      category = 'text';
-      subtype = 'paragraph';
-      confidence = 0.8;
-    }
-    
-    // Generic text fallback
-    else if (type === 'text' || !type) {
-      category = 'text';
-      subtype = 'text';
-      confidence = 0.6;
-    }
+    const context = this.getClassificationContext(element);
+    const { best, candidates } = this.ruleEngine.classify(context);
+    
+    // Nothing scored: keep the raw input type so the filler can still pick a generator
+    const classification = best || {
+      category: 'general',
+      subtype: context.type,
+      score: 0.5,
+      source: 'heuristic'
+    };
     
     return {
-      category,
-      subtype,
-      originalType: type,
-      confidence,
-      detectedFrom: this.getDetectionSource(allText, type)
+      category: classification.category,
+      subtype: classification.subtype,
+      originalType: context.originalType,
+      confidence: classification.score,
+      detectedFrom: classification.source,
+      autocomplete: context.autocomplete,
+      candidates
     };
   }
 
-  getDetectionSource(allText, type) {
-    const sources = [];
+  // Everything the classification rules may look at, gathered once per field
+  getClassificationContext(element) {
+    const ariaRole = this.getAriaWidgetRole(element);
+    const autocomplete = this.autocompleteParser.parseElement(element);
+    const isEditingHost = this.isEditingHost(element);
+    
+    // Choice widgets are classified like text fields from their label and attributes
+    const type = ariaRole ? 'text' : (element.type ? element.type.toLowerCase() : 'text');
+    let originalType = type;
+    if (ariaRole === 'switch' || ariaRole === 'checkbox') {
+      originalType = `aria-${ariaRole}`;
+    } else if (isEditingHost) {
+      originalType = 'contenteditable';
+    }
     
-    if (type && type !== 'text') sources.push('input-type');
-    if (allText.includes('name')) sources.push('name-attribute');
-    if (allText.includes('id')) sources.push('id-attribute');
-    if (allText.includes('placeholder')) sources.push('placeholder');
-    if (allText.includes('class')) sources.push('class-name');
+    const sources = {
+      'name-attribute': element.name || '',
+      'id-attribute': element.id || '',
+      label: this.getFieldLabel(element),
+      placeholder: element.placeholder || '',
+      'class-name': typeof element.className === 'string' ? element.className : ''
+    };
+    // Split camelCase and snake_case so "billing_firstName" reads as separate words
+    Object.keys(sources).forEach(source => {
+      sources[source] = sources[source]
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[_\-[\]]+/g, ' ')
+        .toLowerCase();
+    });
     
-    return sources.length > 0 ? sources.join(', ') : 'heuristic';
+    return {
+      element,
+      tagName: element.tagName,
+      type,
+      originalType,
+      ariaRole,
+      isEditingHost,
+      autocomplete,
+      autocompleteClassification: this.autocompleteParser.getClassification(autocomplete),
+      autocompleteSource: this.autocompleteParser.describe(autocomplete),
+      sources,
+      allText: Object.values(sources).join(' ')
+    };
   }
-}
\ No newline at end of file
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormDetector;
+}
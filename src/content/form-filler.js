@@ -3,21 +3,43 @@ class FormFiller {
     this.fieldMapper = fieldMapper;
     this.filledFields = [];
     this.errors = [];
+    // One value per split-field group, distributed across its segments as they are filled
+    this.splitGroupValues = new Map();
+    // Parent selects go first and their dependants wait for reloaded options
+    this.dependentSelects = new DependentSelectResolver();
+    // Values are written past React's value tracker and checked again after the page re-renders
+    this.valueSetter = new FrameworkValueSetter();
+    // Reads what the browser and the page think of a value once it is in place
+    this.validationReporter = new ValidationReporter();
+    // Typing mode ({ enabled, delay, jitter }) for pages that only react to keyboard events
+    this.typing = null;
+    this.typedTypes = ['text', 'email', 'tel', 'url', 'search', 'password', 'textarea'];
+    // Field states from before each recent fill operation, newest last, for undo
+    this.undoSnapshots = [];
+    this.currentSnapshot = null;
     // Initialize fake data generator for Fake Filler functionality
     this.fakeDataGenerator = new FakeDataGenerator();
+    // The made-up person every generated value of the current operation describes
+    this.persona = null;
+    this.constraintSolver = new ConstraintSolver(this.fakeDataGenerator);
+    this.optionMatcher = new OptionMatcher();
+    this.datePickers = new DatePickerAdapter();
+    this.enhancedSelects = new EnhancedSelectAdapter();
+    this.inputMasks = new InputMaskAdapter();
   }
 
   async fillField(fieldDescriptor, userData) {
     try {
-      const field = fieldDescriptor.element;
-      const type = fieldDescriptor.type;
-      
       // Skip if field is not fillable
       if (!fieldDescriptor.fillable) {
         this.errors.push(`Cannot fill field: ${fieldDescriptor.reason}`);
         return false;
       }
 
+      if (fieldDescriptor.splitGroup) {
+        return await this.fillSplitSegment(fieldDescriptor, () => this.getSplitGroupUserValue(fieldDescriptor.splitGroup, userData));
+      }
+
       // Get appropriate value for this field
       const value = this.fieldMapper.mapValueToField(fieldDescriptor, userData);
       
@@ -26,18 +48,7 @@ class FormFiller {
         return false;
       }
 
-      // Fill based on field type
-      const success = await this.fillByType(field, type, value);
-      
-      if (success) {
-        this.addVisualFeedback(field, 'filled');
-        this.filledFields.push(fieldDescriptor);
-        
-        // Trigger events to notify frameworks
-        this.triggerFieldEvents(field, type);
-      }
-      
-      return success;
+      return await this.writeFieldValue(fieldDescriptor, value);
     } catch (error) {
       this.errors.push(`Error filling field ${fieldDescriptor.name}: ${error.message}`);
       this.addVisualFeedback(fieldDescriptor.element, 'error');
@@ -45,7 +56,51 @@ class FormFiller {
     }
   }
 
-  async fillByType(field, type, value) {
+  // Fill based on field type, then trigger events to notify frameworks and make sure they kept the value
+  async writeFieldValue(fieldDescriptor, value, options = {}) {
+    const field = fieldDescriptor.element;
+    const type = fieldDescriptor.type;
+    
+    this.rememberFieldState(field, type);
+    const previousValue = this.valueSetter.readValue(field);
+    const success = await this.fillFieldElement(fieldDescriptor, value, options);
+    
+    if (!success || !await this.commitFieldValue(fieldDescriptor, previousValue)) {
+      return false;
+    }
+    
+    this.addVisualFeedback(field, 'filled');
+    this.filledFields.push(fieldDescriptor);
+    return true;
+  }
+
+  // Controls that a select or date picker library took over are filled through the library's widget
+  async fillFieldElement(fieldDescriptor, value, options = {}) {
+    const field = fieldDescriptor.element;
+    const widget = this.enhancedSelects.getWidget(field);
+    if (widget) {
+      return this.fillEnhancedSelect(widget, value, options);
+    }
+    
+    const dateInput = this.datePickers.getDateInput(fieldDescriptor);
+    if (dateInput) {
+      return this.fillDatePickerInput(field, fieldDescriptor.type, dateInput, value, options);
+    }
+    
+    return this.fillByType(field, fieldDescriptor.type, value, options);
+  }
+
+  async fillByType(field, type, value, options = {}) {
+    const mask = this.inputMasks.getMask(field);
+    if (mask) {
+      return this.fillMaskedInput(field, type, mask, value);
+    }
+    
+    if (this.shouldType(type)) {
+      await this.valueSetter.typeText(field, value, this.typing);
+      return true;
+    }
+
     switch (type) {
       case 'text':
       case 'email':
@@ -75,7 +130,7 @@ class FormFiller {
         return this.fillTextarea(field, value);
         
       case 'select-one':
-        return this.fillSelectOne(field, value);
+        return this.fillSelectOne(field, value, options);
         
       case 'select-multiple':
         return this.fillSelectMultiple(field, value);
@@ -86,18 +141,93 @@ class FormFiller {
       case 'radio':
         return this.fillRadio(field, value);
         
+      case 'contenteditable':
+        return this.fillContentEditable(field, value);
+        
+      case 'aria-switch':
+      case 'aria-checkbox':
+        return this.fillAriaToggle(field, value);
+        
+      case 'aria-radiogroup':
+        return this.fillAriaRadioGroup(field, value, options);
+        
+      case 'aria-listbox':
+        return this.fillAriaListbox(field, value, options);
+        
+      case 'aria-combobox':
+        return this.fillAriaCombobox(field, value, options);
+        
       default:
         console.warn(`Unsupported field type: ${type}`);
         return false;
     }
   }
 
+  // Text fields holding a date get it in the format the page expects, through the picker's own
+  // API where it has one so the calendar agrees with the input
+  async fillDatePickerInput(field, type, dateInput, value, options = {}) {
+    const isoDate = this.datePickers.toIsoDate(value);
+    if (!isoDate) {
+      return false;
+    }
+    
+    if (await this.datePickers.setThroughLibrary(field, dateInput.library, isoDate)) {
+      return true;
+    }
+    
+    const formatted = this.datePickers.format(isoDate, dateInput.format, dateInput.lang);
+    if (!await this.fillByType(field, type, formatted, options)) {
+      return false;
+    }
+    
+    this.datePickers.notifyLibrary(field, dateInput.library);
+    return true;
+  }
+
+  // A mask reformats as each key arrives, so a value written in one go loses characters to literals it
+  // did not expect. It gets the characters a user would type, and what it shows is checked afterwards.
+  async fillMaskedInput(field, type, mask, value) {
+    const raw = this.inputMasks.toRawValue(value, mask);
+    if (!raw) {
+      return false;
+    }
+    
+    const formatted = this.inputMasks.format(raw, mask);
+    
+    await this.valueSetter.typeText(field, raw, this.shouldType(type) ? this.typing : { delay: 0, jitter: 0 });
+    // Nothing laid the characters out: no mask is running and the template was only a hint
+    if (field.value === raw && formatted !== raw) {
+      this.valueSetter.setValue(field, formatted);
+      this.valueSetter.dispatchValueEvents(field, formatted);
+    }
+    if (this.inputMasks.showsValue(field.value, raw, mask)) {
+      return true;
+    }
+    
+    // Cleave.js and ngx-mask format the whole value on every input event; some masks only keep a
+    // value already laid out in their template
+    for (const attempt of [raw, formatted]) {
+      this.valueSetter.setValue(field, attempt);
+      this.valueSetter.dispatchValueEvents(field, attempt);
+      if (this.inputMasks.showsValue(field.value, raw, mask)) {
+        return true;
+      }
+    }
+    
+    this.errors.push(`The input mask on ${field.name || field.id || 'a field'} shows "${field.value}" instead of "${formatted}"`);
+    return false;
+  }
+
+  shouldType(type) {
+    return Boolean(this.typing && this.typing.enabled) && this.typedTypes.includes(type);
+  }
+
   fillTextInput(field, value) {
     if (typeof value !== 'string') {
       value = String(value);
     }
     
-    field.value = value;
+    this.valueSetter.setValue(field, value);
     return true;
   }
 
@@ -108,7 +238,7 @@ class FormFiller {
       value = String(value);
     }
     
-    field.value = value;
+    this.valueSetter.setValue(field, value);
     return true;
   }
 
@@ -132,12 +262,14 @@ class FormFiller {
     if (field.step !== '' && field.step !== 'any') {
       const step = Number(field.step);
       const min = Number(field.min) || 0;
-      if ((numValue - min) % step !== 0) {
+      // Compare step counts with a tolerance; float remainders of 0.1-style steps are never exactly 0
+      const steps = (numValue - min) / step;
+      if (Math.abs(steps - Math.round(steps)) > 1e-9) {
         return false;
       }
     }
     
-    field.value = numValue.toString();
+    this.valueSetter.setValue(field, numValue.toString());
     return true;
   }
 
@@ -182,7 +314,7 @@ class FormFiller {
         return false;
     }
     
-    field.value = formattedValue;
+    this.valueSetter.setValue(field, formattedValue);
     return true;
   }
 
@@ -192,7 +324,7 @@ class FormFiller {
       return false;
     }
     
-    field.value = value.toLowerCase();
+    this.valueSetter.setValue(field, value.toLowerCase());
     return true;
   }
 
@@ -206,15 +338,32 @@ class FormFiller {
       value = value.substring(0, field.maxLength);
     }
     
-    field.value = value;
+    this.valueSetter.setValue(field, value);
     return true;
   }
 
-  fillSelectOne(field, value) {
-    // Try to find matching option by value first, then by text
-    const option = this.findMatchingOption(field, value);
+  async fillSelectOne(field, value, options = {}) {
+    // A dependant (state after country) may still be loading the options for its parent's new value
+    const timeout = options.timeout || EXTENSION_CONSTANTS.TIMEOUTS.DEPENDENT_OPTIONS;
+    if (!await this.dependentSelects.waitForOptions(field, timeout)) {
+      this.errors.push(`Options for ${field.name || field.id || 'select'} did not load within ${timeout}ms`);
+      return false;
+    }
+    
+    let option = this.findMatchingOption(field, value);
+    
+    // Fake data rarely matches a page's own option list, so any real option will do
+    if (!option && options.allowAnyOption) {
+      const usable = this.dependentSelects.getUsableOptions(field);
+      if (usable.length > 0) {
+        const element = this.fakeDataGenerator.randomChoice(usable);
+        option = { element, index: element.index };
+      }
+    }
     
     if (option) {
+      // Pages reload dependants on every change event, even when the selection stays the same
+      this.dependentSelects.recordChange(field);
       field.selectedIndex = option.index;
       return true;
     }
@@ -256,19 +405,20 @@ class FormFiller {
       shouldCheck = this.shouldCheckBox(field, value);
     }
     
-    field.checked = shouldCheck;
+    this.valueSetter.setChecked(field, shouldCheck);
     return true;
   }
 
   fillRadio(field, value) {
-    // Radio buttons in the same group (same name) should be handled together
-    const radioGroup = document.querySelectorAll(`input[type="radio"][name="${field.name}"]`);
+    // Radio buttons in the same group (same name) should be handled together; undo snapshots
+    // capture the same group
+    const radioGroup = this.getRadioGroup(field);
     
     // Try to find matching radio button by value or label
     for (const radio of radioGroup) {
       if (radio.value === value || 
           this.getFieldLabel(radio).toLowerCase().includes(String(value).toLowerCase())) {
-        radio.checked = true;
+        this.valueSetter.setChecked(radio, true);
         return true;
       }
     }
@@ -276,38 +426,474 @@ class FormFiller {
     return false;
   }
 
-  findMatchingOption(selectField, value) {
-    const options = Array.from(selectField.options);
+  fillContentEditable(field, value) {
+    if (typeof value !== 'string') {
+      value = String(value);
+    }
+    
+    const doc = field.ownerDocument || document;
+    
+    field.focus();
+    this.selectEditableContents(field);
+    
+    // execCommand produces trusted beforeinput/input events, which is what
+    // Quill, ProseMirror, Draft.js and CKEditor use to update their models
+    let inserted = false;
+    try {
+      inserted = doc.execCommand('insertText', false, value);
+    } catch (error) {
+      inserted = false;
+    }
+    
+    if (inserted && this.normalizeEditableText(field.textContent) === this.normalizeEditableText(value)) {
+      return true;
+    }
+    
+    // Fall back to a synthetic beforeinput; editors that handle it cancel the event
+    // and apply the change themselves, otherwise we edit the DOM directly
+    const beforeInput = new InputEvent('beforeinput', {
+      bubbles: true,
+      cancelable: true,
+      inputType: 'insertText',
+      data: value
+    });
+    
+    if (field.dispatchEvent(beforeInput)) {
+      field.textContent = value;
+    }
+    
+    field.dispatchEvent(new InputEvent('input', {
+      bubbles: true,
+      inputType: 'insertText',
+      data: value
+    }));
+    
+    return true;
+  }
+
+  clearContentEditable(field) {
+    const doc = field.ownerDocument || document;
+    
+    field.focus();
+    this.selectEditableContents(field);
+    
+    let deleted = false;
+    try {
+      deleted = doc.execCommand('delete', false);
+    } catch (error) {
+      deleted = false;
+    }
+    
+    if (deleted && this.normalizeEditableText(field.textContent) === '') {
+      return true;
+    }
+    
+    const beforeInput = new InputEvent('beforeinput', {
+      bubbles: true,
+      cancelable: true,
+      inputType: 'deleteContentBackward'
+    });
+    
+    if (field.dispatchEvent(beforeInput)) {
+      field.textContent = '';
+    }
+    
+    field.dispatchEvent(new InputEvent('input', {
+      bubbles: true,
+      inputType: 'deleteContentBackward'
+    }));
+    
+    return true;
+  }
+
+  selectEditableContents(field) {
+    const doc = field.ownerDocument || document;
+    const selection = (doc.defaultView || window).getSelection();
+    
+    if (!selection) {
+      return;
+    }
+    
+    const range = doc.createRange();
+    range.selectNodeContents(field);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  normalizeEditableText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  async fillAriaToggle(field, value, timeout = EXTENSION_CONSTANTS.TIMEOUTS.ARIA_TOGGLE) {
+    const shouldCheck = typeof value === 'boolean' ? value : this.shouldCheckBox(field, value);
+    const isChecked = () => field.getAttribute('aria-checked') === 'true';
+    
+    if (isChecked() === shouldCheck) {
+      return true;
+    }
+    
+    // Try a pointer click first, then the keyboard activation every toggle must support.
+    // React batches, Vue's nextTick and store round-trips flip aria-checked late; pressing
+    // Space before the click lands would toggle the widget straight back.
+    this.simulatePointerClick(field);
+    if (await this.waitForCondition(() => isChecked() === shouldCheck, timeout)) {
+      return true;
+    }
+    
+    field.focus();
+    this.simulateKeyPress(field, ' ');
+    return this.waitForCondition(() => isChecked() === shouldCheck, timeout);
+  }
+
+  async fillAriaRadioGroup(field, value, options = {}) {
+    const radios = this.getAriaItems(field, 'radio');
+    const radio = this.pickAriaItem(radios, value, options.allowAnyOption);
+    
+    if (!radio) {
+      return false;
+    }
+    
+    const isChecked = () => radio.getAttribute('aria-checked') === 'true';
+    
+    this.simulatePointerClick(radio);
+    await this.waitForUpdate();
     
-    // First try exact value match
-    for (let i = 0; i < options.length; i++) {
-      if (options[i].value === value) {
-        return { element: options[i], index: i };
+    if (!isChecked()) {
+      radio.focus();
+      this.simulateKeyPress(radio, ' ');
+      await this.waitForUpdate();
+    }
+    
+    return isChecked();
+  }
+
+  async fillAriaListbox(field, value, options = {}) {
+    const items = this.getAriaItems(field, 'option');
+    const item = this.pickAriaItem(items, value, options.allowAnyOption);
+    
+    if (!item) {
+      return false;
+    }
+    
+    return this.selectAriaOption(field, items, item);
+  }
+
+  async fillAriaCombobox(field, value, options = {}) {
+    const isExpanded = () => field.getAttribute('aria-expanded') === 'true';
+    
+    // Open the popup: pointer first (MUI listens to mousedown, Radix to pointerdown), then keyboard
+    if (!isExpanded()) {
+      this.simulatePointerClick(field);
+      await this.waitForUpdate();
+    }
+    
+    if (!isExpanded()) {
+      field.focus();
+      this.simulateKeyPress(field, 'ArrowDown');
+      await this.waitForUpdate();
+    }
+    
+    const items = await this.waitForAriaOptions(field, options.timeout || 1000);
+    const item = this.pickAriaItem(items, value, options.allowAnyOption);
+    
+    if (!item) {
+      // Leave the page as we found it
+      if (isExpanded()) {
+        this.simulateKeyPress(field, 'Escape');
+      }
+      return false;
+    }
+    
+    const itemLabel = this.getAriaItemLabel(item);
+    const selected = await this.selectAriaOption(field, items, item, () =>
+      this.normalizeEditableText(field.textContent).includes(itemLabel)
+    );
+    
+    if (isExpanded()) {
+      this.simulateKeyPress(field, 'Escape');
+    }
+    
+    return selected;
+  }
+
+  // Select2, Choices.js, Tom Select and react-select: open, filter and pick the way a user would
+  async fillEnhancedSelect(widget, value, options = {}) {
+    const values = (Array.isArray(value) ? value : [value])
+      .filter(entry => entry !== null && entry !== undefined && entry !== '');
+    let picked = 0;
+    
+    for (const wanted of widget.multiple ? values : values.slice(0, 1)) {
+      if (await this.pickEnhancedOption(widget, wanted, options)) {
+        picked++;
+      }
+    }
+    
+    this.closeEnhancedSelect(widget);
+    return picked > 0;
+  }
+
+  async pickEnhancedOption(widget, value, options = {}) {
+    const adapter = this.enhancedSelects;
+    const timeout = options.timeout || 1000;
+    await this.openEnhancedSelect(widget);
+    
+    // The whole list first; remote and long lists only offer the match once the user types
+    let option = this.pickEnhancedItem(adapter.getOptions(widget), value);
+    const search = adapter.getSearchInput(widget);
+    if (!option && search) {
+      await this.typeEnhancedSearch(search, String(value));
+      option = this.pickEnhancedItem(await this.waitForEnhancedOptions(widget, timeout), value);
+    }
+    
+    // Tag inputs turn what was typed into a new item
+    if (!option && widget.creates && search) {
+      this.simulateKeyPress(search, 'Enter');
+      await this.waitForUpdate();
+      const wanted = String(value).toLowerCase();
+      return adapter.getSelectedLabels(widget).some(label => label.toLowerCase().includes(wanted));
+    }
+    
+    // Fake data rarely matches a widget's option list, so any real option will do
+    if (!option && options.allowAnyOption) {
+      if (search && search.value) {
+        await this.typeEnhancedSearch(search, '');
+      }
+      const available = await this.waitForEnhancedOptions(widget, timeout);
+      option = available.length > 0 ? this.fakeDataGenerator.randomChoice(available) : null;
+    }
+    
+    if (!option) {
+      return false;
+    }
+    
+    this.simulatePointerClick(option.element);
+    await this.waitForUpdate();
+    
+    const synced = adapter.syncNativeSelect(widget, option, (select, wanted) => this.findMatchingOption(select, wanted));
+    return adapter.isSelected(widget, option) || synced;
+  }
+
+  pickEnhancedItem(options, value) {
+    const index = this.optionMatcher.findBestIndex(options, value);
+    return index === -1 ? null : options[index];
+  }
+
+  async openEnhancedSelect(widget) {
+    const adapter = this.enhancedSelects;
+    if (adapter.getOptions(widget).length > 0) {
+      return;
+    }
+    
+    // Select2 and react-select open on mousedown, Choices.js and Tom Select on click
+    const control = adapter.getControl(widget);
+    this.simulatePointerClick(control);
+    await this.waitForUpdate();
+    
+    if (adapter.getOptions(widget).length === 0) {
+      const target = adapter.getSearchInput(widget) || control;
+      target.focus();
+      this.simulateKeyPress(target, 'ArrowDown');
+      await this.waitForUpdate();
+    }
+  }
+
+  async typeEnhancedSearch(search, text) {
+    search.focus();
+    this.valueSetter.setValue(search, text);
+    search.dispatchEvent(this.valueSetter.createInputEvent('input', { inputType: 'insertText', data: text }));
+    // Choices.js filters on keyup rather than input
+    search.dispatchEvent(new KeyboardEvent('keyup', { key: text.slice(-1) || 'Backspace', bubbles: true }));
+    await this.waitForUpdate();
+  }
+
+  async waitForEnhancedOptions(widget, timeout) {
+    const start = Date.now();
+    
+    while (Date.now() - start < timeout) {
+      const options = this.enhancedSelects.getOptions(widget);
+      if (options.length > 0) {
+        return options;
+      }
+      await this.waitForUpdate();
+    }
+    
+    return [];
+  }
+
+  closeEnhancedSelect(widget) {
+    const adapter = this.enhancedSelects;
+    if (adapter.getOptions(widget).length > 0) {
+      this.simulateKeyPress(adapter.getSearchInput(widget) || adapter.getControl(widget), 'Escape');
+    }
+  }
+
+  async selectAriaOption(widget, items, item, isApplied = () => false) {
+    const isSelected = () => item.getAttribute('aria-selected') === 'true' ||
+                             item.getAttribute('aria-checked') === 'true' ||
+                             isApplied();
+    
+    this.simulatePointerClick(item);
+    await this.waitForUpdate();
+    
+    if (isSelected()) {
+      return true;
+    }
+    
+    // Keyboard fallback: walk the active option down to the target, then commit
+    widget.focus();
+    this.simulateKeyPress(widget, 'Home');
+    for (let i = 0; i < items.indexOf(item); i++) {
+      this.simulateKeyPress(widget, 'ArrowDown');
+    }
+    this.simulateKeyPress(widget, 'Enter');
+    await this.waitForUpdate();
+    
+    return isSelected();
+  }
+
+  getAriaItems(container, role) {
+    const items = Array.from(container.querySelectorAll(`[role="${role}"]`));
+    
+    // Items can also be attached through aria-owns
+    const owns = (container.getAttribute('aria-owns') || '').split(/\s+/).filter(Boolean);
+    const root = container.getRootNode ? container.getRootNode() : document;
+    owns.forEach(id => {
+      const owned = root.getElementById ? root.getElementById(id) : document.getElementById(id);
+      if (owned && owned.getAttribute('role') === role && !items.includes(owned)) {
+        items.push(owned);
+      }
+    });
+    
+    return items.filter(item => item.getAttribute('aria-disabled') !== 'true');
+  }
+
+  getAriaPopup(combobox) {
+    const root = combobox.getRootNode ? combobox.getRootNode() : document;
+    const ids = `${combobox.getAttribute('aria-controls') || ''} ${combobox.getAttribute('aria-owns') || ''}`
+      .split(/\s+/)
+      .filter(Boolean);
+    
+    for (const id of ids) {
+      const popup = root.getElementById ? root.getElementById(id) : document.getElementById(id);
+      if (popup) {
+        return popup;
       }
     }
     
-    // Then try exact text match
-    for (let i = 0; i < options.length; i++) {
-      if (options[i].text === value) {
-        return { element: options[i], index: i };
+    // Some libraries portal the listbox without linking it; take the visible one
+    return Array.from(document.querySelectorAll('[role="listbox"]'))
+      .find(listbox => listbox.offsetParent !== null) || null;
+  }
+
+  async waitForAriaOptions(combobox, timeout) {
+    const start = Date.now();
+    
+    while (Date.now() - start < timeout) {
+      const popup = this.getAriaPopup(combobox);
+      const items = popup ? this.getAriaItems(popup, 'option') : [];
+      if (items.length > 0) {
+        return items;
+      }
+      await this.waitForUpdate();
+    }
+    
+    return [];
+  }
+
+  pickAriaItem(items, value, allowAnyOption = false) {
+    if (items.length === 0) {
+      return null;
+    }
+    
+    const index = this.optionMatcher.findBestIndex(items.map(item => ({
+      value: item.getAttribute('data-value'),
+      text: this.getAriaItemLabel(item),
+      disabled: item.getAttribute('aria-disabled') === 'true'
+    })), value);
+    if (index !== -1) {
+      return items[index];
+    }
+    
+    // Fake data rarely matches a widget's option list, so any real option will do
+    return allowAnyOption ? this.fakeDataGenerator.randomChoice(items) : null;
+  }
+
+  getAriaItemLabel(item) {
+    return this.normalizeEditableText(item.getAttribute('aria-label') || item.textContent);
+  }
+
+  simulatePointerClick(element) {
+    const PointerEventClass = typeof PointerEvent === 'function' ? PointerEvent : MouseEvent;
+    const init = { bubbles: true, cancelable: true, composed: true, button: 0 };
+    
+    element.dispatchEvent(new PointerEventClass('pointerdown', init));
+    element.dispatchEvent(new MouseEvent('mousedown', init));
+    element.dispatchEvent(new PointerEventClass('pointerup', init));
+    element.dispatchEvent(new MouseEvent('mouseup', init));
+    
+    // Widgets rendered as <button> default to type="submit"; clicking one must not submit its form
+    const form = element.form;
+    const blockSubmit = (event) => event.preventDefault();
+    if (form && element.type === 'submit') {
+      form.addEventListener('submit', blockSubmit, true);
+    }
+    
+    try {
+      element.dispatchEvent(new MouseEvent('click', init));
+    } finally {
+      if (form) {
+        form.removeEventListener('submit', blockSubmit, true);
       }
     }
+  }
+
+  simulateKeyPress(element, key) {
+    // Choices.js, Tom Select and jQuery plugins still read the legacy keyCode
+    const keyCode = { Enter: 13, Escape: 27, ' ': 32, Home: 36, ArrowUp: 38, ArrowDown: 40 }[key] || 0;
+    const init = { key, code: key === ' ' ? 'Space' : key, keyCode, which: keyCode, bubbles: true, cancelable: true, composed: true };
+    
+    element.dispatchEvent(new KeyboardEvent('keydown', init));
+    element.dispatchEvent(new KeyboardEvent('keyup', init));
+  }
+
+  waitForUpdate(ms = 30) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async waitForCondition(condition, timeout) {
+    const start = Date.now();
     
-    // Finally try partial text match (case insensitive)
-    const valueStr = String(value).toLowerCase();
-    for (let i = 0; i < options.length; i++) {
-      if (options[i].text.toLowerCase().includes(valueStr)) {
-        return { element: options[i], index: i };
+    while (!condition()) {
+      if (Date.now() - start >= timeout) {
+        return false;
       }
+      await this.waitForUpdate();
     }
     
-    return null;
+    return true;
+  }
+
+  // Used between fill passes so selects enabled by a parent's new value are detected as fillable
+  waitForDependentSelects(timeout = EXTENSION_CONSTANTS.TIMEOUTS.DEPENDENT_OPTIONS) {
+    return this.dependentSelects.waitForPendingLoads(timeout);
+  }
+
+  // Scored match: codes, synonyms, diacritics and typos all resolve ("USA" → "United States")
+  findMatchingOption(selectField, value) {
+    const options = Array.from(selectField.options);
+    const index = this.optionMatcher.findBestIndex(options.map(option => ({
+      value: option.value,
+      text: option.text,
+      disabled: option.disabled
+    })), value);
+    
+    return index === -1 ? null : { element: options[index], index };
   }
 
   shouldCheckBox(field, value) {
     // Logic to determine if checkbox should be checked based on field context
     const label = this.getFieldLabel(field).toLowerCase();
-    const fieldValue = field.value.toLowerCase();
+    const fieldValue = String(field.value || '').toLowerCase();
     const checkValue = String(value).toLowerCase();
     
     // Check if value indicates positive intent
@@ -349,28 +935,199 @@ class FormFiller {
     return label;
   }
 
-  triggerFieldEvents(field, type) {
-    // Trigger appropriate events to notify frameworks and validation
-    const events = ['input', 'change'];
+  async commitFieldValue(fieldDescriptor, previousValue) {
+    const field = fieldDescriptor.element;
+    const type = fieldDescriptor.type;
+    // Radios are checked on a sibling of the descriptor's element, so only its group knows the result
+    const verifiable = ['INPUT', 'TEXTAREA', 'SELECT'].includes(field.tagName) && !['radio', 'select-multiple'].includes(type);
+    const expected = verifiable ? this.valueSetter.readValue(field) : null;
     
-    events.forEach(eventType => {
-      const event = new Event(eventType, {
-        bubbles: true,
-        cancelable: true
-      });
-      
-      field.dispatchEvent(event);
-    });
+    this.triggerFieldEvents(field, type);
     
-    // Trigger focus and blur to simulate user interaction
-    field.dispatchEvent(new Event('focus', { bubbles: true }));
+    if (!verifiable) {
+      return true;
+    }
     
-    // Use setTimeout to simulate realistic user interaction timing
-    setTimeout(() => {
+    this.valueSetter.commitOnBlur(field);
+    const { kept } = await this.valueSetter.ensureValue(field, expected, previousValue);
+    
+    if (!kept) {
+      const framework = this.valueSetter.getFramework(field);
+      this.errors.push(`The page reset ${fieldDescriptor.name || fieldDescriptor.id || 'a field'} after filling${framework ? ` (${framework})` : ''}`);
+      this.addVisualFeedback(field, 'error');
+    }
+    
+    return kept;
+  }
+
+  triggerFieldEvents(field, type) {
+    // Editors, ARIA widgets, typed and masked fields already received real interaction events while being filled
+    if (type === 'contenteditable' || type.startsWith('aria-') || this.shouldType(type) || this.inputMasks.getMask(field)) {
+      setTimeout(() => {
+        field.dispatchEvent(new Event('blur', { bubbles: true }));
+      }, 50);
+      return;
+    }
+    
+    // Trigger appropriate events to notify frameworks and validation
+    this.valueSetter.dispatchValueEvents(field, field.value);
+    
+    // Trigger focus and blur to simulate user interaction
+    field.dispatchEvent(new Event('focus', { bubbles: true }));
+    
+    // Use setTimeout to simulate realistic user interaction timing
+    setTimeout(() => {
       field.dispatchEvent(new Event('blur', { bubbles: true }));
     }, 50);
   }
 
+  // Split fields: one value typed across adjacent segments (phone boxes, day/month/year selects)
+  async fillSplitSegment(fieldDescriptor, resolveGroupValue) {
+    const group = fieldDescriptor.splitGroup;
+    const field = fieldDescriptor.element;
+    
+    if (!this.splitGroupValues.has(group.id)) {
+      this.splitGroupValues.set(group.id, this.splitGroupValue(group, resolveGroupValue()));
+    }
+    
+    const parts = this.splitGroupValues.get(group.id);
+    if (!parts) {
+      return false;
+    }
+    
+    const value = parts[fieldDescriptor.splitIndex];
+    const segment = group.segments[fieldDescriptor.splitIndex];
+    
+    this.rememberFieldState(field, fieldDescriptor.type);
+    field.focus();
+    const success = fieldDescriptor.type === 'select-one'
+      ? this.fillSplitSelect(field, value, segment.part)
+      : this.fillTextInput(field, value);
+    
+    if (!success) {
+      return false;
+    }
+    
+    this.addVisualFeedback(field, 'filled');
+    this.filledFields.push(fieldDescriptor);
+    this.triggerFieldEvents(field, fieldDescriptor.type);
+    field.dispatchEvent(new KeyboardEvent('keyup', { key: value.slice(-1), bubbles: true }));
+    
+    // Sites usually jump to the next box once one is full; do it ourselves if they did not
+    const next = group.elements[fieldDescriptor.splitIndex + 1];
+    if (next && document.activeElement === field) {
+      next.focus();
+    }
+    
+    return true;
+  }
+
+  splitGroupValue(group, rawValue) {
+    if (rawValue === null || rawValue === undefined || rawValue === '') {
+      return null;
+    }
+    
+    if (['date', 'birthDate', 'expiry'].includes(group.kind)) {
+      const match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(String(rawValue));
+      if (!match) {
+        return null;
+      }
+      
+      const date = {
+        year: match[1],
+        month: match[2].padStart(2, '0'),
+        day: match[3].padStart(2, '0')
+      };
+      
+      return group.segments.map(segment =>
+        segment.part === 'year' && segment.length === 2 ? date.year.slice(-2) : date[segment.part]
+      );
+    }
+    
+    // Digit groups: drop formatting and any leading country code that does not fit
+    const total = group.segments.reduce((sum, segment) => sum + segment.length, 0);
+    const digits = String(rawValue).replace(/\D/g, '').slice(-total);
+    if (digits.length < total) {
+      return null;
+    }
+    
+    let offset = 0;
+    return group.segments.map(segment => {
+      const part = digits.slice(offset, offset + segment.length);
+      offset += segment.length;
+      return part;
+    });
+  }
+
+  generateSplitGroupValue(group) {
+    const total = group.segments.reduce((sum, segment) => sum + (segment.length || 0), 0);
+    
+    switch (group.kind) {
+      case 'phone': {
+        // Built from its parts so the area code and exchange stay valid once split
+        const persona = this.getPersona();
+        const national = [persona.phoneAreaCode, persona.phoneLocalPrefix, persona.phoneLocalSuffix].join('');
+        return total > national.length ? `1${national}` : national;
+      }
+      case 'ssn':
+        return this.fakeDataGenerator.generateSSN();
+      case 'card':
+        return this.fakeDataGenerator.generateCreditCardNumber(total);
+      case 'birthDate':
+        return this.getPersona().birthDate;
+      case 'expiry':
+        return `${this.fakeDataGenerator.generateCardExpiryYear()}-${this.fakeDataGenerator.generateCardExpiryMonth()}-01`;
+      default:
+        return this.fakeDataGenerator.generateDate();
+    }
+  }
+
+  getSplitGroupUserValue(group, userData) {
+    const personal = (userData && userData.personal) || {};
+    
+    switch (group.kind) {
+      case 'phone':
+        return personal.phone || null;
+      case 'birthDate':
+      case 'date':
+        return personal.dateOfBirth || null;
+      default:
+        // Card numbers and SSNs are never part of stored user data
+        return null;
+    }
+  }
+
+  fillSplitSelect(field, value, part) {
+    const number = String(Number(value));
+    const candidates = [value, number];
+    
+    if (part === 'month') {
+      const date = new Date(2000, Number(value) - 1, 1);
+      candidates.push(
+        date.toLocaleString('en-US', { month: 'long' }),
+        date.toLocaleString('en-US', { month: 'short' })
+      );
+    } else if (part === 'year' && value.length === 4) {
+      candidates.push(value.slice(-2));
+    }
+    
+    // Exact value or label only; partial matching would turn "5" into "15"
+    const options = Array.from(field.options);
+    for (const candidate of candidates) {
+      const wanted = candidate.toLowerCase();
+      const index = options.findIndex(option =>
+        option.value.toLowerCase() === wanted || option.text.trim().toLowerCase() === wanted
+      );
+      
+      if (index !== -1) {
+        field.selectedIndex = index;
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
   addVisualFeedback(field, status) {
     // Remove existing feedback classes
     field.classList.remove('form-fill-success', 'form-fill-error', 'form-fill-processing');
@@ -400,17 +1157,27 @@ class FormFiller {
   }
 
   async fillAllFields(fieldDescriptors, userData, options = {}) {
+    return this.fillEach(fieldDescriptors, fieldDescriptor => this.fillField(fieldDescriptor, userData), options);
+  }
+
+  // Shared by every fill mode: parent selects first, feedback and progress per field
+  async fillEach(fieldDescriptors, fillOne, options = {}) {
     const { 
       delay = 50, 
       skipErrors = true, 
       onProgress = null,
-      onFieldFilled = null 
+      onFieldFilled = null,
+      typing = null,
+      // Optional predicate limiting the fill to one form (see the content script's fill scopes)
+      scope = null
     } = options;
     
+    this.typing = typing;
     this.filledFields = [];
     this.errors = [];
+    this.splitGroupValues.clear();
     
-    const fillableFields = fieldDescriptors.filter(field => field.fillable);
+    const fillableFields = this.dependentSelects.orderFields(fieldDescriptors.filter(field => field.fillable && (!scope || scope(field))));
     let completedCount = 0;
     
     for (const fieldDescriptor of fillableFields) {
@@ -418,7 +1185,7 @@ class FormFiller {
         // Add processing visual feedback
         this.addVisualFeedback(fieldDescriptor.element, 'processing');
         
-        const success = await this.fillField(fieldDescriptor, userData);
+        const success = await fillOne(fieldDescriptor);
         
         if (success) {
           completedCount++;
@@ -465,6 +1232,24 @@ class FormFiller {
     };
   }
 
+  // A value can be assigned and still be rejected; read the verdict once blur handlers have run
+  async verifyFilledFields(fieldDescriptors, settleDelay = EXTENSION_CONSTANTS.TIMEOUTS.VALIDATION_SETTLE) {
+    if (settleDelay > 0) {
+      await new Promise(resolve => setTimeout(resolve, settleDelay));
+    }
+    
+    const rejected = [];
+    fieldDescriptors.forEach(fieldDescriptor => {
+      const report = this.validationReporter.inspect(fieldDescriptor);
+      if (report) {
+        rejected.push(report);
+        this.addVisualFeedback(fieldDescriptor.element, 'error');
+      }
+    });
+    
+    return { checked: fieldDescriptors.length, rejected };
+  }
+
   getWeekNumber(date) {
     const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
     const dayNum = d.getUTCDay() || 7;
@@ -495,11 +1280,201 @@ class FormFiller {
     this.errors = [];
   }
 
+  // Everything filled between begin and end is undone together; only the latest few operations are kept
+  beginUndoSnapshot(operationId = `local_${Date.now()}`) {
+    this.currentSnapshot = { operationId, states: new Map() };
+    this.undoSnapshots.push(this.currentSnapshot);
+    
+    if (this.undoSnapshots.length > EXTENSION_CONSTANTS.LIMITS.MAX_UNDO_OPERATIONS) {
+      this.undoSnapshots.shift();
+    }
+  }
+
+  endUndoSnapshot() {
+    const snapshot = this.currentSnapshot;
+    this.currentSnapshot = null;
+    
+    // Operations that touched nothing in this frame leave nothing to undo here
+    if (snapshot && snapshot.states.size === 0) {
+      this.undoSnapshots = this.undoSnapshots.filter(entry => entry !== snapshot);
+    }
+  }
+
+  // Only the state from before the operation first touched a field matters, not from later passes
+  rememberFieldState(field, type) {
+    const snapshot = this.currentSnapshot;
+    if (!snapshot || snapshot.states.has(field)) {
+      return;
+    }
+    
+    snapshot.states.set(field, this.captureFieldState(field, type));
+  }
+
+  // Radios group by name within their form, or among formless radios of the same document or
+  // shadow root; comparing the name property avoids building a selector from page-supplied names
+  getRadioGroup(radio) {
+    const candidates = radio.form ? radio.form.elements : radio.getRootNode().querySelectorAll('input[type="radio"]');
+    return Array.from(candidates).filter(candidate => candidate.type === 'radio' &&
+      candidate.name === radio.name && candidate.form === radio.form);
+  }
+
+  captureFieldState(field, type) {
+    switch (type) {
+      case 'checkbox':
+        return { type, checked: field.checked };
+        
+      case 'radio': {
+        // Checking one radio unchecks its siblings, so the whole group is kept
+        return { type, radios: this.getRadioGroup(field).map(radio => ({ radio, checked: radio.checked })) };
+      }
+        
+      case 'select-one':
+      case 'select-multiple':
+        return { type, selected: Array.from(field.options).filter(option => option.selected).map(option => option.value) };
+        
+      case 'contenteditable':
+        return { type, html: field.innerHTML };
+        
+      case 'aria-switch':
+      case 'aria-checkbox':
+        return { type, checked: field.getAttribute('aria-checked') === 'true' };
+        
+      case 'aria-radiogroup':
+      case 'aria-listbox': {
+        const items = this.getAriaItems(field, type === 'aria-radiogroup' ? 'radio' : 'option');
+        const item = items.find(candidate => candidate.getAttribute('aria-checked') === 'true' ||
+                                             candidate.getAttribute('aria-selected') === 'true');
+        return { type, item: item || null };
+      }
+        
+      default:
+        return { type, value: field.value };
+    }
+  }
+
+  // Put back the fields of the given (or latest) operation, in fill order so parent selects go first
+  async undoFill(operationId = null) {
+    const index = operationId
+      ? this.undoSnapshots.findIndex(snapshot => snapshot.operationId === operationId)
+      : this.undoSnapshots.length - 1;
+    
+    this.errors = [];
+    
+    if (index === -1) {
+      return { total: 0, restored: 0, errors: 0, success: false };
+    }
+    
+    const [snapshot] = this.undoSnapshots.splice(index, 1);
+    let restored = 0;
+    
+    for (const [field, state] of snapshot.states) {
+      const name = field.name || field.id || field.getAttribute('aria-label') || 'a field';
+      
+      if (!field.isConnected) {
+        this.errors.push(`Cannot restore ${name}: it is no longer on the page`);
+        continue;
+      }
+      
+      try {
+        if (await this.restoreFieldState(field, state)) {
+          restored++;
+          field.classList.remove('form-fill-success', 'form-fill-error', 'form-fill-processing');
+        } else {
+          this.errors.push(`Cannot restore ${name} to its previous state`);
+        }
+      } catch (error) {
+        this.errors.push(`Error restoring ${name}: ${error.message}`);
+      }
+    }
+    
+    return {
+      total: snapshot.states.size,
+      restored,
+      errors: this.errors.length,
+      success: restored > 0
+    };
+  }
+
+  async restoreFieldState(field, state) {
+    switch (state.type) {
+      case 'checkbox':
+        this.valueSetter.setChecked(field, state.checked);
+        this.valueSetter.dispatchValueEvents(field, field.checked);
+        return field.checked === state.checked;
+        
+      case 'radio':
+        state.radios.filter(({ checked }) => checked).forEach(({ radio }) => this.valueSetter.setChecked(radio, true));
+        // Clicking cannot uncheck a radio, so a group that had no choice is cleared directly
+        state.radios.filter(({ radio, checked }) => !checked && radio.checked).forEach(({ radio }) => {
+          this.valueSetter.setNativeChecked(radio, false);
+          this.valueSetter.dispatchValueEvents(radio, false);
+        });
+        return state.radios.every(({ radio, checked }) => radio.checked === checked);
+        
+      case 'select-one':
+      case 'select-multiple':
+        return this.restoreSelect(field, state);
+        
+      case 'contenteditable':
+        field.innerHTML = state.html;
+        field.dispatchEvent(this.valueSetter.createInputEvent('input', { inputType: 'historyUndo', data: null }));
+        return true;
+        
+      case 'aria-switch':
+      case 'aria-checkbox':
+        return this.fillAriaToggle(field, state.checked);
+        
+      case 'aria-radiogroup':
+      case 'aria-listbox': {
+        // A previous choice can be clicked again; "nothing chosen" cannot be recreated
+        if (!state.item || !state.item.isConnected) {
+          return false;
+        }
+        const items = this.getAriaItems(field, state.type === 'aria-radiogroup' ? 'radio' : 'option');
+        return this.selectAriaOption(field, items, state.item);
+      }
+        
+      case 'aria-combobox':
+        // The chosen option lives in page state the combobox only renders
+        return false;
+        
+      default:
+        this.valueSetter.setValue(field, state.value);
+        field.dispatchEvent(this.valueSetter.createInputEvent('input', { inputType: 'historyUndo', data: null }));
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+        this.valueSetter.commitOnBlur(field);
+        return field.value === state.value;
+    }
+  }
+
+  async restoreSelect(field, state) {
+    const hasPrevious = () => state.selected.every(value => Array.from(field.options).some(option => option.value === value));
+    
+    // A dependant gets its old options back only after its parent was restored
+    if (hasPrevious()) {
+      this.dependentSelects.forget(field);
+    } else {
+      await this.dependentSelects.waitForOptions(field, EXTENSION_CONSTANTS.TIMEOUTS.DEPENDENT_OPTIONS);
+    }
+    
+    this.dependentSelects.recordChange(field);
+    if (state.type === 'select-one') {
+      field.selectedIndex = Array.from(field.options).findIndex(option => state.selected.includes(option.value));
+    } else {
+      Array.from(field.options).forEach(option => {
+        option.selected = state.selected.includes(option.value);
+      });
+    }
+    
+    this.valueSetter.dispatchValueEvents(field, field.value);
+    this.valueSetter.commitOnBlur(field);
+    return hasPrevious();
+  }
+
   // Fake Filler functionality - fill field with fake data
   async fillFieldWithFakeData(fieldDescriptor) {
     try {
       const field = fieldDescriptor.element;
-      const type = fieldDescriptor.type;
       
       // Skip if field is not fillable
       if (!fieldDescriptor.fillable) {
@@ -507,25 +1482,18 @@ class FormFiller {
         return false;
       }
 
-      // Generate fake data based on field classification
-      const fakeValue = this.generateFakeDataForField(fieldDescriptor);
+      if (fieldDescriptor.splitGroup) {
+        return await this.fillSplitSegment(fieldDescriptor, () => this.generateSplitGroupValue(fieldDescriptor.splitGroup));
+      }
+
+      // Generate fake data based on field classification, then make it pass the field's validation attributes
+      const fakeValue = this.constraintSolver.solve(field, this.generateFakeDataForField(fieldDescriptor));
       
       if (fakeValue === null || fakeValue === undefined) {
         return false;
       }
 
-      // Fill based on field type
-      const success = await this.fillByType(field, type, fakeValue);
-      
-      if (success) {
-        this.addVisualFeedback(field, 'filled');
-        this.filledFields.push(fieldDescriptor);
-        
-        // Trigger events to notify frameworks
-        this.triggerFieldEvents(field, type);
-      }
-      
-      return success;
+      return await this.writeFieldValue(fieldDescriptor, fakeValue, { allowAnyOption: true });
     } catch (error) {
       this.errors.push(`Error filling field ${fieldDescriptor.name}: ${error.message}`);
       this.addVisualFeedback(fieldDescriptor.element, 'error');
@@ -536,10 +1504,14 @@ class FormFiller {
   generateFakeDataForField(fieldDescriptor) {
     const { category, fieldSubtype, type, name, placeholder } = fieldDescriptor;
     
+    if (type === 'aria-switch' || type === 'aria-checkbox') {
+      return this.fakeDataGenerator.generateBoolean();
+    }
+    
     // Use the enhanced classification to generate appropriate fake data
     switch (category) {
       case 'personal':
-        return this.generatePersonalData(fieldSubtype);
+        return this.generatePersonalData(fieldSubtype, fieldDescriptor);
       case 'address':
         return this.generateAddressData(fieldSubtype);
       case 'work':
@@ -560,63 +1532,129 @@ class FormFiller {
     }
   }
 
-  generatePersonalData(subtype) {
+  // Values after this follow from the seed; the service worker sends the same one, with its
+  // reference time, to every frame
+  setSeed(seed = null, referenceTime = null) {
+    return this.fakeDataGenerator.setSeed(seed, referenceTime);
+  }
+
+  // One fill operation describes one person; the service worker gives every frame of the page the same one
+  startPersona(persona = null) {
+    this.persona = persona || this.fakeDataGenerator.generatePersona();
+    return this.persona;
+  }
+
+  getPersona() {
+    return this.persona || this.startPersona();
+  }
+
+  generatePersonalData(subtype, fieldDescriptor = {}) {
+    const persona = this.getPersona();
+    
     switch (subtype) {
       case 'firstName':
-        return this.fakeDataGenerator.generateFirstName();
+      case 'nickname':
+        return persona.firstName;
+      case 'middleName':
+        return persona.middleName;
       case 'lastName':
-        return this.fakeDataGenerator.generateLastName();
+        return persona.lastName;
       case 'fullName':
-        return this.fakeDataGenerator.generateFullName();
+        return persona.fullName;
+      case 'honorificPrefix':
+        return persona.honorificPrefix;
+      case 'honorificSuffix':
+        return this.fakeDataGenerator.generateHonorificSuffix();
+      case 'sex':
+        return persona.sex;
+      case 'language':
+        return this.fakeDataGenerator.generateLanguage();
       case 'email':
-        return this.fakeDataGenerator.generateEmail();
+        return this.isWorkContact(fieldDescriptor) ? persona.workEmail : persona.email;
       case 'phone':
-        return this.fakeDataGenerator.generatePhoneNumber();
+        return persona.phone;
+      case 'phoneCountryCode':
+        return '+1';
+      case 'phoneNational':
+        return `${persona.phoneAreaCode}-${persona.phoneLocalPrefix}-${persona.phoneLocalSuffix}`;
+      case 'phoneAreaCode':
+        return persona.phoneAreaCode;
+      case 'phoneLocal':
+        return `${persona.phoneLocalPrefix}-${persona.phoneLocalSuffix}`;
+      case 'phoneLocalPrefix':
+        return persona.phoneLocalPrefix;
+      case 'phoneLocalSuffix':
+        return persona.phoneLocalSuffix;
+      case 'phoneExtension':
+        return this.fakeDataGenerator.generatePhoneExtension();
       case 'username':
-        return this.fakeDataGenerator.generateUsername();
+        return persona.username;
       case 'password':
-        return this.fakeDataGenerator.generatePassword();
+        // The same password goes into "confirm password"
+        return persona.password;
       default:
-        return this.fakeDataGenerator.generateFullName();
+        return persona.fullName;
     }
   }
 
+  // autocomplete="work email", or a label such as "Business email"
+  isWorkContact(fieldDescriptor) {
+    if (fieldDescriptor.autocomplete && fieldDescriptor.autocomplete.contactType === 'work') {
+      return true;
+    }
+    
+    const text = `${fieldDescriptor.name || ''} ${fieldDescriptor.id || ''} ${fieldDescriptor.label || ''}`;
+    return /(^|[^a-z])(work|business|company|office|corporate)[\s_-]*e-?mail/i.test(text);
+  }
+
   generateAddressData(subtype) {
+    const persona = this.getPersona();
+    
     switch (subtype) {
       case 'address1':
-        return this.fakeDataGenerator.generateStreetAddress();
+        return persona.streetAddress;
       case 'address2':
-        return Math.random() > 0.5 ? `Apt ${this.fakeDataGenerator.randomInt(1, 999)}` : '';
+        return this.fakeDataGenerator.generateBoolean() ? `Apt ${this.fakeDataGenerator.randomInt(1, 999)}` : '';
+      case 'address3':
+        return '';
       case 'city':
-        return this.fakeDataGenerator.generateCity();
+        return persona.city;
       case 'state':
-        return this.fakeDataGenerator.generateState();
+        return persona.state;
       case 'zipCode':
-        return this.fakeDataGenerator.generateZipCode();
+        return persona.zipCode;
       case 'country':
-        return this.fakeDataGenerator.generateCountry();
+        return persona.country;
+      case 'countryCode':
+        return persona.countryCode;
       default:
-        return this.fakeDataGenerator.generateStreetAddress();
+        return persona.streetAddress;
     }
   }
 
   generateWorkData(subtype) {
     switch (subtype) {
       case 'company':
-        return this.fakeDataGenerator.generateCompanyName();
+        return this.getPersona().company;
       case 'jobTitle':
-        return this.fakeDataGenerator.generateJobTitle();
+        return this.getPersona().jobTitle;
       default:
-        return this.fakeDataGenerator.generateCompanyName();
+        return this.getPersona().company;
     }
   }
 
   generateDateTimeData(subtype) {
     switch (subtype) {
       case 'birthDate':
-        return this.fakeDataGenerator.generateBirthDate();
+        return this.getPersona().birthDate;
       case 'date':
         return this.fakeDataGenerator.generateDate();
+      case 'birthDay':
+        return this.getPersona().birthDate.slice(8, 10);
+      case 'birthMonth':
+        return this.getPersona().birthDate.slice(5, 7);
+      case 'birthYear':
+        return this.getPersona().birthDate.slice(0, 4);
       case 'time':
         return this.fakeDataGenerator.generateTime();
       default:
@@ -627,11 +1665,13 @@ class FormFiller {
   generateNumberData(subtype) {
     switch (subtype) {
       case 'age':
-        return this.fakeDataGenerator.generateAge();
+        return this.getPersona().age;
       case 'price':
         return this.fakeDataGenerator.generatePrice();
       case 'quantity':
         return this.fakeDataGenerator.generateQuantity();
+      case 'oneTimeCode':
+        return this.fakeDataGenerator.generateOneTimeCode();
       default:
         return this.fakeDataGenerator.randomInt(1, 1000);
     }
@@ -643,6 +1683,8 @@ class FormFiller {
         return this.fakeDataGenerator.generateUrl();
       case 'color':
         return this.fakeDataGenerator.generateHexColor();
+      case 'impp':
+        return `xmpp:${this.getPersona().email}`;
       default:
         return this.fakeDataGenerator.generateUrl();
     }
@@ -652,6 +1694,24 @@ class FormFiller {
     switch (subtype) {
       case 'creditCard':
         return this.fakeDataGenerator.generateCreditCardNumber();
+      case 'cardName':
+        return this.getPersona().fullName;
+      case 'cardGivenName':
+        return this.getPersona().firstName;
+      case 'cardAdditionalName':
+        return this.getPersona().middleName;
+      case 'cardFamilyName':
+        return this.getPersona().lastName;
+      case 'cardExpiry':
+        return this.fakeDataGenerator.generateCardExpiry();
+      case 'cardExpiryMonth':
+        return this.fakeDataGenerator.generateCardExpiryMonth();
+      case 'cardExpiryYear':
+        return this.fakeDataGenerator.generateCardExpiryYear();
+      case 'cardType':
+        return this.fakeDataGenerator.generateCardType();
+      case 'currency':
+        return this.fakeDataGenerator.generateCurrency();
       case 'cvv':
         return this.fakeDataGenerator.generateCVV();
       case 'ssn':
@@ -674,68 +1734,162 @@ class FormFiller {
 
   // Fill all fields with fake data (Fake Filler main functionality)
   async fillAllFieldsWithFakeData(fieldDescriptors, options = {}) {
-    const { 
-      delay = 50, 
-      skipErrors = true, 
-      onProgress = null,
-      onFieldFilled = null 
-    } = options;
+    return this.fillEach(fieldDescriptors, fieldDescriptor => this.fillFieldWithFakeData(fieldDescriptor), options);
+  }
+
+  // Context menu: one field with a chosen profile value, or a chosen generator instead of its own classification
+  async fillSingleField(fieldDescriptor, { value = null, generator = null, ...options } = {}) {
+    return this.fillEach([fieldDescriptor], async descriptor => {
+      if (generator) {
+        return this.fillFieldWithFakeData({ ...descriptor, splitGroup: null, ...generator });
+      }
+      
+      if (value === null || value === undefined || value === '') {
+        this.errors.push(`No value to fill into ${descriptor.name || descriptor.id || 'the field'}`);
+        return false;
+      }
+      
+      return this.writeFieldValue(descriptor, value);
+    }, options);
+  }
+
+  // Dry run: the value each field would get from the profile (or the generator when there is
+  // no userData), without touching the page
+  planFill(fieldDescriptors, userData = null) {
+    this.splitGroupValues.clear();
     
-    this.filledFields = [];
-    this.errors = [];
+    const fields = this.dependentSelects.orderFields(fieldDescriptors.filter(field => field.fillable));
+    return fields.map(fieldDescriptor => this.planField(fieldDescriptor, userData));
+  }
+
+  planField(fieldDescriptor, userData) {
+    const field = fieldDescriptor.element;
+    const entry = {
+      fieldDescriptor,
+      value: null,
+      source: userData ? 'profile' : 'generator',
+      // Dependants' options only exist once their parent changed
+      dependant: fieldDescriptor.type === 'select-one' && this.dependentSelects.parents.has(field),
+      deferred: false,
+      include: true
+    };
     
-    const fillableFields = fieldDescriptors.filter(field => field.fillable);
-    let completedCount = 0;
+    if (fieldDescriptor.splitGroup) {
+      const group = fieldDescriptor.splitGroup;
+      if (!this.splitGroupValues.has(group.id)) {
+        const rawValue = userData ? this.getSplitGroupUserValue(group, userData) : this.generateSplitGroupValue(group);
+        this.splitGroupValues.set(group.id, this.splitGroupValue(group, rawValue));
+      }
+      const parts = this.splitGroupValues.get(group.id);
+      entry.value = parts ? parts[fieldDescriptor.splitIndex] : null;
+    } else if (userData) {
+      entry.value = this.fieldMapper.mapValueToField(fieldDescriptor, userData);
+      const path = this.fieldMapper.getDataPath(fieldDescriptor, userData);
+      entry.source = path ? `profile: ${path}` : 'no profile match';
+    } else if (entry.dependant || fieldDescriptor.type === 'aria-combobox') {
+      // Fake data gets whichever option loads (or the popup lists once opened)
+      entry.deferred = true;
+    } else {
+      entry.value = this.constraintSolver.solve(field, this.generateFakeDataForField(fieldDescriptor));
+    }
     
-    for (const fieldDescriptor of fillableFields) {
-      try {
-        // Add processing visual feedback
-        this.addVisualFeedback(fieldDescriptor.element, 'processing');
-        
-        const success = await this.fillFieldWithFakeData(fieldDescriptor);
-        
-        if (success) {
-          completedCount++;
-          if (onFieldFilled) {
-            onFieldFilled(fieldDescriptor, true);
-          }
-        } else if (!skipErrors) {
-          break;
-        }
-        
-        // Progress callback
-        if (onProgress) {
-          onProgress({
-            total: fillableFields.length,
-            completed: completedCount,
-            current: fieldDescriptor,
-            success: success
-          });
-        }
-        
-        // Small delay between fields to simulate natural interaction
-        if (delay > 0) {
-          await new Promise(resolve => setTimeout(resolve, delay));
+    if (entry.value !== null && entry.value !== undefined) {
+      entry.value = this.resolvePlannedChoice(fieldDescriptor, entry, !userData);
+    }
+    
+    entry.include = entry.deferred || (entry.value !== null && entry.value !== undefined);
+    return entry;
+  }
+
+  // Settle choice fields on one of their real options now, so the preview shows exactly what
+  // will be picked; fake data may take any option when none matches
+  resolvePlannedChoice(fieldDescriptor, entry, allowAnyOption) {
+    const field = fieldDescriptor.element;
+    
+    switch (fieldDescriptor.type) {
+      case 'select-one': {
+        if (entry.dependant) {
+          return entry.value;
         }
+        const option = this.findMatchingOption(field, entry.value) || (allowAnyOption ? this.pickAnyOption(field) : null);
+        return option ? option.element.value : null;
+      }
         
-      } catch (error) {
-        this.errors.push(`Error processing field ${fieldDescriptor.name}: ${error.message}`);
-        
-        if (onFieldFilled) {
-          onFieldFilled(fieldDescriptor, false);
-        }
+      case 'radio': {
+        const radios = this.getRadioGroup(field);
+        const radio = radios.find(candidate => candidate.value === entry.value ||
+          this.getFieldLabel(candidate).toLowerCase().includes(String(entry.value).toLowerCase())) ||
+          (allowAnyOption && radios.length > 0 ? this.fakeDataGenerator.randomChoice(radios) : null);
+        return radio ? radio.value : null;
+      }
         
-        if (!skipErrors) {
-          break;
-        }
+      case 'aria-radiogroup':
+      case 'aria-listbox': {
+        const items = this.getAriaItems(field, fieldDescriptor.type === 'aria-radiogroup' ? 'radio' : 'option');
+        const item = this.pickAriaItem(items, entry.value, allowAnyOption);
+        return item ? this.getAriaItemLabel(item) : null;
       }
+        
+      default:
+        return entry.value;
+    }
+  }
+
+  pickAnyOption(field) {
+    const usable = this.dependentSelects.getUsableOptions(field);
+    if (usable.length === 0) {
+      return null;
     }
     
-    return {
-      total: fillableFields.length,
-      filled: completedCount,
-      errors: this.errors.length,
-      success: completedCount > 0
-    };
+    const element = this.fakeDataGenerator.randomChoice(usable);
+    return { element, index: element.index };
   }
-}
\ No newline at end of file
+
+  // Apply a (possibly edited) plan as is: no generation, no cascade into revealed fields
+  async fillAllFieldsFromPlan(entries, options = {}) {
+    const included = entries.filter(entry => entry.include);
+    const byField = new Map(included.map(entry => [entry.fieldDescriptor, entry]));
+    
+    // Split segments take their planned parts rather than a newly split group value
+    const plannedParts = new Map();
+    included.filter(entry => entry.fieldDescriptor.splitGroup).forEach(({ fieldDescriptor, value }) => {
+      const groupId = fieldDescriptor.splitGroup.id;
+      if (!plannedParts.has(groupId)) {
+        plannedParts.set(groupId, []);
+      }
+      plannedParts.get(groupId)[fieldDescriptor.splitIndex] = value;
+    });
+    
+    return this.fillEach(included.map(entry => entry.fieldDescriptor), fieldDescriptor => {
+      if (fieldDescriptor.splitGroup && !this.splitGroupValues.has(fieldDescriptor.splitGroup.id)) {
+        this.splitGroupValues.set(fieldDescriptor.splitGroup.id, plannedParts.get(fieldDescriptor.splitGroup.id));
+      }
+      return this.fillPlannedField(byField.get(fieldDescriptor));
+    }, options);
+  }
+
+  async fillPlannedField(entry) {
+    const { fieldDescriptor, value, deferred } = entry;
+    
+    try {
+      if (fieldDescriptor.splitGroup) {
+        return await this.fillSplitSegment(fieldDescriptor, () => null);
+      }
+      
+      if (!deferred && (value === null || value === undefined)) {
+        return false;
+      }
+      
+      return await this.writeFieldValue(fieldDescriptor, value, { allowAnyOption: deferred });
+    } catch (error) {
+      this.errors.push(`Error filling field ${fieldDescriptor.name}: ${error.message}`);
+      this.addVisualFeedback(fieldDescriptor.element, 'error');
+      return false;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormFiller;
+}
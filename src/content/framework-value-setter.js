@@ -0,0 +1,308 @@
+class FrameworkValueSetter {
+  constructor(random = Math.random) {
+    this.random = random;
+    // Strategies tried in order until the page keeps the value
+    this.textStrategies = ['native', 'execCommand', 'keystrokes'];
+    this.checkableStrategies = ['click', 'native'];
+    this.selectStrategies = ['selectedIndex', 'native'];
+  }
+
+  // React, Vue and Angular each leave a recognisable mark on the elements they manage
+  getFramework(element) {
+    const keys = Object.keys(element);
+
+    if (element._valueTracker || keys.some(key => key.startsWith('__reactProps$') || key.startsWith('__reactFiber$'))) {
+      return 'react';
+    }
+
+    if (element._vei || element._assign || element.__vue__ || keys.some(key => key.startsWith('__vue'))) {
+      return 'vue';
+    }
+
+    const angularRoot = element.closest && element.closest('[ng-version]');
+    if (angularRoot || (element.hasAttribute && (element.hasAttribute('formcontrolname') || element.hasAttribute('ng-reflect-name')))) {
+      return 'angular';
+    }
+
+    return null;
+  }
+
+  // React patches `value` and `checked` on the element itself to track changes; the prototype
+  // setter writes past that tracker so the next input event is seen as a real change
+  getNativeSetter(element, property) {
+    let prototype = Object.getPrototypeOf(element);
+
+    while (prototype) {
+      const descriptor = Object.getOwnPropertyDescriptor(prototype, property);
+      if (descriptor && descriptor.set) {
+        return descriptor.set;
+      }
+      prototype = Object.getPrototypeOf(prototype);
+    }
+
+    return null;
+  }
+
+  setValue(element, value) {
+    const setter = this.getNativeSetter(element, 'value');
+    if (setter) {
+      setter.call(element, value);
+    } else {
+      element.value = value;
+    }
+  }
+
+  setChecked(element, checked) {
+    if (element.checked === checked) {
+      return;
+    }
+
+    // A real click is what React and Vue listen to for checkboxes and radios
+    if (typeof element.click === 'function' && typeof element.dispatchEvent === 'function' && element.isConnected) {
+      element.click();
+      if (element.checked === checked) {
+        return;
+      }
+    }
+
+    this.setNativeChecked(element, checked);
+  }
+
+  setNativeChecked(element, checked) {
+    const setter = this.getNativeSetter(element, 'checked');
+    if (setter) {
+      setter.call(element, checked);
+    } else {
+      element.checked = checked;
+    }
+  }
+
+  isCheckable(element) {
+    return element.type === 'checkbox' || element.type === 'radio';
+  }
+
+  readValue(element) {
+    return this.isCheckable(element) ? element.checked : element.value;
+  }
+
+  createInputEvent(type, init) {
+    const InputEventClass = typeof InputEvent === 'function' ? InputEvent : Event;
+    return new InputEventClass(type, { bubbles: true, cancelable: type === 'beforeinput', composed: true, ...init });
+  }
+
+  // Text-like fields get an InputEvent describing the edit; Vue's v-model.lazy and Angular's
+  // updateOn: 'change' listen to the change event that follows
+  dispatchValueEvents(element, value) {
+    if (element.tagName === 'SELECT' || this.isCheckable(element)) {
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    } else {
+      element.dispatchEvent(this.createInputEvent('input', { inputType: 'insertReplacementText', data: String(value) }));
+    }
+
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  // Angular controls with updateOn: 'blur' only take the value once the field loses focus
+  commitOnBlur(element) {
+    if (this.getFramework(element) === 'angular') {
+      element.dispatchEvent(new Event('blur'));
+      element.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+    }
+  }
+
+  getStrategies(element) {
+    if (this.isCheckable(element)) {
+      return this.checkableStrategies;
+    }
+    return element.tagName === 'SELECT' ? this.selectStrategies : this.textStrategies;
+  }
+
+  // Controlled inputs re-render after the event; check the value survived and try other ways if not.
+  // A value the page reformatted (masks, trimming) counts as kept; only a reset to the old or an
+  // empty value is a failure.
+  async ensureValue(element, expected, previous) {
+    const strategies = this.getStrategies(element);
+    const isKept = () => {
+      const current = this.readValue(element);
+      return current === expected || (!this.isCheckable(element) && current !== previous && current !== '');
+    };
+
+    await this.nextTick();
+    if (isKept()) {
+      return { kept: true, strategy: strategies[0] };
+    }
+
+    for (const strategy of strategies.slice(1)) {
+      if (!this.applyStrategy(element, expected, strategy)) {
+        continue;
+      }
+
+      this.commitOnBlur(element);
+      await this.nextTick();
+      if (isKept()) {
+        return { kept: true, strategy };
+      }
+    }
+
+    return { kept: false, strategy: null };
+  }
+
+  applyStrategy(element, value, strategy) {
+    switch (strategy) {
+      case 'click':
+        this.setChecked(element, value);
+        return true;
+      case 'selectedIndex':
+        return this.selectOptionByValue(element, value);
+      case 'native':
+        if (this.isCheckable(element)) {
+          this.setNativeChecked(element, value);
+        } else {
+          this.setValue(element, value);
+        }
+        this.dispatchValueEvents(element, value);
+        return true;
+      case 'execCommand':
+        return this.insertWithExecCommand(element, value);
+      case 'keystrokes':
+        this.typeKeystrokes(element, value);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  // The way form-filler picks options; a value no option carries leaves the selection alone
+  selectOptionByValue(element, value) {
+    const index = Array.from(element.options || []).findIndex(option => option.value === String(value));
+    if (index < 0) {
+      return false;
+    }
+
+    element.selectedIndex = index;
+    this.dispatchValueEvents(element, value);
+    return true;
+  }
+
+  // execCommand produces trusted beforeinput/input events, which no framework can tell from typing
+  insertWithExecCommand(element, value) {
+    const doc = element.ownerDocument;
+    if (!doc || typeof doc.execCommand !== 'function' || typeof element.select !== 'function') {
+      return false;
+    }
+
+    element.focus();
+    element.select();
+
+    let inserted = false;
+    try {
+      inserted = doc.execCommand('insertText', false, String(value));
+    } catch (error) {
+      inserted = false;
+    }
+
+    if (inserted) {
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    return inserted;
+  }
+
+  // Last resort: one character at a time with the key events a keyboard would send
+  typeKeystrokes(element, value) {
+    const text = String(value);
+
+    if (typeof element.focus === 'function') {
+      element.focus();
+    }
+    this.setValue(element, '');
+    element.dispatchEvent(this.createInputEvent('input', { inputType: 'deleteContentBackward', data: null }));
+
+    for (let i = 0; i < text.length; i++) {
+      this.typeCharacter(element, text.slice(0, i), text[i]);
+    }
+
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  typeCharacter(element, current, char) {
+    const keyInit = { key: char, bubbles: true, cancelable: true, composed: true };
+    const charCode = char.charCodeAt(0);
+
+    // A page that cancels the key inserts the character itself, as Inputmask does
+    const handled = !element.dispatchEvent(new KeyboardEvent('keydown', keyInit)) ||
+      !element.dispatchEvent(new KeyboardEvent('keypress', { ...keyInit, charCode, keyCode: charCode, which: charCode }));
+    const beforeInput = this.createInputEvent('beforeinput', { inputType: 'insertText', data: char });
+    if (!handled && element.dispatchEvent(beforeInput)) {
+      this.setValue(element, current + char);
+      element.dispatchEvent(this.createInputEvent('input', { inputType: 'insertText', data: char }));
+    }
+    element.dispatchEvent(new KeyboardEvent('keyup', keyInit));
+  }
+
+  // Typing mode: clear with Backspace and type each character with a human pause in between.
+  // The field's current value is re-read before every key, so masks can reformat as they go.
+  async typeText(element, value, options = {}) {
+    const { delay = 60, jitter = 40 } = options;
+    const text = String(value);
+    const limit = element.maxLength > 0 ? element.maxLength : Infinity;
+
+    if (typeof element.focus === 'function') {
+      element.focus();
+    }
+    this.moveCaretToEnd(element);
+
+    // Stops early if the page swallows the key rather than looping forever
+    let remaining = element.value.length;
+    while (element.value.length > 0 && remaining-- > 0) {
+      this.pressBackspace(element);
+      await this.pause(delay, jitter);
+    }
+
+    for (const char of text) {
+      // Browsers refuse typed input past maxlength
+      if (element.value.length >= limit) {
+        break;
+      }
+      this.typeCharacter(element, element.value, char);
+      await this.pause(delay, jitter);
+    }
+
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  pressBackspace(element) {
+    const keyInit = { key: 'Backspace', code: 'Backspace', keyCode: 8, which: 8, bubbles: true, cancelable: true, composed: true };
+
+    const handled = !element.dispatchEvent(new KeyboardEvent('keydown', keyInit));
+    const beforeInput = this.createInputEvent('beforeinput', { inputType: 'deleteContentBackward', data: null });
+    if (!handled && element.dispatchEvent(beforeInput)) {
+      this.setValue(element, element.value.slice(0, -1));
+      element.dispatchEvent(this.createInputEvent('input', { inputType: 'deleteContentBackward', data: null }));
+    }
+    element.dispatchEvent(new KeyboardEvent('keyup', keyInit));
+  }
+
+  moveCaretToEnd(element) {
+    try {
+      element.setSelectionRange(element.value.length, element.value.length);
+    } catch (error) {
+      // email and number inputs have no selection API; the caret is already at the end there
+    }
+  }
+
+  // delay ± jitter milliseconds, never negative
+  pause(delay, jitter) {
+    const offset = jitter > 0 ? (this.random() * 2 - 1) * jitter : 0;
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, Math.round(delay + offset))));
+  }
+
+  nextTick() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FrameworkValueSetter;
+}
@@ -0,0 +1,178 @@
+class InputMaskAdapter {
+  constructor() {
+    // Attributes each library reads its mask from, and what the characters of its mask syntax accept.
+    // IMask and Cleave.js are configured from script only and leave nothing on the input.
+    this.libraries = [
+      {
+        // Inputmask also marks every input it initialised from script with im-insert
+        name: 'inputmask',
+        attributes: ['data-inputmask-mask', 'data-inputmask', 'data-inputmask-alias', 'im-insert'],
+        slots: { 9: 'digit', a: 'letter', A: 'letter', '*': 'alnum', '&': 'alnum' }
+      },
+      {
+        // [mask] stays on the element when bound statically; ng-reflect-mask in development builds
+        name: 'ngx-mask',
+        attributes: ['mask', 'ng-reflect-mask'],
+        slots: { 0: 'digit', 9: 'digit', A: 'alnum', S: 'letter', U: 'letter', L: 'letter', d: 'digit', M: 'digit', H: 'digit', h: 'digit', m: 'digit', s: 'digit' },
+        optionalSlots: ['9']
+      },
+      {
+        name: 'jquery-mask',
+        attributes: ['data-mask'],
+        slots: { 0: 'digit', 9: 'digit', A: 'alnum', S: 'letter' },
+        optionalSlots: ['9']
+      },
+      {
+        name: 'maska',
+        attributes: ['data-maska'],
+        slots: { '#': 'digit', '@': 'letter', '*': 'alnum' }
+      }
+    ];
+    // Slots shown as underscores, the placeholder character of Inputmask and IMask
+    this.blankSlots = { _: 'alnum' };
+    this.textTypes = ['text', 'tel', 'search'];
+  }
+
+  // { library, template } for an input a mask manages, null for anything else. The template is a list
+  // of { kind, optional } slots and { literal } characters, or null when the mask has no fixed length.
+  getMask(element) {
+    if (!element || element.tagName !== 'INPUT' || typeof element.getAttribute !== 'function' || !this.textTypes.includes(element.type)) {
+      return null;
+    }
+
+    for (const library of this.libraries) {
+      for (const attribute of library.attributes) {
+        const source = element.getAttribute(attribute);
+        if (source !== null) {
+          return { library: library.name, template: this.parseMask(this.readMaskSource(attribute, source), library) };
+        }
+      }
+    }
+
+    // Unmarked masks show their template instead: "(___) ___-____" as the placeholder, or as the
+    // value itself for IMask with lazy: false
+    const shown = [element.value, element.placeholder].find(text => this.isBlankTemplate(text));
+    return shown ? { library: null, template: this.parseMask(shown, { slots: this.blankSlots }) } : null;
+  }
+
+  // data-inputmask holds an options object, e.g. "'mask': '(999) 999-9999', 'greedy': false";
+  // an alias or the im-insert mark only says a mask is there
+  readMaskSource(attribute, source) {
+    if (attribute === 'data-inputmask-alias' || attribute === 'im-insert') {
+      return null;
+    }
+    if (attribute !== 'data-inputmask') {
+      return source;
+    }
+
+    const match = /['"]?mask['"]?\s*:\s*(['"])(.*?)\1/.exec(source);
+    return match ? match[2] : null;
+  }
+
+  isBlankTemplate(text) {
+    return Boolean(text) && /^[\d\s()+\-./:_]+$/.test(text) && (text.match(/_/g) || []).length >= 3;
+  }
+
+  // Named masks ("separator.2", "datetime" aliases) and repeating ones have no template
+  parseMask(mask, library) {
+    if (!mask || (/^[a-z_]+(\.\d+)?$/i.test(mask) && !this.isTemplateText(mask, library))) {
+      return null;
+    }
+
+    const template = [];
+    let optionalSection = false;
+
+    for (let i = 0; i < mask.length; i++) {
+      const char = mask[i];
+      const previous = template[template.length - 1];
+
+      if (char === '\\' && i + 1 < mask.length) {
+        template.push({ literal: mask[++i] });
+      } else if (char === '[' || char === ']') {
+        optionalSection = char === '[';
+      } else if (char === '{' && previous && previous.kind) {
+        // Inputmask quantifiers: 9{3}, 9{1,3}; {+} and {*} repeat without limit
+        const quantifier = /^\{(\d+)(?:,(\d+))?\}/.exec(mask.slice(i));
+        if (!quantifier) {
+          return null;
+        }
+        const min = Number(quantifier[1]);
+        const max = quantifier[2] ? Number(quantifier[2]) : min;
+        template.pop();
+        for (let count = 0; count < max; count++) {
+          template.push({ kind: previous.kind, optional: previous.optional || count >= min });
+        }
+        i += quantifier[0].length - 1;
+      } else if (library.slots[char]) {
+        template.push({ kind: library.slots[char], optional: optionalSection || (library.optionalSlots || []).includes(char) });
+      } else if (char === '?' && previous && previous.kind && library.optionalSlots) {
+        previous.optional = true;
+      } else if ((char === '*' || char === '#') && library.optionalSlots) {
+        // ngx-mask's 0* and jQuery Mask's # repeat the digit before them
+        return null;
+      } else {
+        template.push({ literal: char });
+      }
+    }
+
+    return template.some(token => token.kind) ? template : null;
+  }
+
+  // "AAA" is a template for ngx-mask, "datetime" an Inputmask alias
+  isTemplateText(mask, library) {
+    return Array.from(mask).every(char => library.slots[char]);
+  }
+
+  getSlotCount(template) {
+    return template.filter(token => token.kind).length;
+  }
+
+  // What a user would type: only the characters the slots take. A value longer than the mask loses
+  // its leading characters, which is where a country code sits ("+1 555 123 4567" in "(___) ___-____").
+  toRawValue(value, mask) {
+    const text = String(value);
+    if (!mask.template) {
+      return text.trim();
+    }
+
+    const acceptsLetters = mask.template.some(token => token.kind && token.kind !== 'digit');
+    const raw = text.replace(acceptsLetters ? /[^A-Za-z0-9]/g : /\D/g, '');
+    const slotCount = this.getSlotCount(mask.template);
+
+    return raw.length > slotCount ? raw.slice(-slotCount) : raw;
+  }
+
+  // The raw value laid out in the template, as the mask would show it once typed
+  format(raw, mask) {
+    if (!mask.template) {
+      return raw;
+    }
+
+    let output = '';
+    let index = 0;
+    for (const token of mask.template) {
+      if (index >= raw.length) {
+        break;
+      }
+      if (token.kind) {
+        output += raw[index++];
+      } else {
+        output += token.literal;
+      }
+    }
+
+    return output;
+  }
+
+  // The mask may add literals, placeholders and capitals; the characters typed must all be there
+  showsValue(displayed, raw, mask) {
+    const alphanumeric = text => String(text).replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+    const shown = mask.template ? this.toRawValue(displayed, mask) : displayed;
+    return alphanumeric(shown) === alphanumeric(raw);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InputMaskAdapter;
+}
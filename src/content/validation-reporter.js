@@ -0,0 +1,162 @@
+class ValidationReporter {
+  constructor() {
+    // Constraint Validation API flags, in the order worth reporting
+    this.validityReasons = {
+      valueMissing: 'required',
+      typeMismatch: 'wrong format',
+      patternMismatch: 'pattern mismatch',
+      tooShort: 'too short',
+      tooLong: 'too long',
+      rangeUnderflow: 'below minimum',
+      rangeOverflow: 'above maximum',
+      stepMismatch: 'step mismatch',
+      badInput: 'unreadable input',
+      customError: 'rejected by the page'
+    };
+
+    // Where sites put the message they show under a rejected field; plain hints are left out
+    this.errorSelector = [
+      '[role="alert"]',
+      '[aria-live="assertive"]',
+      '[class*="error"]',
+      '[class*="invalid"]'
+    ].join(', ');
+    this.errorPattern = /error|invalid|alert/i;
+    // How far up from the field to look for its own error text
+    this.maxWrapperDepth = 4;
+  }
+
+  // Null when nothing objects to the value, otherwise what the browser and the site said about it
+  inspect(fieldDescriptor) {
+    const element = fieldDescriptor.element;
+    if (!element || !element.isConnected) {
+      return null;
+    }
+
+    const reasons = this.readValidity(element);
+    const markedInvalid = this.isMarkedInvalid(element);
+    const errorText = this.findErrorText(element);
+
+    if (reasons.length === 0 && !markedInvalid && !errorText) {
+      return null;
+    }
+
+    if (reasons.length === 0) {
+      reasons.push('flagged by the page');
+    }
+
+    return {
+      field: fieldDescriptor.name || fieldDescriptor.id || element.tagName.toLowerCase(),
+      label: this.getLabel(fieldDescriptor),
+      reasons,
+      message: errorText || element.validationMessage || ''
+    };
+  }
+
+  readValidity(element) {
+    // Disabled, read-only and hidden inputs are barred from constraint validation
+    if (!element.validity || element.willValidate === false) {
+      return [];
+    }
+
+    return Object.keys(this.validityReasons)
+      .filter(flag => element.validity[flag])
+      .map(flag => this.validityReasons[flag]);
+  }
+
+  isMarkedInvalid(element) {
+    const invalid = (element.getAttribute('aria-invalid') || '').toLowerCase();
+    return invalid !== '' && invalid !== 'false';
+  }
+
+  findErrorText(element) {
+    const candidates = [
+      // aria-errormessage points at the message for exactly this field
+      ...this.getReferencedElements(element, 'aria-errormessage'),
+      ...this.getReferencedElements(element, 'aria-describedby').filter(node => this.looksLikeError(node))
+    ];
+
+    const wrapper = this.getFieldWrapper(element);
+    if (wrapper) {
+      candidates.push(...wrapper.querySelectorAll(this.errorSelector));
+    }
+
+    for (const node of candidates) {
+      if (node === element || node.contains(element) || !this.isShown(node, wrapper)) {
+        continue;
+      }
+
+      const text = node.textContent.replace(/\s+/g, ' ').trim();
+      if (text) {
+        return text;
+      }
+    }
+
+    return '';
+  }
+
+  getReferencedElements(element, attribute) {
+    const doc = element.ownerDocument;
+    return (element.getAttribute(attribute) || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(id => doc.getElementById(id))
+      .filter(Boolean);
+  }
+
+  looksLikeError(node) {
+    return node.getAttribute('role') === 'alert' || this.errorPattern.test(`${node.id} ${node.className}`);
+  }
+
+  // The largest ancestor that holds no other field, so a neighbour's error is never attributed here
+  getFieldWrapper(element) {
+    let wrapper = null;
+    let current = element.parentElement;
+
+    for (let depth = 0; current && depth < this.maxWrapperDepth; depth++) {
+      if (current.tagName === 'FORM' || current === element.ownerDocument.body) {
+        break;
+      }
+
+      const controls = Array.from(current.querySelectorAll('input, select, textarea, [contenteditable="true"], [role="combobox"]'));
+      // Radios of one group share their wrapper and their error
+      const others = controls.filter(control => control !== element && !(element.type === 'radio' && control.name === element.name));
+      if (others.length > 0) {
+        break;
+      }
+
+      wrapper = current;
+      current = current.parentElement;
+    }
+
+    return wrapper;
+  }
+
+  // Many sites keep the message element in the markup and only show it on error
+  isShown(node, wrapper) {
+    const view = node.ownerDocument.defaultView;
+
+    for (let current = node; current && current !== wrapper; current = current.parentElement) {
+      if (current.hidden || current.getAttribute('aria-hidden') === 'true') {
+        return false;
+      }
+
+      const style = view ? view.getComputedStyle(current) : null;
+      if (style && (style.display === 'none' || style.visibility === 'hidden')) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  getLabel(fieldDescriptor) {
+    const label = (fieldDescriptor.label || '').replace(/[\s:*]+$/, '').trim();
+    return label || fieldDescriptor.name || fieldDescriptor.id || 'a field';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValidationReporter;
+}
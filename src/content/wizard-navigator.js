@@ -0,0 +1,189 @@
+class WizardNavigator {
+  constructor() {
+    this.controlSelector = [
+      'button',
+      'input[type="submit"]',
+      'input[type="button"]',
+      'input[type="image"]',
+      'a[role="button"]',
+      '[role="button"]',
+      'a[href^="#"]',
+      'a[href^="javascript:"]'
+    ].join(', ');
+
+    this.patterns = {};
+    Object.entries(EXTENSION_CONSTANTS.WIZARD_PATTERNS).forEach(([kind, words]) => {
+      // Whole-word match that also works for non-ASCII words and arrow glyphs
+      this.patterns[kind] = words.map(word => new RegExp(`(^|[^\\p{L}])(${word})($|[^\\p{L}])`, 'iu'));
+    });
+  }
+
+  // Locate the controls that advance the current step or finish the flow
+  findStepControls(root = document, fields = []) {
+    const controls = Array.from(root.querySelectorAll(this.controlSelector))
+      .filter(element => this.isUsableControl(element));
+
+    const next = [];
+    const submit = [];
+
+    controls.forEach(element => {
+      const kind = this.classifyControl(element);
+      if (kind === 'next') {
+        next.push(element);
+      } else if (kind === 'submit') {
+        submit.push(element);
+      }
+    });
+
+    const elements = fields.map(field => field.element).filter(element => element && element.closest);
+    const forms = new Set(elements.map(element => element.closest('form')).filter(Boolean));
+
+    return {
+      next: this.pickClosestControl(next, forms, elements),
+      submit: this.pickClosestControl(submit, forms, elements)
+    };
+  }
+
+  classifyControl(element) {
+    const text = this.getControlText(element);
+
+    if (this.matchesAny(text, this.patterns.BACK) || this.matchesAny(text, this.patterns.IGNORE)) {
+      return null;
+    }
+
+    if (this.matchesAny(text, this.patterns.NEXT)) {
+      return 'next';
+    }
+
+    if (this.matchesAny(text, this.patterns.SUBMIT)) {
+      return 'submit';
+    }
+
+    // An unlabelled submit button with no "next" wording is treated as the final submit
+    if (this.isSubmitType(element)) {
+      return 'submit';
+    }
+
+    return null;
+  }
+
+  getControlText(element) {
+    const parts = [
+      element.getAttribute('aria-label'),
+      element.tagName.toLowerCase() === 'input' ? element.value : element.textContent,
+      element.getAttribute('title'),
+      element.getAttribute('data-action'),
+      element.getAttribute('name'),
+      element.id
+    ];
+
+    return parts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  // Human-readable control name for step reports
+  getControlLabel(element) {
+    const label = element.getAttribute('aria-label') ||
+      (element.tagName.toLowerCase() === 'input' ? element.value : element.textContent) ||
+      element.getAttribute('title') || '';
+
+    return label.replace(/\s+/g, ' ').trim();
+  }
+
+  matchesAny(text, patterns) {
+    return Boolean(text) && patterns.some(pattern => pattern.test(text));
+  }
+
+  isSubmitType(element) {
+    const tagName = element.tagName.toLowerCase();
+    const type = (element.getAttribute('type') || '').toLowerCase();
+
+    if (tagName === 'button') {
+      // Buttons inside a form default to type="submit"
+      return (type === '' || type === 'submit') && Boolean(element.form);
+    }
+
+    return tagName === 'input' && (type === 'submit' || type === 'image');
+  }
+
+  isUsableControl(element) {
+    if (element.disabled || element.getAttribute('aria-disabled') === 'true') {
+      return false;
+    }
+
+    if (element.closest('[hidden], [aria-hidden="true"]')) {
+      return false;
+    }
+
+    if (element.offsetParent === null) {
+      const styles = window.getComputedStyle(element);
+      if (styles.position !== 'fixed' || styles.display === 'none' || styles.visibility === 'hidden') {
+        return false;
+      }
+    }
+
+    return element.offsetWidth > 0 || element.offsetHeight > 0;
+  }
+
+  pickClosestControl(candidates, forms, elements = []) {
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // Prefer a control that belongs to the form being filled over page-level navigation
+    const inForm = candidates.find(element => {
+      const form = element.form || element.closest('form');
+      return form && forms.has(form);
+    });
+
+    if (inForm) {
+      return inForm;
+    }
+
+    // Formless steps and buttons just outside the form: widen from the filled fields' common
+    // ancestor, but stop short of <body> so site navigation and pagination are never clicked
+    let container = this.findCommonAncestor(elements);
+    while (container && container !== document.body && container !== document.documentElement) {
+      const inside = candidates.filter(element => container.contains(element));
+      if (inside.length > 0) {
+        return inside[inside.length - 1];
+      }
+      container = container.parentElement;
+    }
+
+    return null;
+  }
+
+  findCommonAncestor(elements) {
+    if (elements.length === 0) {
+      return null;
+    }
+
+    let ancestor = elements[0];
+    while (ancestor && !elements.every(element => ancestor.contains(element))) {
+      ancestor = ancestor.parentElement;
+    }
+
+    return ancestor;
+  }
+
+  // A step has changed once a fillable field appears that was not on screen before;
+  // a re-render of the same step (validation messages, spinners) does not count.
+  // Review steps without inputs are recognised by the previous control going away.
+  isNewStep(previousElements, fields, previousControl = null) {
+    if (fields.some(field => field.fillable && !previousElements.has(field.element))) {
+      return true;
+    }
+
+    return Boolean(previousControl) && (!previousControl.isConnected || !this.isUsableControl(previousControl));
+  }
+
+  advance(control) {
+    // A native click keeps the page's own submit handlers in charge of moving to the next step
+    control.click();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WizardNavigator;
+}
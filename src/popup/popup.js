@@ -1,13 +1,24 @@
 class PopupManager {
   constructor() {
     this.currentTab = null;
+    // Per-site typing mode overrides, keyed by hostname
+    this.typingSites = {};
+    // Previewed plans per frame and the editable row for each planned field
+    this.previewPlans = [];
+    this.previewRows = [];
+    // Fake previews are generated for one persona, shown once the preview is applied
+    this.previewPersona = null;
+    this.previewSeed = null;
+    this.previewSeedTime = null;
     this.extensionState = {
       status: 'ready',
       formCount: 0,
       fieldCount: 0,
       fillableCount: 0,
       isDetecting: false,
-      isFilling: false
+      isFilling: false,
+      inspector: false,
+      undoDepth: 0
     };
     
     this.elements = {};
@@ -36,6 +47,7 @@ class PopupManager {
     
     // Load initial state
     await this.loadExtensionState();
+    await this.loadFormList();
     
     // Update UI
     this.updateUI();
@@ -55,6 +67,12 @@ class PopupManager {
       fieldCount: document.getElementById('fieldCount'),
       fillableCount: document.getElementById('fillableCount'),
       
+      // Persona
+      personaSection: document.getElementById('personaSection'),
+      personaName: document.getElementById('personaName'),
+      personaDetails: document.getElementById('personaDetails'),
+      personaSeed: document.getElementById('personaSeed'),
+      
       // Progress
       progressSection: document.getElementById('progressSection'),
       progressFill: document.getElementById('progressFill'),
@@ -64,10 +82,23 @@ class PopupManager {
       errorSection: document.getElementById('errorSection'),
       errorMessage: document.getElementById('errorMessage'),
       
+      // Fill scope
+      fillScope: document.getElementById('fillScope'),
+      fillScopeForms: document.getElementById('fillScopeForms'),
+      fakeSeed: document.getElementById('fakeSeed'),
+      
       // Buttons
       detectBtn: document.getElementById('detectBtn'),
       fillBtn: document.getElementById('fillBtn'),
       fillFakeBtn: document.getElementById('fillFakeBtn'),
+      undoBtn: document.getElementById('undoBtn'),
+      previewBtn: document.getElementById('previewBtn'),
+      previewSection: document.getElementById('previewSection'),
+      previewMode: document.getElementById('previewMode'),
+      previewList: document.getElementById('previewList'),
+      applyPreviewBtn: document.getElementById('applyPreviewBtn'),
+      closePreviewBtn: document.getElementById('closePreviewBtn'),
+      inspectBtn: document.getElementById('inspectBtn'),
       settingsBtn: document.getElementById('settingsBtn'),
       
       // Settings panel
@@ -76,6 +107,13 @@ class PopupManager {
       autoDetect: document.getElementById('autoDetect'),
       visualFeedback: document.getElementById('visualFeedback'),
       fillDelay: document.getElementById('fillDelay'),
+      wizardMode: document.getElementById('wizardMode'),
+      wizardMaxSteps: document.getElementById('wizardMaxSteps'),
+      wizardAllowSubmit: document.getElementById('wizardAllowSubmit'),
+      typingMode: document.getElementById('typingMode'),
+      typingDelay: document.getElementById('typingDelay'),
+      typingSite: document.getElementById('typingSite'),
+      stableSeedPerUrl: document.getElementById('stableSeedPerUrl'),
       editDataBtn: document.getElementById('editDataBtn')
     };
   }
@@ -85,6 +123,17 @@ class PopupManager {
     this.elements.detectBtn.addEventListener('click', () => this.detectForms());
     this.elements.fillBtn.addEventListener('click', () => this.fillForms());
     this.elements.fillFakeBtn.addEventListener('click', () => this.fillFormsFake());
+    this.elements.undoBtn.addEventListener('click', () => this.undoFill());
+    this.elements.previewBtn.addEventListener('click', () => this.previewFill());
+    this.elements.previewMode.addEventListener('change', () => this.previewFill());
+    this.elements.applyPreviewBtn.addEventListener('click', () => this.applyPreview());
+    this.elements.closePreviewBtn.addEventListener('click', () => this.closePreview());
+    this.elements.inspectBtn.addEventListener('click', () => this.toggleInspector());
+    this.elements.personaSeed.addEventListener('click', () => {
+      this.elements.fakeSeed.value = this.elements.personaSeed.dataset.seed;
+      this.elements.fakeSeed.dataset.seed = this.elements.personaSeed.dataset.seed;
+      this.elements.fakeSeed.dataset.seedTime = this.elements.personaSeed.dataset.seedTime;
+    });
     
     // Settings
     this.elements.settingsBtn.addEventListener('click', () => this.openSettings());
@@ -101,6 +150,26 @@ class PopupManager {
     this.elements.fillDelay.addEventListener('change', (e) => {
       this.updateSetting('fillDelay', parseInt(e.target.value));
     });
+    this.elements.wizardMode.addEventListener('change', (e) => {
+      this.updateSetting('wizardMode', e.target.checked);
+    });
+    this.elements.wizardMaxSteps.addEventListener('change', (e) => {
+      this.updateSetting('wizardMaxSteps', parseInt(e.target.value) || EXTENSION_CONSTANTS.LIMITS.MAX_WIZARD_STEPS);
+    });
+    this.elements.wizardAllowSubmit.addEventListener('change', (e) => {
+      this.updateSetting('wizardAllowSubmit', e.target.checked);
+    });
+    this.elements.typingMode.addEventListener('change', (e) => {
+      this.updateSetting('typingMode', e.target.checked);
+    });
+    this.elements.typingDelay.addEventListener('change', (e) => {
+      const delay = parseInt(e.target.value);
+      this.updateSetting('typingDelay', Number.isNaN(delay) ? EXTENSION_CONSTANTS.DEFAULT_SETTINGS.typingDelay : delay);
+    });
+    this.elements.typingSite.addEventListener('change', (e) => this.updateTypingSite(e.target.value));
+    this.elements.stableSeedPerUrl.addEventListener('change', (e) => {
+      this.updateSetting('stableSeedPerUrl', e.target.checked);
+    });
     
     // Listen for messages from background script
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -158,11 +227,12 @@ class PopupManager {
       if (response && response.success) {
         this.extensionState = {
           ...this.extensionState,
-          ...response.data.tabState
+          ...response.data.tabState,
+          undoDepth: (response.data.tabState.undoStack || []).length
         };
         
         // Load settings
-        await this.loadSettings();
+        await this.loadSettings(response.data.settings);
       } else {
         console.error('Failed to get extension state:', response);
         this.showError(response?.error || 'Failed to load extension state');
@@ -179,8 +249,57 @@ class PopupManager {
     }
   }
 
-  async loadSettings() {
+  // Forms across all frames, for filling just one of them
+  async loadFormList() {
     try {
+      if (!this.currentTab) {
+        return;
+      }
+      
+      const response = await chrome.runtime.sendMessage({
+        type: EXTENSION_CONSTANTS.MESSAGES.LIST_FORMS,
+        data: { tabId: this.currentTab.id }
+      });
+      
+      if (!response?.success) {
+        return;
+      }
+      
+      const selected = this.elements.fillScope.value;
+      this.elements.fillScopeForms.replaceChildren(...response.forms.map(form => {
+        const option = document.createElement('option');
+        option.value = form.scope;
+        option.textContent = `${form.label} (${form.fillableCount} fields${form.frameId !== 0 ? ', frame' : ''})`;
+        return option;
+      }));
+      
+      // A form that went away falls back to the whole page
+      this.elements.fillScope.value = selected;
+      if (this.elements.fillScope.value !== selected) {
+        this.elements.fillScope.value = 'page';
+      }
+    } catch (error) {
+      console.error('Error loading form list:', error);
+    }
+  }
+
+  async loadSettings(extensionSettings = {}) {
+    try {
+      // Wizard options live in the extension settings rather than the user data preferences
+      this.elements.wizardMode.checked = extensionSettings.wizardMode === true;
+      this.elements.wizardMaxSteps.value = extensionSettings.wizardMaxSteps || EXTENSION_CONSTANTS.LIMITS.MAX_WIZARD_STEPS;
+      this.elements.wizardAllowSubmit.checked = extensionSettings.wizardAllowSubmit === true;
+      this.elements.typingMode.checked = extensionSettings.typingMode === true;
+      this.elements.typingDelay.value = extensionSettings.typingDelay !== undefined
+        ? extensionSettings.typingDelay
+        : EXTENSION_CONSTANTS.DEFAULT_SETTINGS.typingDelay;
+      this.elements.stableSeedPerUrl.checked = extensionSettings.stableSeedPerUrl === true;
+      
+      // Per-site typing override for the current tab's host
+      this.typingSites = { ...extensionSettings.typingSites };
+      const siteSetting = this.typingSites[this.getCurrentHostname()];
+      this.elements.typingSite.value = typeof siteSetting === 'boolean' ? (siteSetting ? 'on' : 'off') : 'default';
+      
       const response = await chrome.runtime.sendMessage({
         type: EXTENSION_CONSTANTS.MESSAGES.GET_USER_DATA
       });
@@ -272,6 +391,14 @@ class PopupManager {
     } else {
       this.elements.fillFakeBtn.classList.remove('loading');
     }
+    
+    // Undo button - only when this tab has a fill to take back
+    this.elements.undoBtn.disabled = isDetecting || isFilling || !this.extensionState.undoDepth;
+    
+    this.elements.previewBtn.disabled = isDetecting || isFilling;
+    this.elements.applyPreviewBtn.disabled = isFilling;
+    
+    this.elements.inspectBtn.textContent = this.extensionState.inspector ? 'Hide Inspector' : 'Inspect';
   }
 
   // Action methods
@@ -320,13 +447,17 @@ class PopupManager {
         data: { 
           tabId: this.currentTab.id,
           skipErrors: true,
-          delay: this.elements.fillDelay.value || 50
+          delay: this.elements.fillDelay.value || 50,
+          scope: this.elements.fillScope.value
         }
       });
       
       if (response.success) {
         // Filling started successfully
         // Progress will be updated via messages
+        this.extensionState.undoDepth = response.undoDepth;
+        this.showPersona(null);
+        this.reportRejectedFields(response.results);
       } else {
         throw new Error(response.error || 'Fill operation failed');
       }
@@ -339,6 +470,112 @@ class PopupManager {
     }
   }
 
+  // Who the fake values describe, so the user can sign in or look the record up afterwards
+  // The seed is shown with the persona; clicking it keeps it for the next Fill Fake, which then repeats this one
+  showPersona(persona, seed = null, seedTime = null) {
+    if (!persona) {
+      this.elements.personaSection.style.display = 'none';
+      return;
+    }
+    
+    const details = [
+      ['Email', persona.email],
+      ['Phone', persona.phone],
+      ['Address', `${persona.streetAddress}, ${persona.city}, ${persona.state} ${persona.zipCode}`],
+      ['Born', `${persona.birthDate} (${persona.age})`],
+      ['Company', `${persona.jobTitle}, ${persona.company}`],
+      ['Username', persona.username],
+      ['Password', persona.password]
+    ];
+    
+    this.elements.personaName.textContent = persona.fullName;
+    this.elements.personaSeed.textContent = `seed ${seed}`;
+    this.elements.personaSeed.dataset.seed = seed;
+    this.elements.personaSeed.dataset.seedTime = seedTime ?? '';
+    this.elements.personaSeed.style.display = seed === null || seed === undefined ? 'none' : '';
+    this.elements.personaDetails.replaceChildren(...details.flatMap(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      description.title = value;
+      return [term, description];
+    }));
+    this.elements.personaSection.style.display = 'block';
+  }
+
+  // An empty seed box means new data on every fill
+  readSeed() {
+    return this.elements.fakeSeed.value.trim() || undefined;
+  }
+
+  // The reference time of a seed taken from a shown persona; a seed typed in by hand has none
+  readSeedTime() {
+    const { seed, seedTime } = this.elements.fakeSeed.dataset;
+    return seedTime && this.readSeed() === seed ? Number(seedTime) : undefined;
+  }
+
+  reportWizardStop(results) {
+    // Wizard runs report why they stopped on each frame; surface the one that needs attention
+    const frame = (results?.frames || []).find(entry => entry.steps && entry.stopReason);
+    if (!frame) {
+      return;
+    }
+    
+    const messages = {
+      reached_submit: `Filled ${frame.steps.length} step(s); stopped before the final submit`,
+      step_not_advanced: `Step ${frame.steps.length} did not advance — check the form for validation errors`,
+      no_next_control: `Filled ${frame.steps.length} step(s); no Next button found`,
+      step_limit: `Stopped after the ${frame.steps.length}-step limit`
+    };
+    
+    if (messages[frame.stopReason]) {
+      this.elements.statusText.textContent = messages[frame.stopReason];
+    }
+  }
+
+  reportRevealedFields(results) {
+    const note = this.getRevealedFieldsNote(results);
+    if (note) {
+      this.elements.statusText.textContent = `Filled ${results.filled} fields (${note})`;
+    }
+  }
+
+  getRevealedFieldsNote(results) {
+    // Cascade passes after the first filled fields that earlier values revealed
+    const frames = results?.frames || [results];
+    const revealed = frames.reduce((sum, frame) => {
+      return sum + (frame?.passes || []).slice(1).reduce((count, pass) => count + pass.total, 0);
+    }, 0);
+    const hitLimit = frames.some(frame => frame?.stopReason === 'pass_limit');
+    
+    if (revealed === 0 && !hitLimit) {
+      return '';
+    }
+    
+    return `${revealed} revealed while filling${hitLimit ? ', pass limit reached' : ''}`;
+  }
+
+  // Rejections are the most actionable outcome, so they replace the other notes
+  reportRejectedFields(results) {
+    const note = this.getRejectedFieldsNote(results);
+    if (note) {
+      this.elements.statusText.textContent = `${results.filled} filled, ${note}`;
+    }
+  }
+
+  getRejectedFieldsNote(results) {
+    const frames = results?.frames || [results];
+    const rejected = frames.flatMap(frame => frame?.validation?.rejected || []);
+    
+    if (rejected.length === 0) {
+      return '';
+    }
+    
+    const shown = rejected.slice(0, 3).map(entry => `${entry.label} (${entry.reasons.join(', ')})`);
+    return `${rejected.length} rejected by the page: ${shown.join(', ')}${rejected.length > shown.length ? '…' : ''}`;
+  }
+
   async fillFormsFake() {
     try {
       if (!this.currentTab) {
@@ -350,10 +587,15 @@ class PopupManager {
       this.updateUI();
       this.showProgress(0, 'Filling with fake data...');
       
-      const response = await chrome.tabs.sendMessage(this.currentTab.id, {
-        type: 'FILL_FORMS_FAKE',
+      // Routed through the service worker so every frame on the page is filled
+      const response = await chrome.runtime.sendMessage({
+        type: EXTENSION_CONSTANTS.MESSAGES.FILL_FORMS_FAKE,
         data: { 
-          delay: this.elements.fillDelay?.value || 50
+          tabId: this.currentTab.id,
+          delay: this.elements.fillDelay?.value || 50,
+          scope: this.elements.fillScope.value,
+          seed: this.readSeed(),
+          seedTime: this.readSeedTime()
         }
       });
       
@@ -362,13 +604,18 @@ class PopupManager {
       
       if (response.success) {
         this.extensionState.status = 'completed';
+        this.extensionState.undoDepth = response.undoDepth;
         this.updateStatus();
+        this.showPersona(response.results.persona, response.results.seed, response.results.seedTime);
         console.log('Fake fill completed:', response.results);
       } else {
         throw new Error(response.error || 'Fake fill operation failed');
       }
       
       this.updateUI();
+      this.reportRevealedFields(response.results);
+      this.reportWizardStop(response.results);
+      this.reportRejectedFields(response.results);
     } catch (error) {
       console.error('Error filling forms with fake data:', error);
       this.showError(error.message);
@@ -378,6 +625,237 @@ class PopupManager {
     }
   }
 
+  async previewFill() {
+    try {
+      if (!this.currentTab) {
+        this.showError('No active tab found');
+        return;
+      }
+      
+      const response = await chrome.runtime.sendMessage({
+        type: EXTENSION_CONSTANTS.MESSAGES.PREVIEW_FILL,
+        data: {
+          tabId: this.currentTab.id,
+          mode: this.elements.previewMode.value,
+          seed: this.readSeed(),
+          seedTime: this.readSeedTime()
+        }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Preview failed');
+      }
+      
+      this.previewPlans = response.plans;
+      this.previewPersona = response.persona || null;
+      this.previewSeed = response.seed ?? null;
+      this.previewSeedTime = response.seedTime ?? null;
+      this.renderPreview();
+      this.elements.previewSection.style.display = 'flex';
+    } catch (error) {
+      console.error('Error previewing fill:', error);
+      this.showError(error.message);
+    }
+  }
+
+  renderPreview() {
+    this.previewRows = [];
+    this.elements.previewList.replaceChildren();
+    
+    // Labels and values come from the page, so they are only ever set as text
+    this.previewPlans.forEach(plan => {
+      plan.entries.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'preview-row';
+        
+        const include = document.createElement('input');
+        include.type = 'checkbox';
+        include.className = 'setting-checkbox';
+        include.checked = entry.include;
+        include.title = 'Fill this field';
+        include.addEventListener('change', () => row.classList.toggle('excluded', !include.checked));
+        row.classList.toggle('excluded', !entry.include);
+        
+        const field = document.createElement('div');
+        field.className = 'preview-field';
+        const label = document.createElement('span');
+        label.className = 'preview-label';
+        label.textContent = entry.label;
+        const meta = document.createElement('span');
+        meta.className = 'preview-meta';
+        meta.textContent = `${entry.classification} · ${entry.source}`;
+        field.append(label, meta);
+        
+        const control = this.createPreviewControl(entry);
+        row.append(include, field, control);
+        this.elements.previewList.appendChild(row);
+        this.previewRows.push({ plan, entry, include, control });
+      });
+    });
+  }
+
+  createPreviewControl(entry) {
+    if (entry.deferred) {
+      const note = document.createElement('span');
+      note.className = 'preview-value preview-deferred';
+      note.textContent = 'Any option once loaded';
+      return note;
+    }
+    
+    if (entry.options) {
+      const select = document.createElement('select');
+      select.className = 'preview-value setting-input';
+      entry.options.forEach(({ value, text }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      // Profile values without a matching option start out on a blank choice
+      if (entry.value === null && !entry.options.some(({ value }) => value === '')) {
+        select.prepend(new Option('—', ''));
+      }
+      select.value = entry.value === null ? '' : entry.value;
+      return select;
+    }
+    
+    const input = document.createElement('input');
+    input.className = 'preview-value setting-input';
+    
+    if (typeof entry.value === 'boolean') {
+      input.type = 'checkbox';
+      input.checked = entry.value;
+    } else {
+      input.type = 'text';
+      input.value = Array.isArray(entry.value) ? entry.value.join(', ') : (entry.value === null ? '' : String(entry.value));
+    }
+    
+    return input;
+  }
+
+  readPreviewValue({ entry, control }) {
+    if (entry.deferred) {
+      return null;
+    }
+    
+    if (control.type === 'checkbox') {
+      return control.checked;
+    }
+    
+    // Multi-value fields are edited as a comma separated list
+    if (Array.isArray(entry.value)) {
+      return control.value.split(',').map(value => value.trim()).filter(Boolean);
+    }
+    
+    return control.value;
+  }
+
+  async applyPreview() {
+    try {
+      const plans = this.previewPlans.map(plan => ({
+        frameId: plan.frameId,
+        planId: plan.planId,
+        entries: this.previewRows
+          .filter(row => row.plan === plan)
+          .map(row => ({ id: row.entry.id, include: row.include.checked, value: this.readPreviewValue(row) }))
+      }));
+      
+      this.extensionState.isFilling = true;
+      this.updateUI();
+      
+      const response = await chrome.runtime.sendMessage({
+        type: EXTENSION_CONSTANTS.MESSAGES.APPLY_PLAN,
+        data: {
+          tabId: this.currentTab.id,
+          plans,
+          delay: this.elements.fillDelay?.value || 50,
+          seed: this.previewSeed,
+          seedTime: this.previewSeedTime
+        }
+      });
+      
+      this.extensionState.isFilling = false;
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Applying the preview failed');
+      }
+      
+      this.extensionState.status = 'completed';
+      this.extensionState.undoDepth = response.undoDepth;
+      this.showPersona(this.previewPersona, this.previewSeed, this.previewSeedTime);
+      this.closePreview();
+      this.updateUI();
+      this.elements.statusText.textContent = `Filled ${response.results.filled} of ${response.results.total} planned fields`;
+      this.reportRejectedFields(response.results);
+    } catch (error) {
+      console.error('Error applying preview:', error);
+      this.showError(error.message);
+      this.extensionState.isFilling = false;
+      this.updateUI();
+    }
+  }
+
+  closePreview() {
+    this.previewPlans = [];
+    this.previewRows = [];
+    this.elements.previewList.replaceChildren();
+    this.elements.previewSection.style.display = 'none';
+  }
+
+  async undoFill() {
+    try {
+      if (!this.currentTab) {
+        this.showError('No active tab found');
+        return;
+      }
+      
+      const response = await chrome.runtime.sendMessage({
+        type: EXTENSION_CONSTANTS.MESSAGES.UNDO_FILL,
+        data: { tabId: this.currentTab.id }
+      });
+      
+      this.extensionState.undoDepth = response.undoDepth || 0;
+      this.updateUI();
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Undo failed');
+      }
+      
+      const { restored, total } = response.results;
+      this.showPersona(null);
+      this.elements.statusText.textContent = restored < total
+        ? `Restored ${restored} of ${total} fields`
+        : `Restored ${restored} fields`;
+    } catch (error) {
+      console.error('Error undoing fill:', error);
+      this.showError(error.message);
+    }
+  }
+
+  async toggleInspector() {
+    try {
+      if (!this.currentTab) {
+        this.showError('No active tab found');
+        return;
+      }
+      
+      const response = await chrome.runtime.sendMessage({
+        type: EXTENSION_CONSTANTS.MESSAGES.TOGGLE_INSPECTOR,
+        data: { tabId: this.currentTab.id }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to toggle inspector');
+      }
+      
+      this.extensionState.inspector = response.enabled;
+      this.updateUI();
+    } catch (error) {
+      console.error('Error toggling inspector:', error);
+      this.showError(error.message);
+    }
+  }
+
   async clearForms() {
     try {
       if (!this.currentTab) return;
@@ -479,6 +957,15 @@ class PopupManager {
           summary += `<div>State: ${data.address.state || 'Not set'}</div>`;
         }
         
+        if (data.addresses) {
+          // Only list named addresses that override the default one
+          Object.entries(data.addresses)
+            .filter(([, address]) => address && Object.values(address).some(value => value))
+            .forEach(([name, address]) => {
+              summary += `<div>${name.charAt(0).toUpperCase() + name.slice(1)}: ${address.city || address.street || 'Not set'}</div>`;
+            });
+        }
+        
         this.elements.dataSummary.innerHTML = summary;
       }
     } catch (error) {
@@ -500,6 +987,32 @@ class PopupManager {
     }
   }
 
+  async updateTypingSite(choice) {
+    const hostname = this.getCurrentHostname();
+    if (!hostname) {
+      return;
+    }
+    
+    // The whole map is sent because settings are merged one level deep
+    const typingSites = { ...this.typingSites };
+    if (choice === 'default') {
+      delete typingSites[hostname];
+    } else {
+      typingSites[hostname] = choice === 'on';
+    }
+    
+    this.typingSites = typingSites;
+    await this.updateSetting('typingSites', typingSites);
+  }
+
+  getCurrentHostname() {
+    try {
+      return this.currentTab ? new URL(this.currentTab.url).hostname : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Data management
   async editUserData() {
     // Open options page for data editing
@@ -626,6 +1139,7 @@ class PopupManager {
     this.extensionState.fillableCount = data.fillableCount || 0;
     
     this.updateUI();
+    this.loadFormList();
     
     if (this.extensionState.fillableCount === 0) {
       this.showError('No fillable forms found on this page');
@@ -652,6 +1166,16 @@ class PopupManager {
         message += ` (${errors} errors)`;
       }
       
+      const note = this.getRevealedFieldsNote(data.results);
+      if (note) {
+        message += ` — ${note}`;
+      }
+      
+      const rejectedNote = this.getRejectedFieldsNote(data.results);
+      if (rejectedNote) {
+        message += ` — ${rejectedNote}`;
+      }
+      
       this.elements.statusSubtitle.textContent = message;
     }
   }
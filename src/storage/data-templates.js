@@ -130,6 +130,36 @@ class DataTemplateManager {
         zipCode: '',
         country: ''
       },
+      addresses: {
+        home: {
+          street: '',
+          city: '',
+          state: '',
+          zipCode: '',
+          country: ''
+        },
+        work: {
+          street: '',
+          city: '',
+          state: '',
+          zipCode: '',
+          country: ''
+        },
+        billing: {
+          street: '',
+          city: '',
+          state: '',
+          zipCode: '',
+          country: ''
+        },
+        shipping: {
+          street: '',
+          city: '',
+          state: '',
+          zipCode: '',
+          country: ''
+        }
+      },
       professional: {
         company: '',
         jobTitle: '',
@@ -170,12 +200,21 @@ class DataTemplateManager {
         zipCode: '',
         country: ''
       },
-      businessAddress: {
-        street: '',
-        city: '',
-        state: '',
-        zipCode: '',
-        country: ''
+      addresses: {
+        work: {
+          street: '',
+          city: '',
+          state: '',
+          zipCode: '',
+          country: ''
+        },
+        billing: {
+          street: '',
+          city: '',
+          state: '',
+          zipCode: '',
+          country: ''
+        }
       },
       preferences: {
         fillPasswords: false,
@@ -204,6 +243,22 @@ class DataTemplateManager {
         zipCode: '12345',
         country: 'United States'
       },
+      addresses: {
+        billing: {
+          street: '123 Main St',
+          city: 'Anytown',
+          state: 'CA',
+          zipCode: '12345',
+          country: 'United States'
+        },
+        shipping: {
+          street: '456 Oak Ave',
+          city: 'Springfield',
+          state: 'IL',
+          zipCode: '62701',
+          country: 'United States'
+        }
+      },
       professional: {
         company: 'Example Corp',
         jobTitle: 'Software Engineer',
@@ -225,6 +280,8 @@ class DataTemplateManager {
       throw new Error('Invalid template data');
     }
 
+    this.migrateTemplateData(data);
+
     // Ensure required sections exist
     const requiredSections = ['personal', 'preferences'];
     
@@ -250,6 +307,27 @@ class DataTemplateManager {
     return data;
   }
 
+  // Business templates saved before named addresses kept the work address in `businessAddress`;
+  // it becomes addresses.work, without overwriting anything already entered there
+  migrateTemplateData(data) {
+    if (!data || !data.businessAddress || typeof data.businessAddress !== 'object') {
+      return false;
+    }
+
+    data.addresses = data.addresses || {};
+    const work = data.addresses.work || {};
+    const merged = { ...data.businessAddress };
+    Object.entries(work).forEach(([key, value]) => {
+      if (value) {
+        merged[key] = value;
+      }
+    });
+
+    data.addresses.work = merged;
+    delete data.businessAddress;
+    return true;
+  }
+
   // Template merging for inheritance
   async mergeTemplates(baseTemplateId, overlayTemplateId) {
     const baseTemplate = await this.getTemplate(baseTemplateId);
@@ -409,13 +487,19 @@ class DataTemplateManager {
   // Storage operations
   async loadTemplates() {
     try {
-      const stored = await this.storageManager.get('templates');
+      const stored = await this.storageManager.get(EXTENSION_CONSTANTS.STORAGE_KEYS.TEMPLATES);
       
       if (stored && Array.isArray(stored)) {
         this.templates.clear();
+        let migrated = false;
         stored.forEach(template => {
+          migrated = this.migrateTemplateData(template.data) || migrated;
           this.templates.set(template.id, template);
         });
+        
+        if (migrated) {
+          await this.saveTemplates();
+        }
       } else {
         // Create default template if none exist
         await this.createPersonalTemplate();
@@ -430,7 +514,7 @@ class DataTemplateManager {
   async saveTemplates() {
     try {
       const templateArray = Array.from(this.templates.values());
-      await this.storageManager.set('templates', templateArray);
+      await this.storageManager.set(EXTENSION_CONSTANTS.STORAGE_KEYS.TEMPLATES, templateArray);
     } catch (error) {
       console.error('Error saving templates:', error);
       throw new Error('Failed to save templates');
@@ -492,4 +576,9 @@ class DataTemplateManager {
       errors: errors
     };
   }
-}
\ No newline at end of file
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataTemplateManager;
+}
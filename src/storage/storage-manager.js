@@ -380,7 +380,7 @@ class StorageManager {
 
   // Validation methods
   validateUserData(userData) {
-    const required = ['personal', 'address', 'professional', 'preferences'];
+    const required = ['personal', 'address', 'addresses', 'professional', 'preferences'];
     
     required.forEach(section => {
       if (!userData[section]) {
@@ -492,4 +492,9 @@ class StorageManager {
       console.error('Error during cleanup:', error);
     }
   }
-}
\ No newline at end of file
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageManager;
+}
@@ -0,0 +1,178 @@
+class AutocompleteParser {
+  constructor() {
+    // WHATWG autofill field names that accept any detail token prefix
+    this.fieldNames = [
+      'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix',
+      'nickname', 'username', 'new-password', 'current-password', 'one-time-code',
+      'organization-title', 'organization', 'street-address', 'address-line1', 'address-line2',
+      'address-line3', 'address-level4', 'address-level3', 'address-level2', 'address-level1',
+      'country', 'country-name', 'postal-code', 'cc-name', 'cc-given-name', 'cc-additional-name',
+      'cc-family-name', 'cc-number', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-type',
+      'transaction-currency', 'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month',
+      'bday-year', 'sex', 'url', 'photo'
+    ];
+
+    // Field names that may additionally carry a home/work/mobile/fax/pager modifier
+    this.contactFieldNames = [
+      'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local', 'tel-local-prefix',
+      'tel-local-suffix', 'tel-extension', 'email', 'impp'
+    ];
+
+    this.addressTypes = ['shipping', 'billing'];
+    this.contactTypes = ['home', 'work', 'mobile', 'fax', 'pager'];
+
+    // Classification used by FormDetector for each autofill field name
+    this.classifications = {
+      name: { category: 'personal', subtype: 'fullName' },
+      'honorific-prefix': { category: 'personal', subtype: 'honorificPrefix' },
+      'given-name': { category: 'personal', subtype: 'firstName' },
+      'additional-name': { category: 'personal', subtype: 'middleName' },
+      'family-name': { category: 'personal', subtype: 'lastName' },
+      'honorific-suffix': { category: 'personal', subtype: 'honorificSuffix' },
+      nickname: { category: 'personal', subtype: 'nickname' },
+      username: { category: 'personal', subtype: 'username' },
+      'new-password': { category: 'personal', subtype: 'password' },
+      'current-password': { category: 'personal', subtype: 'password' },
+      'one-time-code': { category: 'number', subtype: 'oneTimeCode' },
+      'organization-title': { category: 'work', subtype: 'jobTitle' },
+      organization: { category: 'work', subtype: 'company' },
+      'street-address': { category: 'address', subtype: 'address1' },
+      'address-line1': { category: 'address', subtype: 'address1' },
+      'address-line2': { category: 'address', subtype: 'address2' },
+      'address-line3': { category: 'address', subtype: 'address3' },
+      'address-level4': { category: 'address', subtype: 'address3' },
+      'address-level3': { category: 'address', subtype: 'address3' },
+      'address-level2': { category: 'address', subtype: 'city' },
+      'address-level1': { category: 'address', subtype: 'state' },
+      country: { category: 'address', subtype: 'countryCode' },
+      'country-name': { category: 'address', subtype: 'country' },
+      'postal-code': { category: 'address', subtype: 'zipCode' },
+      'cc-name': { category: 'financial', subtype: 'cardName' },
+      'cc-given-name': { category: 'financial', subtype: 'cardGivenName' },
+      'cc-additional-name': { category: 'financial', subtype: 'cardAdditionalName' },
+      'cc-family-name': { category: 'financial', subtype: 'cardFamilyName' },
+      'cc-number': { category: 'financial', subtype: 'creditCard' },
+      'cc-exp': { category: 'financial', subtype: 'cardExpiry' },
+      'cc-exp-month': { category: 'financial', subtype: 'cardExpiryMonth' },
+      'cc-exp-year': { category: 'financial', subtype: 'cardExpiryYear' },
+      'cc-csc': { category: 'financial', subtype: 'cvv' },
+      'cc-type': { category: 'financial', subtype: 'cardType' },
+      'transaction-currency': { category: 'financial', subtype: 'currency' },
+      'transaction-amount': { category: 'number', subtype: 'price' },
+      language: { category: 'personal', subtype: 'language' },
+      bday: { category: 'datetime', subtype: 'birthDate' },
+      'bday-day': { category: 'datetime', subtype: 'birthDay' },
+      'bday-month': { category: 'datetime', subtype: 'birthMonth' },
+      'bday-year': { category: 'datetime', subtype: 'birthYear' },
+      sex: { category: 'personal', subtype: 'sex' },
+      url: { category: 'web', subtype: 'url' },
+      photo: { category: 'web', subtype: 'url' },
+      tel: { category: 'personal', subtype: 'phone' },
+      'tel-country-code': { category: 'personal', subtype: 'phoneCountryCode' },
+      'tel-national': { category: 'personal', subtype: 'phoneNational' },
+      'tel-area-code': { category: 'personal', subtype: 'phoneAreaCode' },
+      'tel-local': { category: 'personal', subtype: 'phoneLocal' },
+      'tel-local-prefix': { category: 'personal', subtype: 'phoneLocalPrefix' },
+      'tel-local-suffix': { category: 'personal', subtype: 'phoneLocalSuffix' },
+      'tel-extension': { category: 'personal', subtype: 'phoneExtension' },
+      email: { category: 'personal', subtype: 'email' },
+      impp: { category: 'web', subtype: 'impp' }
+    };
+  }
+
+  // Parse an autocomplete attribute value following the WHATWG grammar:
+  // [section-*] [shipping|billing] [home|work|mobile|fax|pager] <field> [webauthn]
+  parse(value) {
+    if (!value || typeof value !== 'string') {
+      return null;
+    }
+
+    const tokens = value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+    // "on"/"off" carry no field information
+    if (tokens.length === 0 || (tokens.length === 1 && (tokens[0] === 'on' || tokens[0] === 'off'))) {
+      return null;
+    }
+
+    const remaining = [...tokens];
+    let webauthn = false;
+
+    if (remaining[remaining.length - 1] === 'webauthn') {
+      webauthn = true;
+      remaining.pop();
+    }
+
+    const fieldName = remaining.pop();
+    const isContactField = this.contactFieldNames.includes(fieldName);
+
+    if (!isContactField && !this.fieldNames.includes(fieldName)) {
+      return null;
+    }
+
+    let contactType = null;
+    if (remaining.length > 0 && this.contactTypes.includes(remaining[remaining.length - 1])) {
+      // Contact modifiers are only valid in front of contact field names
+      if (!isContactField) {
+        return null;
+      }
+      contactType = remaining.pop();
+    }
+
+    let addressType = null;
+    if (remaining.length > 0 && this.addressTypes.includes(remaining[remaining.length - 1])) {
+      addressType = remaining.pop();
+    }
+
+    let section = null;
+    if (remaining.length > 0 && remaining[remaining.length - 1].startsWith('section-')) {
+      section = remaining.pop().slice('section-'.length);
+    }
+
+    // Anything left over makes the whole attribute invalid per the spec
+    if (remaining.length > 0) {
+      return null;
+    }
+
+    return {
+      raw: tokens.join(' '),
+      section,
+      addressType,
+      contactType,
+      fieldName,
+      webauthn
+    };
+  }
+
+  parseElement(element) {
+    if (!element || typeof element.getAttribute !== 'function') {
+      return null;
+    }
+
+    return this.parse(element.getAttribute('autocomplete'));
+  }
+
+  getClassification(parsed) {
+    if (!parsed) {
+      return null;
+    }
+
+    const classification = this.classifications[parsed.fieldName];
+    if (!classification) {
+      return null;
+    }
+
+    return {
+      category: classification.category,
+      subtype: classification.subtype
+    };
+  }
+
+  describe(parsed) {
+    return parsed ? `autocomplete:${parsed.raw}` : '';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AutocompleteParser;
+}
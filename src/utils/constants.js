@@ -9,6 +9,13 @@ const EXTENSION_CONSTANTS = {
     // From popup to service worker
     DETECT_FORMS: 'DETECT_FORMS',
     FILL_FORMS: 'FILL_FORMS',
+    FILL_FORMS_FAKE: 'FILL_FORMS_FAKE',
+    FILL_WIZARD: 'FILL_WIZARD',
+    TOGGLE_INSPECTOR: 'TOGGLE_INSPECTOR',
+    UNDO_FILL: 'UNDO_FILL',
+    PREVIEW_FILL: 'PREVIEW_FILL',
+    APPLY_PLAN: 'APPLY_PLAN',
+    LIST_FORMS: 'LIST_FORMS',
     GET_STATUS: 'GET_STATUS',
     UPDATE_SETTINGS: 'UPDATE_SETTINGS',
     GET_USER_DATA: 'GET_USER_DATA',
@@ -20,12 +27,17 @@ const EXTENSION_CONSTANTS = {
     STOP_FILLING: 'STOP_FILLING',
     GET_FORM_COUNT: 'GET_FORM_COUNT',
     
+    // From context menus (service worker) to the content script of the clicked frame
+    FILL_FIELD: 'FILL_FIELD',
+    EXCLUDE_FIELD: 'EXCLUDE_FIELD',
+    
     // From content script to service worker
     DETECTION_COMPLETE: 'DETECTION_COMPLETE',
     FILLING_COMPLETE: 'FILLING_COMPLETE',
     FILLING_PROGRESS: 'FILLING_PROGRESS',
     FORM_COUNT_UPDATE: 'FORM_COUNT_UPDATE',
-    ERROR_OCCURRED: 'ERROR_OCCURRED'
+    ERROR_OCCURRED: 'ERROR_OCCURRED',
+    SET_PICKER_DATE: 'SET_PICKER_DATE'
   },
   
   // Storage keys
@@ -33,7 +45,8 @@ const EXTENSION_CONSTANTS = {
     USER_DATA: 'form_fill_user_data',
     SETTINGS: 'form_fill_settings',
     STATISTICS: 'form_fill_statistics',
-    FIELD_MAPPINGS: 'form_fill_field_mappings'
+    FIELD_MAPPINGS: 'form_fill_field_mappings',
+    TEMPLATES: 'templates'
   },
   
   // Field mapping patterns for intelligent field detection
@@ -87,6 +100,14 @@ const EXTENSION_CONSTANTS = {
     ]
   },
   
+  // Address block indicators (matched against autocomplete sections, names, legends and headings)
+  ADDRESS_SECTION_PATTERNS: {
+    billing: ['billing', 'bill', 'bill.?to', 'invoice', 'invoicing', 'payment.?address', 'facturation', 'rechnung'],
+    shipping: ['shipping', 'ship', 'ship.?to', 'delivery', 'deliver.?to', 'livraison', 'lieferung', 'envío'],
+    work: ['work', 'business', 'office', 'company.?address', 'employer'],
+    home: ['home', 'residential', 'residence', 'personal.?address']
+  },
+  
   // Default user data template
   DEFAULT_USER_DATA: {
     personal: {
@@ -104,6 +125,37 @@ const EXTENSION_CONSTANTS = {
       zipCode: '',
       country: ''
     },
+    // Named addresses for pages with several address blocks; an empty one falls back to `address`
+    addresses: {
+      home: {
+        street: '',
+        city: '',
+        state: '',
+        zipCode: '',
+        country: ''
+      },
+      work: {
+        street: '',
+        city: '',
+        state: '',
+        zipCode: '',
+        country: ''
+      },
+      billing: {
+        street: '',
+        city: '',
+        state: '',
+        zipCode: '',
+        country: ''
+      },
+      shipping: {
+        street: '',
+        city: '',
+        state: '',
+        zipCode: '',
+        country: ''
+      }
+    },
     professional: {
       company: '',
       jobTitle: '',
@@ -127,7 +179,19 @@ const EXTENSION_CONSTANTS = {
     respectValidation: true,
     skipHiddenFields: true,
     maxFieldsPerPage: 1000,
-    fillTimeout: 30000
+    fillTimeout: 30000,
+    wizardMode: false,
+    wizardMaxSteps: 10,
+    wizardAllowSubmit: false,
+    // Type text one key at a time; typingSites maps a hostname to an override of typingMode
+    typingMode: false,
+    typingDelay: 60,
+    typingJitter: 40,
+    typingSites: {},
+    // Hostname → keys of fields excluded from filling through the context menu
+    excludedFields: {},
+    // Fake fills seeded from the page address, so the same page always gets the same data
+    stableSeedPerUrl: false
   },
   
   // Visual feedback CSS classes
@@ -136,7 +200,8 @@ const EXTENSION_CONSTANTS = {
     ERROR: 'form-fill-error',
     PROCESSING: 'form-fill-processing',
     CONTAINER: 'form-fill-container',
-    OVERLAY: 'form-fill-overlay'
+    OVERLAY: 'form-fill-overlay',
+    INSPECTOR: 'form-fill-inspector'
   },
   
   // Protected field indicators
@@ -146,12 +211,32 @@ const EXTENSION_CONSTANTS = {
     SECURITY: ['csrf', 'token', 'nonce', '_token', 'authenticity_token']
   },
   
+  // Step navigation controls in multi-step forms (matched against label, aria-label, name and id)
+  WIZARD_PATTERNS: {
+    NEXT: [
+      'next', 'continue', 'proceed', 'forward', 'next.?step', 'go.?on',
+      'weiter', 'suivant', 'continuer', 'siguiente', 'continuar', 'avanti', 'próximo', '›', '→', '»'
+    ],
+    SUBMIT: [
+      'submit', 'finish', 'complete', 'confirm', 'place.?order', 'pay', 'purchase', 'buy',
+      'checkout', 'sign.?up', 'register', 'create.?account', 'send', 'done', 'book',
+      'absenden', 'envoyer', 'enviar', 'terminer', 'finalizar'
+    ],
+    BACK: ['back', 'previous', 'prev', 'zurück', 'retour', 'précédent', 'anterior', 'atrás', '‹', '←', '«'],
+    IGNORE: ['cancel', 'close', 'reset', 'clear', 'skip', 'login', 'log.?in', 'sign.?in', 'search']
+  },
+  
   // Timeouts and delays
   TIMEOUTS: {
     FORM_DETECTION: 5000,
     FORM_FILLING: 30000,
     MESSAGE_RESPONSE: 10000,
     MUTATION_DEBOUNCE: 100,
+    WIZARD_STEP: 5000,
+    CASCADE_SETTLE: 300,
+    VALIDATION_SETTLE: 150,
+    DEPENDENT_OPTIONS: 3000,
+    ARIA_TOGGLE: 1000,
     VISUAL_FEEDBACK: 2000
   },
   
@@ -161,6 +246,9 @@ const EXTENSION_CONSTANTS = {
     MAX_FORMS_PER_PAGE: 10,
     MAX_TEXT_LENGTH: 1000,
     MAX_RETRIES: 3,
+    MAX_WIZARD_STEPS: 10,
+    MAX_CASCADE_PASSES: 5,
+    MAX_UNDO_OPERATIONS: 5,
     MIN_FIELD_VISIBILITY: 10 // pixels
   },
   
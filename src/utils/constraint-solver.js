@@ -0,0 +1,265 @@
+class ConstraintSolver {
+  constructor(fakeDataGenerator = new FakeDataGenerator()) {
+    this.fakeDataGenerator = fakeDataGenerator;
+    // Pattern values draw from the same source, so a seeded generator seeds them too
+    this.regexGenerator = new RegexValueGenerator(() => this.fakeDataGenerator.random());
+    // Random patterns rarely miss, but v-flag class syntax and length limits can need retries
+    this.maxAttempts = 25;
+
+    // Input types where each HTML constraint applies
+    this.patternTypes = ['text', 'search', 'url', 'tel', 'email', 'password'];
+    this.lengthTypes = [...this.patternTypes, 'textarea'];
+    this.numberTypes = ['number', 'range'];
+    this.dateTypes = ['date', 'datetime-local', 'month', 'week', 'time'];
+
+    // Characters each inputmode's keyboard can type
+    this.inputModePatterns = {
+      numeric: /^[0-9]*$/,
+      decimal: /^[0-9]*([.,][0-9]+)?$/,
+      tel: /^[0-9+()\-.\s]*$/,
+      email: /^[^\s@]+@[^\s@]+$/
+    };
+  }
+
+  // Validation attributes the browser (or the page's keyboard hint) will hold a value to
+  readConstraints(element) {
+    const type = element.tagName === 'TEXTAREA' ? 'textarea' : (element.type || 'text').toLowerCase();
+    const attribute = name => element.getAttribute(name);
+    const integer = name => {
+      const value = parseInt(attribute(name), 10);
+      return Number.isNaN(value) || value < 0 ? null : value;
+    };
+
+    const constraints = {
+      type,
+      pattern: this.patternTypes.includes(type) && attribute('pattern') ? attribute('pattern') : null,
+      minLength: this.lengthTypes.includes(type) ? integer('minlength') : null,
+      maxLength: this.lengthTypes.includes(type) ? integer('maxlength') : null,
+      min: attribute('min'),
+      max: attribute('max'),
+      step: attribute('step'),
+      inputMode: (attribute('inputmode') || '').toLowerCase()
+    };
+
+    // Invalid patterns are ignored by the browser, so they are ignored here too
+    constraints.regex = constraints.pattern ? this.regexGenerator.compile(constraints.pattern) : null;
+
+    return constraints;
+  }
+
+  hasConstraints(constraints) {
+    const { type, regex, minLength, maxLength, min, max, inputMode } = constraints;
+
+    // Number inputs always have a step (1 unless "any"), so fractional values can be invalid
+    if (this.numberTypes.includes(type)) {
+      return true;
+    }
+
+    if (this.dateTypes.includes(type)) {
+      return min !== null || max !== null;
+    }
+
+    return Boolean(regex) || minLength !== null || maxLength !== null || Boolean(this.inputModePatterns[inputMode]);
+  }
+
+  // Keep the semantic value when it already passes, otherwise produce one that does
+  solve(element, value) {
+    const constraints = this.readConstraints(element);
+
+    if (!this.hasConstraints(constraints)) {
+      return value;
+    }
+
+    if (value !== null && value !== undefined && this.satisfies(value, constraints)) {
+      return value;
+    }
+
+    if (this.numberTypes.includes(constraints.type)) {
+      return this.solveNumber(value, constraints);
+    }
+
+    if (this.dateTypes.includes(constraints.type)) {
+      return this.solveDate(value, constraints);
+    }
+
+    if (constraints.regex) {
+      const generated = this.generateFromPattern(constraints);
+      if (generated !== null) {
+        return generated;
+      }
+    }
+
+    return this.repairText(value, constraints);
+  }
+
+  satisfies(value, constraints) {
+    const { type, regex, minLength, maxLength, inputMode } = constraints;
+
+    if (this.numberTypes.includes(type)) {
+      return this.isNumberInRange(Number(value), constraints);
+    }
+
+    if (this.dateTypes.includes(type)) {
+      return typeof value === 'string' && this.isDateInRange(value, constraints);
+    }
+
+    const text = String(value);
+
+    if (minLength !== null && text.length < minLength) return false;
+    if (maxLength !== null && text.length > maxLength) return false;
+    if (regex && !regex.test(text)) return false;
+    if (this.inputModePatterns[inputMode] && !this.inputModePatterns[inputMode].test(text)) return false;
+
+    return true;
+  }
+
+  generateFromPattern(constraints) {
+    const fits = value => this.satisfies(value, constraints);
+
+    try {
+      // Random repetition first, then open-ended quantifiers stretched toward the length bounds
+      for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+        const value = this.regexGenerator.generate(constraints.pattern);
+        if (fits(value)) {
+          return value;
+        }
+      }
+
+      const longest = Math.max(constraints.minLength || 0, constraints.maxLength || 0, 10);
+      for (let extraRepeat = 0; extraRepeat <= longest; extraRepeat++) {
+        const value = this.regexGenerator.generate(constraints.pattern, { extraRepeat });
+        if (fits(value)) {
+          return value;
+        }
+      }
+    } catch (error) {
+      console.warn(`Cannot generate a value for pattern ${constraints.pattern}:`, error.message);
+    }
+
+    return null;
+  }
+
+  repairText(value, constraints) {
+    const { minLength, maxLength, inputMode } = constraints;
+    let text = value === null || value === undefined ? '' : String(value);
+    const digitsOnly = inputMode === 'numeric' || inputMode === 'decimal';
+
+    if (digitsOnly) {
+      text = text.replace(/[^0-9]/g, '');
+    } else if (inputMode === 'tel') {
+      text = text.replace(/[^0-9+()\-.\s]/g, '').trim();
+    }
+
+    // Grow short values with more of the same kind of content
+    const targetLength = minLength || (text ? 0 : Math.min(maxLength || 8, 8));
+    while (text.length < targetLength) {
+      text += digitsOnly || inputMode === 'tel'
+        ? String(this.fakeDataGenerator.randomInt(0, 9))
+        : `${text ? ' ' : ''}${this.fakeDataGenerator.generateLoremWords(1)}`;
+    }
+
+    if (maxLength !== null && text.length > maxLength) {
+      text = text.slice(0, maxLength);
+    }
+
+    // A trailing space from truncation would fall short of minlength once trimmed by the page
+    return text.replace(/\s$/, 'x');
+  }
+
+  solveNumber(value, constraints) {
+    const min = this.parseNumber(constraints.min);
+    const max = this.parseNumber(constraints.max);
+    const step = this.getStep(constraints);
+
+    let number = Number(value);
+    if (Number.isNaN(number) || (min !== null && number < min) || (max !== null && number > max)) {
+      const low = min !== null ? min : (max !== null ? max - 100 : 0);
+      const high = max !== null ? max : low + 100;
+      number = low + Number(this.fakeDataGenerator.randomFloat(0, 1, 6)) * (high - low);
+    }
+
+    if (step) {
+      // Snap onto the step grid, which starts at min (or 0)
+      const base = min !== null ? min : 0;
+      number = base + Math.round((number - base) / step) * step;
+      if (max !== null && number > max) {
+        number -= step;
+      }
+      if (min !== null && number < min) {
+        number += step;
+      }
+      number = Number(number.toFixed(this.getDecimals(step, base)));
+    }
+
+    return number;
+  }
+
+  isNumberInRange(number, constraints) {
+    const min = this.parseNumber(constraints.min);
+    const max = this.parseNumber(constraints.max);
+    const step = this.getStep(constraints);
+
+    if (Number.isNaN(number)) return false;
+    if (min !== null && number < min) return false;
+    if (max !== null && number > max) return false;
+
+    if (step) {
+      const steps = (number - (min !== null ? min : 0)) / step;
+      return Math.abs(steps - Math.round(steps)) < 1e-9;
+    }
+
+    return true;
+  }
+
+  // number defaults to step 1; "any" lifts the restriction
+  getStep(constraints) {
+    if (constraints.step === 'any') {
+      return null;
+    }
+
+    const step = this.parseNumber(constraints.step);
+    return step && step > 0 ? step : 1;
+  }
+
+  getDecimals(...numbers) {
+    return Math.max(...numbers.map(number => (String(number).split('.')[1] || '').length));
+  }
+
+  parseNumber(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+  }
+
+  solveDate(value, constraints) {
+    const { type, min, max } = constraints;
+
+    if (type === 'date') {
+      // Pick a day inside the allowed window
+      const start = min ? new Date(min) : new Date(new Date(max).getTime() - 10 * 365 * 86400000);
+      const end = max ? new Date(max) : new Date(start.getTime() + 10 * 365 * 86400000);
+      const date = new Date(start.getTime() + Number(this.fakeDataGenerator.randomFloat(0, 1, 6)) * (end.getTime() - start.getTime()));
+      return date.toISOString().split('T')[0];
+    }
+
+    // Other date/time formats compare as strings; the nearest bound is always valid
+    if (min && (typeof value !== 'string' || value < min)) {
+      return min;
+    }
+
+    return max || value;
+  }
+
+  isDateInRange(value, constraints) {
+    const { min, max } = constraints;
+    return (!min || value >= min) && (!max || value <= max);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConstraintSolver;
+}
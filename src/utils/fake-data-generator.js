@@ -1,13 +1,18 @@
 class FakeDataGenerator {
-  constructor() {
+  constructor(seed = null) {
     // Sample data arrays for generating realistic fake data
-    this.firstNames = [
+    this.maleFirstNames = [
       'James', 'John', 'Robert', 'Michael', 'William', 'David', 'Richard', 'Joseph', 'Thomas', 'Christopher',
-      'Charles', 'Daniel', 'Matthew', 'Anthony', 'Mark', 'Donald', 'Steven', 'Paul', 'Andrew', 'Joshua',
+      'Charles', 'Daniel', 'Matthew', 'Anthony', 'Mark', 'Donald', 'Steven', 'Paul', 'Andrew', 'Joshua'
+    ];
+
+    this.femaleFirstNames = [
       'Mary', 'Patricia', 'Jennifer', 'Linda', 'Elizabeth', 'Barbara', 'Susan', 'Jessica', 'Sarah', 'Karen',
       'Nancy', 'Lisa', 'Betty', 'Helen', 'Sandra', 'Donna', 'Carol', 'Ruth', 'Sharon', 'Michelle'
     ];
 
+    this.firstNames = [...this.maleFirstNames, ...this.femaleFirstNames];
+
     this.lastNames = [
       'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez',
       'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas', 'Taylor', 'Moore', 'Jackson', 'Martin',
@@ -23,12 +28,37 @@ class FakeDataGenerator {
 
     this.domains = ['gmail.com', 'yahoo.com', 'outlook.com', 'hotmail.com', 'company.com', 'example.org'];
 
-    this.cities = [
-      'New York', 'Los Angeles', 'Chicago', 'Houston', 'Phoenix', 'Philadelphia', 'San Antonio', 'San Diego',
-      'Dallas', 'San Jose', 'Austin', 'Jacksonville', 'Fort Worth', 'Columbus', 'Charlotte', 'San Francisco',
-      'Indianapolis', 'Seattle', 'Denver', 'Washington', 'Boston', 'El Paso', 'Nashville', 'Detroit', 'Oklahoma City'
+    // Each city with its state, ZIP code range and telephone area codes, so a persona's address and phone agree
+    this.places = [
+      { city: 'New York', state: 'NY', zipCodes: [10001, 10292], areaCodes: ['212', '646', '917'] },
+      { city: 'Los Angeles', state: 'CA', zipCodes: [90001, 90089], areaCodes: ['213', '310', '323'] },
+      { city: 'Chicago', state: 'IL', zipCodes: [60601, 60661], areaCodes: ['312', '773', '872'] },
+      { city: 'Houston', state: 'TX', zipCodes: [77001, 77099], areaCodes: ['713', '281', '832'] },
+      { city: 'Phoenix', state: 'AZ', zipCodes: [85001, 85054], areaCodes: ['602', '480', '623'] },
+      { city: 'Philadelphia', state: 'PA', zipCodes: [19102, 19154], areaCodes: ['215', '267'] },
+      { city: 'San Antonio', state: 'TX', zipCodes: [78201, 78266], areaCodes: ['210', '726'] },
+      { city: 'San Diego', state: 'CA', zipCodes: [92101, 92199], areaCodes: ['619', '858'] },
+      { city: 'Dallas', state: 'TX', zipCodes: [75201, 75398], areaCodes: ['214', '469', '972'] },
+      { city: 'San Jose', state: 'CA', zipCodes: [95110, 95139], areaCodes: ['408', '669'] },
+      { city: 'Austin', state: 'TX', zipCodes: [78701, 78759], areaCodes: ['512', '737'] },
+      { city: 'Jacksonville', state: 'FL', zipCodes: [32202, 32277], areaCodes: ['904'] },
+      { city: 'Fort Worth', state: 'TX', zipCodes: [76102, 76179], areaCodes: ['817', '682'] },
+      { city: 'Columbus', state: 'OH', zipCodes: [43201, 43235], areaCodes: ['614', '380'] },
+      { city: 'Charlotte', state: 'NC', zipCodes: [28202, 28288], areaCodes: ['704', '980'] },
+      { city: 'San Francisco', state: 'CA', zipCodes: [94102, 94134], areaCodes: ['415', '628'] },
+      { city: 'Indianapolis', state: 'IN', zipCodes: [46201, 46260], areaCodes: ['317', '463'] },
+      { city: 'Seattle', state: 'WA', zipCodes: [98101, 98199], areaCodes: ['206', '564'] },
+      { city: 'Denver', state: 'CO', zipCodes: [80202, 80249], areaCodes: ['303', '720'] },
+      { city: 'Washington', state: 'DC', zipCodes: [20001, 20020], areaCodes: ['202', '771'] },
+      { city: 'Boston', state: 'MA', zipCodes: [2108, 2137], areaCodes: ['617', '857'] },
+      { city: 'El Paso', state: 'TX', zipCodes: [79901, 79938], areaCodes: ['915'] },
+      { city: 'Nashville', state: 'TN', zipCodes: [37201, 37250], areaCodes: ['615', '629'] },
+      { city: 'Detroit', state: 'MI', zipCodes: [48201, 48244], areaCodes: ['313'] },
+      { city: 'Oklahoma City', state: 'OK', zipCodes: [73102, 73179], areaCodes: ['405', '572'] }
     ];
 
+    this.cities = this.places.map(place => place.city);
+
     this.states = [
       'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY',
       'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND',
@@ -47,19 +77,66 @@ class FakeDataGenerator {
       'commodo', 'consequat', 'duis', 'aute', 'irure', 'in', 'reprehenderit', 'voluptate', 'velit', 'esse',
       'cillum', 'fugiat', 'nulla', 'pariatur', 'excepteur', 'sint', 'occaecat', 'cupidatat', 'non', 'proident'
     ];
+
+    this.setSeed(seed);
+  }
+
+  // A seed makes every value after it reproducible: the same seed on the same form gives the same fill.
+  // Without one, values come from Math.random. Dates relative to today (ages, expiry years) are measured
+  // from the seed's reference time, so a seed replayed on a later day still gives the same values.
+  setSeed(seed = null, referenceTime = null) {
+    this.seed = seed === null || seed === undefined || seed === '' ? null : this.normalizeSeed(seed);
+    this.random = this.seed === null ? Math.random : this.createRandom(this.seed);
+    this.referenceTime = this.seed === null ? null : Number(referenceTime ?? Date.now());
+    return this.seed;
+  }
+
+  now() {
+    return this.referenceTime === null || this.referenceTime === undefined ? new Date() : new Date(this.referenceTime);
+  }
+
+  // Seeds are 32-bit unsigned integers; any other text (a page URL, a seed pasted from a bug report) is hashed
+  normalizeSeed(seed) {
+    const text = String(seed).trim();
+    return /^\d{1,10}$/.test(text) && Number(text) <= 0xffffffff ? Number(text) : this.hashSeed(text);
+  }
+
+  createSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+  }
+
+  // FNV-1a
+  hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // mulberry32: tiny and fast, and spreads values well enough for fake data
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = Math.imul(state ^ (state >>> 15), state | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
   }
 
   // Utility methods
   randomChoice(array) {
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(this.random() * array.length)];
   }
 
   randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(this.random() * (max - min + 1)) + min;
   }
 
   randomFloat(min, max, decimals = 2) {
-    return (Math.random() * (max - min) + min).toFixed(decimals);
+    return (this.random() * (max - min) + min).toFixed(decimals);
   }
 
   // Name generators
@@ -75,9 +152,25 @@ class FakeDataGenerator {
     return `${this.generateFirstName()} ${this.generateLastName()}`;
   }
 
-  generateUsername() {
-    const firstName = this.generateFirstName().toLowerCase();
-    const lastName = this.generateLastName().toLowerCase();
+  generateHonorificPrefix() {
+    return this.randomChoice(['Mr', 'Ms', 'Mrs', 'Dr']);
+  }
+
+  generateHonorificSuffix() {
+    return this.randomChoice(['Jr', 'Sr', 'II', 'III', 'PhD']);
+  }
+
+  generateSex() {
+    return this.randomChoice(['Female', 'Male']);
+  }
+
+  generateLanguage() {
+    return this.randomChoice(['en', 'fr', 'es', 'de', 'it', 'pt']);
+  }
+
+  generateUsername(firstName = this.generateFirstName(), lastName = this.generateLastName()) {
+    firstName = firstName.toLowerCase();
+    lastName = lastName.toLowerCase();
     const number = this.randomInt(1, 999);
     const formats = [
       `${firstName}${lastName}`,
@@ -96,11 +189,12 @@ class FakeDataGenerator {
     return `${username}@${domain}`;
   }
 
-  generateCompanyEmail() {
-    const firstName = this.generateFirstName().toLowerCase();
-    const lastName = this.generateLastName().toLowerCase();
-    const company = this.randomChoice(this.companies).toLowerCase().replace(/\s+/g, '');
-    return `${firstName}.${lastName}@${company}.com`;
+  generateCompanyEmail(firstName = this.generateFirstName(), lastName = this.generateLastName(), company = this.generateCompanyName()) {
+    return `${firstName.toLowerCase()}.${lastName.toLowerCase()}@${this.getCompanyDomain(company)}`;
+  }
+
+  getCompanyDomain(company) {
+    return `${company.toLowerCase().replace(/[^a-z0-9]+/g, '')}.com`;
   }
 
   // Phone generators
@@ -115,6 +209,23 @@ class FakeDataGenerator {
     return format.replace(/X/g, () => this.randomInt(0, 9));
   }
 
+  // Phone number parts, for forms that split a number across inputs
+  generatePhoneAreaCode() {
+    return String(this.randomInt(201, 989));
+  }
+
+  generatePhoneLocalPrefix() {
+    return String(this.randomInt(200, 999));
+  }
+
+  generatePhoneLocalSuffix() {
+    return String(this.randomInt(0, 9999)).padStart(4, '0');
+  }
+
+  generatePhoneExtension() {
+    return String(this.randomInt(100, 9999));
+  }
+
   // Address generators
   generateStreetAddress() {
     const streetNumber = this.randomInt(1, 9999);
@@ -141,6 +252,10 @@ class FakeDataGenerator {
     return this.randomChoice(this.countries);
   }
 
+  generateCountryCode() {
+    return this.randomChoice(['US', 'CA', 'GB', 'DE', 'FR', 'IT', 'ES', 'AU', 'JP', 'NL']);
+  }
+
   generateFullAddress() {
     return `${this.generateStreetAddress()}, ${this.generateCity()}, ${this.generateState()} ${this.generateZipCode()}`;
   }
@@ -180,18 +295,28 @@ class FakeDataGenerator {
   // Date generators
   generateDate() {
     const start = new Date(1950, 0, 1);
-    const end = new Date();
-    const date = new Date(start.getTime() + Math.random() * (end.getTime() - start.getTime()));
+    const end = this.now();
+    const date = new Date(start.getTime() + this.random() * (end.getTime() - start.getTime()));
     return date.toISOString().split('T')[0]; // YYYY-MM-DD format
   }
 
   generateBirthDate() {
     const start = new Date(1940, 0, 1);
     const end = new Date(2005, 11, 31);
-    const date = new Date(start.getTime() + Math.random() * (end.getTime() - start.getTime()));
+    const date = new Date(start.getTime() + this.random() * (end.getTime() - start.getTime()));
     return date.toISOString().split('T')[0];
   }
 
+  // A birth date on which someone born then is exactly `age` today
+  generateBirthDateForAge(age, today = this.now()) {
+    const latest = new Date(today.getFullYear() - age, today.getMonth(), today.getDate());
+    const earliest = new Date(today.getFullYear() - age - 1, today.getMonth(), today.getDate() + 1);
+    const date = new Date(earliest.getTime() + this.random() * (latest.getTime() - earliest.getTime()));
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+      .join('-');
+  }
+
   generateTime() {
     const hours = String(this.randomInt(0, 23)).padStart(2, '0');
     const minutes = String(this.randomInt(0, 59)).padStart(2, '0');
@@ -243,18 +368,20 @@ class FakeDataGenerator {
   }
 
   generateHexColor() {
-    return '#' + Math.floor(Math.random() * 16777215).toString(16).padStart(6, '0');
+    return '#' + Math.floor(this.random() * 16777215).toString(16).padStart(6, '0');
   }
 
   // Credit card generators (for testing only)
-  generateCreditCardNumber() {
+  generateCreditCardNumber(length = 16) {
     // Generate fake credit card number (Luhn algorithm compliant)
-    const prefixes = ['4', '51', '52', '53', '54', '55']; // Visa, MasterCard
+    const prefixes = length === 15
+      ? ['34', '37'] // American Express
+      : ['4', '51', '52', '53', '54', '55']; // Visa, MasterCard
     const prefix = this.randomChoice(prefixes);
     let number = prefix;
     
     // Generate remaining digits
-    while (number.length < 15) {
+    while (number.length < length - 1) {
       number += this.randomInt(0, 9);
     }
     
@@ -275,6 +402,26 @@ class FakeDataGenerator {
     return number + checkDigit;
   }
 
+  generateCardExpiryMonth() {
+    return String(this.randomInt(1, 12)).padStart(2, '0');
+  }
+
+  generateCardExpiryYear() {
+    return String(this.now().getFullYear() + this.randomInt(1, 6));
+  }
+
+  generateCardExpiry() {
+    return `${this.generateCardExpiryMonth()}/${this.generateCardExpiryYear().slice(-2)}`;
+  }
+
+  generateCardType() {
+    return this.randomChoice(['Visa', 'MasterCard']);
+  }
+
+  generateCurrency() {
+    return this.randomChoice(['USD', 'EUR', 'GBP', 'CAD', 'JPY']);
+  }
+
   generateCVV() {
     return String(this.randomInt(100, 999));
   }
@@ -292,15 +439,24 @@ class FakeDataGenerator {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
     let password = '';
     for (let i = 0; i < length; i++) {
-      password += chars.charAt(Math.floor(Math.random() * chars.length));
+      password += chars.charAt(Math.floor(this.random() * chars.length));
     }
     return password;
   }
 
+  // One-time code (e.g. SMS verification)
+  generateOneTimeCode(length = 6) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += this.randomInt(0, 9);
+    }
+    return code;
+  }
+
   // UUID generator
   generateUUID() {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-      const r = Math.random() * 16 | 0;
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+      const r = this.random() * 16 | 0;
       const v = c === 'x' ? r : (r & 0x3 | 0x8);
       return v.toString(16);
     });
@@ -308,7 +464,7 @@ class FakeDataGenerator {
 
   // Boolean generator
   generateBoolean() {
-    return Math.random() > 0.5;
+    return this.random() > 0.5;
   }
 
   // IP Address generator
@@ -316,6 +472,49 @@ class FakeDataGenerator {
     return `${this.randomInt(1, 255)}.${this.randomInt(0, 255)}.${this.randomInt(0, 255)}.${this.randomInt(1, 255)}`;
   }
 
+  // One made-up person whose details agree with each other, for filling a whole form: the email
+  // derives from the name, the phone area code and ZIP code from the city, the birth date from the age
+  generatePersona() {
+    const sex = this.generateSex();
+    const names = sex === 'Female' ? this.femaleFirstNames : this.maleFirstNames;
+    const firstName = this.randomChoice(names);
+    const lastName = this.generateLastName();
+    const username = this.generateUsername(firstName, lastName);
+    const company = this.generateCompanyName();
+    const place = this.randomChoice(this.places);
+    const phoneAreaCode = this.randomChoice(place.areaCodes);
+    const phoneLocalPrefix = this.generatePhoneLocalPrefix();
+    const phoneLocalSuffix = this.generatePhoneLocalSuffix();
+    const age = this.generateAge();
+
+    return {
+      sex,
+      honorificPrefix: sex === 'Female' ? 'Ms' : 'Mr',
+      firstName,
+      middleName: this.randomChoice(names.filter(name => name !== firstName)),
+      lastName,
+      fullName: `${firstName} ${lastName}`,
+      username,
+      email: `${username}@${this.randomChoice(this.domains)}`,
+      password: this.generatePassword(),
+      phone: `(${phoneAreaCode}) ${phoneLocalPrefix}-${phoneLocalSuffix}`,
+      phoneAreaCode,
+      phoneLocalPrefix,
+      phoneLocalSuffix,
+      streetAddress: this.generateStreetAddress(),
+      city: place.city,
+      state: place.state,
+      zipCode: String(this.randomInt(...place.zipCodes)).padStart(5, '0'),
+      country: 'United States',
+      countryCode: 'US',
+      birthDate: this.generateBirthDateForAge(age),
+      age,
+      company,
+      jobTitle: this.generateJobTitle(),
+      workEmail: this.generateCompanyEmail(firstName, lastName, company)
+    };
+  }
+
   // Generate data based on field context
   generateByFieldType(fieldType, fieldName = '', placeholder = '') {
     const lowerName = fieldName.toLowerCase();
@@ -2,6 +2,20 @@ class FieldMapper {
   constructor() {
     this.patterns = EXTENSION_CONSTANTS.FIELD_PATTERNS;
     this.fieldCache = new Map();
+    this.autocompleteParser = new AutocompleteParser();
+    this.optionMatcher = new OptionMatcher();
+    // Autocomplete tokens for values the profile does not hold
+    this.unmappedAutocompleteFields = [
+      'honorific-prefix', 'honorific-suffix', 'nickname', 'sex', 'language', 'photo', 'impp',
+      'address-line2', 'address-line3', 'address-level3', 'address-level4', 'tel-extension', 'one-time-code',
+      'cc-name', 'cc-given-name', 'cc-additional-name', 'cc-family-name', 'cc-number', 'cc-exp',
+      'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-type', 'transaction-currency', 'transaction-amount'
+    ];
+    this.sectionPatterns = Object.entries(EXTENSION_CONSTANTS.ADDRESS_SECTION_PATTERNS)
+      .map(([section, words]) => ({
+        section,
+        regex: new RegExp(`\\b(${words.join('|')})\\b`, 'i')
+      }));
   }
 
   mapValueToField(fieldDescriptor, userData) {
@@ -10,7 +24,7 @@ class FieldMapper {
     // Check cache first
     if (this.fieldCache.has(cacheKey)) {
       const cachedMapping = this.fieldCache.get(cacheKey);
-      return this.getValueFromPath(userData, cachedMapping);
+      return this.getFieldValue(userData, cachedMapping, fieldDescriptor);
     }
 
     // Determine the best mapping for this field
@@ -19,12 +33,160 @@ class FieldMapper {
     if (mapping) {
       // Cache the mapping for future use
       this.fieldCache.set(cacheKey, mapping);
-      return this.getValueFromPath(userData, mapping);
+      return this.getFieldValue(userData, mapping, fieldDescriptor);
     }
 
     return null;
   }
 
+  getFieldValue(userData, mapping, fieldDescriptor) {
+    // "path#part" reads one part of a profile value, such as the year of a birth date
+    const [path, part] = this.resolveDataPath(userData, mapping, fieldDescriptor).split('#');
+    const value = this.getValueFromPath(userData, path);
+    
+    return part ? this.derivePart(value, part) : value;
+  }
+
+  derivePart(value, part) {
+    if (!value) {
+      return null;
+    }
+    
+    switch (part) {
+      case 'day':
+      case 'month':
+      case 'year': {
+        const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+        return match ? match[{ year: 1, month: 2, day: 3 }[part]] : null;
+      }
+      case 'countryCode':
+        return this.optionMatcher.getCountryCode(value);
+      default:
+        return this.derivePhonePart(value, part);
+    }
+  }
+
+  // Profile phones are stored as typed; the last ten digits are the national number
+  // (area code and local number), anything before them the country calling code
+  derivePhonePart(phone, part) {
+    const digits = String(phone).replace(/\D/g, '');
+    const national = digits.slice(-10);
+    const local = national.slice(-7);
+    const parts = {
+      callingCode: digits.length > 10 ? `+${digits.slice(0, -10)}` : null,
+      areaCode: national.length === 10 ? national.slice(0, 3) : null,
+      local,
+      localPrefix: local.length === 7 ? local.slice(0, 3) : null,
+      localSuffix: local.length === 7 ? local.slice(3) : null
+    };
+    
+    return parts[part] || null;
+  }
+
+  // The profile path a field reads from, for showing where a planned value comes from
+  getDataPath(fieldDescriptor, userData) {
+    const cacheKey = this.generateCacheKey(fieldDescriptor);
+    const mapping = this.fieldCache.has(cacheKey) ? this.fieldCache.get(cacheKey) : this.determineFieldMapping(fieldDescriptor);
+    
+    return mapping ? this.resolveDataPath(userData, mapping, fieldDescriptor) : null;
+  }
+
+  resolveDataPath(userData, mapping, fieldDescriptor) {
+    // Address fields read from the named address of the block they sit in
+    if (mapping.startsWith('address.')) {
+      const section = this.inferAddressSection(fieldDescriptor);
+      return this.getAddressPath(userData, mapping, section);
+    }
+    
+    return mapping;
+  }
+
+  getAddressPath(userData, mapping, section) {
+    const namedAddress = section ? this.getValueFromPath(userData, `addresses.${section}`) : null;
+    
+    // A named address is used as a whole once any of it is filled in, so one block
+    // never mixes billing and home values
+    if (namedAddress && Object.values(namedAddress).some(value => value)) {
+      return mapping.replace(/^address\./, `addresses.${section}.`);
+    }
+    
+    return mapping;
+  }
+
+  // Work out which address block (billing, shipping, home, work) a field belongs to
+  inferAddressSection(fieldDescriptor) {
+    const { element, autocomplete, name, id } = fieldDescriptor;
+    
+    // Declared autofill sections are authoritative
+    if (autocomplete) {
+      if (autocomplete.addressType) {
+        return autocomplete.addressType;
+      }
+      
+      const declared = autocomplete.section && this.matchAddressSection(autocomplete.section);
+      if (declared) {
+        return declared;
+      }
+    }
+    
+    // Name prefixes such as billing_street, shipping[city], shipToZip
+    const own = this.matchAddressSection(`${name || ''} ${id || ''}`);
+    if (own) {
+      return own;
+    }
+    
+    return element ? this.inferSectionFromContainers(element) : null;
+  }
+
+  inferSectionFromContainers(element) {
+    const stop = element.ownerDocument ? element.ownerDocument.body : null;
+    
+    // Walk outwards: the closest fieldset legend, labelled region or heading decides
+    for (let container = element.parentElement; container && container !== stop; container = container.parentElement) {
+      const labels = [
+        container.id,
+        typeof container.className === 'string' ? container.className : '',
+        container.getAttribute('aria-label'),
+        container.getAttribute('data-section')
+      ];
+      
+      if (container.tagName === 'FIELDSET') {
+        const legend = container.querySelector('legend');
+        labels.unshift(legend ? legend.textContent : '');
+      }
+      
+      const heading = this.getPrecedingHeading(container, element);
+      if (heading) {
+        labels.unshift(heading.textContent);
+      }
+      
+      const section = this.matchAddressSection(labels.filter(Boolean).join(' '));
+      if (section) {
+        return section;
+      }
+    }
+    
+    return null;
+  }
+
+  getPrecedingHeading(container, element) {
+    const headings = Array.from(container.querySelectorAll('h1, h2, h3, h4, h5, h6, legend'))
+      .filter(heading => heading.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING);
+    
+    return headings.length > 0 ? headings[headings.length - 1] : null;
+  }
+
+  matchAddressSection(text) {
+    // Split camelCase and separators so "shipToZip" and "billing_city" read as words
+    const words = String(text)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[_\-.[\]]+/g, ' ')
+      .toLowerCase();
+    
+    const match = this.sectionPatterns.find(({ regex }) => regex.test(words));
+    return match ? match.section : null;
+  }
+
   determineFieldMapping(fieldDescriptor) {
     const { element, type, subtype, name, id, label, placeholder } = fieldDescriptor;
     
@@ -33,6 +195,18 @@ class FieldMapper {
       return this.shouldFillPassword(fieldDescriptor) ? 'personal.password' : null;
     }
 
+    // Honor declared autofill tokens before guessing from attributes
+    const autocomplete = fieldDescriptor.autocomplete !== undefined
+      ? fieldDescriptor.autocomplete
+      : this.autocompleteParser.parseElement(element);
+
+    if (autocomplete) {
+      const declared = this.mapAutocompleteToDataPath(autocomplete, fieldDescriptor);
+      if (declared !== undefined) {
+        return declared;
+      }
+    }
+
     // Build searchable text from field attributes
     const searchText = this.buildSearchText(name, id, label, placeholder);
     
@@ -48,8 +222,11 @@ class FieldMapper {
   }
 
   buildSearchText(name, id, label, placeholder) {
-    return [name, id, label, placeholder]
-      .filter(text => text && typeof text === 'string')
+    // An id that repeats the name would otherwise halve every pattern score
+    const parts = [name, id, label, placeholder]
+      .filter(text => text && typeof text === 'string');
+
+    return Array.from(new Set(parts))
       .join(' ')
       .toLowerCase()
       .replace(/[^a-z0-9\s]/g, ' ')
@@ -125,7 +302,8 @@ class FieldMapper {
       city: 'address.city',
       state: 'address.state',
       zipCode: 'address.zipCode',
-      country: 'address.country',
+      // The spec's country token wants a code; country-name wants the name
+      country: 'address.country#countryCode',
       company: 'professional.company',
       website: 'professional.website'
     };
@@ -133,6 +311,54 @@ class FieldMapper {
     return mappings[fieldName] || null;
   }
 
+  mapAutocompleteToDataPath(autocomplete, fieldDescriptor) {
+    const mappings = {
+      name: 'personal.fullName',
+      'given-name': 'personal.firstName',
+      'family-name': 'personal.lastName',
+      email: 'personal.email',
+      tel: 'personal.phone',
+      'tel-national': 'personal.phone',
+      'tel-country-code': 'personal.phone#callingCode',
+      'tel-area-code': 'personal.phone#areaCode',
+      'tel-local': 'personal.phone#local',
+      'tel-local-prefix': 'personal.phone#localPrefix',
+      'tel-local-suffix': 'personal.phone#localSuffix',
+      bday: 'personal.dateOfBirth',
+      'bday-day': 'personal.dateOfBirth#day',
+      'bday-month': 'personal.dateOfBirth#month',
+      'bday-year': 'personal.dateOfBirth#year',
+      'street-address': 'address.street',
+      'address-line1': 'address.street',
+      'address-level2': 'address.city',
+      'address-level1': 'address.state',
+      'postal-code': 'address.zipCode',
+      // The spec's country token wants a code; country-name wants the name
+      country: 'address.country#countryCode',
+      'country-name': 'address.country',
+      organization: 'professional.company',
+      'organization-title': 'professional.jobTitle',
+      url: 'professional.website'
+    };
+
+    if (autocomplete.fieldName === 'new-password' || autocomplete.fieldName === 'current-password') {
+      return this.shouldFillPassword(fieldDescriptor) ? 'personal.password' : null;
+    }
+
+    if (autocomplete.fieldName in mappings) {
+      return mappings[autocomplete.fieldName];
+    }
+    
+    // The field declared a value the profile does not hold; leave it alone rather than let a
+    // name match put the street into address-line2 or a phone into tel-extension
+    if (this.unmappedAutocompleteFields.includes(autocomplete.fieldName)) {
+      return null;
+    }
+    
+    // Other tokens (username, additional-name) still go through the name and label heuristics
+    return undefined;
+  }
+
   analyzeFieldContext(fieldDescriptor) {
     const { element, type, subtype } = fieldDescriptor;
     
@@ -259,8 +485,9 @@ class FieldMapper {
   }
 
   generateCacheKey(fieldDescriptor) {
-    const { name, id, label, type, subtype } = fieldDescriptor;
-    return `${type}-${subtype}-${name}-${id}-${label}`.toLowerCase();
+    const { name, id, label, type, subtype, autocomplete } = fieldDescriptor;
+    const autocompleteKey = autocomplete ? autocomplete.raw : '';
+    return `${type}-${subtype}-${name}-${id}-${label}-${autocompleteKey}`.toLowerCase();
   }
 
   // Special handling for different field types
@@ -331,4 +558,9 @@ class FieldMapper {
       keys: Array.from(this.fieldCache.keys())
     };
   }
-}
\ No newline at end of file
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FieldMapper;
+}
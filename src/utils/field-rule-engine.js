@@ -0,0 +1,243 @@
+class FieldRuleEngine {
+  constructor() {
+    this.rules = [];
+    this.vetoes = [];
+
+    // How much a hit is trusted depending on where it was found; an input type says
+    // what kind of value is wanted but not which one, so keywords can refine it
+    this.sourceWeights = {
+      'input-type': 0.95,
+      'name-attribute': 1,
+      'id-attribute': 1,
+      label: 0.95,
+      placeholder: 0.9,
+      'class-name': 0.7
+    };
+
+    this.getDefaultRules().forEach(rule => this.registerRule(rule));
+  }
+
+  // Add a scoring rule ({ id, category, subtype, weight, pattern, types, tags, score })
+  // or a veto rule ({ id, veto: true, targets, except, applies })
+  registerRule(rule) {
+    if (!rule || !rule.id) {
+      throw new Error('Classification rules need an id');
+    }
+
+    this.unregisterRule(rule.id);
+
+    if (rule.veto) {
+      this.vetoes.push(rule);
+    } else {
+      this.rules.push(rule);
+    }
+
+    return rule;
+  }
+
+  unregisterRule(id) {
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    this.vetoes = this.vetoes.filter(rule => rule.id !== id);
+  }
+
+  getRule(id) {
+    return this.rules.find(rule => rule.id === id) || this.vetoes.find(rule => rule.id === id) || null;
+  }
+
+  // Score every rule against the field; returns the winner and the full ranking
+  classify(context) {
+    const scored = [];
+
+    this.rules.forEach(rule => {
+      try {
+        const candidate = this.scoreRule(rule, context);
+        if (candidate) {
+          scored.push(candidate);
+        }
+      } catch (error) {
+        console.error(`Classification rule ${rule.id} failed:`, error);
+      }
+    });
+
+    scored.forEach(candidate => {
+      const veto = this.vetoes.find(rule => this.vetoApplies(rule, candidate, context));
+      if (veto) {
+        candidate.vetoedBy = veto.id;
+      }
+    });
+
+    // Stable sort keeps registration order as the tie-breaker
+    const ranked = scored
+      .filter(candidate => !candidate.vetoedBy)
+      .sort((a, b) => b.score - a.score);
+    const vetoed = scored.filter(candidate => candidate.vetoedBy);
+
+    return {
+      best: ranked[0] || null,
+      candidates: ranked.concat(vetoed)
+    };
+  }
+
+  scoreRule(rule, context) {
+    if (typeof rule.score === 'function') {
+      const result = rule.score(context);
+      if (!result) {
+        return null;
+      }
+
+      // Custom rules may return a bare score or a full classification
+      const candidate = typeof result === 'number' ? { score: result } : result;
+      return this.createCandidate(rule, candidate.score, candidate.source || rule.id, candidate);
+    }
+
+    // The most trusted piece of evidence decides the score
+    let best = null;
+    const consider = (source, weight) => {
+      if (!best || weight > best.weight) {
+        best = { source, weight };
+      }
+    };
+
+    if (rule.types && rule.types.includes(context.type)) {
+      consider('input-type', this.sourceWeights['input-type']);
+    }
+
+    if (rule.tags && rule.tags.includes(context.tagName)) {
+      consider('tag-name', 1);
+    }
+
+    if (rule.pattern) {
+      Object.entries(context.sources).forEach(([source, text]) => {
+        if (text && rule.pattern.test(text)) {
+          consider(source, this.sourceWeights[source] || 0.5);
+        }
+      });
+    }
+
+    return best ? this.createCandidate(rule, rule.weight * best.weight, best.source) : null;
+  }
+
+  createCandidate(rule, score, source, overrides = {}) {
+    return {
+      rule: rule.id,
+      category: overrides.category || rule.category,
+      subtype: overrides.subtype || rule.subtype,
+      score: Math.round(Math.min(score, 1) * 1000) / 1000,
+      source
+    };
+  }
+
+  vetoApplies(veto, candidate, context) {
+    if (veto.targets && !veto.targets.includes(candidate.rule)) {
+      return false;
+    }
+
+    if (veto.except && veto.except.includes(candidate.rule)) {
+      return false;
+    }
+
+    return veto.pattern ? veto.pattern.test(context.allText) : Boolean(veto.applies && veto.applies(context));
+  }
+
+  getDefaultRules() {
+    return [
+      // Declared autofill intent outranks any keyword heuristic
+      {
+        id: 'autocomplete',
+        score: context => context.autocompleteClassification && {
+          score: 0.98,
+          category: context.autocompleteClassification.category,
+          subtype: context.autocompleteClassification.subtype,
+          source: context.autocompleteSource
+        }
+      },
+      {
+        id: 'general.boolean',
+        category: 'general',
+        subtype: 'boolean',
+        score: context => (context.ariaRole === 'switch' || context.ariaRole === 'checkbox') && {
+          score: 0.9,
+          source: 'aria-role'
+        }
+      },
+      {
+        id: 'text.richText',
+        category: 'text',
+        subtype: 'paragraph',
+        score: context => context.isEditingHost && { score: 0.9, source: 'contenteditable' }
+      },
+
+      // Personal information
+      { id: 'personal.firstName', category: 'personal', subtype: 'firstName', weight: 0.9, pattern: /\b(firstname|fname|first.name|given.name|prénom|prenom)\b/ },
+      { id: 'personal.lastName', category: 'personal', subtype: 'lastName', weight: 0.9, pattern: /\b(lastname|lname|last.name|surname|family.name|nom|nom.famille)\b/ },
+      { id: 'personal.fullName', category: 'personal', subtype: 'fullName', weight: 0.8, pattern: /\b(fullname|full.name|name|nom.complet)\b/ },
+      { id: 'personal.email', category: 'personal', subtype: 'email', weight: 0.95, types: ['email'], pattern: /\b(email|e.mail|mail|courriel)\b/ },
+      { id: 'personal.phone', category: 'personal', subtype: 'phone', weight: 0.9, types: ['tel'], pattern: /\b(phone|tel|telephone|mobile|cell|fax|téléphone)\b/ },
+      { id: 'personal.username', category: 'personal', subtype: 'username', weight: 0.85, pattern: /\b(username|user.name|login|account|utilisateur)\b/ },
+      { id: 'personal.password', category: 'personal', subtype: 'password', weight: 0.95, types: ['password'], pattern: /\b(password|pass|pwd|mot.de.passe)\b/ },
+
+      // Address
+      { id: 'address.address1', category: 'address', subtype: 'address1', weight: 0.9, pattern: /\b(address|street|addr|address1|adresse|rue)\b/ },
+      { id: 'address.address2', category: 'address', subtype: 'address2', weight: 0.92, pattern: /\b(address.?2|apt|apartment|suite|appartement)\b|\b(address|addr|street)\b.*\bunit\b/ },
+      { id: 'address.city', category: 'address', subtype: 'city', weight: 0.9, pattern: /\b(city|town|locality|ville|localité)\b/ },
+      { id: 'address.state', category: 'address', subtype: 'state', weight: 0.9, pattern: /\b(state|province|region|county|état|région)\b/ },
+      { id: 'address.zipCode', category: 'address', subtype: 'zipCode', weight: 0.9, pattern: /\b(zip|postal|postcode|zipcode|postalcode|code.postal)\b/ },
+      { id: 'address.country', category: 'address', subtype: 'country', weight: 0.9, pattern: /\b(country|nation|pays)\b/ },
+
+      // Work
+      { id: 'work.company', category: 'work', subtype: 'company', weight: 0.85, pattern: /\b(company|organization|organisation|employer|business|corp|entreprise|société)\b/ },
+      { id: 'work.jobTitle', category: 'work', subtype: 'jobTitle', weight: 0.85, pattern: /\b(job|title|position|occupation|role|poste|titre)\b/ },
+
+      // Dates and times
+      { id: 'datetime.birthDate', category: 'datetime', subtype: 'birthDate', weight: 0.92, pattern: /\b(birth|dob|birthday|naissance)\b/ },
+      { id: 'datetime.date', category: 'datetime', subtype: 'date', weight: 0.9, types: ['date'], pattern: /\b(date)\b/ },
+      { id: 'datetime.time', category: 'datetime', subtype: 'time', weight: 0.9, types: ['time'], pattern: /\b(time|hour|minute|heure|temps)\b/ },
+
+      // Numbers
+      { id: 'number.age', category: 'number', subtype: 'age', weight: 0.85, pattern: /\b(age|âge)\b/ },
+      { id: 'number.price', category: 'number', subtype: 'price', weight: 0.82, pattern: /\b(price|cost|salary|income|prix|salaire|coût)\b/ },
+      { id: 'number.quantity', category: 'number', subtype: 'quantity', weight: 0.82, pattern: /\b(quantity|qty|amount|quantité)\b/ },
+      { id: 'number.number', category: 'number', subtype: 'number', weight: 0.8, types: ['number'], pattern: /\b(number|num|nombre)\b/ },
+
+      // Web
+      { id: 'web.url', category: 'web', subtype: 'url', weight: 0.9, types: ['url'], pattern: /\b(url|website|site|link|homepage|lien)\b/ },
+      { id: 'web.color', category: 'web', subtype: 'color', weight: 0.9, types: ['color'], pattern: /\b(color|colour|couleur)\b/ },
+
+      // Financial
+      { id: 'financial.creditCard', category: 'financial', subtype: 'creditCard', weight: 0.9, pattern: /\b(credit.card|creditcard|card.number|cardnumber|carte.crédit)\b/ },
+      { id: 'financial.cardExpiry', category: 'financial', subtype: 'cardExpiry', weight: 0.92, pattern: /\b(expiry|expiration|exp.date|card.exp)\b/ },
+      { id: 'financial.cvv', category: 'financial', subtype: 'cvv', weight: 0.9, pattern: /\b(cvv|cvc|security.code|code.sécurité)\b/ },
+      { id: 'financial.ssn', category: 'financial', subtype: 'ssn', weight: 0.9, pattern: /\b(ssn|social.security|tax.id|nas)\b/ },
+
+      // Free text
+      { id: 'text.paragraph', category: 'text', subtype: 'paragraph', weight: 0.8, tags: ['TEXTAREA'], pattern: /\b(message|comment|description|notes|details|bio|about|commentaire|remarques)\b/ },
+      {
+        id: 'text.text',
+        category: 'text',
+        subtype: 'text',
+        score: context => (context.type === 'text' || !context.type) && { score: 0.6, source: 'heuristic' }
+      },
+
+      // Exclusions
+      { id: 'veto.nonPersonName', veto: true, targets: ['personal.fullName'], pattern: /\b(user|company|file|project|business|organization|organisation|product|domain)\b/ },
+      { id: 'veto.nonPersonTitle', veto: true, targets: ['work.jobTitle'], pattern: /\b(page|post|article|book|subject)\s*title\b/ },
+      {
+        id: 'veto.toggle',
+        veto: true,
+        except: ['general.boolean'],
+        applies: context => context.ariaRole === 'switch' || context.ariaRole === 'checkbox'
+      },
+      {
+        id: 'veto.richText',
+        veto: true,
+        except: ['autocomplete', 'text.richText'],
+        applies: context => context.isEditingHost
+      }
+    ];
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FieldRuleEngine;
+}
@@ -0,0 +1,343 @@
+class OptionMatcher {
+  constructor() {
+    // Below this score an option is not considered a match at all
+    this.minScore = 0.55;
+    this.placeholderPattern = /^\W*(select|choose|please|pick)\b/i;
+
+    // ISO 3166-1: alpha-2, alpha-3, numeric, then names ("|" separates alternatives)
+    this.countries = [
+      'AF AFG 004 Afghanistan', 'AX ALA 248 Åland Islands', 'AL ALB 008 Albania', 'DZ DZA 012 Algeria',
+      'AS ASM 016 American Samoa', 'AD AND 020 Andorra', 'AO AGO 024 Angola', 'AI AIA 660 Anguilla',
+      'AQ ATA 010 Antarctica', 'AG ATG 028 Antigua and Barbuda', 'AR ARG 032 Argentina', 'AM ARM 051 Armenia',
+      'AW ABW 533 Aruba', 'AU AUS 036 Australia', 'AT AUT 040 Austria|Österreich', 'AZ AZE 031 Azerbaijan',
+      'BS BHS 044 Bahamas', 'BH BHR 048 Bahrain', 'BD BGD 050 Bangladesh', 'BB BRB 052 Barbados',
+      'BY BLR 112 Belarus', 'BE BEL 056 Belgium|Belgique|België', 'BZ BLZ 084 Belize', 'BJ BEN 204 Benin',
+      'BM BMU 060 Bermuda', 'BT BTN 064 Bhutan', 'BO BOL 068 Bolivia', 'BQ BES 535 Bonaire, Sint Eustatius and Saba',
+      'BA BIH 070 Bosnia and Herzegovina', 'BW BWA 072 Botswana', 'BV BVT 074 Bouvet Island', 'BR BRA 076 Brazil|Brasil',
+      'IO IOT 086 British Indian Ocean Territory', 'BN BRN 096 Brunei Darussalam|Brunei', 'BG BGR 100 Bulgaria',
+      'BF BFA 854 Burkina Faso', 'BI BDI 108 Burundi', 'CV CPV 132 Cabo Verde|Cape Verde', 'KH KHM 116 Cambodia',
+      'CM CMR 120 Cameroon', 'CA CAN 124 Canada', 'KY CYM 136 Cayman Islands', 'CF CAF 140 Central African Republic',
+      'TD TCD 148 Chad', 'CL CHL 152 Chile', 'CN CHN 156 China', 'CX CXR 162 Christmas Island',
+      'CC CCK 166 Cocos (Keeling) Islands', 'CO COL 170 Colombia', 'KM COM 174 Comoros',
+      'CG COG 178 Congo|Republic of the Congo', 'CD COD 180 Democratic Republic of the Congo|Congo, Democratic Republic of the|DR Congo',
+      'CK COK 184 Cook Islands', 'CR CRI 188 Costa Rica', "CI CIV 384 Côte d'Ivoire|Ivory Coast", 'HR HRV 191 Croatia',
+      'CU CUB 192 Cuba', 'CW CUW 531 Curaçao', 'CY CYP 196 Cyprus', 'CZ CZE 203 Czechia|Czech Republic',
+      'DK DNK 208 Denmark|Danmark', 'DJ DJI 262 Djibouti', 'DM DMA 212 Dominica', 'DO DOM 214 Dominican Republic',
+      'EC ECU 218 Ecuador', 'EG EGY 818 Egypt', 'SV SLV 222 El Salvador', 'GQ GNQ 226 Equatorial Guinea',
+      'ER ERI 232 Eritrea', 'EE EST 233 Estonia', 'SZ SWZ 748 Eswatini|Swaziland', 'ET ETH 231 Ethiopia',
+      'FK FLK 238 Falkland Islands', 'FO FRO 234 Faroe Islands', 'FJ FJI 242 Fiji', 'FI FIN 246 Finland|Suomi',
+      'FR FRA 250 France', 'GF GUF 254 French Guiana', 'PF PYF 258 French Polynesia', 'TF ATF 260 French Southern Territories',
+      'GA GAB 266 Gabon', 'GM GMB 270 Gambia', 'GE GEO 268 Georgia', 'DE DEU 276 Germany|Deutschland',
+      'GH GHA 288 Ghana', 'GI GIB 292 Gibraltar', 'GR GRC 300 Greece', 'GL GRL 304 Greenland',
+      'GD GRD 308 Grenada', 'GP GLP 312 Guadeloupe', 'GU GUM 316 Guam', 'GT GTM 320 Guatemala',
+      'GG GGY 831 Guernsey', 'GN GIN 324 Guinea', 'GW GNB 624 Guinea-Bissau', 'GY GUY 328 Guyana',
+      'HT HTI 332 Haiti', 'HM HMD 334 Heard Island and McDonald Islands', 'VA VAT 336 Holy See|Vatican City',
+      'HN HND 340 Honduras', 'HK HKG 344 Hong Kong', 'HU HUN 348 Hungary', 'IS ISL 352 Iceland',
+      'IN IND 356 India', 'ID IDN 360 Indonesia', 'IR IRN 364 Iran|Iran, Islamic Republic of', 'IQ IRQ 368 Iraq',
+      'IE IRL 372 Ireland', 'IM IMN 833 Isle of Man', 'IL ISR 376 Israel', 'IT ITA 380 Italy|Italia',
+      'JM JAM 388 Jamaica', 'JP JPN 392 Japan', 'JE JEY 832 Jersey', 'JO JOR 400 Jordan',
+      'KZ KAZ 398 Kazakhstan', 'KE KEN 404 Kenya', 'KI KIR 296 Kiribati',
+      "KP PRK 408 North Korea|Korea, Democratic People's Republic of", 'KR KOR 410 South Korea|Korea, Republic of|Korea',
+      'KW KWT 414 Kuwait', 'KG KGZ 417 Kyrgyzstan', "LA LAO 418 Laos|Lao People's Democratic Republic",
+      'LV LVA 428 Latvia', 'LB LBN 422 Lebanon', 'LS LSO 426 Lesotho', 'LR LBR 430 Liberia',
+      'LY LBY 434 Libya', 'LI LIE 438 Liechtenstein', 'LT LTU 440 Lithuania', 'LU LUX 442 Luxembourg',
+      'MO MAC 446 Macao|Macau', 'MG MDG 450 Madagascar', 'MW MWI 454 Malawi', 'MY MYS 458 Malaysia',
+      'MV MDV 462 Maldives', 'ML MLI 466 Mali', 'MT MLT 470 Malta', 'MH MHL 584 Marshall Islands',
+      'MQ MTQ 474 Martinique', 'MR MRT 478 Mauritania', 'MU MUS 480 Mauritius', 'YT MYT 175 Mayotte',
+      'MX MEX 484 Mexico|México', 'FM FSM 583 Micronesia', 'MD MDA 498 Moldova', 'MC MCO 492 Monaco',
+      'MN MNG 496 Mongolia', 'ME MNE 499 Montenegro', 'MS MSR 500 Montserrat', 'MA MAR 504 Morocco',
+      'MZ MOZ 508 Mozambique', 'MM MMR 104 Myanmar|Burma', 'NA NAM 516 Namibia', 'NR NRU 520 Nauru',
+      'NP NPL 524 Nepal', 'NL NLD 528 Netherlands|The Netherlands|Holland|Nederland', 'NC NCL 540 New Caledonia',
+      'NZ NZL 554 New Zealand', 'NI NIC 558 Nicaragua', 'NE NER 562 Niger', 'NG NGA 566 Nigeria',
+      'NU NIU 570 Niue', 'NF NFK 574 Norfolk Island', 'MK MKD 807 North Macedonia|Macedonia',
+      'MP MNP 580 Northern Mariana Islands', 'NO NOR 578 Norway|Norge', 'OM OMN 512 Oman', 'PK PAK 586 Pakistan',
+      'PW PLW 585 Palau', 'PS PSE 275 Palestine', 'PA PAN 591 Panama', 'PG PNG 598 Papua New Guinea',
+      'PY PRY 600 Paraguay', 'PE PER 604 Peru', 'PH PHL 608 Philippines', 'PN PCN 612 Pitcairn',
+      'PL POL 616 Poland|Polska', 'PT PRT 620 Portugal', 'PR PRI 630 Puerto Rico', 'QA QAT 634 Qatar',
+      'RE REU 638 Réunion', 'RO ROU 642 Romania', 'RU RUS 643 Russia|Russian Federation', 'RW RWA 646 Rwanda',
+      'BL BLM 652 Saint Barthélemy', 'SH SHN 654 Saint Helena', 'KN KNA 659 Saint Kitts and Nevis',
+      'LC LCA 662 Saint Lucia', 'MF MAF 663 Saint Martin', 'PM SPM 666 Saint Pierre and Miquelon',
+      'VC VCT 670 Saint Vincent and the Grenadines', 'WS WSM 882 Samoa', 'SM SMR 674 San Marino',
+      'ST STP 678 Sao Tome and Principe', 'SA SAU 682 Saudi Arabia', 'SN SEN 686 Senegal', 'RS SRB 688 Serbia',
+      'SC SYC 690 Seychelles', 'SL SLE 694 Sierra Leone', 'SG SGP 702 Singapore', 'SX SXM 534 Sint Maarten',
+      'SK SVK 703 Slovakia', 'SI SVN 705 Slovenia', 'SB SLB 090 Solomon Islands', 'SO SOM 706 Somalia',
+      'ZA ZAF 710 South Africa', 'GS SGS 239 South Georgia and the South Sandwich Islands', 'SS SSD 728 South Sudan',
+      'ES ESP 724 Spain|España', 'LK LKA 144 Sri Lanka', 'SD SDN 729 Sudan', 'SR SUR 740 Suriname',
+      'SJ SJM 744 Svalbard and Jan Mayen', 'SE SWE 752 Sweden|Sverige', 'CH CHE 756 Switzerland|Schweiz|Suisse',
+      'SY SYR 760 Syria|Syrian Arab Republic', 'TW TWN 158 Taiwan', 'TJ TJK 762 Tajikistan', 'TZ TZA 834 Tanzania',
+      'TH THA 764 Thailand', 'TL TLS 626 Timor-Leste|East Timor', 'TG TGO 768 Togo', 'TK TKL 772 Tokelau',
+      'TO TON 776 Tonga', 'TT TTO 780 Trinidad and Tobago', 'TN TUN 788 Tunisia', 'TR TUR 792 Türkiye|Turkey',
+      'TM TKM 795 Turkmenistan', 'TC TCA 796 Turks and Caicos Islands', 'TV TUV 798 Tuvalu', 'UG UGA 800 Uganda',
+      'UA UKR 804 Ukraine', 'AE ARE 784 United Arab Emirates|UAE',
+      'GB GBR 826 United Kingdom|UK|Great Britain|Britain',
+      'US USA 840 United States|United States of America|America|U.S.|U.S.A.',
+      'UM UMI 581 United States Minor Outlying Islands', 'UY URY 858 Uruguay', 'UZ UZB 860 Uzbekistan',
+      'VU VUT 548 Vanuatu', 'VE VEN 862 Venezuela', 'VN VNM 704 Vietnam|Viet Nam',
+      'VG VGB 092 British Virgin Islands|Virgin Islands (British)', 'VI VIR 850 US Virgin Islands|Virgin Islands (U.S.)',
+      'WF WLF 876 Wallis and Futuna', 'EH ESH 732 Western Sahara', 'YE YEM 887 Yemen', 'ZM ZMB 894 Zambia',
+      'ZW ZWE 716 Zimbabwe'
+    ];
+
+    // ISO 3166-2 subdivisions for the countries forms ask about most: code, then names
+    this.subdivisions = {
+      US: [
+        'AL Alabama', 'AK Alaska', 'AZ Arizona', 'AR Arkansas', 'CA California', 'CO Colorado', 'CT Connecticut',
+        'DE Delaware', 'DC District of Columbia|Washington DC', 'FL Florida', 'GA Georgia', 'HI Hawaii', 'ID Idaho',
+        'IL Illinois', 'IN Indiana', 'IA Iowa', 'KS Kansas', 'KY Kentucky', 'LA Louisiana', 'ME Maine',
+        'MD Maryland', 'MA Massachusetts', 'MI Michigan', 'MN Minnesota', 'MS Mississippi', 'MO Missouri',
+        'MT Montana', 'NE Nebraska', 'NV Nevada', 'NH New Hampshire', 'NJ New Jersey', 'NM New Mexico',
+        'NY New York', 'NC North Carolina', 'ND North Dakota', 'OH Ohio', 'OK Oklahoma', 'OR Oregon',
+        'PA Pennsylvania', 'RI Rhode Island', 'SC South Carolina', 'SD South Dakota', 'TN Tennessee', 'TX Texas',
+        'UT Utah', 'VT Vermont', 'VA Virginia', 'WA Washington', 'WV West Virginia', 'WI Wisconsin', 'WY Wyoming',
+        'AS American Samoa', 'GU Guam', 'MP Northern Mariana Islands', 'PR Puerto Rico', 'VI Virgin Islands'
+      ],
+      CA: [
+        'AB Alberta', 'BC British Columbia', 'MB Manitoba', 'NB New Brunswick', 'NL Newfoundland and Labrador',
+        'NS Nova Scotia', 'NT Northwest Territories', 'NU Nunavut', 'ON Ontario', 'PE Prince Edward Island',
+        'QC Quebec|Québec', 'SK Saskatchewan', 'YT Yukon'
+      ],
+      AU: [
+        'ACT Australian Capital Territory', 'NSW New South Wales', 'NT Northern Territory', 'QLD Queensland',
+        'SA South Australia', 'TAS Tasmania', 'VIC Victoria', 'WA Western Australia'
+      ],
+      GB: ['ENG England', 'SCT Scotland', 'WLS Wales', 'NIR Northern Ireland'],
+      DE: [
+        'BW Baden-Württemberg', 'BY Bayern|Bavaria', 'BE Berlin', 'BB Brandenburg', 'HB Bremen', 'HH Hamburg',
+        'HE Hessen|Hesse', 'MV Mecklenburg-Vorpommern', 'NI Niedersachsen|Lower Saxony',
+        'NW Nordrhein-Westfalen|North Rhine-Westphalia', 'RP Rheinland-Pfalz|Rhineland-Palatinate', 'SL Saarland',
+        'SN Sachsen|Saxony', 'ST Sachsen-Anhalt|Saxony-Anhalt', 'SH Schleswig-Holstein', 'TH Thüringen|Thuringia'
+      ],
+      MX: [
+        'AGU Aguascalientes', 'BCN Baja California', 'BCS Baja California Sur', 'CAM Campeche', 'CHP Chiapas',
+        'CHH Chihuahua', 'CMX Ciudad de México|Mexico City', 'COA Coahuila', 'COL Colima', 'DUR Durango',
+        'GUA Guanajuato', 'GRO Guerrero', 'HID Hidalgo', 'JAL Jalisco', 'MEX Estado de México|México',
+        'MIC Michoacán', 'MOR Morelos', 'NAY Nayarit', 'NLE Nuevo León', 'OAX Oaxaca', 'PUE Puebla',
+        'QUE Querétaro', 'ROO Quintana Roo', 'SLP San Luis Potosí', 'SIN Sinaloa', 'SON Sonora', 'TAB Tabasco',
+        'TAM Tamaulipas', 'TLA Tlaxcala', 'VER Veracruz', 'YUC Yucatán', 'ZAC Zacatecas'
+      ],
+      BR: [
+        'AC Acre', 'AL Alagoas', 'AP Amapá', 'AM Amazonas', 'BA Bahia', 'CE Ceará', 'DF Distrito Federal',
+        'ES Espírito Santo', 'GO Goiás', 'MA Maranhão', 'MT Mato Grosso', 'MS Mato Grosso do Sul',
+        'MG Minas Gerais', 'PA Pará', 'PB Paraíba', 'PR Paraná', 'PE Pernambuco', 'PI Piauí', 'RJ Rio de Janeiro',
+        'RN Rio Grande do Norte', 'RS Rio Grande do Sul', 'RO Rondônia', 'RR Roraima', 'SC Santa Catarina',
+        'SP São Paulo', 'SE Sergipe', 'TO Tocantins'
+      ]
+    };
+
+    // Month names in the languages forms use most, January first
+    this.months = [
+      'January|Jan|Enero|Janvier|Januar', 'February|Feb|Febrero|Février|Februar',
+      'March|Mar|Marzo|Mars|März', 'April|Apr|Abril|Avril', 'May|Mayo|Mai',
+      'June|Jun|Junio|Juin|Juni', 'July|Jul|Julio|Juillet|Juli', 'August|Aug|Agosto|Août',
+      'September|Sep|Sept|Septiembre|Septembre', 'October|Oct|Octubre|Octobre|Oktober',
+      'November|Nov|Noviembre|Novembre', 'December|Dec|Diciembre|Décembre|Dezember'
+    ];
+
+    // Normalised alias → [{ domain, key }] for every country, subdivision and month
+    this.aliases = this.buildAliasIndex();
+  }
+
+  buildAliasIndex() {
+    const index = new Map();
+    const add = (alias, domain, key) => {
+      const normalized = this.normalize(alias);
+      if (!normalized) {
+        return;
+      }
+      if (!index.has(normalized)) {
+        index.set(normalized, []);
+      }
+      index.get(normalized).push({ domain, key });
+    };
+
+    this.countries.forEach(entry => {
+      const [alpha2, alpha3, numeric, ...rest] = entry.split(' ');
+      [alpha2, alpha3, numeric, ...rest.join(' ').split('|')].forEach(alias => add(alias, 'country', alpha2));
+    });
+
+    Object.entries(this.subdivisions).forEach(([country, entries]) => {
+      entries.forEach(entry => {
+        const [code, ...rest] = entry.split(' ');
+        const key = `${country}-${code}`;
+        [code, key, ...rest.join(' ').split('|')].forEach(alias => add(alias, `subdivision:${country}`, key));
+      });
+    });
+
+    this.months.forEach((names, index) => {
+      const month = index + 1;
+      [String(month), ...names.split('|')].forEach(alias => add(alias, 'month', month));
+    });
+
+    return index;
+  }
+
+  // Lowercase, no diacritics or punctuation, numbers without leading zeros
+  normalize(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    const text = String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+
+    return /^\d+$/.test(text) ? String(Number(text)) : text;
+  }
+
+  // Index of the option that best matches value, or -1. Options are { value, text, disabled }.
+  findBestIndex(options, value) {
+    const wanted = this.normalize(value);
+    if (!wanted) {
+      return -1;
+    }
+
+    const usable = options
+      .map((option, index) => ({ ...option, index }))
+      .filter(option => !option.disabled && !this.isPlaceholder(option));
+
+    // Knowing the list is US states is what turns "CA" into California rather than Canada
+    const domain = this.detectDomain(usable);
+    const wantedKeys = this.getKeys(wanted, domain);
+
+    let best = { index: -1, score: 0 };
+    usable.forEach(option => {
+      const score = this.scoreOption(option, value, wanted, wantedKeys, domain);
+      if (score > best.score) {
+        best = { index: option.index, score };
+      }
+    });
+
+    return best.score >= this.minScore ? best.index : -1;
+  }
+
+  // "Select a country…" entries; items without a value of their own (ARIA options) go by their text
+  isPlaceholder(option) {
+    const text = option.text || '';
+    if (option.value === undefined || option.value === null) {
+      return !text.trim() || this.placeholderPattern.test(text);
+    }
+
+    const value = String(option.value).trim().toLowerCase();
+    return value === '' || (['0', '-1', 'none', 'null'].includes(value) && this.placeholderPattern.test(text));
+  }
+
+  // The kind of list most options belong to: countries, one country's subdivisions, or months
+  detectDomain(options) {
+    const counts = new Map();
+
+    options.forEach(option => {
+      const weights = new Map();
+      // A recognised label says more about the list than a recognised code
+      this.lookup(this.normalize(option.value)).forEach(({ domain }) => weights.set(domain, 0.5));
+      this.lookup(this.normalize(option.text)).forEach(({ domain }) => weights.set(domain, 1));
+      weights.forEach((weight, domain) => counts.set(domain, (counts.get(domain) || 0) + weight));
+    });
+
+    let best = null;
+    counts.forEach((count, domain) => {
+      if (!best || count > best.count) {
+        best = { domain, count };
+      }
+    });
+
+    return best && best.count >= 2 && best.count >= options.length * 0.4 ? best.domain : null;
+  }
+
+  // ISO 3166-1 alpha-2 code for a country name or code ("United States" → "US")
+  getCountryCode(value) {
+    const entry = this.lookup(this.normalize(value)).find(candidate => candidate.domain === 'country');
+    return entry ? entry.key : null;
+  }
+
+  lookup(normalized) {
+    return this.aliases.get(normalized) || [];
+  }
+
+  getKeys(normalized, domain) {
+    return new Set(this.lookup(normalized).filter(entry => entry.domain === domain).map(entry => entry.key));
+  }
+
+  scoreOption(option, rawValue, wanted, wantedKeys, domain) {
+    const value = this.normalize(option.value);
+    const text = this.normalize(option.text);
+
+    if (option.value === rawValue) {
+      return 1;
+    }
+
+    if (value === wanted || text === wanted) {
+      return 0.95;
+    }
+
+    if (wantedKeys.size > 0) {
+      const optionKeys = [...this.getKeys(value, domain), ...this.getKeys(text, domain)];
+      if (optionKeys.some(key => wantedKeys.has(key))) {
+        return 0.9;
+      }
+    }
+
+    // "Senior" in "Senior Engineer", "Engineer" for "Software Engineer"
+    if (this.containsWords(text, wanted)) {
+      return 0.7;
+    }
+    if (this.containsWords(wanted, text)) {
+      return 0.6;
+    }
+
+    return Math.max(this.tokenSimilarity(text, wanted), this.bigramSimilarity(text, wanted)) * 0.8;
+  }
+
+  containsWords(text, words) {
+    return Boolean(text) && Boolean(words) && ` ${text} `.includes(` ${words} `);
+  }
+
+  // Dice coefficient over words
+  tokenSimilarity(a, b) {
+    const tokensA = new Set(a.split(' ').filter(Boolean));
+    const tokensB = new Set(b.split(' ').filter(Boolean));
+    if (tokensA.size === 0 || tokensB.size === 0) {
+      return 0;
+    }
+
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    return (2 * shared) / (tokensA.size + tokensB.size);
+  }
+
+  // Dice coefficient over letter pairs, which tolerates typos ("Untied States")
+  bigramSimilarity(a, b) {
+    const bigrams = text => {
+      const compact = text.replace(/ /g, '');
+      const pairs = [];
+      for (let i = 0; i < compact.length - 1; i++) {
+        pairs.push(compact.slice(i, i + 2));
+      }
+      return pairs;
+    };
+
+    const pairsA = bigrams(a);
+    const pairsB = bigrams(b);
+    if (pairsA.length === 0 || pairsB.length === 0) {
+      return 0;
+    }
+
+    const remaining = [...pairsB];
+    let shared = 0;
+    pairsA.forEach(pair => {
+      const index = remaining.indexOf(pair);
+      if (index !== -1) {
+        shared++;
+        remaining.splice(index, 1);
+      }
+    });
+
+    return (2 * shared) / (pairsA.length + pairsB.length);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OptionMatcher;
+}
@@ -0,0 +1,380 @@
+class RegexValueGenerator {
+  constructor(random = Math.random) {
+    this.random = random;
+    // Extra repetitions allowed for *, + and {n,} when no length target is given
+    this.maxExtraRepeat = 5;
+
+    // Printable ASCII is the universe negated classes pick from
+    this.printable = [[0x20, 0x7e]];
+    this.classes = {
+      d: [[0x30, 0x39]],
+      w: [[0x30, 0x39], [0x41, 0x5a], [0x61, 0x7a], [0x5f, 0x5f]],
+      s: [[0x20, 0x20]]
+    };
+    // "." stands for any character; readable alphanumerics are the useful subset
+    this.anyChar = [[0x30, 0x39], [0x41, 0x5a], [0x61, 0x7a]];
+  }
+
+  // Build a random string matching an HTML pattern attribute (implicitly anchored).
+  // `extraRepeat` pins open-ended quantifiers to min + extraRepeat repetitions.
+  generate(pattern, options = {}) {
+    const ast = this.parse(pattern);
+    const state = { captures: [], extraRepeat: options.extraRepeat };
+    return this.emit(ast, state);
+  }
+
+  // HTML matches the whole value against the pattern using the `v` flag
+  compile(pattern) {
+    for (const flags of ['v', 'u', '']) {
+      try {
+        return new RegExp(`^(?:${pattern})$`, flags);
+      } catch (error) {
+        // Older engines lack `v`; try the next flag set
+      }
+    }
+
+    return null;
+  }
+
+  parse(pattern) {
+    const parser = { source: pattern, index: 0, groupCount: 0 };
+    const ast = this.parseAlternation(parser);
+
+    if (parser.index < pattern.length) {
+      throw new Error(`Unexpected "${pattern[parser.index]}" in pattern`);
+    }
+
+    return ast;
+  }
+
+  parseAlternation(parser) {
+    const options = [this.parseSequence(parser)];
+
+    while (parser.source[parser.index] === '|') {
+      parser.index++;
+      options.push(this.parseSequence(parser));
+    }
+
+    return options.length === 1 ? options[0] : { type: 'alternation', options };
+  }
+
+  parseSequence(parser) {
+    const items = [];
+
+    while (parser.index < parser.source.length) {
+      const char = parser.source[parser.index];
+      if (char === '|' || char === ')') {
+        break;
+      }
+
+      const atom = this.parseAtom(parser);
+      if (atom) {
+        items.push(this.parseQuantifier(parser, atom));
+      }
+    }
+
+    return { type: 'sequence', items };
+  }
+
+  parseAtom(parser) {
+    const char = parser.source[parser.index++];
+
+    switch (char) {
+      case '^':
+      case '$':
+        // Anchors consume nothing; the whole value is matched anyway
+        return null;
+      case '.':
+        return { type: 'set', ranges: this.anyChar };
+      case '[':
+        return this.parseClass(parser);
+      case '(':
+        return this.parseGroup(parser);
+      case '\\':
+        return this.parseEscape(parser);
+      case '*':
+      case '+':
+      case '?':
+      case '{':
+        if (char === '{' && !/^\d/.test(parser.source.slice(parser.index))) {
+          return this.literal(char);
+        }
+        throw new Error(`Nothing to repeat at ${parser.index - 1}`);
+      default:
+        return this.literal(char);
+    }
+  }
+
+  parseGroup(parser) {
+    let capture = true;
+
+    if (parser.source[parser.index] === '?') {
+      const lookahead = parser.source.slice(parser.index, parser.index + 3);
+      if (lookahead.startsWith('?:')) {
+        capture = false;
+        parser.index += 2;
+      } else if (lookahead.startsWith('?<') && !/^\?<[=!]/.test(lookahead)) {
+        // Named group: skip the name, keep the capture
+        parser.index = parser.source.indexOf('>', parser.index) + 1;
+      } else {
+        throw new Error('Lookaround assertions are not supported');
+      }
+    }
+
+    const groupIndex = capture ? ++parser.groupCount : null;
+    const body = this.parseAlternation(parser);
+
+    if (parser.source[parser.index] !== ')') {
+      throw new Error('Unterminated group');
+    }
+    parser.index++;
+
+    return { type: 'group', body, groupIndex };
+  }
+
+  parseClass(parser) {
+    let negated = false;
+    const ranges = [];
+
+    if (parser.source[parser.index] === '^') {
+      negated = true;
+      parser.index++;
+    }
+
+    // A "]" right after the opening bracket is a literal
+    let first = true;
+    while (parser.index < parser.source.length && (parser.source[parser.index] !== ']' || first)) {
+      first = false;
+      const start = this.parseClassChar(parser);
+
+      if (Array.isArray(start)) {
+        ranges.push(...start);
+        continue;
+      }
+
+      if (parser.source[parser.index] === '-' && parser.source[parser.index + 1] !== ']' && parser.index + 1 < parser.source.length) {
+        parser.index++;
+        const end = this.parseClassChar(parser);
+        if (Array.isArray(end)) {
+          // "a-\d" means a, "-" and digits
+          ranges.push([start, start], [0x2d, 0x2d], ...end);
+        } else {
+          ranges.push([Math.min(start, end), Math.max(start, end)]);
+        }
+      } else {
+        ranges.push([start, start]);
+      }
+    }
+
+    if (parser.source[parser.index] !== ']') {
+      throw new Error('Unterminated character class');
+    }
+    parser.index++;
+
+    return { type: 'set', ranges: negated ? this.complement(ranges) : ranges };
+  }
+
+  // Returns a code point, or a list of ranges for class escapes such as \d
+  parseClassChar(parser) {
+    const char = parser.source[parser.index++];
+
+    if (char !== '\\') {
+      return char.codePointAt(0);
+    }
+
+    // Inside a class \b is a backspace, not a word boundary
+    if (parser.source[parser.index] === 'b') {
+      parser.index++;
+      return 0x08;
+    }
+
+    const escape = this.parseEscape(parser);
+    return escape.type === 'set' ? escape.ranges : escape.codePoint;
+  }
+
+  parseEscape(parser) {
+    const char = parser.source[parser.index++];
+    const lower = char.toLowerCase();
+
+    if (this.classes[lower]) {
+      const ranges = this.classes[lower];
+      return { type: 'set', ranges: char === lower ? ranges : this.complement(ranges) };
+    }
+
+    if (/[1-9]/.test(char)) {
+      let digits = char;
+      while (/\d/.test(parser.source[parser.index] || '')) {
+        digits += parser.source[parser.index++];
+      }
+      return { type: 'backreference', groupIndex: parseInt(digits, 10) };
+    }
+
+    const controls = { t: 0x09, n: 0x0a, r: 0x0d, f: 0x0c, v: 0x0b, 0: 0x00 };
+    if (char in controls) {
+      return this.literal(String.fromCodePoint(controls[char]));
+    }
+
+    if (char === 'b' || char === 'B') {
+      // Word boundaries consume nothing
+      return null;
+    }
+
+    if (char === 'x') {
+      const hex = parser.source.slice(parser.index, parser.index + 2);
+      parser.index += 2;
+      return this.literal(String.fromCodePoint(parseInt(hex, 16)));
+    }
+
+    if (char === 'u') {
+      if (parser.source[parser.index] === '{') {
+        const end = parser.source.indexOf('}', parser.index);
+        const hex = parser.source.slice(parser.index + 1, end);
+        parser.index = end + 1;
+        return this.literal(String.fromCodePoint(parseInt(hex, 16)));
+      }
+      const hex = parser.source.slice(parser.index, parser.index + 4);
+      parser.index += 4;
+      return this.literal(String.fromCodePoint(parseInt(hex, 16)));
+    }
+
+    if (char === 'p' || char === 'P') {
+      // Unicode property escapes: letters are the common case, anything else is approximated
+      const end = parser.source.indexOf('}', parser.index);
+      const property = parser.source.slice(parser.index + 1, end);
+      parser.index = end + 1;
+      const ranges = /^(L|Letter|Alphabetic)$/.test(property) ? [[0x41, 0x5a], [0x61, 0x7a]] : this.classes.w;
+      return { type: 'set', ranges: char === 'p' ? ranges : this.complement(ranges) };
+    }
+
+    return this.literal(char);
+  }
+
+  parseQuantifier(parser, atom) {
+    const rest = parser.source.slice(parser.index);
+    let min;
+    let max;
+    let length;
+
+    const braces = rest.match(/^\{(\d+)(,(\d*))?\}/);
+    if (rest[0] === '*') {
+      [min, max, length] = [0, Infinity, 1];
+    } else if (rest[0] === '+') {
+      [min, max, length] = [1, Infinity, 1];
+    } else if (rest[0] === '?') {
+      [min, max, length] = [0, 1, 1];
+    } else if (braces) {
+      min = parseInt(braces[1], 10);
+      max = braces[2] === undefined ? min : (braces[3] === '' ? Infinity : parseInt(braces[3], 10));
+      length = braces[0].length;
+    } else {
+      return atom;
+    }
+
+    parser.index += length;
+
+    // Lazy and possessive markers change matching, not the set of matching strings
+    if (parser.source[parser.index] === '?') {
+      parser.index++;
+    }
+
+    return { type: 'repeat', node: atom, min, max };
+  }
+
+  literal(char) {
+    return { type: 'literal', codePoint: char.codePointAt(0), value: char };
+  }
+
+  complement(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const result = [];
+
+    this.printable.forEach(([low, high]) => {
+      let next = low;
+      sorted.forEach(([start, end]) => {
+        if (end < next || start > high) {
+          return;
+        }
+        if (start > next) {
+          result.push([next, start - 1]);
+        }
+        next = Math.max(next, end + 1);
+      });
+      if (next <= high) {
+        result.push([next, high]);
+      }
+    });
+
+    return result;
+  }
+
+  emit(node, state) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'set':
+        return this.pickFromRanges(node.ranges);
+      case 'sequence':
+        return node.items.map(item => this.emit(item, state)).join('');
+      case 'alternation':
+        return this.emit(node.options[this.randomInt(0, node.options.length - 1)], state);
+      case 'group': {
+        const text = this.emit(node.body, state);
+        if (node.groupIndex) {
+          state.captures[node.groupIndex] = text;
+        }
+        return text;
+      }
+      case 'backreference':
+        return state.captures[node.groupIndex] || '';
+      case 'repeat': {
+        const count = this.getRepeatCount(node, state);
+        let text = '';
+        for (let i = 0; i < count; i++) {
+          text += this.emit(node.node, state);
+        }
+        return text;
+      }
+      default:
+        return '';
+    }
+  }
+
+  getRepeatCount(node, state) {
+    if (node.max === Infinity) {
+      return typeof state.extraRepeat === 'number'
+        ? node.min + state.extraRepeat
+        : this.randomInt(node.min, node.min + this.maxExtraRepeat);
+    }
+
+    return this.randomInt(node.min, node.max);
+  }
+
+  pickFromRanges(ranges) {
+    if (ranges.length === 0) {
+      throw new Error('Character class matches nothing');
+    }
+
+    // Weight each range by its size so every character is equally likely
+    const total = ranges.reduce((sum, [low, high]) => sum + high - low + 1, 0);
+    let offset = this.randomInt(0, total - 1);
+
+    for (const [low, high] of ranges) {
+      const size = high - low + 1;
+      if (offset < size) {
+        return String.fromCodePoint(low + offset);
+      }
+      offset -= size;
+    }
+
+    return String.fromCodePoint(ranges[0][0]);
+  }
+
+  randomInt(min, max) {
+    return Math.floor(this.random() * (max - min + 1)) + min;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RegexValueGenerator;
+}
@@ -396,4 +396,9 @@ class SecurityUtils {
     
     return cleaned;
   }
-}
\ No newline at end of file
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SecurityUtils;
+}
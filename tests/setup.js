@@ -87,6 +87,13 @@ global.EXTENSION_CONSTANTS = {
   MESSAGES: {
     DETECT_FORMS: 'DETECT_FORMS',
     FILL_FORMS: 'FILL_FORMS',
+    FILL_FORMS_FAKE: 'FILL_FORMS_FAKE',
+    FILL_WIZARD: 'FILL_WIZARD',
+    TOGGLE_INSPECTOR: 'TOGGLE_INSPECTOR',
+    UNDO_FILL: 'UNDO_FILL',
+    PREVIEW_FILL: 'PREVIEW_FILL',
+    APPLY_PLAN: 'APPLY_PLAN',
+    LIST_FORMS: 'LIST_FORMS',
     GET_STATUS: 'GET_STATUS',
     UPDATE_SETTINGS: 'UPDATE_SETTINGS',
     GET_USER_DATA: 'GET_USER_DATA',
@@ -95,18 +102,22 @@ global.EXTENSION_CONSTANTS = {
     START_FILLING: 'START_FILLING',
     STOP_FILLING: 'STOP_FILLING',
     GET_FORM_COUNT: 'GET_FORM_COUNT',
+    FILL_FIELD: 'FILL_FIELD',
+    EXCLUDE_FIELD: 'EXCLUDE_FIELD',
     DETECTION_COMPLETE: 'DETECTION_COMPLETE',
     FILLING_COMPLETE: 'FILLING_COMPLETE',
     FILLING_PROGRESS: 'FILLING_PROGRESS',
     FORM_COUNT_UPDATE: 'FORM_COUNT_UPDATE',
-    ERROR_OCCURRED: 'ERROR_OCCURRED'
+    ERROR_OCCURRED: 'ERROR_OCCURRED',
+    SET_PICKER_DATE: 'SET_PICKER_DATE'
   },
   
   STORAGE_KEYS: {
     USER_DATA: 'form_fill_user_data',
     SETTINGS: 'form_fill_settings',
     STATISTICS: 'form_fill_statistics',
-    FIELD_MAPPINGS: 'form_fill_field_mappings'
+    FIELD_MAPPINGS: 'form_fill_field_mappings',
+    TEMPLATES: 'templates'
   },
   
   FIELD_PATTERNS: {
@@ -117,7 +128,14 @@ global.EXTENSION_CONSTANTS = {
     address: ['address', 'street', 'addr'],
     city: ['city', 'town', 'locality'],
     state: ['state', 'province', 'region'],
-    zipCode: ['zip', 'postal', 'postcode']
+    zipCode: ['zip', 'postal', 'postcode', 'zip.?code', 'postal.?code']
+  },
+  
+  ADDRESS_SECTION_PATTERNS: {
+    billing: ['billing', 'bill', 'bill.?to', 'invoice'],
+    shipping: ['shipping', 'ship', 'ship.?to', 'delivery'],
+    work: ['work', 'business', 'office'],
+    home: ['home', 'residential']
   },
   
   DEFAULT_USER_DATA: {
@@ -136,6 +154,12 @@ global.EXTENSION_CONSTANTS = {
       zipCode: '',
       country: ''
     },
+    addresses: {
+      home: { street: '', city: '', state: '', zipCode: '', country: '' },
+      work: { street: '', city: '', state: '', zipCode: '', country: '' },
+      billing: { street: '', city: '', state: '', zipCode: '', country: '' },
+      shipping: { street: '', city: '', state: '', zipCode: '', country: '' }
+    },
     professional: {
       company: '',
       jobTitle: '',
@@ -158,7 +182,17 @@ global.EXTENSION_CONSTANTS = {
     respectValidation: true,
     skipHiddenFields: true,
     maxFieldsPerPage: 1000,
-    fillTimeout: 30000
+    fillTimeout: 30000,
+    wizardMode: false,
+    wizardMaxSteps: 10,
+    wizardAllowSubmit: false,
+    // Type text one key at a time; typingSites maps a hostname to an override of typingMode
+    typingMode: false,
+    typingDelay: 60,
+    typingJitter: 40,
+    typingSites: {},
+    excludedFields: {},
+    stableSeedPerUrl: false
   },
   
   CSS_CLASSES: {
@@ -166,7 +200,8 @@ global.EXTENSION_CONSTANTS = {
     ERROR: 'form-fill-error',
     PROCESSING: 'form-fill-processing',
     CONTAINER: 'form-fill-container',
-    OVERLAY: 'form-fill-overlay'
+    OVERLAY: 'form-fill-overlay',
+    INSPECTOR: 'form-fill-inspector'
   },
   
   PROTECTED_PATTERNS: {
@@ -175,11 +210,23 @@ global.EXTENSION_CONSTANTS = {
     SECURITY: ['csrf', 'token', 'nonce', '_token', 'authenticity_token']
   },
   
+  WIZARD_PATTERNS: {
+    NEXT: ['next', 'continue', 'proceed', 'next.?step', '›', '→'],
+    SUBMIT: ['submit', 'finish', 'complete', 'confirm', 'place.?order', 'pay', 'sign.?up', 'register'],
+    BACK: ['back', 'previous', 'prev', '‹', '←'],
+    IGNORE: ['cancel', 'close', 'reset', 'clear', 'skip', 'search']
+  },
+  
   TIMEOUTS: {
     FORM_DETECTION: 5000,
     FORM_FILLING: 30000,
     MESSAGE_RESPONSE: 10000,
     MUTATION_DEBOUNCE: 100,
+    WIZARD_STEP: 5000,
+    CASCADE_SETTLE: 300,
+    VALIDATION_SETTLE: 150,
+    DEPENDENT_OPTIONS: 3000,
+    ARIA_TOGGLE: 1000,
     VISUAL_FEEDBACK: 2000
   },
   
@@ -188,6 +235,9 @@ global.EXTENSION_CONSTANTS = {
     MAX_FORMS_PER_PAGE: 10,
     MAX_TEXT_LENGTH: 1000,
     MAX_RETRIES: 3,
+    MAX_WIZARD_STEPS: 10,
+    MAX_CASCADE_PASSES: 5,
+    MAX_UNDO_OPERATIONS: 5,
     MIN_FIELD_VISIBILITY: 10
   },
   
@@ -210,110 +260,33 @@ global.EXTENSION_CONSTANTS = {
   }
 };
 
-// Mock utility classes for testing
-global.FormDetector = class MockFormDetector {
-  constructor() {
-    this.detectedFields = [];
-    this.isObserving = false;
-  }
-  
-  detectFormFields() {
-    return this.detectedFields;
-  }
-  
-  setupDynamicDetection() {
-    this.isObserving = true;
-  }
-  
-  stopDynamicDetection() {
-    this.isObserving = false;
-  }
-  
-  getDetectedFields() {
-    return this.detectedFields;
-  }
-};
-
-global.FormFiller = class MockFormFiller {
-  constructor() {
-    this.filledFields = [];
-    this.errors = [];
-  }
-  
-  async fillField() {
-    return true;
-  }
-  
-  async fillAllFields() {
-    return { total: 0, filled: 0, errors: 0, success: true };
-  }
-  
-  getFilledFields() {
-    return this.filledFields;
-  }
-  
-  getErrors() {
-    return this.errors;
-  }
-  
-  clearFeedback() {
-    // Mock implementation
-  }
-};
-
-global.FieldMapper = class MockFieldMapper {
-  mapValueToField() {
-    return 'mock-value';
-  }
-};
-
-global.SecurityUtils = class MockSecurityUtils {
-  sanitizeInput(value) {
-    return String(value);
-  }
-  
-  validateUserData() {
-    return { isValid: true, errors: [] };
-  }
-  
-  isProtectedField() {
-    return false;
-  }
-  
-  isHoneypotField() {
-    return false;
-  }
-};
-
-global.StorageManager = class MockStorageManager {
-  constructor() {
-    this.cache = new Map();
-  }
-  
-  async get() {
-    return null;
-  }
-  
-  async set() {
-    return true;
-  }
-  
-  async getUserData() {
-    return EXTENSION_CONSTANTS.DEFAULT_USER_DATA;
-  }
-  
-  async saveUserData() {
-    return true;
-  }
-  
-  async getSettings() {
-    return EXTENSION_CONSTANTS.DEFAULT_SETTINGS;
-  }
-  
-  async saveSettings() {
-    return true;
-  }
-};
+// The real classes, loaded in the order the manifest injects them. Content scripts share one global
+// scope, so each class is made global the way the page would see it.
+[
+  'utils/security.js',
+  'utils/autocomplete-parser.js',
+  'utils/field-rule-engine.js',
+  'utils/field-mapper.js',
+  'utils/fake-data-generator.js',
+  'utils/regex-value-generator.js',
+  'utils/constraint-solver.js',
+  'utils/option-matcher.js',
+  'content/enhanced-select-adapter.js',
+  'content/form-detector.js',
+  'content/dependent-select-resolver.js',
+  'content/framework-value-setter.js',
+  'content/validation-reporter.js',
+  'content/date-picker-adapter.js',
+  'content/input-mask-adapter.js',
+  'content/form-filler.js',
+  'content/wizard-navigator.js',
+  'content/field-inspector.js',
+  'storage/storage-manager.js',
+  'storage/data-templates.js'
+].forEach(file => {
+  const loaded = require(`../src/${file}`);
+  global[loaded.name] = loaded;
+});
 
 // Suppress specific console warnings in tests
 const originalError = console.error;
@@ -0,0 +1,79 @@
+// Unit tests for AutocompleteParser class
+
+describe('AutocompleteParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new AutocompleteParser();
+  });
+
+  describe('parse', () => {
+    test('should parse a bare field name', () => {
+      const parsed = parser.parse('given-name');
+      
+      expect(parsed.fieldName).toBe('given-name');
+      expect(parsed.section).toBeNull();
+      expect(parsed.addressType).toBeNull();
+      expect(parsed.contactType).toBeNull();
+    });
+
+    test('should parse section, address type and contact type modifiers', () => {
+      const parsed = parser.parse('section-blue billing work tel-national');
+      
+      expect(parsed.section).toBe('blue');
+      expect(parsed.addressType).toBe('billing');
+      expect(parsed.contactType).toBe('work');
+      expect(parsed.fieldName).toBe('tel-national');
+    });
+
+    test('should be case and whitespace insensitive', () => {
+      const parsed = parser.parse('  Shipping   Address-Line2 ');
+      
+      expect(parsed.addressType).toBe('shipping');
+      expect(parsed.fieldName).toBe('address-line2');
+    });
+
+    test('should accept a trailing webauthn token', () => {
+      const parsed = parser.parse('username webauthn');
+      
+      expect(parsed.fieldName).toBe('username');
+      expect(parsed.webauthn).toBe(true);
+    });
+
+    test('should ignore on/off and unknown tokens', () => {
+      expect(parser.parse('on')).toBeNull();
+      expect(parser.parse('off')).toBeNull();
+      expect(parser.parse('favourite-colour')).toBeNull();
+      expect(parser.parse('')).toBeNull();
+    });
+
+    test('should reject contact modifiers on non-contact fields', () => {
+      expect(parser.parse('home given-name')).toBeNull();
+    });
+
+    test('should reject tokens in the wrong order', () => {
+      expect(parser.parse('shipping section-a postal-code')).toBeNull();
+    });
+  });
+
+  describe('getClassification', () => {
+    test('should map autofill field names to field classifications', () => {
+      expect(parser.getClassification(parser.parse('family-name'))).toEqual({
+        category: 'personal',
+        subtype: 'lastName'
+      });
+      expect(parser.getClassification(parser.parse('cc-exp-month'))).toEqual({
+        category: 'financial',
+        subtype: 'cardExpiryMonth'
+      });
+      expect(parser.getClassification(parser.parse('address-level2'))).toEqual({
+        category: 'address',
+        subtype: 'city'
+      });
+    });
+
+    test('should return null without a parsed token', () => {
+      expect(parser.getClassification(null)).toBeNull();
+    });
+  });
+});
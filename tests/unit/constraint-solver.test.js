@@ -0,0 +1,91 @@
+// Unit tests for ConstraintSolver class
+
+describe('ConstraintSolver', () => {
+  let solver;
+
+  beforeEach(() => {
+    solver = new ConstraintSolver(new FakeDataGenerator());
+  });
+
+  const createInput = (attributes = {}) => {
+    const input = document.createElement('input');
+    Object.entries(attributes).forEach(([name, value]) => input.setAttribute(name, value));
+    return input;
+  };
+
+  describe('solve', () => {
+    test('should keep the semantic value when it satisfies the constraints', () => {
+      const input = createInput({ pattern: '[a-z]+@[a-z]+\\.com', maxlength: '30' });
+
+      expect(solver.solve(input, 'jane@example.com')).toBe('jane@example.com');
+    });
+
+    test('should generate from the pattern when the value does not match', () => {
+      const input = createInput({ pattern: '[A-Z]{2}[0-9]{6}' });
+
+      expect(solver.solve(input, 'John Smith')).toMatch(/^[A-Z]{2}[0-9]{6}$/);
+    });
+
+    test('should respect length limits together with the pattern', () => {
+      const input = createInput({ pattern: '[a-z]+', minlength: '12', maxlength: '14' });
+      const value = solver.solve(input, 'short');
+
+      expect(value).toMatch(/^[a-z]{12,14}$/);
+    });
+
+    test('should lengthen values shorter than minlength', () => {
+      const input = createInput({ minlength: '20' });
+      const value = solver.solve(input, 'Lorem ipsum');
+
+      expect(value.length).toBeGreaterThanOrEqual(20);
+      expect(value.startsWith('Lorem ipsum')).toBe(true);
+    });
+
+    test('should truncate values longer than maxlength', () => {
+      expect(solver.solve(createInput({ maxlength: '5' }), 'Springfield')).toBe('Sprin');
+    });
+
+    test('should only type digits into numeric inputmode fields', () => {
+      const value = solver.solve(createInput({ inputmode: 'numeric', minlength: '6' }), '(555) 123');
+
+      expect(value).toMatch(/^\d{6,}$/);
+      expect(value.startsWith('555123')).toBe(true);
+    });
+
+    test('should leave unconstrained fields alone', () => {
+      expect(solver.solve(createInput(), 'anything')).toBe('anything');
+    });
+
+    test('should ignore invalid patterns like the browser does', () => {
+      expect(solver.solve(createInput({ pattern: '[a-' }), 'value')).toBe('value');
+    });
+  });
+
+  describe('numbers and dates', () => {
+    test('should pick a number on the step grid within min and max', () => {
+      const input = createInput({ type: 'number', min: '5', max: '20', step: '5' });
+
+      for (let i = 0; i < 10; i++) {
+        expect([5, 10, 15, 20]).toContain(solver.solve(input, 999));
+      }
+    });
+
+    test('should accept decimal steps without float rounding errors', () => {
+      const input = createInput({ type: 'number', min: '0', step: '0.01' });
+
+      expect(solver.solve(input, '19.99')).toBe('19.99');
+      expect(solver.solve(input, 12.345)).toBe(12.35);
+    });
+
+    test('should round to whole numbers when no step is given', () => {
+      expect(Number.isInteger(solver.solve(createInput({ type: 'number' }), 3.7))).toBe(true);
+    });
+
+    test('should pick a date between min and max', () => {
+      const input = createInput({ type: 'date', min: '2030-01-01', max: '2030-02-01' });
+      const value = solver.solve(input, '1990-05-05');
+
+      expect(value >= '2030-01-01' && value <= '2030-02-01').toBe(true);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// Unit tests for FormAutoFillContentScript class
+// Loading content.js starts the page's own instance too, as the manifest would
+
+require('../../src/content/content.js');
+
+describe('FormAutoFillContentScript', () => {
+  let script;
+
+  beforeEach(() => {
+    script = new FormAutoFillContentScript();
+  });
+
+  describe('fillWithCascade', () => {
+    // Detection sees the fields on the page now; hidden ones are not fillable yet
+    const detectPage = () => Array.from(document.querySelectorAll('input, select')).map(element => ({
+      element,
+      name: element.name,
+      type: element.type,
+      fillable: !element.hidden
+    }));
+
+    const fillPass = jest.fn(async (fields) => {
+      fields.forEach(field => {
+        field.element.value = field.element.tagName === 'SELECT' ? field.element.options[1].value : 'filled';
+        field.element.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+      return { total: fields.length, filled: fields.length, errors: 0 };
+    });
+
+    beforeEach(() => {
+      fillPass.mockClear();
+      script.detectFormsInternal = jest.fn(async () => detectPage());
+    });
+
+    test('should fill fields revealed by earlier values in a later pass', async () => {
+      document.body.innerHTML = `
+        <form>
+          <input name="email">
+          <select name="referral"><option value="">How did you hear of us?</option><option value="other">Other</option></select>
+          <input name="referral_other" hidden>
+        </form>`;
+      document.querySelector('[name="referral"]').addEventListener('change', () => {
+        document.querySelector('[name="referral_other"]').hidden = false;
+      });
+
+      const report = await script.fillWithCascade(detectPage(), fillPass, { settleDelay: 0 });
+
+      expect(report.passes.map(pass => pass.fields)).toEqual([['email', 'referral'], ['referral_other']]);
+      expect(document.querySelector('[name="referral_other"]').value).toBe('filled');
+      expect(report.filled).toBe(3);
+      expect(report.stopReason).toBe('stable');
+    });
+
+    test('should stop after one pass when nothing is revealed', async () => {
+      document.body.innerHTML = '<form><input name="first_name"><input name="last_name"></form>';
+
+      const report = await script.fillWithCascade(detectPage(), fillPass, { settleDelay: 0 });
+
+      expect(fillPass).toHaveBeenCalledTimes(1);
+      expect(report.passes).toHaveLength(1);
+      expect(report.stopReason).toBe('stable');
+    });
+
+    test('should stop at the pass limit on a page that keeps revealing fields', async () => {
+      document.body.innerHTML = '<form><input name="item_1"></form>';
+      const form = document.querySelector('form');
+      form.addEventListener('change', () => {
+        const input = document.createElement('input');
+        input.name = `item_${form.elements.length + 1}`;
+        form.appendChild(input);
+      });
+
+      const report = await script.fillWithCascade(detectPage(), fillPass, { settleDelay: 0, maxPasses: 3 });
+
+      expect(fillPass).toHaveBeenCalledTimes(3);
+      expect(report.passes.map(pass => pass.fields)).toEqual([['item_1'], ['item_2'], ['item_3']]);
+      expect(report.stopReason).toBe('pass_limit');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+// Unit tests for DatePickerAdapter class
+
+describe('DatePickerAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new DatePickerAdapter();
+    document.documentElement.lang = '';
+  });
+
+  const createInput = (html) => {
+    document.body.innerHTML = `<form>${html}</form>`;
+    return document.querySelector('input');
+  };
+
+  const dateField = (element) => ({ element, type: 'text', category: 'datetime', fieldSubtype: 'birthDate' });
+
+  describe('inferFormat', () => {
+    test('should read spelled-out placeholders, including localised letters', () => {
+      expect(adapter.inferFormat(createInput('<input placeholder="DD/MM/YYYY">'))).toBe('DD/MM/YYYY');
+      expect(adapter.inferFormat(createInput('<input placeholder="mm-dd-yy">'))).toBe('MM-DD-YY');
+      expect(adapter.inferFormat(createInput('<input placeholder="JJ/MM/AAAA">'))).toBe('DD/MM/YYYY');
+      expect(adapter.inferFormat(createInput('<input placeholder="TT.MM.JJJJ">'))).toBe('DD.MM.YYYY');
+    });
+
+    test('should read example dates in the placeholder', () => {
+      expect(adapter.inferFormat(createInput('<input placeholder="31.12.2024">'))).toBe('DD.MM.YYYY');
+      expect(adapter.inferFormat(createInput('<input placeholder="e.g. 12/31/2024">'))).toBe('MM/DD/YYYY');
+      expect(adapter.inferFormat(createInput('<input placeholder="2024-12-31">'))).toBe('YYYY-MM-DD');
+    });
+
+    test('should take the day and month order of a pattern from the page language', () => {
+      expect(adapter.inferFormat(createInput('<div lang="de"><input pattern="\\d{2}\\.\\d{2}\\.\\d{4}"></div>'))).toBe('DD.MM.YYYY');
+      expect(adapter.inferFormat(createInput('<div lang="en-US"><input pattern="[0-9]{2}/[0-9]{2}/[0-9]{4}"></div>'))).toBe('MM/DD/YYYY');
+    });
+
+    test('should read format attributes in the dialect of the library', () => {
+      const flatpickr = createInput('<input class="flatpickr-input" data-date-format="d/m/Y">');
+      expect(adapter.inferFormat(flatpickr, adapter.libraries[0])).toBe('DD/MM/YYYY');
+
+      const jqueryUi = createInput('<input class="hasDatepicker" data-date-format="dd/mm/yy">');
+      expect(adapter.inferFormat(jqueryUi, adapter.libraries[1])).toBe('DD/MM/YYYY');
+
+      expect(adapter.inferFormat(createInput('<input data-date-format="dd.mm.yyyy">'))).toBe('DD.MM.YYYY');
+    });
+
+    test('should fall back to the library default, then the page language, then ISO', () => {
+      expect(adapter.getDateInput(dateField(createInput('<div class="react-datepicker__input-container"><input></div>'))).format).toBe('MM/DD/YYYY');
+
+      document.documentElement.lang = 'fr';
+      expect(adapter.inferFormat(createInput('<input>'))).toBe('DD/MM/YYYY');
+
+      document.documentElement.lang = '';
+      expect(adapter.inferFormat(createInput('<input>'))).toBe('YYYY-MM-DD');
+    });
+  });
+
+  describe('getDateInput', () => {
+    test('should only take text fields that hold a date or belong to a picker', () => {
+      const plain = createInput('<input name="nickname">');
+      expect(adapter.getDateInput({ element: plain, type: 'text', category: 'personal', fieldSubtype: 'firstName' })).toBeNull();
+
+      const picker = createInput('<input name="checkin" class="flatpickr-input" readonly>');
+      expect(adapter.getDateInput({ element: picker, type: 'text', category: 'text' })).toMatchObject({ library: 'flatpickr', format: 'YYYY-MM-DD' });
+
+      const native = createInput('<input type="date">');
+      expect(adapter.getDateInput({ ...dateField(native), type: 'date' })).toBeNull();
+    });
+  });
+
+  describe('format', () => {
+    test('should write every token', () => {
+      expect(adapter.format('2024-03-05', 'D.M.YY')).toBe('5.3.24');
+      expect(adapter.format('2024-03-05', 'MMM D, YYYY')).toBe('Mar 5, 2024');
+      expect(adapter.format('2024-03-05', 'D MMMM YYYY', 'fr')).toBe('5 mars 2024');
+    });
+
+    test('should accept ISO strings and dates', () => {
+      expect(adapter.toIsoDate('1990-3-5')).toBe('1990-03-05');
+      expect(adapter.toIsoDate(new Date(1990, 2, 5))).toBe('1990-03-05');
+      expect(adapter.toIsoDate('not a date')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,142 @@
+// Unit tests for DependentSelectResolver class
+
+describe('DependentSelectResolver', () => {
+  let resolver;
+
+  beforeEach(() => {
+    resolver = new DependentSelectResolver();
+  });
+
+  const createDescriptors = (html) => {
+    document.body.innerHTML = `<form>${html}</form>`;
+    return Array.from(document.querySelectorAll('input, select')).map(element => ({
+      element,
+      name: element.name,
+      id: element.id,
+      label: '',
+      type: element.type,
+      fillable: true
+    }));
+  };
+
+  const setOptions = (select, values) => {
+    select.innerHTML = '<option value="">Choose</option>' + values.map(value => `<option value="${value}">${value}</option>`).join('');
+  };
+
+  describe('orderFields', () => {
+    test('should move parent selects ahead of their dependants', () => {
+      const fields = createDescriptors(`
+        <select name="city"></select>
+        <input name="first_name">
+        <select name="state_province"></select>
+        <select name="country"></select>
+      `);
+
+      const order = resolver.orderFields(fields).map(field => field.name);
+
+      expect(order).toEqual(['country', 'state_province', 'city', 'first_name']);
+    });
+
+    test('should keep DOM order for unrelated fields', () => {
+      const fields = createDescriptors('<input name="email"><select name="size"></select><input name="phone">');
+
+      expect(resolver.orderFields(fields)).toEqual(fields);
+    });
+
+    test('should follow explicit data-depends-on wiring', () => {
+      const fields = createDescriptors('<select name="model" data-depends-on="vendor"></select><select id="vendor" name="vendor"></select>');
+
+      expect(resolver.orderFields(fields).map(field => field.name)).toEqual(['vendor', 'model']);
+    });
+
+    test('should pair each block with its own parent', () => {
+      const fields = createDescriptors(`
+        <select name="billing_country"></select><select name="billing_state"></select>
+        <select name="shipping_country"></select><select name="shipping_state"></select>
+      `);
+
+      resolver.orderFields(fields);
+
+      expect(resolver.parents.get(fields[3].element)).toBe(fields[2].element);
+      expect(resolver.parents.get(fields[1].element)).toBe(fields[0].element);
+    });
+
+    test('should remember dependants seen reloading their options', async () => {
+      const fields = createDescriptors('<select name="plan"><option value="a">A</option></select><select name="addon"></select>');
+      const [plan, addon] = fields.map(field => field.element);
+
+      resolver.recordChange(plan);
+      setOptions(addon, ['x']);
+      await resolver.waitForOptions(addon, 100);
+
+      expect(resolver.orderFields([fields[1], fields[0]]).map(field => field.name)).toEqual(['plan', 'addon']);
+    });
+  });
+
+  describe('waitForOptions', () => {
+    test('should wait for a dependant to receive new options', async () => {
+      const fields = createDescriptors('<select name="country"></select><select name="state"></select>');
+      const [country, state] = fields.map(field => field.element);
+      resolver.orderFields(fields);
+
+      resolver.recordChange(country);
+      setTimeout(() => setOptions(state, ['CA', 'NY']), 100);
+
+      await expect(resolver.waitForOptions(state, 1000)).resolves.toBe(true);
+      expect(state.options).toHaveLength(3);
+    });
+
+    test('should report failure when a dependant never gets options', async () => {
+      const fields = createDescriptors('<select name="country"></select><select name="state"></select>');
+      const [country, state] = fields.map(field => field.element);
+      resolver.orderFields(fields);
+
+      resolver.recordChange(country);
+
+      await expect(resolver.waitForOptions(state, 100)).resolves.toBe(false);
+    });
+
+    test('should not wait on a static list whose parent is only guessed from names', async () => {
+      const fields = createDescriptors(`
+        <select name="country"><option value="US">US</option><option value="CA">CA</option></select>
+        <select name="state"><option value="">Choose</option><option value="NY">NY</option><option value="QC">QC</option></select>
+      `);
+      const [country, state] = fields.map(field => field.element);
+      resolver.orderFields(fields);
+
+      resolver.recordChange(country);
+      const start = Date.now();
+
+      await expect(resolver.waitForOptions(state, 1000)).resolves.toBe(true);
+      await resolver.waitForPendingLoads(1000);
+      expect(Date.now() - start).toBeLessThan(500);
+    });
+
+    test('should wait on a static-looking list the page links to its parent', async () => {
+      const fields = createDescriptors(`
+        <select name="vendor"><option value="a">A</option></select>
+        <select name="model" data-depends-on="vendor"><option value="old">Old</option></select>
+      `);
+      const [vendor, model] = fields.map(field => field.element);
+      resolver.orderFields(fields);
+
+      resolver.recordChange(vendor);
+      setTimeout(() => setOptions(model, ['new']), 100);
+
+      await expect(resolver.waitForOptions(model, 1000)).resolves.toBe(true);
+      expect(model.value).toBe('');
+      expect(model.options[1].value).toBe('new');
+    });
+
+    test('should not hold up selects unrelated to the change', async () => {
+      const fields = createDescriptors('<select name="country"></select><select name="size"><option>M</option></select>');
+      resolver.orderFields(fields);
+
+      resolver.recordChange(fields[0].element);
+      const start = Date.now();
+
+      await expect(resolver.waitForOptions(fields[1].element, 1000)).resolves.toBe(true);
+      expect(Date.now() - start).toBeLessThan(500);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+// Unit tests for EnhancedSelectAdapter class
+// Markup below is what each library renders once initialised; tests/fixtures has live pages for each
+
+describe('EnhancedSelectAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new EnhancedSelectAdapter();
+  });
+
+  const render = (html) => {
+    document.body.innerHTML = html;
+  };
+
+  const select2Markup = `
+    <form>
+      <select id="country" name="country" class="select2-hidden-accessible" tabindex="-1" aria-hidden="true">
+        <option value="">Select a country</option>
+        <option value="US">United States</option>
+        <option value="CA" selected>Canada</option>
+      </select>
+      <span class="select2 select2-container select2-container--default select2-container--open">
+        <span class="selection">
+          <span class="select2-selection select2-selection--single" role="combobox" aria-expanded="true">
+            <span class="select2-selection__rendered" id="select2-country-container" title="Canada">Canada</span>
+          </span>
+        </span>
+      </span>
+    </form>
+    <span class="select2-container select2-container--default select2-container--open">
+      <span class="select2-dropdown select2-dropdown--below">
+        <span class="select2-search select2-search--dropdown"><input class="select2-search__field" type="search"></span>
+        <span class="select2-results">
+          <ul class="select2-results__options" role="listbox">
+            <li class="select2-results__option select2-results__option--selectable" role="option">United States</li>
+            <li class="select2-results__option select2-results__option--selectable" role="option" aria-selected="true">Canada</li>
+            <li class="select2-results__option select2-results__option--disabled" role="option" aria-disabled="true">Mexico</li>
+          </ul>
+        </span>
+      </span>
+    </span>`;
+
+  const choicesMarkup = `
+    <form>
+      <div class="choices" data-type="select-multiple" role="combobox">
+        <div class="choices__inner">
+          <select id="skills" name="skills" class="choices__input" multiple hidden tabindex="-1" data-choice="active">
+            <option value="js" selected>JavaScript</option>
+          </select>
+          <div class="choices__list choices__list--multiple">
+            <div class="choices__item choices__item--selectable" data-item data-value="js">JavaScript<button type="button" class="choices__button">Remove item</button></div>
+          </div>
+          <input type="search" class="choices__input choices__input--cloned">
+        </div>
+        <div class="choices__list choices__list--dropdown" hidden>
+          <div class="choices__list" role="listbox">
+            <div class="choices__item choices__item--choice choices__item--selectable" data-choice data-value="py" role="option">Python</div>
+            <div class="choices__item choices__item--choice choices__item--disabled" data-choice data-value="go" role="option">Go</div>
+          </div>
+        </div>
+      </div>
+    </form>`;
+
+  const tomSelectMarkup = `
+    <form>
+      <input type="text" id="tags" name="tags" class="tomselected ts-hidden-accessible" value="alpha" tabindex="-1">
+      <div class="ts-wrapper multi">
+        <div class="ts-control">
+          <div class="item" data-value="alpha">alpha</div>
+          <input type="text" id="tags-ts-control" role="combobox" autocomplete="off">
+        </div>
+      </div>
+    </form>`;
+
+  const reactSelectMarkup = `
+    <form>
+      <label for="react-select-country-input">Country</label>
+      <div class="css-b62m3t-container">
+        <div class="css-13cymwt-control">
+          <div class="css-hlgwow">
+            <div class="css-1dimb5e-singleValue">Canada</div>
+            <div class="css-19bb58m"><input id="react-select-country-input" type="text" role="combobox" aria-expanded="true"></div>
+          </div>
+          <div class="css-1wy0on6"><div class="css-1xc3v61-indicatorContainer" aria-hidden="true"></div></div>
+        </div>
+        <input name="country" type="hidden" value="CA">
+      </div>
+    </form>
+    <div class="css-1nmdiq5-menu">
+      <div role="listbox" id="react-select-country-listbox">
+        <div id="react-select-country-option-0" role="option" aria-disabled="false">United States</div>
+        <div id="react-select-country-option-1" role="option" aria-disabled="false">Canada</div>
+        <div id="react-select-country-option-2" role="option" aria-disabled="true">Mexico</div>
+      </div>
+    </div>`;
+
+  describe('getWidget', () => {
+    test('should recognise each library from the control it enhanced', () => {
+      render(select2Markup);
+      expect(adapter.getWidget(document.getElementById('country'))).toMatchObject({ library: { name: 'select2' }, multiple: false, creates: false });
+
+      render(choicesMarkup);
+      expect(adapter.getWidget(document.getElementById('skills'))).toMatchObject({ library: { name: 'choices' }, multiple: true });
+
+      render(tomSelectMarkup);
+      expect(adapter.getWidget(document.getElementById('tags'))).toMatchObject({ library: { name: 'tom-select' }, multiple: true, creates: true });
+
+      render(reactSelectMarkup);
+      const widget = adapter.getWidget(document.getElementById('react-select-country-input'));
+      expect(widget.library.name).toBe('react-select');
+      expect(widget.root.className).toBe('css-b62m3t-container');
+    });
+
+    test('should leave plain controls alone', () => {
+      render('<form><select name="plain"><option>One</option></select><input name="city"></form>');
+
+      expect(adapter.getWidget(document.querySelector('select'))).toBeNull();
+      expect(adapter.getWidget(document.querySelector('input'))).toBeNull();
+    });
+  });
+
+  describe('isWidgetPart', () => {
+    test('should claim the inner inputs and comboboxes but not the enhanced control', () => {
+      render(select2Markup);
+      expect(adapter.isWidgetPart(document.querySelector('.select2-selection'))).toBe(true);
+      expect(adapter.isWidgetPart(document.querySelector('.select2-search__field'))).toBe(true);
+      expect(adapter.isWidgetPart(document.getElementById('country'))).toBe(false);
+
+      render(choicesMarkup);
+      expect(adapter.isWidgetPart(document.querySelector('.choices'))).toBe(true);
+      expect(adapter.isWidgetPart(document.querySelector('.choices__input--cloned'))).toBe(true);
+      expect(adapter.isWidgetPart(document.getElementById('skills'))).toBe(false);
+    });
+  });
+
+  describe('getOptions', () => {
+    test('should list the options a user could pick', () => {
+      render(select2Markup);
+      const select2 = adapter.getWidget(document.getElementById('country'));
+      expect(adapter.getOptions(select2).map(option => option.text)).toEqual(['United States', 'Canada']);
+      expect(adapter.getSearchInput(select2)).toBe(document.querySelector('.select2-search__field'));
+
+      render(reactSelectMarkup);
+      const reactSelect = adapter.getWidget(document.getElementById('react-select-country-input'));
+      expect(adapter.getOptions(reactSelect).map(option => option.text)).toEqual(['United States', 'Canada']);
+      expect(adapter.getSearchInput(reactSelect)).toBe(reactSelect.element);
+    });
+
+    test('should see no options while the dropdown is closed', () => {
+      render(choicesMarkup);
+      const widget = adapter.getWidget(document.getElementById('skills'));
+      expect(adapter.getOptions(widget)).toEqual([]);
+
+      document.querySelector('.choices__list--dropdown').hidden = false;
+      expect(adapter.getOptions(widget)).toEqual([expect.objectContaining({ text: 'Python', value: 'py' })]);
+    });
+  });
+
+  describe('getSelectedLabels', () => {
+    test('should read the selection without remove buttons', () => {
+      render(choicesMarkup);
+      expect(adapter.getSelectedLabels(adapter.getWidget(document.getElementById('skills')))).toEqual(['JavaScript']);
+
+      render(reactSelectMarkup);
+      expect(adapter.getSelectedLabels(adapter.getWidget(document.getElementById('react-select-country-input')))).toEqual(['Canada']);
+    });
+  });
+});
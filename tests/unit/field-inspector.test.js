@@ -0,0 +1,119 @@
+// Unit tests for FieldInspector class
+
+describe('FieldInspector', () => {
+  let inspector;
+  let mockFormDetector;
+  let mockFieldMapper;
+  let mockSecurityUtils;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div class="form-group"><label for="city">City</label><input id="city" name="city"></div>';
+
+    mockFormDetector = {
+      detectFormFields: jest.fn(() => []),
+      getUnfillableReason: jest.fn(() => 'Field is hidden')
+    };
+    mockFieldMapper = {
+      determineFieldMapping: jest.fn(() => 'address.city'),
+      inferAddressSection: jest.fn(() => null)
+    };
+    mockSecurityUtils = {
+      isProtectedField: jest.fn(() => false),
+      isHoneypotField: jest.fn(() => false)
+    };
+
+    inspector = new FieldInspector(mockFormDetector, mockFieldMapper, mockSecurityUtils);
+  });
+
+  afterEach(() => {
+    inspector.hide();
+  });
+
+  const createDescriptor = (overrides = {}) => ({
+    element: document.getElementById('city'),
+    name: 'city',
+    id: 'city',
+    label: 'City',
+    fillable: true,
+    category: 'address',
+    fieldSubtype: 'city',
+    confidence: 0.9,
+    detectedFrom: 'name-attribute',
+    candidates: [
+      { rule: 'address.city', score: 0.9, source: 'name-attribute' },
+      { rule: 'personal.fullName', score: 0.76, source: 'label', vetoedBy: 'veto.nonPersonName' }
+    ],
+    ...overrides
+  });
+
+  describe('show', () => {
+    test('should render badges inside its own shadow root', () => {
+      const count = inspector.show([createDescriptor()]);
+      const host = document.querySelector(EXTENSION_CONSTANTS.CSS_CLASSES.INSPECTOR);
+
+      expect(count).toBe(1);
+      expect(host).not.toBeNull();
+      // Closed shadow roots are invisible to page scripts and selectors
+      expect(host.shadowRoot).toBeNull();
+      expect(document.querySelector('.badge')).toBeNull();
+      expect(inspector.shadow.querySelector('.badge').textContent).toBe('address/city 90%');
+    });
+
+    test('should include unfillable fields when detecting on its own', () => {
+      inspector.show();
+
+      expect(mockFormDetector.detectFormFields).toHaveBeenCalledWith(document, { includeUnfillable: true });
+    });
+
+    test('should remove the overlay when hidden', () => {
+      inspector.show([createDescriptor()]);
+      inspector.hide();
+
+      expect(document.querySelector(EXTENSION_CONSTANTS.CSS_CLASSES.INSPECTOR)).toBeNull();
+      expect(inspector.isActive).toBe(false);
+    });
+  });
+
+  describe('describeField', () => {
+    test('should report why a field is skipped', () => {
+      const info = inspector.describeField(createDescriptor({ fillable: false, reason: '' }));
+
+      expect(info.skipReason).toBe('Field is hidden');
+    });
+
+    test('should flag fields the filler leaves alone for security', () => {
+      mockSecurityUtils.isHoneypotField.mockReturnValue(true);
+
+      expect(inspector.describeField(createDescriptor()).skipReason).toBe('Honeypot field');
+    });
+
+    test('should show the named address path for sectioned address fields', () => {
+      mockFieldMapper.inferAddressSection.mockReturnValue('billing');
+
+      expect(inspector.describeField(createDescriptor()).dataPath).toBe('addresses.billing.city → address.city');
+    });
+
+    test('should list ranked candidates and vetoes as signals', () => {
+      const { signals } = inspector.describeField(createDescriptor());
+
+      expect(signals).toContain('address.city: 0.90 via name-attribute');
+      expect(signals).toContain('personal.fullName: 0.76 via label (vetoed by veto.nonPersonName)');
+    });
+  });
+
+  describe('hover card', () => {
+    test('should show label and context text on hover', () => {
+      inspector.show([createDescriptor()]);
+      const badge = inspector.shadow.querySelector('.badge');
+
+      badge.dispatchEvent(new Event('mouseenter'));
+
+      expect(inspector.card.hidden).toBe(false);
+      expect(inspector.card.textContent).toContain('Label: City');
+      expect(inspector.card.textContent).toContain('Data path: address.city');
+
+      badge.dispatchEvent(new Event('mouseleave'));
+      expect(inspector.card.hidden).toBe(true);
+    });
+  });
+});
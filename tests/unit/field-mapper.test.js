@@ -0,0 +1,151 @@
+// Unit tests for FieldMapper class
+
+describe('FieldMapper', () => {
+  let mapper;
+
+  beforeEach(() => {
+    mapper = new FieldMapper();
+    document.body.innerHTML = '';
+  });
+
+  const describeField = (element) => ({
+    element,
+    type: element.type,
+    name: element.name,
+    id: element.id,
+    label: '',
+    placeholder: element.placeholder,
+    autocomplete: mapper.autocompleteParser.parseElement(element)
+  });
+
+  const fieldNamed = (name) => describeField(document.querySelector(`[name="${name}"]`));
+  const fieldAt = (index) => describeField(document.querySelectorAll('input')[index]);
+
+  describe('inferAddressSection', () => {
+    test('should read the section from billing, shipping, work and home name prefixes', () => {
+      document.body.innerHTML = `
+        <input name="billing_city">
+        <input name="shipToZip">
+        <input name="work[street]">
+        <input name="home-state">`;
+
+      expect(mapper.inferAddressSection(fieldNamed('billing_city'))).toBe('billing');
+      expect(mapper.inferAddressSection(fieldNamed('shipToZip'))).toBe('shipping');
+      expect(mapper.inferAddressSection(fieldNamed('work[street]'))).toBe('work');
+      expect(mapper.inferAddressSection(fieldNamed('home-state'))).toBe('home');
+    });
+
+    test('should take the section from the surrounding fieldset or heading', () => {
+      document.body.innerHTML = `
+        <fieldset><legend>Delivery address</legend><input name="city_a"></fieldset>
+        <section><h3>Office location</h3><div><input name="city_b"></div></section>
+        <div class="invoice-details"><input name="city_c"></div>`;
+
+      expect(mapper.inferAddressSection(fieldNamed('city_a'))).toBe('shipping');
+      expect(mapper.inferAddressSection(fieldNamed('city_b'))).toBe('work');
+      expect(mapper.inferAddressSection(fieldNamed('city_c'))).toBe('billing');
+    });
+
+    test('should let an explicit autocomplete section win over names and containers', () => {
+      document.body.innerHTML = `
+        <fieldset><legend>Billing address</legend>
+          <input name="billing_city" autocomplete="shipping address-level2">
+          <input name="city" autocomplete="section-work address-level2">
+        </fieldset>`;
+
+      expect(mapper.inferAddressSection(fieldNamed('billing_city'))).toBe('shipping');
+      expect(mapper.inferAddressSection(fieldNamed('city'))).toBe('work');
+    });
+
+    test('should return null for an address field outside any named block', () => {
+      document.body.innerHTML = '<form><input name="city"></form>';
+
+      expect(mapper.inferAddressSection(fieldNamed('city'))).toBeNull();
+    });
+  });
+
+  describe('profile address selection', () => {
+    const address = (city) => ({ street: '', city, state: '', zipCode: '', country: '' });
+    const userData = {
+      address: address('Primary City'),
+      addresses: {
+        home: address(''),
+        work: address('Work City'),
+        billing: address('Billing City'),
+        shipping: address('Shipping City')
+      }
+    };
+
+    test('should fill each block from its named address', () => {
+      document.body.innerHTML = `
+        <form>
+          <fieldset><legend>Billing address</legend><input name="city"></fieldset>
+          <input name="ship_city" autocomplete="shipping address-level2">
+          <fieldset><legend>Work</legend><input name="town"></fieldset>
+        </form>`;
+
+      expect(mapper.mapValueToField(fieldAt(0), userData)).toBe('Billing City');
+      expect(mapper.mapValueToField(fieldAt(1), userData)).toBe('Shipping City');
+      expect(mapper.mapValueToField(fieldAt(2), userData)).toBe('Work City');
+      expect(mapper.getDataPath(fieldAt(0), userData)).toBe('addresses.billing.city');
+    });
+
+    test('should fall back to the primary address when the named one is empty', () => {
+      document.body.innerHTML = '<form><fieldset><legend>Home address</legend><input name="city"></fieldset></form>';
+
+      expect(mapper.mapValueToField(fieldNamed('city'), userData)).toBe('Primary City');
+      expect(mapper.getDataPath(fieldNamed('city'), userData)).toBe('address.city');
+    });
+
+    test('should fall back to the primary address without a section or saved addresses', () => {
+      document.body.innerHTML = `
+        <form>
+          <input name="city">
+          <fieldset><legend>Shipping address</legend><input name="city"></fieldset>
+        </form>`;
+
+      expect(mapper.mapValueToField(fieldAt(0), userData)).toBe('Primary City');
+      expect(mapper.mapValueToField(fieldAt(1), { address: address('Primary City') })).toBe('Primary City');
+    });
+  });
+
+  describe('autocomplete tokens', () => {
+    const userData = {
+      personal: { fullName: 'Ada Lovelace', email: 'ada@example.com', phone: '+1 (415) 555-0134', dateOfBirth: '1990-07-04' },
+      address: { street: '1 Main St', city: 'Springfield', state: 'IL', zipCode: '62701', country: 'United States' }
+    };
+
+    const valueFor = (html) => {
+      document.body.innerHTML = `<form>${html}</form>`;
+      return mapper.mapValueToField(describeField(document.querySelector('input, select')), userData);
+    };
+
+    test('should derive birth date parts from the date of birth', () => {
+      expect(valueFor('<select name="a" autocomplete="bday-year"></select>')).toBe('1990');
+      expect(valueFor('<input name="b" autocomplete="bday-month">')).toBe('07');
+      expect(valueFor('<input name="c" autocomplete="bday-day">')).toBe('04');
+    });
+
+    test('should derive phone parts from the phone number', () => {
+      expect(valueFor('<input name="a" autocomplete="tel-country-code">')).toBe('+1');
+      expect(valueFor('<input name="b" autocomplete="tel-area-code">')).toBe('415');
+      expect(valueFor('<input name="c" autocomplete="tel-local">')).toBe('5550134');
+      expect(valueFor('<input name="d" autocomplete="tel-local-prefix">')).toBe('555');
+      expect(valueFor('<input name="e" autocomplete="tel-local-suffix">')).toBe('0134');
+    });
+
+    test('should fill country with a code and country-name with the name', () => {
+      expect(valueFor('<input name="a" autocomplete="country" maxlength="2">')).toBe('US');
+      expect(valueFor('<input name="b" autocomplete="country-name">')).toBe('United States');
+    });
+
+    test('should fall back to name heuristics for tokens without a profile mapping', () => {
+      expect(valueFor('<input name="email" autocomplete="username">')).toBe('ada@example.com');
+    });
+
+    test('should leave known tokens the profile has no value for empty', () => {
+      expect(valueFor('<input name="address" autocomplete="address-line2">')).toBeNull();
+      expect(valueFor('<input name="phone_ext" autocomplete="tel-extension">')).toBeNull();
+    });
+  });
+});
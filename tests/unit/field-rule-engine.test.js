@@ -0,0 +1,109 @@
+// Unit tests for FieldRuleEngine class
+
+describe('FieldRuleEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new FieldRuleEngine();
+  });
+
+  const createContext = (sources = {}, extra = {}) => {
+    const allSources = {
+      'name-attribute': '',
+      'id-attribute': '',
+      label: '',
+      placeholder: '',
+      'class-name': '',
+      ...sources
+    };
+
+    return {
+      type: 'text',
+      tagName: 'INPUT',
+      sources: allSources,
+      allText: Object.values(allSources).join(' '),
+      ...extra
+    };
+  };
+
+  describe('classify', () => {
+    test('should pick the best-scoring rule instead of the first match', () => {
+      const { best } = engine.classify(createContext({ label: 'company name' }));
+
+      expect(best.category).toBe('work');
+      expect(best.subtype).toBe('company');
+    });
+
+    test('should keep vetoed candidates with the rule that vetoed them', () => {
+      const { candidates } = engine.classify(createContext({ label: 'company name' }));
+      const fullName = candidates.find(candidate => candidate.rule === 'personal.fullName');
+
+      expect(fullName.vetoedBy).toBe('veto.nonPersonName');
+      expect(candidates[candidates.length - 1]).toBe(fullName);
+    });
+
+    test('should rank candidates by score', () => {
+      const { candidates } = engine.classify(createContext({ 'name-attribute': 'email', label: 'your name' }, { type: 'email' }));
+      const scores = candidates.map(candidate => candidate.score);
+
+      expect(candidates[0].subtype).toBe('email');
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    });
+
+    test('should trust the name attribute over the class name', () => {
+      const { best } = engine.classify(createContext({ 'name-attribute': 'city', 'class-name': 'zip' }));
+
+      expect(best.subtype).toBe('city');
+      expect(best.source).toBe('name-attribute');
+    });
+
+    test('should let keywords refine a generic input type', () => {
+      const { best } = engine.classify(createContext({ label: 'date of birth' }, { type: 'date' }));
+
+      expect(best.subtype).toBe('birthDate');
+    });
+
+    test('should return no winner when nothing matches', () => {
+      const { best, candidates } = engine.classify(createContext({}, { type: 'range' }));
+
+      expect(best).toBeNull();
+      expect(candidates).toEqual([]);
+    });
+  });
+
+  describe('registerRule', () => {
+    test('should score custom rules alongside the defaults', () => {
+      engine.registerRule({
+        id: 'custom.vat',
+        category: 'financial',
+        subtype: 'vatNumber',
+        weight: 0.95,
+        pattern: /\b(vat)\b/
+      });
+
+      const { best } = engine.classify(createContext({ 'name-attribute': 'vat number' }));
+
+      expect(best.rule).toBe('custom.vat');
+      expect(best.score).toBeCloseTo(0.95);
+    });
+
+    test('should replace a rule registered under the same id', () => {
+      engine.registerRule({ id: 'address.city', category: 'address', subtype: 'city', weight: 0.5, pattern: /\b(city)\b/ });
+
+      expect(engine.rules.filter(rule => rule.id === 'address.city')).toHaveLength(1);
+      expect(engine.getRule('address.city').weight).toBe(0.5);
+    });
+
+    test('should apply custom veto rules', () => {
+      engine.registerRule({ id: 'veto.search', veto: true, targets: ['personal.email'], pattern: /\bsearch\b/ });
+
+      const { best } = engine.classify(createContext({ 'name-attribute': 'search email' }));
+
+      expect(best.subtype).not.toBe('email');
+    });
+
+    test('should reject rules without an id', () => {
+      expect(() => engine.registerRule({ category: 'text' })).toThrow('Classification rules need an id');
+    });
+  });
+});
@@ -107,7 +107,7 @@ describe('FormDetector', () => {
     test('should exclude protected fields (CAPTCHA)', () => {
       const mockElements = [
         createMockElement('input', { type: 'text', name: 'normal' }),
-        createMockElement('input', { type: 'text', name: 'captcha', className: 'g-recaptcha' })
+        createMockElement('input', { type: 'text', name: 'captcha', className: 'g-recaptcha', classList: ['g-recaptcha'] })
       ];
       
       mockDocument.querySelectorAll.mockReturnValue(mockElements);
@@ -127,12 +127,14 @@ describe('FormDetector', () => {
         getAttribute: () => 'testInput'
       });
       
-      mockDocument.querySelector = jest.fn(() => mockLabel);
+      // jsdom keeps its own document global, so the lookup is stubbed on it directly
+      const querySelector = jest.spyOn(document, 'querySelector').mockReturnValue(mockLabel);
       
       const label = formDetector.getFieldLabel(mockInput);
       
       expect(label).toBe('Test Label');
-      expect(mockDocument.querySelector).toHaveBeenCalledWith('label[for="testInput"]');
+      expect(querySelector).toHaveBeenCalledWith('label[for="testInput"]');
+      querySelector.mockRestore();
     });
 
     test('should find parent label', () => {
@@ -232,6 +234,235 @@ describe('FormDetector', () => {
     });
   });
 
+  describe('contenteditable detection', () => {
+    test('should treat an editing host as a paragraph field', () => {
+      const mockEditor = createMockElement('div', {
+        getAttribute: jest.fn((attr) => attr === 'contenteditable' ? 'true' : null),
+        parentElement: { closest: jest.fn(() => null), classList: [], parentElement: null }
+      });
+      
+      const descriptor = formDetector.createFieldDescriptor(mockEditor);
+      
+      expect(descriptor.type).toBe('contenteditable');
+      expect(descriptor.category).toBe('text');
+      expect(descriptor.fieldSubtype).toBe('paragraph');
+    });
+
+    test('should ignore elements nested inside another editing host', () => {
+      const mockHost = createMockElement('div', {
+        getAttribute: jest.fn((attr) => attr === 'contenteditable' ? 'true' : null)
+      });
+      const mockNested = createMockElement('span', {
+        getAttribute: jest.fn((attr) => attr === 'contenteditable' ? '' : null),
+        parentElement: { closest: jest.fn(() => mockHost) }
+      });
+      
+      expect(formDetector.isEditingHost(mockNested)).toBe(false);
+    });
+
+    test('should not treat contenteditable="false" as editable', () => {
+      const mockElement = createMockElement('div', {
+        getAttribute: jest.fn((attr) => attr === 'contenteditable' ? 'false' : null)
+      });
+      
+      expect(formDetector.isEditingHost(mockElement)).toBe(false);
+    });
+
+    test('should only reach into frames that have no content script of their own', () => {
+      expect(formDetector.isScriptlessFrame({ URL: 'about:blank' })).toBe(true);
+      expect(formDetector.isScriptlessFrame({ URL: 'about:srcdoc' })).toBe(true);
+      expect(formDetector.isScriptlessFrame({ URL: 'https://payments.example.com/card' })).toBe(false);
+    });
+  });
+
+  describe('ARIA widget detection', () => {
+    test('should map widget roles to field types', () => {
+      const roleOf = (role) => createMockElement('div', {
+        getAttribute: jest.fn((attr) => attr === 'role' ? role : null)
+      });
+      
+      expect(formDetector.getFieldType(roleOf('combobox'))).toBe('aria-combobox');
+      expect(formDetector.getFieldType(roleOf('switch'))).toBe('aria-switch');
+      expect(formDetector.getFieldType(roleOf('radiogroup'))).toBe('aria-radiogroup');
+    });
+
+    test('should leave native inputs with a role to the native path', () => {
+      const mockInput = createMockElement('input', {
+        type: 'text',
+        getAttribute: jest.fn((attr) => attr === 'role' ? 'combobox' : null)
+      });
+      
+      expect(formDetector.getAriaWidgetRole(mockInput)).toBeNull();
+      expect(formDetector.getFieldType(mockInput)).toBe('text');
+    });
+
+    test('should resolve every id in aria-labelledby', () => {
+      const mockWidget = createMockElement('div', {
+        getAttribute: jest.fn((attr) => {
+          if (attr === 'role') return 'combobox';
+          if (attr === 'aria-labelledby') return 'label-a label-b';
+          return null;
+        })
+      });
+      mockWidget.getRootNode = () => ({
+        getElementById: jest.fn((id) => ({ textContent: id === 'label-a' ? 'Shipping' : 'Country' }))
+      });
+      
+      expect(formDetector.getFieldLabel(mockWidget)).toBe('Shipping Country');
+    });
+
+    test('should not fill aria-disabled widgets', () => {
+      const mockSwitch = createMockElement('div', {
+        getAttribute: jest.fn((attr) => {
+          if (attr === 'role') return 'switch';
+          if (attr === 'aria-disabled') return 'true';
+          return null;
+        })
+      });
+      
+      expect(formDetector.isFieldFillable(mockSwitch)).toBe(false);
+    });
+  });
+
+  describe('classifyField', () => {
+    test('should prefer autocomplete tokens over name heuristics', () => {
+      const mockInput = createMockElement('input', {
+        type: 'text',
+        name: 'name',
+        getAttribute: jest.fn((attr) => attr === 'autocomplete' ? 'family-name' : null)
+      });
+      
+      const classification = formDetector.classifyField(mockInput);
+      
+      expect(classification.category).toBe('personal');
+      expect(classification.subtype).toBe('lastName');
+      expect(classification.detectedFrom).toBe('autocomplete:family-name');
+    });
+
+    test('should keep section and address type modifiers', () => {
+      const mockInput = createMockElement('input', {
+        type: 'text',
+        name: 'zip',
+        getAttribute: jest.fn((attr) => attr === 'autocomplete' ? 'section-gift shipping postal-code' : null)
+      });
+      
+      const classification = formDetector.classifyField(mockInput);
+      
+      expect(classification.subtype).toBe('zipCode');
+      expect(classification.autocomplete.section).toBe('gift');
+      expect(classification.autocomplete.addressType).toBe('shipping');
+    });
+
+    test('should fall back to heuristics for autocomplete="off"', () => {
+      const mockInput = createMockElement('input', {
+        type: 'text',
+        name: 'firstname',
+        getAttribute: jest.fn((attr) => attr === 'autocomplete' ? 'off' : null)
+      });
+      
+      const classification = formDetector.classifyField(mockInput);
+      
+      expect(classification.subtype).toBe('firstName');
+      expect(classification.autocomplete).toBeNull();
+    });
+
+    test('should read camelCase and snake_case names as separate words', () => {
+      const mockInput = createMockElement('input', { type: 'text', name: 'billing_zipCode' });
+      
+      const classification = formDetector.classifyField(mockInput);
+      
+      expect(classification.subtype).toBe('zipCode');
+      expect(classification.detectedFrom).toBe('name-attribute');
+    });
+
+    test('should keep the ranked candidates for the classification', () => {
+      const mockInput = createMockElement('input', { type: 'text', name: 'company_name' });
+      
+      const classification = formDetector.classifyField(mockInput);
+      
+      expect(classification.subtype).toBe('company');
+      expect(classification.candidates[0].rule).toBe('work.company');
+      expect(classification.candidates.some(candidate => candidate.vetoedBy)).toBe(true);
+    });
+  });
+
+  describe('split field groups', () => {
+    // The suite swaps the global document for a mock, so build real markup in a detached document
+    const createContainer = (html) => new DOMParser().parseFromString(html, 'text/html').body;
+    
+    const describeInputs = (container) => Array.from(container.querySelectorAll('input, select')).map(element => ({
+      element,
+      type: element.tagName === 'SELECT' ? 'select-one' : 'text',
+      name: element.name,
+      id: element.id,
+      label: '',
+      placeholder: element.placeholder || ''
+    }));
+
+    test('should group numbered phone boxes by maxlength and name', () => {
+      const container = createContainer(`
+        <div><label>Phone</label><input name="phone1" maxlength="3"><input name="phone2" maxlength="3"><input name="phone3" maxlength="4"></div>
+      `);
+      const descriptors = describeInputs(container);
+
+      const groups = formDetector.detectSplitFieldGroups(descriptors);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].kind).toBe('phone');
+      expect(groups[0].segments.map(segment => segment.length)).toEqual([3, 3, 4]);
+      expect(descriptors.map(descriptor => descriptor.splitIndex)).toEqual([0, 1, 2]);
+    });
+
+    test('should find phone boxes after a country code select in the same container', () => {
+      const container = createContainer(`
+        <div><label>Phone</label>
+          <select name="phone_country"><option value="+1">+1</option><option value="+44">+44</option></select>
+          <input name="phone_area" maxlength="3"><input name="phone_prefix" maxlength="3"><input name="phone_line" maxlength="4">
+          <input name="phone_note" placeholder="Best time to call">
+        </div>
+      `);
+      const descriptors = describeInputs(container);
+
+      const groups = formDetector.detectSplitFieldGroups(descriptors);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].kind).toBe('phone');
+      expect(groups[0].elements.map(element => element.name)).toEqual(['phone_area', 'phone_prefix', 'phone_line']);
+      expect(descriptors.map(descriptor => descriptor.splitIndex)).toEqual([undefined, 0, 1, 2, undefined]);
+    });
+
+    test('should recognise day/month/year selects as a birth date', () => {
+      const container = createContainer(`
+        <div><label>Date of birth</label><select name="dob_day"></select><select name="dob_month"></select><select name="dob_year"></select></div>
+      `);
+
+      const groups = formDetector.detectSplitFieldGroups(describeInputs(container));
+
+      expect(groups[0].kind).toBe('birthDate');
+      expect(groups[0].segments.map(segment => segment.part)).toEqual(['day', 'month', 'year']);
+    });
+
+    test('should treat month/year boxes on a card form as an expiry date', () => {
+      const container = createContainer(`
+        <div><label>Card expiry</label><input name="exp_month" placeholder="MM" maxlength="2"><input name="exp_year" placeholder="YY" maxlength="2"></div>
+      `);
+
+      const groups = formDetector.detectSplitFieldGroups(describeInputs(container));
+
+      expect(groups[0].kind).toBe('expiry');
+    });
+
+    test('should not group unrelated neighbouring inputs', () => {
+      const container = createContainer(`
+        <div><input name="first" placeholder="First name"><input name="last" placeholder="Last name"></div>
+      `);
+      const descriptors = describeInputs(container);
+
+      expect(formDetector.detectSplitFieldGroups(descriptors)).toHaveLength(0);
+      expect(descriptors[0].splitGroup).toBeUndefined();
+    });
+  });
+
   describe('getFieldsByType', () => {
     test('should filter fields by type', () => {
       const mockElements = [
@@ -51,7 +51,10 @@ describe('FormFiller', () => {
       
       expect(result).toBe(true);
       expect(mockElement.value).toBe('John');
-      expect(mockElement.dispatchEvent).toHaveBeenCalledTimes(2); // input and change events
+      // The value setter describes the edit with an InputEvent, then change; focus is synchronous
+      // and blur follows on a timer
+      expect(mockElement.dispatchEvent.mock.calls.map(([event]) => event.type)).toEqual(['input', 'change', 'focus']);
+      expect(mockElement.dispatchEvent.mock.calls[0][0].inputType).toBe('insertReplacementText');
     });
 
     test('should not fill non-fillable fields', async () => {
@@ -88,6 +91,22 @@ describe('FormFiller', () => {
       expect(mockElement.value).toBe('john.doe@example.com');
     });
 
+    test('should type text fields key by key in typing mode', async () => {
+      const mockElement = createMockInput('text', 'city', 'x');
+      mockElement.dispatchEvent = jest.fn(() => true);
+      formFiller.typing = { enabled: true, delay: 0, jitter: 0 };
+      
+      const result = await formFiller.fillByType(mockElement, 'text', 'Oslo');
+      const keys = mockElement.dispatchEvent.mock.calls
+        .map(([event]) => event)
+        .filter(event => event.type === 'keydown')
+        .map(event => event.key);
+      
+      expect(result).toBe(true);
+      expect(mockElement.value).toBe('Oslo');
+      expect(keys).toEqual(['Backspace', 'O', 's', 'l', 'o']);
+    });
+
     test('should fill number input with constraints', async () => {
       const mockElement = createMockInput('number', 'age');
       mockElement.min = '0';
@@ -134,6 +153,18 @@ describe('FormFiller', () => {
       expect(mockElement.selectedIndex).toBe(0);
     });
 
+    test('should fail with an error when dependent select options never load', async () => {
+      document.body.innerHTML = '<form><select name="country"><option value="us">United States</option></select><select name="state"><option value="">State</option></select></form>';
+      const [country, state] = document.querySelectorAll('select');
+      formFiller.dependentSelects.orderFields([{ element: country, name: 'country' }, { element: state, name: 'state' }]);
+      
+      await formFiller.fillByType(country, 'select-one', 'us');
+      const result = await formFiller.fillByType(state, 'select-one', 'CA', { timeout: 100 });
+      
+      expect(result).toBe(false);
+      expect(formFiller.errors).toContain('Options for state did not load within 100ms');
+    });
+
     test('should fill checkbox based on value', async () => {
       const mockElement = createMockInput('checkbox', 'subscribe');
       
@@ -144,20 +175,200 @@ describe('FormFiller', () => {
     });
 
     test('should fill radio button in group', async () => {
-      const mockElement = createMockInput('radio', 'gender');
-      mockElement.value = 'male';
-      
-      // Mock document.querySelectorAll for radio group
-      global.document = {
-        querySelectorAll: jest.fn(() => [
-          createMockInput('radio', 'gender', 'male'),
-          createMockInput('radio', 'gender', 'female')
-        ])
+      document.body.innerHTML = `
+        <form><input type="radio" name='gender["q1"]' value="male"><input type="radio" name='gender["q1"]' value="female"></form>
+        <form><input type="radio" name='gender["q1"]' value="male"></form>`;
+      const [male, female, otherForm] = document.querySelectorAll('input');
+      
+      const result = await formFiller.fillByType(female, 'radio', 'male');
+      
+      expect(result).toBe(true);
+      expect(male.checked).toBe(true);
+      expect(otherForm.checked).toBe(false);
+    });
+  });
+
+  describe('fillContentEditable', () => {
+    test('should fall back to beforeinput and set text when execCommand is unavailable', async () => {
+      const mockEditor = createMockEditor();
+      
+      const result = await formFiller.fillByType(mockEditor, 'contenteditable', 'Hello world');
+      
+      expect(result).toBe(true);
+      expect(mockEditor.focus).toHaveBeenCalled();
+      expect(mockEditor.textContent).toBe('Hello world');
+      expect(mockEditor.dispatchEvent.mock.calls[0][0].type).toBe('beforeinput');
+      expect(mockEditor.dispatchEvent.mock.calls[1][0].type).toBe('input');
+    });
+
+    test('should leave DOM changes to editors that cancel beforeinput', async () => {
+      const mockEditor = createMockEditor();
+      mockEditor.dispatchEvent = jest.fn((event) => event.type !== 'beforeinput');
+      
+      const result = await formFiller.fillByType(mockEditor, 'contenteditable', 'Hello world');
+      
+      expect(result).toBe(true);
+      expect(mockEditor.textContent).toBe('');
+    });
+
+    test('should clear editor content', () => {
+      const mockEditor = createMockEditor();
+      mockEditor.textContent = 'Typed by hand';
+      
+      formFiller.clearContentEditable(mockEditor);
+      
+      expect(mockEditor.textContent).toBe('');
+      expect(mockEditor.dispatchEvent.mock.calls[0][0].inputType).toBe('deleteContentBackward');
+    });
+  });
+
+  describe('ARIA widgets', () => {
+    test('should toggle a switch by click and verify aria-checked', async () => {
+      const mockSwitch = createMockAriaElement({ 'aria-checked': 'false' });
+      mockSwitch.dispatchEvent = jest.fn((event) => {
+        if (event.type === 'click') {
+          mockSwitch.attributes['aria-checked'] = 'true';
+        }
+        return true;
+      });
+      
+      const result = await formFiller.fillByType(mockSwitch, 'aria-switch', true);
+      
+      expect(result).toBe(true);
+      expect(mockSwitch.attributes['aria-checked']).toBe('true');
+    });
+
+    test('should fall back to the Space key when a click is ignored', async () => {
+      const mockCheckbox = createMockAriaElement({ 'aria-checked': 'false' });
+      mockCheckbox.dispatchEvent = jest.fn((event) => {
+        if (event.type === 'keydown' && event.key === ' ') {
+          mockCheckbox.attributes['aria-checked'] = 'true';
+        }
+        return true;
+      });
+      
+      const result = await formFiller.fillByType(mockCheckbox, 'aria-checkbox', true);
+      
+      expect(result).toBe(true);
+      expect(mockCheckbox.focus).toHaveBeenCalled();
+    });
+
+    test('should report failure when the widget state never changes', async () => {
+      const mockSwitch = createMockAriaElement({ 'aria-checked': 'false' });
+      
+      const result = await formFiller.fillByType(mockSwitch, 'aria-switch', true);
+      
+      expect(result).toBe(false);
+    });
+
+    test('should wait for a late aria-checked update instead of toggling twice', async () => {
+      const mockSwitch = createMockAriaElement({ 'aria-checked': 'false' });
+      const toggle = () => {
+        mockSwitch.attributes['aria-checked'] = String(mockSwitch.attributes['aria-checked'] !== 'true');
       };
+      mockSwitch.dispatchEvent = jest.fn((event) => {
+        // Re-renders after a state batch, well past a single frame
+        if (event.type === 'click' || (event.type === 'keydown' && event.key === ' ')) {
+          setTimeout(toggle, 150);
+        }
+        return true;
+      });
       
-      const result = await formFiller.fillByType(mockElement, 'radio', 'male');
+      const result = await formFiller.fillByType(mockSwitch, 'aria-switch', true);
+      await new Promise(resolve => setTimeout(resolve, 200));
       
       expect(result).toBe(true);
+      expect(mockSwitch.attributes['aria-checked']).toBe('true');
+      expect(mockSwitch.dispatchEvent.mock.calls.some(([event]) => event.type === 'keydown')).toBe(false);
+    });
+
+    test('should pick a matching option by label', () => {
+      const options = [
+        createMockAriaElement({}, 'Canada'),
+        createMockAriaElement({}, 'United States')
+      ];
+      
+      expect(formFiller.pickAriaItem(options, 'united states')).toBe(options[1]);
+      expect(formFiller.pickAriaItem(options, 'Narnia')).toBeNull();
+      expect(options).toContain(formFiller.pickAriaItem(options, 'Narnia', true));
+    });
+  });
+
+  describe('split fields', () => {
+    test('should distribute one phone number across its segments', () => {
+      const group = { kind: 'phone', segments: [{ length: 3 }, { length: 3 }, { length: 4 }] };
+
+      expect(formFiller.splitGroupValue(group, '+1 (415) 555-0134')).toEqual(['415', '555', '0134']);
+    });
+
+    test('should split an ISO date into the segments the form asks for', () => {
+      const group = {
+        kind: 'birthDate',
+        segments: [{ part: 'month', length: 2 }, { part: 'day', length: 2 }, { part: 'year', length: 2 }]
+      };
+
+      expect(formFiller.splitGroupValue(group, '1990-07-04')).toEqual(['07', '04', '90']);
+    });
+
+    test('should refuse values that do not fill every segment', () => {
+      const group = { kind: 'ssn', segments: [{ length: 3 }, { length: 2 }, { length: 4 }] };
+
+      expect(formFiller.splitGroupValue(group, '123-45')).toBeNull();
+    });
+
+    test('should select a month by name when option values are labels', () => {
+      document.body.innerHTML = '<select><option value="">Month</option><option>June</option><option>July</option></select>';
+      const select = document.querySelector('select');
+
+      expect(formFiller.fillSplitSelect(select, '07', 'month')).toBe(true);
+      expect(select.value).toBe('July');
+    });
+
+    test('should generate one value per group and reuse it for later segments', async () => {
+      document.body.innerHTML = '<input maxlength="3"><input maxlength="3"><input maxlength="4">';
+      const elements = Array.from(document.querySelectorAll('input'));
+      const group = { id: 'split_1', kind: 'phone', elements, segments: [{ length: 3 }, { length: 3 }, { length: 4 }] };
+      const descriptors = elements.map((element, index) => ({
+        element, type: 'text', name: `phone${index + 1}`, fillable: true, splitGroup: group, splitIndex: index
+      }));
+
+      await formFiller.fillAllFieldsWithFakeData(descriptors, { delay: 0 });
+
+      expect(elements.map(element => element.value.length)).toEqual([3, 3, 4]);
+      expect(document.activeElement).toBe(elements[2]);
+    });
+  });
+
+  describe('dependent selects', () => {
+    const NativeEvent = Event;
+
+    beforeEach(() => {
+      global.Event = NativeEvent;
+    });
+
+    test('should fill static country and state lists without waiting for a reload', async () => {
+      document.body.innerHTML = `
+        <form>
+          <select name="billing_country"><option value="">Country</option><option value="US">United States</option></select>
+          <select name="billing_state"><option value="">State</option><option value="NY">New York</option></select>
+          <select name="shipping_country"><option value="">Country</option><option value="US">United States</option></select>
+          <select name="shipping_state"><option value="">State</option><option value="NY">New York</option></select>
+        </form>`;
+      const fields = Array.from(document.querySelectorAll('select')).map(element => ({
+        element,
+        name: element.name,
+        type: element.type,
+        fillable: true,
+        category: 'address',
+        fieldSubtype: element.name.split('_')[1]
+      }));
+      const start = Date.now();
+
+      const results = await formFiller.fillAllFieldsWithFakeData(fields, { delay: 0 });
+
+      expect(results.filled).toBe(4);
+      expect(fields.map(field => field.element.value)).toEqual(['US', 'NY', 'US', 'NY']);
+      expect(Date.now() - start).toBeLessThan(EXTENSION_CONSTANTS.TIMEOUTS.DEPENDENT_OPTIONS);
     });
   });
 
@@ -243,18 +454,23 @@ describe('FormFiller', () => {
     test('should stop on first error when skipErrors is false', async () => {
       const fieldDescriptors = [
         createFieldDescriptor(createMockInput('text', 'firstName'), 'text', true),
-        createFieldDescriptor(createMockInput('text', 'invalid'), 'text', false, 'Protected field'),
+        createFieldDescriptor(createMockInput('text', 'middleName'), 'text', true),
         createFieldDescriptor(createMockInput('text', 'lastName'), 'text', true)
       ];
       
-      mockFieldMapper.mapValueToField.mockReturnValue('John');
+      // No value for the second field makes its fill fail
+      mockFieldMapper.mapValueToField
+        .mockReturnValueOnce('John')
+        .mockReturnValueOnce(null)
+        .mockReturnValue('Doe');
       
       const results = await formFiller.fillAllFields(fieldDescriptors, mockUserData, {
         delay: 0,
         skipErrors: false
       });
       
-      expect(results.filled).toBe(1); // Should stop after first fillable field
+      expect(results.filled).toBe(1); // Should stop at the first field that fails
+      expect(mockFieldMapper.mapValueToField).toHaveBeenCalledTimes(2);
     });
   });
 
@@ -288,11 +504,496 @@ describe('FormFiller', () => {
 
   describe('triggerFieldEvents', () => {
     test('should trigger input and change events', () => {
+      jest.useFakeTimers();
       const mockElement = createMockInput('text', 'firstName');
       
-      formFiller.triggerFieldEvents(mockElement, 'text');
+      try {
+        formFiller.triggerFieldEvents(mockElement, 'text');
+        jest.advanceTimersByTime(50);
+      } finally {
+        jest.useRealTimers();
+      }
       
-      expect(mockElement.dispatchEvent).toHaveBeenCalledTimes(4); // input, change, focus, blur
+      expect(mockElement.dispatchEvent.mock.calls.map(([event]) => event.type)).toEqual(['input', 'change', 'focus', 'blur']);
+    });
+  });
+
+  describe('undoFill', () => {
+    // The suite mocks Event in beforeEach; restoring dispatches real events on real elements
+    const NativeEvent = Event;
+
+    beforeEach(() => {
+      global.Event = NativeEvent;
+      document.body.innerHTML = `
+        <form>
+          <input name="city" value="Typed by hand">
+          <input type="checkbox" name="terms">
+          <input type="radio" name="plan" value="basic" checked><input type="radio" name="plan" value="pro">
+          <select name="size"><option value="">Size</option><option value="m">M</option></select>
+        </form>`;
+    });
+
+    const describeFields = () => [
+      { element: document.querySelector('[name="city"]'), type: 'text', name: 'city', fillable: true },
+      { element: document.querySelector('[name="terms"]'), type: 'checkbox', name: 'terms', fillable: true },
+      { element: document.querySelector('[value="pro"]'), type: 'radio', name: 'plan', fillable: true },
+      { element: document.querySelector('[name="size"]'), type: 'select-one', name: 'size', fillable: true }
+    ];
+
+    test('should restore the exact state from before the operation', async () => {
+      const values = { city: 'Oslo', terms: true, plan: 'pro', size: 'm' };
+      mockFieldMapper.mapValueToField.mockImplementation(field => values[field.name]);
+      const fields = describeFields();
+
+      formFiller.beginUndoSnapshot('op_1');
+      await formFiller.fillAllFields(fields, mockUserData, { delay: 0 });
+      formFiller.endUndoSnapshot();
+      const filled = fields.map(field => formFiller.valueSetter.readValue(field.element));
+      const results = await formFiller.undoFill('op_1');
+
+      expect(filled).toEqual(['Oslo', true, true, 'm']);
+      expect(results).toEqual({ total: 4, restored: 4, errors: 0, success: true });
+      expect(fields[0].element.value).toBe('Typed by hand');
+      expect(fields[1].element.checked).toBe(false);
+      expect(document.querySelector('[value="basic"]').checked).toBe(true);
+      expect(fields[3].element.value).toBe('');
+    });
+
+    test('should fire input and change events on restored fields', async () => {
+      const city = describeFields()[0];
+      const inputTypes = [];
+      const onChange = jest.fn();
+      city.element.addEventListener('input', event => inputTypes.push(event.inputType));
+      city.element.addEventListener('change', onChange);
+      mockFieldMapper.mapValueToField.mockReturnValue('Oslo');
+
+      formFiller.beginUndoSnapshot('op_1');
+      await formFiller.fillField(city, mockUserData);
+      formFiller.endUndoSnapshot();
+      inputTypes.length = 0;
+      onChange.mockClear();
+      await formFiller.undoFill();
+
+      expect(inputTypes).toEqual(['historyUndo']);
+      expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    test('should restore radio groups whose names are not valid in a selector', async () => {
+      document.body.innerHTML = `
+        <form><input type="radio" name='answers["q1"]' value="yes" checked><input type="radio" name='answers["q1"]' value="no"></form>
+        <form><input type="radio" name='answers["q1"]' value="yes"></form>`;
+      const [yes, no, otherForm] = document.querySelectorAll('input');
+
+      formFiller.beginUndoSnapshot('op_1');
+      formFiller.rememberFieldState(no, 'radio');
+      formFiller.endUndoSnapshot();
+      no.checked = true;
+      otherForm.checked = true;
+      const results = await formFiller.undoFill('op_1');
+
+      expect(results.errors).toBe(0);
+      expect(yes.checked).toBe(true);
+      expect(no.checked).toBe(false);
+      expect(otherForm.checked).toBe(true);
+    });
+
+    test('should keep only operations that touched a field, up to the limit', () => {
+      formFiller.beginUndoSnapshot('op_empty');
+      formFiller.endUndoSnapshot();
+
+      for (let i = 0; i <= EXTENSION_CONSTANTS.LIMITS.MAX_UNDO_OPERATIONS; i++) {
+        formFiller.beginUndoSnapshot(`op_${i}`);
+        formFiller.rememberFieldState(describeFields()[0].element, 'text');
+        formFiller.endUndoSnapshot();
+      }
+
+      expect(formFiller.undoSnapshots.map(snapshot => snapshot.operationId)).not.toContain('op_empty');
+      expect(formFiller.undoSnapshots).toHaveLength(EXTENSION_CONSTANTS.LIMITS.MAX_UNDO_OPERATIONS);
+      expect(formFiller.undoSnapshots[0].operationId).toBe('op_1');
+    });
+
+    test('should report fields that left the page', async () => {
+      const city = describeFields()[0];
+      formFiller.beginUndoSnapshot('op_1');
+      formFiller.rememberFieldState(city.element, 'text');
+      formFiller.endUndoSnapshot();
+      city.element.remove();
+
+      const results = await formFiller.undoFill('op_1');
+
+      expect(results.restored).toBe(0);
+      expect(formFiller.errors).toContain('Cannot restore city: it is no longer on the page');
+    });
+  });
+
+  describe('planFill', () => {
+    const NativeEvent = Event;
+    let fields;
+
+    beforeEach(() => {
+      global.Event = NativeEvent;
+      document.body.innerHTML = `
+        <form>
+          <input name="city" value="Typed by hand">
+          <select name="size"><option value="">Size</option><option value="s">Small</option><option value="m">Medium</option></select>
+          <input name="notes">
+        </form>`;
+      fields = [
+        { element: document.querySelector('[name="city"]'), type: 'text', name: 'city', fillable: true, category: 'address', fieldSubtype: 'city' },
+        { element: document.querySelector('[name="size"]'), type: 'select-one', name: 'size', fillable: true },
+        { element: document.querySelector('[name="notes"]'), type: 'text', name: 'notes', fillable: true }
+      ];
+    });
+
+    test('should plan values without touching the page', () => {
+      const plan = formFiller.planFill(fields);
+
+      expect(plan.map(entry => entry.source)).toEqual(['generator', 'generator', 'generator']);
+      expect(typeof plan[0].value).toBe('string');
+      // Fake selects settle on one of their own options
+      expect(['s', 'm']).toContain(plan[1].value);
+      expect(fields[0].element.value).toBe('Typed by hand');
+      expect(fields[1].element.value).toBe('');
+    });
+
+    test('should name the profile path a value comes from', () => {
+      mockFieldMapper.mapValueToField.mockImplementation(field => (field.name === 'city' ? 'Anytown' : null));
+      mockFieldMapper.getDataPath = jest.fn(field => (field.name === 'city' ? 'address.city' : null));
+
+      const plan = formFiller.planFill(fields, mockUserData);
+
+      expect(plan[0]).toMatchObject({ value: 'Anytown', source: 'profile: address.city', include: true });
+      expect(plan[2]).toMatchObject({ value: null, source: 'no profile match', include: false });
+    });
+
+    test('should apply exactly the edited plan', async () => {
+      const plan = formFiller.planFill(fields);
+      plan[0].value = 'Oslo';
+      plan[1].value = 's';
+      plan[2].include = false;
+
+      const results = await formFiller.fillAllFieldsFromPlan(plan, { delay: 0 });
+
+      expect(results).toMatchObject({ total: 2, filled: 2 });
+      expect(fields[0].element.value).toBe('Oslo');
+      expect(fields[1].element.value).toBe('s');
+      expect(fields[2].element.value).toBe('');
+    });
+  });
+
+  describe('fillSingleField', () => {
+    const NativeEvent = Event;
+    let field;
+
+    beforeEach(() => {
+      global.Event = NativeEvent;
+      document.body.innerHTML = '<form><input name="notes"></form>';
+      field = { element: document.querySelector('[name="notes"]'), type: 'text', name: 'notes', fillable: true, category: 'text' };
+    });
+
+    test('should fill a chosen profile value', async () => {
+      const results = await formFiller.fillSingleField(field, { value: 'jane@example.com', delay: 0 });
+
+      expect(results).toMatchObject({ total: 1, filled: 1 });
+      expect(field.element.value).toBe('jane@example.com');
+    });
+
+    test('should use the chosen generator instead of the field classification', async () => {
+      await formFiller.fillSingleField(field, { generator: { category: 'personal', fieldSubtype: 'email' }, delay: 0 });
+
+      expect(field.element.value).toMatch(/^[^\s@]+@[^\s@]+$/);
+    });
+  });
+
+  describe('fill scope', () => {
+    const NativeEvent = Event;
+
+    beforeEach(() => {
+      global.Event = NativeEvent;
+    });
+
+    test('should leave fields outside the scope alone', async () => {
+      document.body.innerHTML = '<form id="search"><input name="q"></form><form id="signup"><input name="city"></form>';
+      const signup = document.getElementById('signup');
+      const fields = ['q', 'city'].map(name => ({ element: document.querySelector(`[name="${name}"]`), type: 'text', name, fillable: true, category: 'address', fieldSubtype: 'city' }));
+
+      const results = await formFiller.fillAllFieldsWithFakeData(fields, { delay: 0, scope: field => signup.contains(field.element) });
+
+      expect(results).toMatchObject({ total: 1, filled: 1 });
+      expect(fields[0].element.value).toBe('');
+      expect(fields[1].element.value).not.toBe('');
+    });
+  });
+
+  describe('text date fields', () => {
+    const NativeEvent = Event;
+
+    beforeEach(() => {
+      global.Event = NativeEvent;
+    });
+
+    test('should write the date in the format the field asks for', async () => {
+      document.body.innerHTML = '<form><input name="dob" placeholder="DD/MM/YYYY"><input name="start" class="hasDatepicker" data-date-format="M d, yy"></form>';
+      const fields = ['dob', 'start'].map(name => ({ element: document.querySelector(`[name="${name}"]`), type: 'text', name, fillable: true, category: 'datetime', fieldSubtype: 'date' }));
+
+      await formFiller.fillSingleField(fields[0], { value: '1990-03-05', delay: 0 });
+      await formFiller.fillSingleField(fields[1], { value: '2024-11-02', delay: 0 });
+
+      expect(fields[0].element.value).toBe('05/03/1990');
+      expect(fields[1].element.value).toBe('Nov 2, 2024');
+    });
+  });
+
+  describe('enhanced selects', () => {
+    const NativeEvent = Event;
+
+    beforeEach(() => {
+      global.Event = NativeEvent;
+      document.body.innerHTML = `
+        <form>
+          <select id="state" name="state" class="tomselected ts-hidden-accessible">
+            <option value="">Select a state</option>
+            <option value="AZ">Arizona</option>
+            <option value="CA">California</option>
+          </select>
+          <div class="ts-wrapper single">
+            <div class="ts-control"><input type="text" role="combobox"></div>
+            <div class="ts-dropdown single" style="display: none">
+              <div role="listbox" class="ts-dropdown-content">
+                <div data-selectable class="option" data-value="AZ">Arizona</div>
+                <div data-selectable class="option" data-value="CA">California</div>
+              </div>
+            </div>
+          </div>
+        </form>`;
+
+      // Just enough of Tom Select: the control opens the dropdown and a click on an option shows it
+      // as chosen, without touching the hidden select
+      const control = document.querySelector('.ts-control');
+      const dropdown = document.querySelector('.ts-dropdown');
+      control.addEventListener('click', () => {
+        dropdown.style.display = '';
+      });
+      dropdown.querySelectorAll('.option').forEach(option => option.addEventListener('click', () => {
+        control.insertAdjacentHTML('afterbegin', `<div class="item" data-value="${option.dataset.value}">${option.textContent}</div>`);
+        dropdown.style.display = 'none';
+      }));
+    });
+
+    test('should pick the option through the widget and keep the hidden select in sync', async () => {
+      const select = document.getElementById('state');
+      const field = { element: select, type: 'select-one', name: 'state', fillable: true, category: 'address', fieldSubtype: 'state' };
+
+      const results = await formFiller.fillSingleField(field, { value: 'California', delay: 0 });
+
+      expect(results).toMatchObject({ total: 1, filled: 1 });
+      expect(document.querySelector('.ts-control .item').textContent).toBe('California');
+      expect(select.value).toBe('CA');
+    });
+  });
+
+  describe('input masks', () => {
+    const NativeEvent = Event;
+
+    beforeEach(() => {
+      global.Event = NativeEvent;
+    });
+
+    // Just enough of a phone mask: every digit fills the next slot of (000) 000-0000, anything else is dropped
+    const applyPhoneMask = (input) => input.addEventListener('input', () => {
+      const digits = input.value.replace(/\D/g, '').slice(0, 10);
+      const parts = [digits.slice(0, 3), digits.slice(3, 6), digits.slice(6)];
+      input.value = digits.length > 3 ? `(${parts[0]}) ${parts[1]}${digits.length > 6 ? `-${parts[2]}` : ''}` : digits;
+    });
+
+    test('should type the digits through the mask and leave out the country code', async () => {
+      document.body.innerHTML = '<form><input type="tel" name="phone" placeholder="(___) ___-____"></form>';
+      const input = document.querySelector('input');
+      applyPhoneMask(input);
+      const field = { element: input, type: 'tel', name: 'phone', fillable: true, category: 'personal', fieldSubtype: 'phone' };
+
+      const results = await formFiller.fillSingleField(field, { value: '+1 555 123 4567', delay: 0 });
+
+      expect(results).toMatchObject({ filled: 1 });
+      expect(input.value).toBe('(555) 123-4567');
+    });
+
+    test('should report a mask that shows something else than the value', async () => {
+      document.body.innerHTML = '<form><input name="code" data-inputmask-mask="999-999"></form>';
+      const input = document.querySelector('input');
+      input.addEventListener('input', () => {
+        input.value = '000-000';
+      });
+      const field = { element: input, type: 'text', name: 'code', fillable: true, category: 'text' };
+
+      const results = await formFiller.fillSingleField(field, { value: '123456', delay: 0 });
+
+      expect(results).toMatchObject({ filled: 0 });
+      expect(formFiller.getErrors()).toContain('The input mask on code shows "000-000" instead of "123-456"');
+    });
+
+    test('should lay the value out in a template no mask applies', async () => {
+      document.body.innerHTML = '<form lang="en-GB"><input name="dob" placeholder="__/__/____"></form>';
+      const input = document.querySelector('input');
+      const field = { element: input, type: 'text', name: 'dob', fillable: true, category: 'datetime', fieldSubtype: 'birthDate' };
+
+      await formFiller.fillSingleField(field, { value: '1990-03-05', delay: 0 });
+
+      expect(input.value).toBe('05/03/1990');
+    });
+  });
+
+  describe('fake persona', () => {
+    const NativeEvent = Event;
+
+    beforeEach(() => {
+      global.Event = NativeEvent;
+    });
+
+    test('should describe one person across every field of a fill', async () => {
+      document.body.innerHTML = `
+        <form>
+          <input name="first_name"><input name="full_name"><input name="email"><input name="work_email">
+          <input name="city"><input name="state"><input name="zip"><input name="phone"><input name="dob"><input name="age" type="number">
+        </form>`;
+      const classifications = {
+        first_name: ['personal', 'firstName'],
+        full_name: ['personal', 'fullName'],
+        email: ['personal', 'email'],
+        work_email: ['personal', 'email'],
+        city: ['address', 'city'],
+        state: ['address', 'state'],
+        zip: ['address', 'zipCode'],
+        phone: ['personal', 'phone'],
+        dob: ['datetime', 'birthDate'],
+        age: ['number', 'age']
+      };
+      const fields = Object.entries(classifications).map(([name, [category, fieldSubtype]]) => {
+        const element = document.querySelector(`[name="${name}"]`);
+        return { element, name, type: element.type, fillable: true, category, fieldSubtype };
+      });
+      const value = name => document.querySelector(`[name="${name}"]`).value;
+
+      const persona = formFiller.startPersona();
+      await formFiller.fillAllFieldsWithFakeData(fields, { delay: 0 });
+
+      const place = formFiller.fakeDataGenerator.places.find(entry => entry.city === value('city'));
+      expect(value('full_name')).toBe(`${value('first_name')} ${persona.lastName}`);
+      expect(value('email')).toBe(`${persona.username}@${value('email').split('@')[1]}`);
+      expect(value('email').startsWith(value('first_name').toLowerCase())).toBe(true);
+      expect(value('work_email')).toBe(`${value('first_name')}.${persona.lastName}@${formFiller.fakeDataGenerator.getCompanyDomain(persona.company)}`.toLowerCase());
+      expect(value('state')).toBe(place.state);
+      expect(Number(value('zip'))).toBeGreaterThanOrEqual(place.zipCodes[0]);
+      expect(Number(value('zip'))).toBeLessThanOrEqual(place.zipCodes[1]);
+      expect(place.areaCodes).toContain(value('phone').slice(1, 4));
+      expect(value('dob')).toBe(persona.birthDate);
+      expect(Number(value('age'))).toBe(persona.age);
+    });
+
+    test('should give a birth date at which the persona is exactly their age', () => {
+      const generator = formFiller.fakeDataGenerator;
+      const today = new Date(2026, 2, 15);
+
+      for (let i = 0; i < 20; i++) {
+        const [year, month, day] = generator.generateBirthDateForAge(30, today).split('-').map(Number);
+        const hadBirthday = month < 3 || (month === 3 && day <= 15);
+        expect(2026 - year - (hadBirthday ? 0 : 1)).toBe(30);
+      }
+    });
+
+    test('should fill with the persona the service worker sent', () => {
+      const persona = { ...formFiller.fakeDataGenerator.generatePersona(), fullName: 'Ada Lovelace' };
+
+      formFiller.startPersona(persona);
+
+      expect(formFiller.generateFakeDataForField({ category: 'personal', fieldSubtype: 'fullName', type: 'text' })).toBe('Ada Lovelace');
+    });
+  });
+
+  describe('seeded fills', () => {
+    const NativeEvent = Event;
+
+    beforeEach(() => {
+      global.Event = NativeEvent;
+    });
+
+    const fillWithSeed = async (seed) => {
+      document.body.innerHTML = `
+        <form>
+          <input name="full_name"><input name="email"><input name="code" pattern="[A-Z]{3}-\\d{4}">
+          <textarea name="notes"></textarea>
+          <select name="size"><option value="">Pick</option><option>S</option><option>M</option><option>L</option></select>
+        </form>`;
+      const fields = Array.from(document.querySelectorAll('input, textarea, select')).map(element => ({
+        element,
+        name: element.name,
+        type: element.type,
+        fillable: true,
+        category: { full_name: 'personal', email: 'personal' }[element.name] || 'text',
+        fieldSubtype: { full_name: 'fullName', email: 'email' }[element.name] || 'general'
+      }));
+
+      formFiller.setSeed(seed);
+      formFiller.startPersona();
+      await formFiller.fillAllFieldsWithFakeData(fields, { delay: 0 });
+      return fields.map(field => field.element.value);
+    };
+
+    test('should fill the same form with the same values for the same seed', async () => {
+      const first = await fillWithSeed(1234);
+
+      expect(first[2]).toMatch(/^[A-Z]{3}-\d{4}$/);
+      expect(await fillWithSeed(1234)).toEqual(first);
+      expect(await fillWithSeed('1234')).toEqual(first);
+      expect(await fillWithSeed(4321)).not.toEqual(first);
+    });
+
+    test('should measure dates from the seed reference time on any later day', () => {
+      const generator = formFiller.fakeDataGenerator;
+      const referenceTime = new Date(2026, 2, 15).getTime();
+      const generateDates = () => {
+        generator.setSeed(1234, referenceTime);
+        return [generator.generateDate(), generator.generateBirthDateForAge(30), generator.generateCardExpiryYear()];
+      };
+
+      const first = generateDates();
+      jest.useFakeTimers({ now: new Date(2027, 5, 1) });
+      try {
+        expect(generateDates()).toEqual(first);
+      } finally {
+        jest.useRealTimers();
+      }
+      expect(first[0] <= '2026-03-15').toBe(true);
+      expect(Number(first[2])).toBeLessThanOrEqual(2032);
+    });
+
+    test('should hash text seeds and go back to unseeded values without one', () => {
+      const generator = formFiller.fakeDataGenerator;
+
+      expect(generator.normalizeSeed('https://example.com/signup')).toBe(generator.normalizeSeed('https://example.com/signup'));
+      expect(generator.normalizeSeed('https://example.com/signup')).not.toBe(generator.normalizeSeed('https://example.com/login'));
+      expect(formFiller.setSeed(null)).toBeNull();
+      expect(generator.random).toBe(Math.random);
+    });
+  });
+
+  describe('verifyFilledFields', () => {
+    test('should report values the page rejects after filling', async () => {
+      document.body.innerHTML = `
+        <form>
+          <input name="zip" pattern="[0-9]{5}" value="ABCDE">
+          <input name="city" value="Oslo">
+        </form>`;
+      const fields = [
+        { element: document.querySelector('[name="zip"]'), name: 'zip', label: 'ZIP', type: 'text' },
+        { element: document.querySelector('[name="city"]'), name: 'city', label: 'City', type: 'text' }
+      ];
+
+      const validation = await formFiller.verifyFilledFields(fields, 0);
+
+      expect(validation.checked).toBe(2);
+      expect(validation.rejected).toEqual([expect.objectContaining({ field: 'zip', label: 'ZIP', reasons: ['pattern mismatch'] })]);
+      expect(fields[0].element.classList.contains('form-fill-error')).toBe(true);
     });
   });
 
@@ -351,6 +1052,38 @@ describe('FormFiller', () => {
     };
   }
 
+  function createMockEditor() {
+    return {
+      tagName: 'DIV',
+      textContent: '',
+      focus: jest.fn(),
+      ownerDocument: {
+        execCommand: jest.fn(() => false),
+        createRange: jest.fn(() => ({ selectNodeContents: jest.fn() })),
+        defaultView: {
+          getSelection: () => ({ removeAllRanges: jest.fn(), addRange: jest.fn() })
+        }
+      },
+      classList: {
+        add: jest.fn(),
+        remove: jest.fn()
+      },
+      dispatchEvent: jest.fn(() => true)
+    };
+  }
+
+  function createMockAriaElement(attributes = {}, textContent = '') {
+    const element = {
+      tagName: 'DIV',
+      attributes: { ...attributes },
+      textContent: textContent,
+      focus: jest.fn(),
+      getAttribute: jest.fn((name) => element.attributes[name] !== undefined ? element.attributes[name] : null),
+      dispatchEvent: jest.fn(() => true)
+    };
+    return element;
+  }
+
   function createFieldDescriptor(element, type, fillable, reason = '') {
     return {
       element: element,
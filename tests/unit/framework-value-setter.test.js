@@ -0,0 +1,195 @@
+// Unit tests for FrameworkValueSetter class
+
+describe('FrameworkValueSetter', () => {
+  let setter;
+  let input;
+
+  beforeEach(() => {
+    setter = new FrameworkValueSetter();
+    document.body.innerHTML = '<input id="name"><input type="checkbox" id="terms">';
+    input = document.getElementById('name');
+  });
+
+  // Stand-in for React's value tracker: an own `value` property that records every assignment
+  const trackValue = (element) => {
+    const native = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value');
+    const tracker = { value: '' };
+    Object.defineProperty(element, 'value', {
+      configurable: true,
+      get() { return native.get.call(this); },
+      set(value) { tracker.value = value; native.set.call(this, value); }
+    });
+    return tracker;
+  };
+
+  describe('setValue', () => {
+    test('should write past an instance-level value tracker', () => {
+      const tracker = trackValue(input);
+
+      setter.setValue(input, 'Ada');
+
+      expect(input.value).toBe('Ada');
+      expect(tracker.value).toBe('');
+    });
+
+    test('should fall back to plain assignment for non-DOM objects', () => {
+      const field = { value: '' };
+
+      setter.setValue(field, 'x');
+
+      expect(field.value).toBe('x');
+    });
+  });
+
+  describe('dispatchValueEvents', () => {
+    test('should describe the edit with an InputEvent followed by change', () => {
+      const events = [];
+      input.addEventListener('input', event => events.push(`${event.type}:${event.inputType}`));
+      input.addEventListener('change', event => events.push(event.type));
+
+      setter.dispatchValueEvents(input, 'Ada');
+
+      expect(events).toEqual(['input:insertReplacementText', 'change']);
+    });
+  });
+
+  describe('setChecked', () => {
+    test('should toggle checkboxes with a click', () => {
+      const checkbox = document.getElementById('terms');
+      const onClick = jest.fn();
+      checkbox.addEventListener('click', onClick);
+
+      setter.setChecked(checkbox, true);
+
+      expect(checkbox.checked).toBe(true);
+      expect(onClick).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('ensureValue', () => {
+    test('should keep the first strategy when the page leaves the value alone', async () => {
+      setter.setValue(input, 'Ada');
+
+      await expect(setter.ensureValue(input, 'Ada', '')).resolves.toEqual({ kept: true, strategy: 'native' });
+    });
+
+    test('should retry with keystrokes when the page resets the value', async () => {
+      input.addEventListener('input', event => {
+        if (event.inputType === 'insertReplacementText') {
+          Promise.resolve().then(() => setter.setValue(input, ''));
+        }
+      });
+
+      setter.setValue(input, 'Ada');
+      setter.dispatchValueEvents(input, 'Ada');
+      const result = await setter.ensureValue(input, 'Ada', '');
+
+      expect(result).toEqual({ kept: true, strategy: 'keystrokes' });
+      expect(input.value).toBe('Ada');
+    });
+
+    test('should accept values the page reformatted', async () => {
+      setter.setValue(input, '(555) 123-4567');
+
+      const result = await setter.ensureValue(input, '5551234567', '');
+
+      expect(result.kept).toBe(true);
+    });
+  });
+
+  describe('applyStrategy', () => {
+    test('should pick a select option by index and fire input and change', () => {
+      document.body.innerHTML = '<select><option value="">Size</option><option value="m">M</option></select>';
+      const select = document.querySelector('select');
+      const events = [];
+      ['input', 'change'].forEach(type => select.addEventListener(type, () => events.push(type)));
+
+      expect(setter.applyStrategy(select, 'm', 'selectedIndex')).toBe(true);
+      expect(select.selectedIndex).toBe(1);
+      expect(events).toEqual(['input', 'change']);
+      expect(setter.applyStrategy(select, 'xl', 'selectedIndex')).toBe(false);
+      expect(select.selectedIndex).toBe(1);
+    });
+  });
+
+  describe('typeText', () => {
+    test('should clear with Backspace and send key events for every character', async () => {
+      const keys = [];
+      ['keydown', 'keypress', 'keyup'].forEach(type => input.addEventListener(type, event => keys.push(`${type}:${event.key}`)));
+      const inputTypes = [];
+      input.addEventListener('input', event => inputTypes.push(event.inputType));
+      setter.setValue(input, 'x');
+
+      await setter.typeText(input, 'ab', { delay: 0, jitter: 0 });
+
+      expect(input.value).toBe('ab');
+      expect(keys).toEqual([
+        'keydown:Backspace', 'keyup:Backspace',
+        'keydown:a', 'keypress:a', 'keyup:a',
+        'keydown:b', 'keypress:b', 'keyup:b'
+      ]);
+      expect(inputTypes).toEqual(['deleteContentBackward', 'insertText', 'insertText']);
+    });
+
+    test('should type on top of what a mask reformatted and stop at maxlength', async () => {
+      input.maxLength = 5;
+      input.addEventListener('input', () => {
+        if (input.value.length === 3) {
+          setter.setValue(input, `${input.value}-`);
+        }
+      });
+
+      await setter.typeText(input, '123456', { delay: 0, jitter: 0 });
+
+      expect(input.value).toBe('123-4');
+    });
+
+    test('should leave keys the page cancelled to the page', async () => {
+      // Inputmask writes each character itself and cancels the keypress
+      input.addEventListener('keypress', event => {
+        event.preventDefault();
+        setter.setValue(input, `${input.value}${event.key.toUpperCase()}`);
+      });
+
+      await setter.typeText(input, 'ab', { delay: 0, jitter: 0 });
+
+      expect(input.value).toBe('AB');
+    });
+
+    test('should keep pauses within delay ± jitter', async () => {
+      jest.useFakeTimers();
+      const spy = jest.spyOn(global, 'setTimeout');
+      setter.random = () => 0;
+
+      const pause = setter.pause(60, 40);
+      jest.runAllTimers();
+      await pause;
+
+      expect(spy).toHaveBeenLastCalledWith(expect.any(Function), 20);
+      spy.mockRestore();
+      jest.useRealTimers();
+    });
+  });
+
+  describe('getFramework', () => {
+    test('should recognise React and Angular managed fields', () => {
+      input._valueTracker = {};
+      const control = document.createElement('input');
+      control.setAttribute('formcontrolname', 'email');
+
+      expect(setter.getFramework(input)).toBe('react');
+      expect(setter.getFramework(control)).toBe('angular');
+      expect(setter.getFramework(document.getElementById('terms'))).toBeNull();
+    });
+
+    test('should blur Angular fields so updateOn blur controls take the value', () => {
+      input.setAttribute('formcontrolname', 'name');
+      const onBlur = jest.fn();
+      input.addEventListener('blur', onBlur);
+
+      setter.commitOnBlur(input);
+
+      expect(onBlur).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+// Unit tests for InputMaskAdapter class
+
+describe('InputMaskAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new InputMaskAdapter();
+  });
+
+  const createInput = (html) => {
+    document.body.innerHTML = `<form>${html}</form>`;
+    return document.querySelector('input');
+  };
+
+  const slots = (mask) => mask.template.map(token => (token.kind ? `${token.kind[0]}${token.optional ? '?' : ''}` : token.literal)).join('');
+
+  describe('getMask', () => {
+    test('should read the mask from the attributes each library uses', () => {
+      expect(adapter.getMask(createInput('<input data-inputmask="\'mask\': \'(999) 999-9999\', \'greedy\': false">'))).toMatchObject({ library: 'inputmask' });
+      expect(slots(adapter.getMask(createInput('<input data-inputmask-mask="a9[9]">')))).toBe('ldd?');
+      expect(slots(adapter.getMask(createInput('<input mask="000-00-0000">')))).toBe('ddd-dd-dddd');
+      expect(slots(adapter.getMask(createInput('<input data-mask="00/00/0000">')))).toBe('dd/dd/dddd');
+      expect(slots(adapter.getMask(createInput('<input data-maska="@#-##">')))).toBe('ld-dd');
+    });
+
+    test('should recognise templates shown as placeholder or value', () => {
+      expect(slots(adapter.getMask(createInput('<input type="tel" placeholder="+7 (___) ___-__-__">')))).toBe('+7 (aaa) aaa-aa-aa');
+      expect(adapter.getMask(createInput('<input value="__/__/____">'))).toMatchObject({ library: null });
+    });
+
+    test('should leave plain fields and hints alone', () => {
+      expect(adapter.getMask(createInput('<input placeholder="555-123-4567">'))).toBeNull();
+      expect(adapter.getMask(createInput('<input type="email" data-inputmask-alias="email">'))).toBeNull();
+      expect(adapter.getMask(createInput('<input name="city">'))).toBeNull();
+    });
+
+    test('should keep masks without a fixed length but no template', () => {
+      expect(adapter.getMask(createInput('<input data-inputmask="\'alias\': \'numeric\'">'))).toEqual({ library: 'inputmask', template: null });
+      expect(adapter.getMask(createInput('<input mask="separator.2">'))).toEqual({ library: 'ngx-mask', template: null });
+      expect(adapter.getMask(createInput('<input data-inputmask-mask="9{1,3}.9{+}">')).template).toBeNull();
+    });
+  });
+
+  describe('parseMask', () => {
+    test('should expand quantifiers and optional parts', () => {
+      const inputmask = adapter.libraries[0];
+      const ngxMask = adapter.libraries[1];
+
+      expect(adapter.getSlotCount(adapter.parseMask('9{3}-9{1,2}', inputmask))).toBe(5);
+      expect(adapter.parseMask('\\A99', inputmask)[0]).toEqual({ literal: 'A' });
+      expect(adapter.parseMask('00?0', ngxMask).map(token => token.optional)).toEqual([false, true, false]);
+      expect(adapter.parseMask('SSS', ngxMask)).toHaveLength(3);
+    });
+  });
+
+  describe('toRawValue', () => {
+    test('should keep what the slots take and drop a leading country code', () => {
+      const phone = adapter.getMask(createInput('<input placeholder="(___) ___-____">'));
+      expect(adapter.toRawValue('+1 (555) 123-4567', phone)).toBe('5551234567');
+
+      const postcode = adapter.getMask(createInput('<input data-inputmask-mask="A9A 9A9">'));
+      expect(adapter.toRawValue('K1A 0B1', postcode)).toBe('K1A0B1');
+
+      const amount = adapter.getMask(createInput('<input data-inputmask-alias="currency">'));
+      expect(adapter.toRawValue(' 1234.50 ', amount)).toBe('1234.50');
+    });
+  });
+
+  describe('format and showsValue', () => {
+    test('should lay raw characters out in the template and recognise them once shown', () => {
+      const mask = adapter.getMask(createInput('<input placeholder="+1 (___) ___-____">'));
+
+      expect(adapter.format('5551234567', mask)).toBe('+1 (555) 123-4567');
+      expect(adapter.format('5551', mask)).toBe('+1 (555) 1');
+      expect(adapter.showsValue('+1 (555) 123-4567', '5551234567', mask)).toBe(true);
+      expect(adapter.showsValue('+1 (555) 123-45__', '5551234567', mask)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// Unit tests for OptionMatcher class
+
+describe('OptionMatcher', () => {
+  let matcher;
+
+  beforeEach(() => {
+    matcher = new OptionMatcher();
+  });
+
+  const toOptions = (entries) => entries.map(([value, text, disabled]) => ({ value, text, disabled: Boolean(disabled) }));
+
+  const countries = toOptions([
+    ['', 'Select a country'],
+    ['1', 'Canada'],
+    ['2', 'Mexico'],
+    ['3', 'United States of America'],
+    ['4', 'United Kingdom']
+  ]);
+
+  const states = toOptions([
+    ['', '-- State --'],
+    ['AL', 'Alabama'],
+    ['AZ', 'Arizona'],
+    ['CA', 'California'],
+    ['CO', 'Colorado'],
+    ['NY', 'New York']
+  ]);
+
+  describe('findBestIndex', () => {
+    test('should resolve country codes, names and synonyms', () => {
+      ['USA', 'US', 'us', '840', 'United States', 'U.S.A.'].forEach(value => {
+        expect(matcher.findBestIndex(countries, value)).toBe(3);
+      });
+      expect(matcher.findBestIndex(countries, 'GBR')).toBe(4);
+      expect(matcher.findBestIndex(countries, 'UK')).toBe(4);
+    });
+
+    test('should read an ambiguous code in the sense of the list', () => {
+      expect(matcher.findBestIndex(states, 'California')).toBe(3);
+      expect(matcher.findBestIndex(toOptions([['a', 'Arizona'], ['b', 'California'], ['c', 'Colorado']]), 'CA')).toBe(1);
+      expect(matcher.findBestIndex(countries, 'CA')).toBe(1);
+    });
+
+    test('should ignore case and diacritics', () => {
+      const provinces = toOptions([['ON', 'Ontario'], ['QC', 'Québec'], ['BC', 'British Columbia']]);
+
+      expect(matcher.findBestIndex(provinces, 'quebec')).toBe(1);
+      expect(matcher.findBestIndex(toOptions([['1', 'Zürich'], ['2', 'Genève']]), 'GENEVE')).toBe(1);
+    });
+
+    test('should match month names and numbers', () => {
+      const byNumber = toOptions([['01', '01'], ['02', '02'], ['03', '03'], ['04', '04']]);
+      const byName = toOptions([['jan', 'January'], ['feb', 'February'], ['mar', 'March'], ['apr', 'April']]);
+
+      expect(matcher.findBestIndex(byNumber, 'March')).toBe(2);
+      expect(matcher.findBestIndex(byNumber, '3')).toBe(2);
+      expect(matcher.findBestIndex(byName, '03')).toBe(2);
+      expect(matcher.findBestIndex(byName, 'Mars')).toBe(2);
+    });
+
+    test('should tolerate typos and extra words', () => {
+      const roles = toOptions([['dev', 'Software Engineer'], ['pm', 'Product Manager'], ['ds', 'Data Scientist']]);
+
+      expect(matcher.findBestIndex(roles, 'Sofware Enginer')).toBe(0);
+      expect(matcher.findBestIndex(roles, 'Senior Product Manager')).toBe(1);
+      expect(matcher.findBestIndex(roles, 'Astronaut')).toBe(-1);
+    });
+
+    test('should never pick disabled or placeholder options', () => {
+      const options = toOptions([['0', 'Select a plan'], ['basic', 'Basic', true], ['pro', 'Pro']]);
+
+      expect(matcher.findBestIndex(options, 'Select a plan')).toBe(-1);
+      expect(matcher.findBestIndex(options, 'basic')).toBe(-1);
+      expect(matcher.findBestIndex(options, 'pro')).toBe(2);
+      expect(matcher.findBestIndex(options, '')).toBe(-1);
+    });
+  });
+});
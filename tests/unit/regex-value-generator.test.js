@@ -0,0 +1,66 @@
+// Unit tests for RegexValueGenerator class
+
+describe('RegexValueGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new RegexValueGenerator();
+  });
+
+  const expectMatches = (pattern, times = 20) => {
+    const regex = generator.compile(pattern);
+    for (let i = 0; i < times; i++) {
+      expect(generator.generate(pattern)).toMatch(regex);
+    }
+  };
+
+  describe('generate', () => {
+    test('should generate values for fixed-length classes', () => {
+      expectMatches('[A-Z]{2}[0-9]{6}');
+    });
+
+    test('should handle alternation, optional groups and class escapes', () => {
+      expectMatches('(GB|DE|FR)\\d{2}-?\\w+');
+      expectMatches('\\d{5}(-\\d{4})?');
+    });
+
+    test('should handle negated classes', () => {
+      expectMatches('[^0-9\\s]{4}');
+      expectMatches('\\D\\S');
+    });
+
+    test('should repeat captured text for backreferences', () => {
+      const value = generator.generate('(\\d)-\\1');
+
+      expect(value[0]).toBe(value[2]);
+    });
+
+    test('should stretch open-ended quantifiers by extraRepeat', () => {
+      expect(generator.generate('a+', { extraRepeat: 4 })).toBe('aaaaa');
+      expect(generator.generate('x*', { extraRepeat: 0 })).toBe('');
+    });
+
+    test('should use the injected random source', () => {
+      const lowest = new RegexValueGenerator(() => 0);
+
+      expect(lowest.generate('[a-z]{3}|[0-9]')).toBe('aaa');
+    });
+
+    test('should reject lookarounds', () => {
+      expect(() => generator.generate('a(?=b)')).toThrow('Lookaround assertions are not supported');
+    });
+  });
+
+  describe('compile', () => {
+    test('should anchor the pattern like the pattern attribute does', () => {
+      const regex = generator.compile('ab|cd');
+
+      expect(regex.test('ab')).toBe(true);
+      expect(regex.test('abcd')).toBe(false);
+    });
+
+    test('should return null for invalid patterns', () => {
+      expect(generator.compile('[a-')).toBeNull();
+    });
+  });
+});
@@ -40,6 +40,12 @@ describe('StorageManager', () => {
           city: '',
           state: ''
         },
+        addresses: {
+          home: { street: '', city: '', state: '' },
+          work: { street: '', city: '', state: '' },
+          billing: { street: '', city: '', state: '' },
+          shipping: { street: '', city: '', state: '' }
+        },
         professional: {
           company: '',
           website: ''
@@ -53,6 +59,9 @@ describe('StorageManager', () => {
         enableExtension: true,
         autoDetectForms: true,
         showNotifications: true
+      },
+      ERRORS: {
+        STORAGE_ERROR: 'Failed to access extension storage'
       }
     };
     
@@ -87,7 +96,7 @@ describe('StorageManager', () => {
     test('should handle storage errors gracefully', async () => {
       mockChromeStorage.local.get.mockRejectedValue(new Error('Storage error'));
       
-      await expect(storageManager.get('testKey')).rejects.toThrow('Storage error');
+      await expect(storageManager.get('testKey')).rejects.toThrow(EXTENSION_CONSTANTS.ERRORS.STORAGE_ERROR);
     });
 
     test('should use cache for repeated gets', async () => {
@@ -119,6 +128,15 @@ describe('StorageManager', () => {
   });
 
   describe('user data management', () => {
+    // User data is stored obfuscated, so read back what the last save wrote
+    const getSavedUserData = () => {
+      const savedData = mockChromeStorage.local.set.mock.calls[0][0];
+      return storageManager.decryptData(
+        EXTENSION_CONSTANTS.STORAGE_KEYS.USER_DATA,
+        savedData[EXTENSION_CONSTANTS.STORAGE_KEYS.USER_DATA]
+      );
+    };
+
     test('should return default user data when none exists', async () => {
       mockChromeStorage.local.get.mockResolvedValue({});
       
@@ -162,16 +180,37 @@ describe('StorageManager', () => {
       
       await storageManager.saveUserData(incompleteUserData);
       
-      const savedData = mockChromeStorage.local.set.mock.calls[0][0];
-      const userData = savedData[EXTENSION_CONSTANTS.STORAGE_KEYS.USER_DATA];
+      const userData = await getSavedUserData();
       
       // Should have all required sections
       expect(userData).toHaveProperty('personal');
       expect(userData).toHaveProperty('address');
+      expect(userData).toHaveProperty('addresses.billing');
+      expect(userData).toHaveProperty('addresses.shipping');
       expect(userData).toHaveProperty('professional');
       expect(userData).toHaveProperty('preferences');
     });
 
+    test('should move a saved business template address into addresses.work', async () => {
+      const businessAddress = { street: '1 Corporate Way', city: 'Springfield', state: 'IL', zipCode: '62701', country: 'United States' };
+      const templateStorage = {
+        get: jest.fn().mockResolvedValue([
+          { id: 'template_1', name: 'Business', data: { personal: {}, businessAddress, preferences: {} } },
+          { id: 'template_2', name: 'Mixed', data: { businessAddress, addresses: { work: { street: '', city: 'Shelbyville' } } } }
+        ]),
+        set: jest.fn().mockResolvedValue()
+      };
+      const templateManager = new DataTemplateManager(templateStorage);
+      
+      await templateManager.loadTemplates();
+      const [business, mixed] = await templateManager.getAllTemplates();
+      
+      expect(business.data.addresses.work).toEqual(businessAddress);
+      expect(business.data).not.toHaveProperty('businessAddress');
+      expect(mixed.data.addresses.work).toEqual({ ...businessAddress, city: 'Shelbyville' });
+      expect(templateStorage.set).toHaveBeenCalledTimes(1);
+    });
+
     test('should update nested user data field', async () => {
       const existingData = {
         personal: { firstName: 'John', lastName: 'Doe' },
@@ -187,8 +226,7 @@ describe('StorageManager', () => {
       
       await storageManager.updateUserDataField('personal.email', 'john@example.com');
       
-      const savedData = mockChromeStorage.local.set.mock.calls[0][0];
-      const userData = savedData[EXTENSION_CONSTANTS.STORAGE_KEYS.USER_DATA];
+      const userData = await getSavedUserData();
       
       expect(userData.personal.email).toBe('john@example.com');
       expect(userData.personal.firstName).toBe('John'); // Should preserve existing data
@@ -307,6 +345,7 @@ describe('StorageManager', () => {
         settings: { enableExtension: false }
       };
       
+      mockChromeStorage.local.get.mockResolvedValue({});
       mockChromeStorage.local.set.mockResolvedValue();
       
       // Mock createBackup
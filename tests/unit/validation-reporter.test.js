@@ -0,0 +1,60 @@
+// Unit tests for ValidationReporter class
+
+describe('ValidationReporter', () => {
+  let reporter;
+
+  beforeEach(() => {
+    reporter = new ValidationReporter();
+  });
+
+  const createDescriptor = (html, selector = 'input') => {
+    document.body.innerHTML = `<form>${html}</form>`;
+    const element = document.querySelector(selector);
+    return { element, name: element.name, id: element.id, label: 'ZIP Code:', type: element.type, fillable: true };
+  };
+
+  describe('inspect', () => {
+    test('should pass a value the browser and the page accept', () => {
+      const field = createDescriptor('<div class="form-group"><input name="zip" pattern="[0-9]{5}" value="12345"><span class="error" hidden>Invalid ZIP</span></div>');
+
+      expect(reporter.inspect(field)).toBeNull();
+    });
+
+    test('should report constraint violations by name', () => {
+      const field = createDescriptor('<input name="zip" pattern="[0-9]{5}">');
+      field.element.value = 'ABCDE';
+
+      const report = reporter.inspect(field);
+
+      expect(report.label).toBe('ZIP Code');
+      expect(report.reasons).toEqual(['pattern mismatch']);
+      expect(report.message).toBe(field.element.validationMessage);
+    });
+
+    test('should report fields the page marks invalid with its own error text', () => {
+      const field = createDescriptor('<div class="field"><input name="zip" aria-invalid="true" value="1"><div class="field-error">Enter a real ZIP</div></div>');
+
+      const report = reporter.inspect(field);
+
+      expect(report.reasons).toEqual(['flagged by the page']);
+      expect(report.message).toBe('Enter a real ZIP');
+    });
+
+    test('should follow aria-errormessage to the message', () => {
+      const field = createDescriptor('<input name="zip" aria-invalid="true" aria-errormessage="zip-msg"><p id="zip-msg">ZIP is not served</p>');
+
+      expect(reporter.inspect(field).message).toBe('ZIP is not served');
+    });
+
+    test('should not take the error of a neighbouring field', () => {
+      const field = createDescriptor(`
+        <div class="row">
+          <div><input name="zip" value="12345"></div>
+          <div><input name="city"><span class="error">City is required</span></div>
+        </div>
+      `);
+
+      expect(reporter.inspect(field)).toBeNull();
+    });
+  });
+});
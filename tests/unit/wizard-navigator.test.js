@@ -0,0 +1,118 @@
+// Unit tests for WizardNavigator class
+
+describe('WizardNavigator', () => {
+  let navigator;
+
+  beforeEach(() => {
+    navigator = new WizardNavigator();
+    document.body.innerHTML = '';
+  });
+
+  const createButton = (html) => {
+    document.body.innerHTML = html;
+    return document.body.querySelector('button, input, a');
+  };
+
+  describe('classifyControl', () => {
+    test('should recognise next-step wording', () => {
+      expect(navigator.classifyControl(createButton('<button type="button">Next</button>'))).toBe('next');
+      expect(navigator.classifyControl(createButton('<button type="button">Save and continue</button>'))).toBe('next');
+      expect(navigator.classifyControl(createButton('<button type="button" aria-label="Next step">→</button>'))).toBe('next');
+    });
+
+    test('should treat a submit button labelled "Next" as a step control', () => {
+      const button = createButton('<form><button type="submit">Next</button></form>');
+
+      expect(navigator.classifyControl(button)).toBe('next');
+    });
+
+    test('should recognise final submit wording', () => {
+      expect(navigator.classifyControl(createButton('<button type="button">Place order</button>'))).toBe('submit');
+      expect(navigator.classifyControl(createButton('<input type="submit" value="Sign up">'))).toBe('submit');
+    });
+
+    test('should treat an unlabelled form submit as the final submit', () => {
+      const button = createButton('<form><button>Go</button></form>');
+
+      expect(navigator.classifyControl(button)).toBe('submit');
+    });
+
+    test('should ignore back and cancel controls', () => {
+      expect(navigator.classifyControl(createButton('<button type="button">Back</button>'))).toBeNull();
+      expect(navigator.classifyControl(createButton('<button type="button">Cancel</button>'))).toBeNull();
+    });
+
+    test('should match whole words only', () => {
+      expect(navigator.classifyControl(createButton('<button type="button">Nextdoor</button>'))).toBeNull();
+      expect(navigator.classifyControl(createButton('<button type="button">PayPal</button>'))).toBeNull();
+    });
+  });
+
+  describe('pickClosestControl', () => {
+    test('should prefer a control inside the form being filled', () => {
+      document.body.innerHTML = `
+        <form id="wizard"><input id="email"><button id="inside" type="button">Next</button></form>
+        <button id="outside" type="button">Next</button>
+      `;
+      const form = document.getElementById('wizard');
+      const inside = document.getElementById('inside');
+      const outside = document.getElementById('outside');
+
+      expect(navigator.pickClosestControl([inside, outside], new Set([form]))).toBe(inside);
+    });
+
+    test('should ignore a page-level "Next" link outside the filled form', () => {
+      document.body.innerHTML = `
+        <form id="wizard"><input id="email"><button type="button">Back</button></form>
+        <nav><a id="pager" href="#page-2">Next</a></nav>
+      `;
+      const form = document.getElementById('wizard');
+      const email = document.getElementById('email');
+      const pager = document.getElementById('pager');
+
+      expect(navigator.pickClosestControl([pager], new Set([form]), [email])).toBeNull();
+    });
+
+    test('should take a formless step\'s own control over page-level navigation', () => {
+      document.body.innerHTML = `
+        <nav><a id="pager" href="#page-2">Next</a></nav>
+        <div class="step"><div><input id="email"></div><button id="continue" type="button">Continue</button></div>
+      `;
+      const email = document.getElementById('email');
+      const pager = document.getElementById('pager');
+      const next = document.getElementById('continue');
+
+      expect(navigator.pickClosestControl([pager, next], new Set(), [email])).toBe(next);
+      expect(navigator.pickClosestControl([pager], new Set(), [email])).toBeNull();
+    });
+
+    test('should return null without candidates', () => {
+      expect(navigator.pickClosestControl([], new Set())).toBeNull();
+    });
+  });
+
+  describe('isNewStep', () => {
+    test('should detect a step change from newly shown fields', () => {
+      const first = document.createElement('input');
+      const second = document.createElement('input');
+      const previous = new Set([first]);
+
+      expect(navigator.isNewStep(previous, [{ element: first, fillable: true }])).toBe(false);
+      expect(navigator.isNewStep(previous, [{ element: second, fillable: true }])).toBe(true);
+    });
+
+    test('should detect a review step by the previous control disappearing', () => {
+      const field = document.createElement('input');
+      const detached = document.createElement('button');
+
+      expect(navigator.isNewStep(new Set([field]), [], detached)).toBe(true);
+    });
+  });
+
+  describe('getControlLabel', () => {
+    test('should prefer the accessible name and collapse whitespace', () => {
+      expect(navigator.getControlLabel(createButton('<button aria-label="Continue to payment">›</button>'))).toBe('Continue to payment');
+      expect(navigator.getControlLabel(createButton('<button>\n  Next\n  step </button>'))).toBe('Next step');
+    });
+  });
+});